@@ -341,6 +341,15 @@ NGINX_CONFIG="/etc/nginx/sites-available/apis"
 LISTEN_PORT="$LISTEN_PORT"
 SERVER_IP="$SERVER_IP"
 
+# --render <apis.json> <output>: write the config for another apis.json to another
+# file without testing or reloading nginx (used by the dashboard for previews)
+RENDER_ONLY=0
+if [ "\$1" = "--render" ]; then
+    CONFIG_FILE="\$2"
+    NGINX_CONFIG="\$3"
+    RENDER_ONLY=1
+fi
+
 # Create nginx config
 /bin/cat > "\$NGINX_CONFIG" << 'ENDCONFIG'
 # ---- API Gateway verbose logging ----
@@ -529,7 +538,8 @@ STREAMPROXY
         add_header X-Api-Name "\$NAME" always;
     }
 STDPROXY
-done < <(/usr/bin/jq -c '.apis[] | select(.enabled == true)' "\$CONFIG_FILE")
+# AI model services are only reachable through the inference proxy (/ai/v1/) unless marked public
+done < <(/usr/bin/jq -c '.apis[] | select(.enabled == true and (.type != "ai-model" or .public == true))' "\$CONFIG_FILE")
 
 # Add dashboard location
 /bin/cat >> "\$NGINX_CONFIG" << 'DASHBOARD'
@@ -585,6 +595,23 @@ done < <(/usr/bin/jq -c '.apis[] | select(.enabled == true)' "\$CONFIG_FILE")
         return 301 /deployments/;
     }
     
+    # AI inference proxy (Node.js on 9877) - OpenAI-compatible, API keys required
+    location /ai/v1/ {
+        proxy_pass http://127.0.0.1:9877/v1/;
+        proxy_http_version 1.1;
+        proxy_set_header Host \$host;
+        proxy_set_header X-Real-IP \$remote_addr;
+        proxy_set_header X-Forwarded-For \$proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto \$scheme;
+        proxy_set_header Connection "";
+        # Streamed completions
+        proxy_buffering off;
+        proxy_cache off;
+        proxy_read_timeout 600s;
+        proxy_send_timeout 600s;
+        client_max_body_size 10m;
+    }
+
     # GitHub Webhook (Node.js on 9876) - single port access
     location /webhook/ {
         proxy_pass http://127.0.0.1:9876/webhook/;
@@ -601,6 +628,10 @@ DASHBOARD
 # Close server block
 /bin/echo '}' >> "\$NGINX_CONFIG"
 
+if [ \$RENDER_ONLY -eq 1 ]; then
+    exit 0
+fi
+
 # Find nginx binary
 NGINX_BIN=\$(command -v nginx 2>/dev/null || /usr/bin/which nginx 2>/dev/null || echo "")
 if [ -z "\$NGINX_BIN" ]; then
@@ -960,6 +991,7 @@ case "$1" in
         # Restart services
         systemctl restart api-gateway-dashboard 2>/dev/null && echo "  ✓ Dashboard restarted" || true
         systemctl restart api-gateway-webhook 2>/dev/null && echo "  ✓ Webhook restarted" || true
+        systemctl restart api-gateway-inference 2>/dev/null && echo "  ✓ Inference proxy restarted" || true
         
         # Regenerate configs
         /usr/local/bin/generate-nginx-config 2>/dev/null && echo "  ✓ Nginx config regenerated" || true
@@ -977,7 +1009,7 @@ case "$1" in
         echo "    - Configuration: /etc/api-gateway"
         echo "    - Modules: /opt/api-gateway"
         echo "    - Scripts: api-manage, api-manage-extended, generate-*"
-        echo "    - Services: dashboard, webhook, watcher"
+        echo "    - Services: dashboard, webhook, inference proxy, watcher"
         echo "    - OpenObserve + Fluent Bit"
         echo "    - Deployment data: /opt/deployments, /var/lib/api-gateway"
         echo ""
@@ -992,7 +1024,7 @@ case "$1" in
         
         echo ""
         echo "  Stopping services..."
-        for SVC in api-gateway-watch api-gateway-dashboard api-gateway-webhook openobserve fluent-bit; do
+        for SVC in api-gateway-watch api-gateway-dashboard api-gateway-webhook api-gateway-inference openobserve fluent-bit; do
             systemctl stop "$SVC" 2>/dev/null && echo "    ✓ Stopped $SVC" || true
             systemctl disable "$SVC" 2>/dev/null || true
             [ -f "/etc/systemd/system/${SVC}.service" ] && rm "/etc/systemd/system/${SVC}.service"
@@ -1243,6 +1275,39 @@ WEBHOOK_SVC
             print_warning "Webhook failed to start. Run: api-manage-extended webhook start"
         fi
     fi
+
+    # Start the AI inference proxy (/ai/v1/, API keys from the dashboard)
+    if [ -f /opt/api-gateway/web-ui/inference-server.js ] && command_exists node; then
+        print_info "Setting up and starting AI inference proxy..."
+        cat > /etc/systemd/system/api-gateway-inference.service << 'INFERENCE_SVC'
+[Unit]
+Description=API Gateway AI Inference Proxy
+After=network.target
+
+[Service]
+Type=simple
+User=root
+WorkingDirectory=/opt/api-gateway/web-ui
+ExecStart=/usr/bin/node inference-server.js
+Restart=always
+RestartSec=10
+Environment=NODE_ENV=production
+
+StandardOutput=append:/var/log/api-gateway/inference.log
+StandardError=append:/var/log/api-gateway/inference.log
+
+[Install]
+WantedBy=multi-user.target
+INFERENCE_SVC
+        systemctl daemon-reload
+        systemctl enable api-gateway-inference
+        systemctl start api-gateway-inference
+        if systemctl is-active --quiet api-gateway-inference 2>/dev/null; then
+            print_success "AI inference proxy started (/ai/v1/)"
+        else
+            print_warning "AI inference proxy failed to start. Check /var/log/api-gateway/inference.log"
+        fi
+    fi
     
     print_success "Extended modules installed successfully"
 }
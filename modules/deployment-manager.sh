@@ -6,7 +6,18 @@
 DEPLOY_CONFIG_DIR="/etc/api-gateway/deployments"
 DEPLOY_LOG_DIR="/var/log/api-gateway/deployments"
 DEPLOY_STATUS_FILE="/var/lib/api-gateway/deployment-status.json"
+DEPLOY_RELEASES_DIR="/var/lib/api-gateway/releases"
+DEPLOY_RELEASES_KEEP=50
 APIS_CONFIG="/etc/api-gateway/apis.json"
+DEPLOY_ENV_DIR="/etc/api-gateway/env"
+DEPLOY_ENV_RUNTIME_DIR="/run/api-gateway/env"
+DEPLOY_ENV_CLI="/opt/api-gateway/web-ui/env-cli.js"
+# The gateway's own CLIs (env, slots) run with the node the installer set up
+# (as the dashboard units do), not whatever node is on PATH: systemd's, or the
+# project's .nvmrc version a deploy switched to, which may be too old for them
+DEPLOY_NODE_BIN="/usr/bin/node"
+DEPLOY_SLOTS_CLI="/opt/api-gateway/web-ui/slots-cli.js"
+DEPLOY_HEALTH_WAIT=60
 
 # Initialize deployment manager
 init_deployment_manager() {
@@ -16,6 +27,7 @@ init_deployment_manager() {
     mkdir -p "$DEPLOY_CONFIG_DIR"
     mkdir -p "$DEPLOY_LOG_DIR"
     mkdir -p "$(dirname "$DEPLOY_STATUS_FILE")"
+    mkdir -p "$DEPLOY_RELEASES_DIR"
     
     # Initialize status file if not exists
     if [ ! -f "$DEPLOY_STATUS_FILE" ]; then
@@ -80,7 +92,7 @@ get_default_start_command() {
         java-gradle)    echo "java -jar build/libs/*.jar --server.port=$port" ;;
         php)            echo "php -S 0.0.0.0:$port -t public" ;;
         ruby)           echo "bundle exec puma -p $port -e production" ;;
-        docker)         echo "docker run -d --restart unless-stopped -p $port:$port --name \$SERVICE_NAME \$SERVICE_NAME" ;;
+        docker)         echo "docker run -d --restart unless-stopped -p $port:$port --env-file \$SERVICE_ENV_FILE --name \$SERVICE_NAME \$SERVICE_NAME" ;;
         docker-compose) echo "docker compose up -d" ;;
         *)              echo "echo 'No start command configured'" ;;
     esac
@@ -158,6 +170,88 @@ use_project_node_version() {
     return 0
 }
 
+# Render the service's environment variables (stored encrypted, see env-cli.js)
+# to $DEPLOY_ENV_RUNTIME_DIR. Sets SERVICE_ENV_FILE for docker --env-file /
+# compose env_file.
+load_service_env() {
+    local service_name="$1"
+    export SERVICE_ENV_FILE="$DEPLOY_ENV_RUNTIME_DIR/${service_name}.env"
+    
+    mkdir -p "$DEPLOY_ENV_RUNTIME_DIR"
+    chmod 700 "$DEPLOY_ENV_RUNTIME_DIR"
+    if [ ! -f "$DEPLOY_ENV_DIR/${service_name}.json" ]; then
+        install -m 600 /dev/null "$SERVICE_ENV_FILE"
+        return 0
+    fi
+    "$DEPLOY_NODE_BIN" "$DEPLOY_ENV_CLI" render "$service_name" "$SERVICE_ENV_FILE" || return 1
+    echo "Environment: $(grep -c '=' "$SERVICE_ENV_FILE") variable(s) loaded"
+}
+
+# Run a command in a subshell with the service's environment variables exported,
+# so they cannot clobber this script's own variables
+with_service_env() {
+    local service_name="$1"
+    shift
+    (
+        if [ -f "$DEPLOY_ENV_DIR/${service_name}.json" ]; then
+            eval "$("$DEPLOY_NODE_BIN" "$DEPLOY_ENV_CLI" shell "$service_name")" || exit 1
+        fi
+        "$@"
+    )
+}
+
+# Start a service's PM2 app from its deploy directory. More than one instance
+# runs in cluster mode, which needs a node script: taken from a `node <script>`
+# start command, or from package.json's start script for `npm start`.
+pm2_start_app() {
+    local name="$1"
+    local service_name="$2"
+    local deploy_path="$3"
+    local start_command="$4"
+    local port="$5"
+    local instances="${6:-1}"
+    
+    cd "$deploy_path" || return 1
+    if [ "$instances" -le 1 ]; then
+        PORT=$port NODE_ENV=production with_service_env "$service_name" pm2 start "$start_command" --name "$name"
+        return
+    fi
+    local script_command="$start_command"
+    if [ "$start_command" = "npm start" ] || [ "$start_command" = "npm run start" ]; then
+        script_command=$(jq -r '.scripts.start // "node server.js"' package.json 2>/dev/null)
+    fi
+    local words
+    read -ra words <<< "$script_command"
+    if [ "${words[0]}" != "node" ] || [ -z "${words[1]}" ] || [[ "${words[1]}" == -* ]]; then
+        print_error "PM2 cluster mode needs a start command like 'node server.js', not '$script_command'"
+        return 1
+    fi
+    PORT=$port NODE_ENV=production with_service_env "$service_name" pm2 start "${words[1]}" --name "$name" -i "$instances" -- "${words[@]:2}"
+}
+
+# Apply the configured instance count (.instances) to a compose project, to
+# .compose_service or else the only service in the compose file. Run from the
+# deploy directory after the project is up.
+compose_scale() {
+    local service_name="$1"
+    local config_file="$DEPLOY_CONFIG_DIR/${service_name}.json"
+    local instances=$(jq -r '.instances // empty' "$config_file")
+    [ -z "$instances" ] && return 0
+    
+    local target=$(jq -r '.compose_service // empty' "$config_file")
+    if [ -z "$target" ]; then
+        local services
+        services=$(docker compose config --services 2>/dev/null) || { print_error "Cannot read the compose file of $service_name"; return 1; }
+        if [ "$(echo "$services" | grep -c .)" -ne 1 ]; then
+            print_error "The compose file of $service_name has several services ($(echo $services)); set the one to scale"
+            return 1
+        fi
+        target="$services"
+    fi
+    echo "Scaling compose service $target to $instances instance(s)"
+    with_service_env "$service_name" docker compose up -d --no-recreate --scale "$target=$instances"
+}
+
 # Detect preferred process manager (pm2 if available, else systemd)
 detect_process_manager() {
     if command -v pm2 &>/dev/null; then
@@ -188,24 +282,40 @@ add_deployment() {
         print_info "Deployments will use PM2"
     fi
     
-    # Create deployment configuration (runtime auto-detected on first deploy)
-    cat > "$config_file" << EOF
-{
-    "service_name": "$service_name",
-    "github_repo": "$github_repo",
-    "branch": "$branch",
-    "port": $port,
-    "build_command": "$build_command",
-    "start_command": "$start_command",
-    "runtime": "auto",
-    "deploy_path": "/opt/deployments/$service_name",
-    "webhook_secret": "$(openssl rand -hex 32)",
-    "auto_deploy": true,
-    "process_manager": "$process_manager",
-    "created_at": "$(date -Iseconds)",
-    "status": "configured"
-}
-EOF
+    if ! [[ "$port" =~ ^[0-9]+$ ]] || [ "$port" -lt 1 ] || [ "$port" -gt 65535 ]; then
+        print_error "Invalid port: $port"
+        return 1
+    fi
+    
+    # Create deployment configuration (runtime auto-detected on first deploy).
+    # Built with jq so repo URLs and commands containing quotes stay valid JSON.
+    jq -n \
+        --arg service_name "$service_name" \
+        --arg github_repo "$github_repo" \
+        --arg branch "$branch" \
+        --argjson port "$port" \
+        --arg build_command "$build_command" \
+        --arg start_command "$start_command" \
+        --arg deploy_path "/opt/deployments/$service_name" \
+        --arg webhook_secret "$(openssl rand -hex 32)" \
+        --arg process_manager "$process_manager" \
+        --arg created_at "$(date -Iseconds)" \
+        '{
+            service_name: $service_name,
+            github_repo: $github_repo,
+            branch: $branch,
+            port: $port,
+            build_command: $build_command,
+            start_command: $start_command,
+            runtime: "auto",
+            deploy_path: $deploy_path,
+            webhook_secret: $webhook_secret,
+            provider: "auto",
+            auto_deploy: true,
+            process_manager: $process_manager,
+            created_at: $created_at,
+            status: "configured"
+        }' > "$config_file" || { print_error "Failed to write $config_file"; return 1; }
     
     print_success "Deployment configuration created for $service_name"
     print_info "Config file: $config_file"
@@ -217,8 +327,12 @@ EOF
         fi
     fi
     
-    # Auto-register in nginx (apis.json) so service is exposed at /$service_name
-    if [ -f "$APIS_CONFIG" ] && command -v jq &>/dev/null; then
+    # Auto-register in nginx (apis.json) so service is exposed at /$service_name.
+    # The dashboard API (scripts/add-deployment.sh) creates the route itself
+    # under the apis.json lock, with nginx -t, route checks and revert.
+    if [ "${DEPLOY_SKIP_ROUTE:-}" = "1" ]; then
+        print_info "Nginx route for $service_name is created by the dashboard"
+    elif [ -f "$APIS_CONFIG" ] && command -v jq &>/dev/null; then
         if jq -e ".apis[] | select(.name == \"$service_name\")" "$APIS_CONFIG" &>/dev/null; then
             print_info "Nginx route already exists for $service_name (port updated if changed)"
             jq --arg name "$service_name" --argjson port "$port" \
@@ -242,10 +356,36 @@ EOF
     update_deployment_status "$service_name" "configured" "Deployment configuration created"
 }
 
+# Deploy pipeline steps: marker lines in the deploy log that the dashboard turns
+# into a step timeline (web-ui/lib/steps.js). Starting a step ends the open one
+# successfully; the deploy's EXIT trap ends it with the exit code on failure.
+#   ##[step] start <name> <epoch_ms>
+#   ##[step] end <name> <epoch_ms> <exit_code>
+DEPLOY_STEP=""
+
+step_start() {
+    [ -n "$DEPLOY_STEP" ] && step_end 0
+    DEPLOY_STEP="$1"
+    echo "##[step] start $DEPLOY_STEP $(date +%s%3N)"
+}
+
+step_end() {
+    [ -z "$DEPLOY_STEP" ] && return 0
+    echo "##[step] end $DEPLOY_STEP $(date +%s%3N) ${1:-0}"
+    DEPLOY_STEP=""
+}
+
 # Deploy service from GitHub
+# DEPLOY_COMMIT (env) pins the deploy to an exact commit (used for rollback);
+# DEPLOY_TRIGGER (env) records who started it: webhook, dashboard, rollback or cli.
+# A config with fetch_ref (pull request previews) deploys that ref instead of the branch.
+# With strategy "blue_green" the deploy builds into the idle slot and switches
+# traffic to it once it is healthy (see web-ui/lib/slots.js).
 deploy_service() {
     local service_name="$1"
     local force_deploy="${2:-false}"
+    local target_commit="${DEPLOY_COMMIT:-}"
+    local trigger="${DEPLOY_TRIGGER:-cli}"
     
     local config_file="$DEPLOY_CONFIG_DIR/${service_name}.json"
     if [ ! -f "$config_file" ]; then
@@ -262,8 +402,23 @@ deploy_service() {
     local deploy_path=$(jq -r '.deploy_path' "$config_file")
     local process_manager=$(jq -r '.process_manager // "systemd"' "$config_file")
     local runtime=$(jq -r '.runtime // "auto"' "$config_file")
+    local fetch_ref=$(jq -r '.fetch_ref // empty' "$config_file")
+    local strategy=$(jq -r '.strategy // "in_place"' "$config_file")
+    local desired_state=$(jq -r '.desired_state // "running"' "$config_file")
+    local instances=$(jq -r '.instances // 1' "$config_file")
+    local slot=""
+    local slot_process="$service_name"
+    local slot_activated=false
     
-    local log_file="$DEPLOY_LOG_DIR/${service_name}-$(date +%Y%m%d-%H%M%S).log"
+    # A stopped blue/green service has no live slot to switch from
+    if [ "$strategy" = "blue_green" ] && [ "$desired_state" = "stopped" ]; then
+        print_warning "$service_name is stopped; start it to deploy"
+        return 0
+    fi
+    
+    local release_id=$(date +%Y%m%d-%H%M%S)
+    local log_file="$DEPLOY_LOG_DIR/${service_name}-${release_id}.log"
+    local started_at=$(date +%s)
     
     print_header "Deploying $service_name"
     update_deployment_status "$service_name" "deploying" "Starting deployment process"
@@ -273,25 +428,67 @@ deploy_service() {
         echo "Service: $service_name"
         echo "Repository: $github_repo"
         echo "Branch: $branch"
+        [ -n "$fetch_ref" ] && echo "Ref: $fetch_ref"
+        [ -n "$target_commit" ] && echo "Commit: $target_commit (pinned)"
         echo "Deploy path: $deploy_path"
+        [ -n "${DEPLOY_JOB_ID:-}" ] && echo "Job: $DEPLOY_JOB_ID"
         echo ""
+        trap 'step_end $?; [ -n "$slot" ] && [ "$slot_activated" != "true" ] && discard_slot "$service_name" "$slot" "$slot_process" "$process_manager"' EXIT
+        
+        if [ "$strategy" = "blue_green" ]; then
+            # Build into a fresh directory for the idle slot; the live slot keeps serving
+            local slot_vars
+            slot_vars=$("$DEPLOY_NODE_BIN" "$DEPLOY_SLOTS_CLI" prepare "$service_name") || { update_deployment_status "$service_name" "failed" "No blue/green slot available"; exit 1; }
+            eval "$slot_vars"
+            slot="$SLOT"
+            slot_process="$SLOT_PROCESS"
+            deploy_path="$SLOT_PATH"
+            port="$SLOT_PORT"
+            echo "Strategy: blue/green, deploying to the $slot slot on port $port${SLOT_LIVE:+ ($SLOT_LIVE is live)}"
+            [ -n "$SLOT_STALE_PROCESS" ] && remove_service_process "$SLOT_STALE_PROCESS" "$process_manager"
+            [ -n "$SLOT_STALE_PATH" ] && rm -rf "$SLOT_STALE_PATH"
+            rm -rf "$deploy_path"
+        elif [ -n "$(jq -r '.slots.active // empty' "$config_file")" ]; then
+            echo "Strategy changed to in-place, removing the blue/green slots..."
+            local retired
+            retired=$("$DEPLOY_NODE_BIN" "$DEPLOY_SLOTS_CLI" retire "$service_name") || { update_deployment_status "$service_name" "failed" "Could not route traffic back from the blue/green slots"; exit 1; }
+            for name in $retired; do
+                remove_service_process "$name" "$process_manager"
+            done
+            rm -rf "${deploy_path}-blue" "${deploy_path}-green"
+        fi
         
         # Create deployment directory
         mkdir -p "$deploy_path"
         cd "$deploy_path"
         
         # Clone or update repository
-        if [ -d ".git" ] && [ "$force_deploy" != "true" ]; then
+        step_start fetch
+        if [ -n "$fetch_ref" ]; then
+            # Pull request refs are not branches, so they are fetched explicitly
+            echo "Fetching $fetch_ref..."
+            if [ ! -d ".git" ] || [ "$force_deploy" = "true" ]; then
+                rm -rf ./* ./.git
+                git init -q . && git remote add origin "$github_repo" || { update_deployment_status "$service_name" "failed" "Git init failed"; exit 1; }
+            fi
+            git fetch origin "$fetch_ref" || { update_deployment_status "$service_name" "failed" "Git fetch of $fetch_ref failed"; exit 1; }
+            git reset --hard "${target_commit:-FETCH_HEAD}" || { update_deployment_status "$service_name" "failed" "Git reset failed"; exit 1; }
+        elif [ -d ".git" ] && [ "$force_deploy" != "true" ]; then
             echo "Updating existing repository..."
             git fetch origin || { update_deployment_status "$service_name" "failed" "Git fetch failed"; exit 1; }
-            git reset --hard "origin/$branch" || { update_deployment_status "$service_name" "failed" "Git reset failed"; exit 1; }
+            git reset --hard "${target_commit:-origin/$branch}" || { update_deployment_status "$service_name" "failed" "Git reset failed"; exit 1; }
         else
             echo "Cloning repository..."
             rm -rf ./*
             git clone -b "$branch" "$github_repo" . || { update_deployment_status "$service_name" "failed" "Git clone failed (check repo URL and SSH key or access)"; exit 1; }
+            if [ -n "$target_commit" ]; then
+                git reset --hard "$target_commit" || { update_deployment_status "$service_name" "failed" "Commit $target_commit not found"; exit 1; }
+            fi
         fi
+        echo "Deploying commit: $(git rev-parse HEAD)"
 
         # Auto-detect runtime if set to "auto"
+        step_start detect
         if [ "$runtime" = "auto" ] || [ "$runtime" = "null" ]; then
             runtime=$(detect_runtime "$deploy_path")
             echo "Auto-detected runtime: $runtime"
@@ -304,6 +501,11 @@ deploy_service() {
         else
             echo "Runtime: $runtime"
         fi
+        if [ -n "$slot" ] && { [ "$runtime" = "docker" ] || [ "$runtime" = "docker-compose" ]; }; then
+            update_deployment_status "$service_name" "failed" "Blue/green deploys are not supported for $runtime services"
+            print_error "Blue/green deploys need a process runtime, not $runtime"
+            exit 1
+        fi
 
         # Resolve auto build/start commands based on runtime
         if [ "$build_command" = "auto" ] || [ "$build_command" = "null" ]; then
@@ -316,30 +518,49 @@ deploy_service() {
         fi
         
         # Export SERVICE_NAME for docker commands
+        step_start install
         export SERVICE_NAME="$service_name"
         
+        # Deployment environment variables (also available to the build)
+        load_service_env "$service_name" || { update_deployment_status "$service_name" "failed" "Failed to load environment variables"; exit 1; }
+        
         # Switch to Node version from .nvmrc/.node-version if present
         if [ "$runtime" = "node" ]; then
             use_project_node_version "$deploy_path"
         fi
         
         # Run build command
+        step_start build
         echo "Running build command: $build_command"
-        eval "$build_command"
+        with_service_env "$service_name" eval "$build_command"
+        local build_exit=$?
         
-        if [ $? -eq 0 ]; then
+        if [ $build_exit -eq 0 ]; then
             echo "Build completed successfully"
+            step_start start
             
+            # Stopped services keep the new release without running it
+            if [ "$desired_state" = "stopped" ]; then
+                echo "Service is stopped, not starting it (start it to run this release)"
+                if [ "$runtime" != "docker" ] && [ "$runtime" != "docker-compose" ] && [ "$process_manager" != "pm2" ]; then
+                    create_systemd_service "$service_name" "$deploy_path" "$start_command" "$port" "$runtime"
+                    systemctl daemon-reload
+                fi
+                update_deployment_status "$service_name" "stopped" "Deployed while stopped, not started"
             # Docker-based runtimes: manage via docker directly
-            if [ "$runtime" = "docker" ] || [ "$runtime" = "docker-compose" ]; then
+            elif [ "$runtime" = "docker" ] || [ "$runtime" = "docker-compose" ]; then
                 echo "Starting service via Docker..."
                 # Stop existing container if running
                 docker stop "$service_name" 2>/dev/null || true
                 docker rm "$service_name" 2>/dev/null || true
-                eval "$start_command"
+                with_service_env "$service_name" eval "$start_command"
+                if [ "$runtime" = "docker-compose" ]; then
+                    compose_scale "$service_name" || { update_deployment_status "$service_name" "failed" "Scaling the compose service failed"; return 1; }
+                fi
                 sleep 3
                 if docker ps --format '{{.Names}}' | grep -q "^${service_name}$"; then
                     echo "Service started successfully (Docker)"
+                    wait_for_health_check "$service_name" "$port" || return 1
                     update_deployment_status "$service_name" "running" "Deployment completed (Docker, runtime: $runtime)"
                     print_success "Deployment of $service_name completed successfully"
                 else
@@ -350,15 +571,20 @@ deploy_service() {
                 fi
             elif [ "$runtime" = "node" ] && [ "$process_manager" = "pm2" ] && command -v pm2 &>/dev/null; then
                 echo "Starting service with PM2..."
-                if pm2 describe "$service_name" &>/dev/null; then
-                    cd "$deploy_path" && PORT=$port NODE_ENV=production pm2 restart "$service_name" --update-env
+                if pm2 describe "$slot_process" &>/dev/null; then
+                    cd "$deploy_path" && PORT=$port NODE_ENV=production with_service_env "$service_name" pm2 restart "$slot_process" --update-env
                 else
-                    cd "$deploy_path" && PORT=$port NODE_ENV=production pm2 start "$start_command" --name "$service_name"
+                    pm2_start_app "$slot_process" "$service_name" "$deploy_path" "$start_command" "$port" "$instances"
                 fi
                 pm2 save
                 sleep 2
-                if pm2 list 2>/dev/null | grep -w "$service_name" | grep -q "online"; then
+                if pm2 list 2>/dev/null | grep -w "$slot_process" | grep -q "online"; then
                     echo "Service started successfully (PM2)"
+                    wait_for_health_check "$service_name" "$port" || return 1
+                    if [ -n "$slot" ]; then
+                        activate_slot "$service_name" "$slot" "$deploy_path" "$release_id" || return 1
+                        slot_activated=true
+                    fi
                     update_deployment_status "$service_name" "running" "Deployment completed (PM2, runtime: $runtime)"
                     print_success "Deployment of $service_name completed successfully"
                 else
@@ -369,17 +595,22 @@ deploy_service() {
                 fi
             else
                 # Use systemd for all other runtimes
-                if systemctl is-active --quiet "$service_name" 2>/dev/null; then
+                if systemctl is-active --quiet "$slot_process" 2>/dev/null; then
                     echo "Stopping existing service..."
-                    systemctl stop "$service_name"
+                    systemctl stop "$slot_process"
                 fi
-                create_systemd_service "$service_name" "$deploy_path" "$start_command" "$port" "$runtime"
+                create_systemd_service "$slot_process" "$deploy_path" "$start_command" "$port" "$runtime" "$service_name"
                 echo "Starting service..."
                 systemctl daemon-reload
-                systemctl enable "$service_name"
-                systemctl start "$service_name"
-                if systemctl is-active --quiet "$service_name"; then
+                systemctl enable "$slot_process"
+                systemctl start "$slot_process"
+                if systemctl is-active --quiet "$slot_process"; then
                     echo "Service started successfully (systemd, runtime: $runtime)"
+                    wait_for_health_check "$service_name" "$port" || return 1
+                    if [ -n "$slot" ]; then
+                        activate_slot "$service_name" "$slot" "$deploy_path" "$release_id" || return 1
+                        slot_activated=true
+                    fi
                     update_deployment_status "$service_name" "running" "Deployment completed (systemd, runtime: $runtime)"
                     print_success "Deployment of $service_name completed successfully"
                 else
@@ -391,17 +622,133 @@ deploy_service() {
             fi
         else
             echo "Build failed"
+            step_end "$build_exit"
             update_deployment_status "$service_name" "failed" "Build process failed"
             print_error "Build failed for $service_name"
             return 1
         fi
         
+        step_end 0
+        record_release "$service_name" "$release_id" "$deploy_path" "$trigger" "$(( $(date +%s) - started_at ))" "$log_file"
         echo "=== Deployment completed at $(date) ==="
 
     } 2>&1 | tee "$log_file"
     [ "${PIPESTATUS[0]}" -ne 0 ] && return 1
 }
 
+# Wait until the service answers its HTTP health check (config .health_check:
+# path, expected_status, timeout_ms, enabled). Without expected_status any
+# response below 500 passes. Marks the deploy failed when it never passes.
+wait_for_health_check() {
+    local service_name="$1"
+    local port="$2"
+    local config_file="$DEPLOY_CONFIG_DIR/${service_name}.json"
+    
+    step_start health
+    if [ "$(jq -r '.health_check.enabled == false' "$config_file")" = "true" ]; then
+        echo "Health check disabled, skipping"
+        return 0
+    fi
+    local check_path=$(jq -r '.health_check.path // "/"' "$config_file")
+    local expected_status=$(jq -r '.health_check.expected_status // empty' "$config_file")
+    local timeout_ms=$(jq -r '.health_check.timeout_ms // 3000' "$config_file")
+    local max_time=$(awk "BEGIN { print $timeout_ms / 1000 }")
+    local url="http://127.0.0.1:${port}${check_path}"
+    local deadline=$(( $(date +%s) + DEPLOY_HEALTH_WAIT ))
+    local code="000"
+    
+    echo "Waiting for health check: GET $url (expecting ${expected_status:-any status below 500})"
+    while true; do
+        code=$(curl -s -o /dev/null -w '%{http_code}' --max-time "$max_time" "$url" 2>/dev/null)
+        if [ "$code" != "000" ]; then
+            if { [ -n "$expected_status" ] && [ "$code" = "$expected_status" ]; } || \
+               { [ -z "$expected_status" ] && [ "$code" -lt 500 ]; }; then
+                echo "Health check passed (HTTP $code)"
+                return 0
+            fi
+        fi
+        [ "$(date +%s)" -ge "$deadline" ] && break
+        sleep 2
+    done
+    
+    local reason="no response"
+    [ "$code" != "000" ] && reason="HTTP $code"
+    echo "Health check failed after ${DEPLOY_HEALTH_WAIT}s: $reason from $url"
+    step_end 1
+    update_deployment_status "$service_name" "failed" "Health check failed ($reason on $check_path)"
+    print_error "Health check failed for $service_name"
+    return 1
+}
+
+# Point the service's route at a blue/green slot that passed its health check;
+# the slot that was live keeps running until its drain period is over
+activate_slot() {
+    local service_name="$1"
+    local slot="$2"
+    local deploy_path="$3"
+    local release_id="$4"
+    
+    step_start switch
+    "$DEPLOY_NODE_BIN" "$DEPLOY_SLOTS_CLI" activate "$service_name" "$slot" "$(git -C "$deploy_path" rev-parse HEAD 2>/dev/null)" "$release_id" && return 0
+    step_end 1
+    update_deployment_status "$service_name" "failed" "Switching traffic to the $slot slot failed"
+    print_error "Failed to switch $service_name to the $slot slot"
+    return 1
+}
+
+# A blue/green deploy failed before its slot went live: remove the slot's
+# process so only the live slot keeps running
+discard_slot() {
+    local service_name="$1"
+    local slot="$2"
+    local slot_process="$3"
+    local process_manager="$4"
+    
+    echo "Discarding the $slot slot, traffic stays on the live slot"
+    remove_service_process "$slot_process" "$process_manager"
+    "$DEPLOY_NODE_BIN" "$DEPLOY_SLOTS_CLI" fail "$service_name" "$slot" "Deploy failed" || \
+        print_warning "Could not mark the $slot slot of $service_name as failed"
+}
+
+# Record a successful deploy in the service's release history (newest last)
+record_release() {
+    local service_name="$1"
+    local release_id="$2"
+    local deploy_path="$3"
+    local trigger="$4"
+    local duration="$5"
+    local log_file="$6"
+    local releases_file="$DEPLOY_RELEASES_DIR/${service_name}.json"
+    
+    mkdir -p "$DEPLOY_RELEASES_DIR"
+    [ -f "$releases_file" ] || echo '{"releases": []}' > "$releases_file"
+    
+    jq --arg id "$release_id" \
+       --arg commit "$(git -C "$deploy_path" rev-parse HEAD 2>/dev/null)" \
+       --arg message "$(git -C "$deploy_path" log -1 --format=%s 2>/dev/null)" \
+       --arg author "$(git -C "$deploy_path" log -1 --format='%an <%ae>' 2>/dev/null)" \
+       --arg branch "$(jq -r '.branch' "$DEPLOY_CONFIG_DIR/${service_name}.json")" \
+       --arg trigger "$trigger" \
+       --arg job_id "${DEPLOY_JOB_ID:-}" \
+       --argjson duration "${duration:-0}" \
+       --arg log_file "$(basename "$log_file")" \
+       --arg deployed_at "$(date -Iseconds)" \
+       --argjson keep "$DEPLOY_RELEASES_KEEP" \
+       '.releases += [{
+           "id": $id,
+           "commit": $commit,
+           "message": $message,
+           "author": $author,
+           "branch": $branch,
+           "trigger": $trigger,
+           "job_id": (if $job_id == "" then null else $job_id end),
+           "duration_seconds": $duration,
+           "log_file": $log_file,
+           "deployed_at": $deployed_at
+       }] | .releases = .releases[-$keep:]' \
+       "$releases_file" > "${releases_file}.tmp" && mv "${releases_file}.tmp" "$releases_file"
+}
+
 # Create systemd service file
 create_systemd_service() {
     local service_name="$1"
@@ -409,6 +756,8 @@ create_systemd_service() {
     local start_command="$3"
     local port="$4"
     local runtime="${5:-unknown}"
+    # Blue/green slot units share the service's environment and log files
+    local env_name="${6:-$service_name}"
     
     # Generate runtime-specific environment variables
     local env_vars
@@ -423,13 +772,15 @@ After=network.target
 Type=simple
 User=www-data
 WorkingDirectory=$deploy_path
+ExecStartPre=+$DEPLOY_NODE_BIN $DEPLOY_ENV_CLI render $env_name $DEPLOY_ENV_RUNTIME_DIR/${env_name}.systemd.env systemd
 ExecStart=/bin/bash -c '$start_command'
 Restart=always
 RestartSec=10
 $env_vars
+EnvironmentFile=-$DEPLOY_ENV_RUNTIME_DIR/${env_name}.systemd.env
 
-StandardOutput=append:/var/log/api-gateway/services/${service_name}.log
-StandardError=append:/var/log/api-gateway/services/${service_name}.error.log
+StandardOutput=append:/var/log/api-gateway/services/${env_name}.log
+StandardError=append:/var/log/api-gateway/services/${env_name}.error.log
 
 NoNewPrivileges=true
 ProtectSystem=strict
@@ -444,6 +795,204 @@ EOF
     chown www-data:www-data "/var/log/api-gateway/services"
 }
 
+# Restart a deployed service so it picks up its current environment variables
+restart_service() {
+    local service_name="$1"
+    local config_file="$DEPLOY_CONFIG_DIR/${service_name}.json"
+    
+    if [ ! -f "$config_file" ]; then
+        print_error "Deployment configuration not found for $service_name"
+        return 1
+    fi
+    
+    local deploy_path=$(jq -r '.deploy_path' "$config_file")
+    local port=$(jq -r '.port' "$config_file")
+    local start_command=$(jq -r '.start_command' "$config_file")
+    local process_manager=$(jq -r '.process_manager // "systemd"' "$config_file")
+    local runtime=$(jq -r '.runtime // "auto"' "$config_file")
+    local process_name="$service_name"
+    
+    if [ "$(jq -r '.desired_state // "running"' "$config_file")" = "stopped" ]; then
+        print_error "$service_name is stopped; start it instead"
+        return 1
+    fi
+    
+    # Blue/green services restart their live slot
+    local active_slot=$(jq -r '.slots.active // empty' "$config_file")
+    if [ -n "$active_slot" ]; then
+        process_name=$(jq -r --arg s "$active_slot" '.slots[$s].process' "$config_file")
+        deploy_path=$(jq -r --arg s "$active_slot" '.slots[$s].path' "$config_file")
+        port=$(jq -r --arg s "$active_slot" '.slots[$s].port' "$config_file")
+    fi
+    
+    if [ "$runtime" = "docker" ] || [ "$runtime" = "docker-compose" ]; then
+        # Containers only read their environment when created
+        load_service_env "$service_name" || return 1
+        export SERVICE_NAME="$service_name"
+        if [ "$start_command" = "auto" ] || [ "$start_command" = "null" ]; then
+            start_command=$(get_default_start_command "$runtime" "$port")
+        fi
+        cd "$deploy_path" || return 1
+        if [ "$runtime" = "docker" ]; then
+            docker stop "$service_name" 2>/dev/null || true
+            docker rm "$service_name" 2>/dev/null || true
+        fi
+        with_service_env "$service_name" eval "$start_command" || return 1
+        [ "$runtime" = "docker-compose" ] && { compose_scale "$service_name" || return 1; }
+        return 0
+    elif [ "$runtime" = "node" ] && [ "$process_manager" = "pm2" ] && command -v pm2 &>/dev/null; then
+        load_service_env "$service_name" || return 1
+        cd "$deploy_path" && PORT=$port NODE_ENV=production with_service_env "$service_name" pm2 restart "$process_name" --update-env && pm2 save
+    else
+        # ExecStartPre re-renders the environment file
+        systemctl restart "$process_name"
+    fi
+}
+
+# Start or stop a blue/green slot's process. Only slots that are not live or
+# being deployed are touched: stop needs a slot the drain reaper marked
+# stopping, start a draining or stopped one.
+slot_process() {
+    local service_name="$1"
+    local slot="$2"
+    local action="$3"
+    local config_file="$DEPLOY_CONFIG_DIR/${service_name}.json"
+    
+    if [ ! -f "$config_file" ]; then
+        print_error "Deployment configuration not found for $service_name"
+        return 1
+    fi
+    
+    local state=$(jq -r --arg s "$slot" '.slots[$s].state // empty' "$config_file")
+    local name=$(jq -r --arg s "$slot" '.slots[$s].process // empty' "$config_file")
+    local process_manager=$(jq -r '.process_manager // "systemd"' "$config_file")
+    local runtime=$(jq -r '.runtime // "auto"' "$config_file")
+    
+    case "$action:$state" in
+        stop:stopping|start:draining|start:stopped) ;;
+        *)
+            print_error "Cannot $action the $slot slot of $service_name (state: ${state:-none})"
+            return 1
+            ;;
+    esac
+    
+    if [ "$runtime" = "node" ] && [ "$process_manager" = "pm2" ] && command -v pm2 &>/dev/null; then
+        pm2 "$action" "$name" && pm2 save
+    elif [ "$action" = "start" ]; then
+        systemctl enable --now "$name"
+    else
+        systemctl disable --now "$name"
+    fi
+}
+
+# Start, stop or scale a deployed service (used by the dashboard API, which
+# stores .desired_state and .instances first). Stop removes the containers or
+# PM2 app and disables the systemd unit, so a reboot does not bring the service
+# back; start recreates it. A stopped service only records a new scale.
+control_service() {
+    local service_name="$1"
+    local action="$2"
+    local config_file="$DEPLOY_CONFIG_DIR/${service_name}.json"
+    
+    if [ ! -f "$config_file" ]; then
+        print_error "Deployment configuration not found for $service_name"
+        return 1
+    fi
+    
+    local deploy_path=$(jq -r '.deploy_path' "$config_file")
+    local port=$(jq -r '.port' "$config_file")
+    local start_command=$(jq -r '.start_command' "$config_file")
+    local process_manager=$(jq -r '.process_manager // "systemd"' "$config_file")
+    local runtime=$(jq -r '.runtime // "auto"' "$config_file")
+    local instances=$(jq -r '.instances // 1' "$config_file")
+    local process_name="$service_name"
+    
+    # Blue/green services run as their live slot
+    local active_slot=$(jq -r '.slots.active // empty' "$config_file")
+    if [ -n "$active_slot" ]; then
+        process_name=$(jq -r --arg s "$active_slot" '.slots[$s].process' "$config_file")
+        deploy_path=$(jq -r --arg s "$active_slot" '.slots[$s].path' "$config_file")
+        port=$(jq -r --arg s "$active_slot" '.slots[$s].port' "$config_file")
+    fi
+    if [ "$start_command" = "auto" ] || [ "$start_command" = "null" ]; then
+        start_command=$(get_default_start_command "$runtime" "$port")
+    fi
+    local pm2=false
+    [ "$runtime" = "node" ] && [ "$process_manager" = "pm2" ] && command -v pm2 &>/dev/null && pm2=true
+    
+    case "$action" in
+        stop)
+            if [ "$runtime" = "docker-compose" ]; then
+                cd "$deploy_path" && docker compose down || return 1
+            elif [ "$runtime" = "docker" ]; then
+                docker stop "$service_name" 2>/dev/null || true
+                docker rm "$service_name" 2>/dev/null || true
+            elif [ "$pm2" = "true" ]; then
+                if pm2 describe "$process_name" &>/dev/null; then
+                    pm2 delete "$process_name" && pm2 save || return 1
+                fi
+            else
+                systemctl disable --now "$process_name" || return 1
+            fi
+            update_deployment_status "$service_name" "stopped" "Stopped"
+            print_success "$service_name stopped"
+            ;;
+        start)
+            load_service_env "$service_name" || return 1
+            export SERVICE_NAME="$service_name"
+            if [ "$runtime" = "docker" ] || [ "$runtime" = "docker-compose" ]; then
+                cd "$deploy_path" || return 1
+                if [ "$runtime" = "docker" ]; then
+                    docker stop "$service_name" 2>/dev/null || true
+                    docker rm "$service_name" 2>/dev/null || true
+                fi
+                with_service_env "$service_name" eval "$start_command" || return 1
+                [ "$runtime" = "docker-compose" ] && { compose_scale "$service_name" || return 1; }
+            elif [ "$pm2" = "true" ]; then
+                if pm2 describe "$process_name" &>/dev/null; then
+                    cd "$deploy_path" && PORT=$port NODE_ENV=production with_service_env "$service_name" pm2 restart "$process_name" --update-env || return 1
+                else
+                    pm2_start_app "$process_name" "$service_name" "$deploy_path" "$start_command" "$port" "$instances" || return 1
+                fi
+                pm2 save
+            else
+                systemctl enable --now "$process_name" || return 1
+            fi
+            update_deployment_status "$service_name" "running" "Started"
+            print_success "$service_name started"
+            ;;
+        scale)
+            if [ "$runtime" != "docker-compose" ] && [ "$pm2" != "true" ]; then
+                print_error "Scaling needs PM2 or Docker Compose; $service_name runs a single ${runtime} process"
+                return 1
+            fi
+            if [ "$(jq -r '.desired_state // "running"' "$config_file")" = "stopped" ]; then
+                print_info "$service_name is stopped; $instances instance(s) will run when it starts"
+                return 0
+            fi
+            if [ "$runtime" = "docker-compose" ]; then
+                cd "$deploy_path" && compose_scale "$service_name" || return 1
+            else
+                local exec_mode=$(pm2 jlist 2>/dev/null | jq -r --arg n "$process_name" '[.[] | select(.name == $n) | .pm2_env.exec_mode][0] // empty' 2>/dev/null)
+                if [ "$exec_mode" = "cluster_mode" ]; then
+                    pm2 scale "$process_name" "$instances" || return 1
+                else
+                    # Fork mode apps cannot be scaled; start them again in cluster mode
+                    load_service_env "$service_name" || return 1
+                    pm2 describe "$process_name" &>/dev/null && { pm2 delete "$process_name" || return 1; }
+                    pm2_start_app "$process_name" "$service_name" "$deploy_path" "$start_command" "$port" "$instances" || return 1
+                fi
+                pm2 save
+            fi
+            print_success "$service_name scaled to $instances instance(s)"
+            ;;
+        *)
+            print_error "Unknown action: $action (use start, stop or scale)"
+            return 1
+            ;;
+    esac
+}
+
 # Update deployment status in JSON file
 update_deployment_status() {
     local service_name="$1"
@@ -521,6 +1070,33 @@ list_deployments() {
     done
 }
 
+# Stop and remove a service process (pm2 app or systemd unit)
+remove_service_process() {
+    local name="$1"
+    local process_manager="$2"
+    
+    if [ "$process_manager" = "pm2" ] && command -v pm2 &>/dev/null; then
+        if pm2 describe "$name" &>/dev/null; then
+            print_info "Stopping and removing $name from PM2..."
+            pm2 delete "$name" || true
+            pm2 save
+        fi
+    else
+        if systemctl is-active --quiet "$name" 2>/dev/null; then
+            print_info "Stopping $name..."
+            systemctl stop "$name"
+        fi
+        if systemctl is-enabled --quiet "$name" 2>/dev/null; then
+            print_info "Disabling $name..."
+            systemctl disable "$name"
+        fi
+        if [ -f "/etc/systemd/system/${name}.service" ]; then
+            rm "/etc/systemd/system/${name}.service"
+            systemctl daemon-reload
+        fi
+    fi
+}
+
 # Remove deployment
 remove_deployment() {
     local service_name="$1"
@@ -542,32 +1118,18 @@ remove_deployment() {
     
     print_header "Removing deployment: $service_name"
     
-    if [ "$process_manager" = "pm2" ] && command -v pm2 &>/dev/null; then
-        if pm2 describe "$service_name" &>/dev/null; then
-            print_info "Stopping and removing from PM2..."
-            pm2 delete "$service_name" || true
-            pm2 save
-        fi
-    else
-        if systemctl is-active --quiet "$service_name" 2>/dev/null; then
-            print_info "Stopping service..."
-            systemctl stop "$service_name"
-        fi
-        if systemctl is-enabled --quiet "$service_name" 2>/dev/null; then
-            print_info "Disabling service..."
-            systemctl disable "$service_name"
-        fi
-        if [ -f "/etc/systemd/system/${service_name}.service" ]; then
-            rm "/etc/systemd/system/${service_name}.service"
-            systemctl daemon-reload
-        fi
-    fi
+    remove_service_process "$service_name" "$process_manager"
+    # Blue/green slots
+    for name in $(jq -r '[.slots.blue.process, .slots.green.process] | map(select(. != null)) | .[]' "$config_file"); do
+        [ "$name" != "$service_name" ] && remove_service_process "$name" "$process_manager"
+    done
     
     # Remove deployment directory
     if [ -d "$deploy_path" ]; then
         print_info "Removing deployment files..."
         rm -rf "$deploy_path"
     fi
+    rm -rf "${deploy_path}-blue" "${deploy_path}-green"
     
     # Unregister from nginx
     if [ -f "$APIS_CONFIG" ] && command -v jq &>/dev/null; then
@@ -587,6 +1149,8 @@ remove_deployment() {
     # Update status file
     jq --arg name "$service_name" 'del(.deployments[$name])' "$DEPLOY_STATUS_FILE" > "${DEPLOY_STATUS_FILE}.tmp"
     mv "${DEPLOY_STATUS_FILE}.tmp" "$DEPLOY_STATUS_FILE"
+    rm -f "$DEPLOY_RELEASES_DIR/${service_name}.json"
+    rm -f "$DEPLOY_ENV_DIR/${service_name}.json" "$DEPLOY_ENV_RUNTIME_DIR/${service_name}.env" "$DEPLOY_ENV_RUNTIME_DIR/${service_name}.systemd.env"
     
     print_success "Deployment $service_name removed successfully"
 }
\ No newline at end of file
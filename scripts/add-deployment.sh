@@ -0,0 +1,15 @@
+#!/bin/bash
+
+# Create a deployment configuration (used by the dashboard API)
+# Arguments are passed through unchanged; the API validates them first.
+# The API creates the nginx route afterwards (web-ui/lib/deployments.js).
+
+if [ $# -lt 4 ]; then
+    echo "Usage: $0 <service_name> <github_repo> <branch> <port> [build_command] [start_command]"
+    exit 1
+fi
+
+source /opt/api-gateway/modules/common.sh
+source /opt/api-gateway/modules/deployment-manager.sh
+
+DEPLOY_SKIP_ROUTE=1 add_deployment "$@"
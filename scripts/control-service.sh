@@ -0,0 +1,14 @@
+#!/bin/bash
+
+# Start, stop or scale a deployed service to its stored desired state (used by
+# the dashboard API)
+
+if [ $# -lt 2 ]; then
+    echo "Usage: $0 <service_name> <start|stop|scale>"
+    exit 1
+fi
+
+source /opt/api-gateway/modules/common.sh
+source /opt/api-gateway/modules/deployment-manager.sh
+
+control_service "$1" "$2"
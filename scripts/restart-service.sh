@@ -0,0 +1,13 @@
+#!/bin/bash
+
+# Restart a deployed service with its current environment (used by the dashboard API)
+
+if [ $# -lt 1 ]; then
+    echo "Usage: $0 <service_name>"
+    exit 1
+fi
+
+source /opt/api-gateway/modules/common.sh
+source /opt/api-gateway/modules/deployment-manager.sh
+
+restart_service "$1"
@@ -0,0 +1,14 @@
+#!/bin/bash
+
+# Start or stop a blue/green slot of a deployed service (used by the dashboard API
+# to stop drained slots and to swap back to a stopped one)
+
+if [ $# -lt 3 ]; then
+    echo "Usage: $0 <service_name> <blue|green> <start|stop>"
+    exit 1
+fi
+
+source /opt/api-gateway/modules/common.sh
+source /opt/api-gateway/modules/deployment-manager.sh
+
+slot_process "$1" "$2" "$3"
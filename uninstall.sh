@@ -50,7 +50,7 @@ confirm_uninstall() {
     echo "  - Nginx site configuration"
     echo "  - Management scripts (api-manage, api-manage-extended, generate-nginx-config, generate-fluentbit-config)"
     echo "  - Auto-reload service (api-gateway-watch)"
-    echo "  - Web dashboard + webhook server (api-gateway-dashboard, api-gateway-webhook)"
+    echo "  - Web dashboard, webhook server and AI inference proxy (api-gateway-dashboard, api-gateway-webhook, api-gateway-inference)"
     echo "  - OpenObserve + Fluent Bit"
     echo "  - Extended modules: /opt/api-gateway"
     echo "  - Deployment data: /var/lib/api-gateway, /var/log/api-gateway, /opt/deployments"
@@ -89,8 +89,8 @@ stop_services() {
         print_success "Disabled api-gateway-watch service"
     fi
     
-    # Stop dashboard and webhook (extended)
-    for service in api-gateway-dashboard api-gateway-webhook; do
+    # Stop dashboard, webhook and inference proxy (extended)
+    for service in api-gateway-dashboard api-gateway-webhook api-gateway-inference; do
         if systemctl is-active --quiet $service 2>/dev/null; then
             systemctl stop $service
             print_success "Stopped $service service"
@@ -165,7 +165,7 @@ remove_files() {
     fi
     
     # Remove systemd services
-    for service in api-gateway-watch api-gateway-dashboard api-gateway-webhook openobserve fluent-bit goaccess-dashboard; do
+    for service in api-gateway-watch api-gateway-dashboard api-gateway-webhook api-gateway-inference openobserve fluent-bit goaccess-dashboard; do
         if [ -f /etc/systemd/system/$service.service ]; then
             rm /etc/systemd/system/$service.service
             print_success "Removed $service.service"
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Deployment environment CLI
+ * Used by the deploy scripts and systemd units to inject a service's
+ * decrypted environment variables at start time. Docker takes --env-file
+ * values literally while systemd unquotes and unescapes them, so each gets
+ * its own file format.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const env = require('./lib/env');
+const executor = require('./lib/executor');
+
+const usage = () => {
+    console.log(`Usage: env-cli.js <command> <service> [args]
+
+Commands:
+    render <service> <file> [docker|systemd]
+                               Write KEY=value lines: as-is for docker --env-file,
+                               quoted for a systemd EnvironmentFile
+    shell <service>            Print export statements for eval in bash`);
+};
+
+// Single-quote for bash; values are single-line (validated on write)
+const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+// Double-quote for a systemd EnvironmentFile, which unescapes \", \\, \` and \$ inside quotes
+const systemdQuote = (value) => `"${String(value).replace(/["\\`$]/g, '\\$&')}"`;
+
+const FORMATS = {
+    docker: (value) => value,
+    systemd: systemdQuote
+};
+
+const main = async () => {
+    const [command, serviceName, file, format = 'docker'] = process.argv.slice(2);
+    if (!['render', 'shell'].includes(command) || !FORMATS[format]) {
+        usage();
+        process.exit(command ? 1 : 0);
+    }
+    executor.validate({ service: 'serviceName' }, { service: serviceName });
+    const vars = await env.resolveVars(serviceName);
+    switch (command) {
+        case 'render': {
+            if (!file) {
+                throw new Error('Output file required');
+            }
+            const lines = Object.entries(vars).map(([name, value]) => `${name}=${FORMATS[format](value)}\n`).join('');
+            await fs.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+            const tmpPath = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(tmpPath, lines, { mode: 0o600 });
+            await fs.rename(tmpPath, file);
+            break;
+        }
+        case 'shell':
+            Object.entries(vars).forEach(([name, value]) => console.log(`export ${name}=${shellQuote(value)}`));
+            break;
+    }
+};
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
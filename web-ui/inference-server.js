@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+/**
+ * AI Inference Proxy
+ * OpenAI-compatible API (/v1/models, /v1/chat/completions) in front of the
+ * registered Ollama and LocalAI services, behind API keys with per-key rate
+ * limits, token quotas and usage accounting. nginx serves it at /ai/v1/.
+ */
+
+const express = require('express');
+const fs = require('fs').promises;
+const aiKeys = require('./lib/ai-keys');
+const usage = require('./lib/ai-usage');
+const inference = require('./lib/inference');
+
+// Configuration
+const INFERENCE_PORT = process.env.INFERENCE_PORT || 9877;
+const LOG_FILE = '/var/log/api-gateway/inference.log';
+const MAX_BODY_SIZE = '10mb';
+
+// Express app setup
+const app = express();
+app.disable('x-powered-by');
+app.use(express.json({ limit: MAX_BODY_SIZE }));
+
+// Logging utility
+const log = (level, message) => {
+    const timestamp = new Date().toISOString();
+    const logMessage = `${timestamp} - ${level} - ${message}\n`;
+    console.log(logMessage.trim());
+    fs.appendFile(LOG_FILE, logMessage).catch(err => {
+        console.error('Failed to write to log file:', err);
+    });
+};
+
+// Errors in the OpenAI format, so OpenAI clients show them
+const sendError = (res, status, message, { type = 'invalid_request_error', code = null } = {}) =>
+    res.status(status).json({ error: { message, type, param: null, code } });
+
+// Routes
+
+// Health check
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        port: INFERENCE_PORT
+    });
+});
+
+// Resolve req.aiKey from `Authorization: Bearer aik_...`
+app.use('/v1', async (req, res, next) => {
+    try {
+        const header = req.headers.authorization || '';
+        const key = header.startsWith('Bearer ') ? await aiKeys.resolveKey(header.slice(7).trim()) : null;
+        if (!key) {
+            return sendError(res, 401, 'Invalid API key. Create one in the dashboard under AI Models.', { code: 'invalid_api_key' });
+        }
+        if (!key.enabled) {
+            return sendError(res, 403, 'This API key is disabled', { code: 'api_key_disabled' });
+        }
+        req.aiKey = key;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/v1/models', async (req, res) => {
+    try {
+        const models = (await inference.listModels())
+            .filter(entry => aiKeys.allowsModel(req.aiKey, entry.service.name, entry.model));
+        res.json({
+            object: 'list',
+            data: models.map(({ id, created, owned_by: ownedBy }) => ({ id, object: 'model', created, owned_by: ownedBy }))
+        });
+    } catch (error) {
+        log('ERROR', `Listing models failed: ${error.message}`);
+        sendError(res, 502, error.message, { type: 'server_error' });
+    }
+});
+
+app.post('/v1/chat/completions', async (req, res) => {
+    const key = req.aiKey;
+    const body = req.body;
+    let target;
+    try {
+        inference.validateChatRequest(body);
+        target = await inference.resolveModel(body.model);
+        if (!aiKeys.allowsModel(key, target.service.name, target.model)) {
+            return sendError(res, 403, `This API key may not use the model '${body.model}'`, { code: 'model_not_allowed' });
+        }
+        const limited = aiKeys.takeRequest(key);
+        const overQuota = limited ? null : usage.quotaExceeded(key);
+        if (limited || overQuota) {
+            usage.record(key, target.model, { rejected: true });
+            if (limited) {
+                res.set('Retry-After', String(limited.retry_after_seconds));
+                return sendError(res, 429, `Rate limit of ${key.requests_per_minute} requests per minute reached`,
+                    { type: 'rate_limit_exceeded', code: 'rate_limit_exceeded' });
+            }
+            return sendError(res, 429, overQuota, { type: 'insufficient_quota', code: 'insufficient_quota' });
+        }
+    } catch (error) {
+        return sendError(res, error.status || 500, error.message, error);
+    }
+
+    let clientGone = false;
+    res.on('close', () => { clientGone = !res.writableFinished; });
+    const started = Date.now();
+    try {
+        let tokens;
+        if (body.stream) {
+            tokens = await inference.stream(target, body, res, { model: body.model });
+        } else {
+            const { completion, usage: used } = await inference.complete(target, body, { model: body.model });
+            tokens = used;
+            res.json(completion);
+        }
+        usage.record(key, target.model, tokens);
+        log('INFO', `${key.name}: ${target.service.name}/${target.model} ${tokens.prompt_tokens}+${tokens.completion_tokens} tokens${tokens.estimated ? ' (estimated)' : ''} in ${Date.now() - started}ms`);
+    } catch (error) {
+        usage.record(key, target.model, { ...(error.usage || {}), error: !clientGone });
+        if (clientGone) {
+            log('INFO', `${key.name}: ${target.service.name}/${target.model} cancelled by the client`);
+            return;
+        }
+        log('ERROR', `${key.name}: ${target.service.name}/${target.model} failed: ${error.message}`);
+        if (!res.headersSent) {
+            return sendError(res, error.status || 502, error.message, error);
+        }
+        // The stream already started: report the error in it
+        if (!res.writableEnded) {
+            res.end(`data: ${JSON.stringify({ error: { message: error.message, type: error.type || 'server_error', param: null, code: error.code || null } })}\n\n`);
+        }
+    }
+});
+
+app.use('/v1', (req, res) => sendError(res, 404, `Unknown endpoint ${req.method} /v1${req.path}`, { code: 'unknown_url' }));
+
+// Malformed JSON bodies and other errors
+app.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    if (error.type === 'entity.parse.failed') return sendError(res, 400, 'The request body is not valid JSON');
+    if (error.type === 'entity.too.large') return sendError(res, 413, `The request body is larger than ${MAX_BODY_SIZE}`);
+    log('ERROR', `Unhandled error: ${error.message}`);
+    sendError(res, 500, 'Internal error', { type: 'server_error' });
+});
+
+// Start server
+let server;
+usage.startRecorder()
+    .then(() => {
+        server = app.listen(INFERENCE_PORT, '127.0.0.1', () => {
+            log('INFO', `Inference proxy started on port ${INFERENCE_PORT}`);
+        });
+    })
+    .catch(error => {
+        log('ERROR', `Failed to load AI usage: ${error.message}`);
+        process.exit(1);
+    });
+
+// Graceful shutdown. Usage totals are written right away as well, since open
+// streams can keep the server from closing until systemd kills it.
+const shutdown = (signal) => {
+    log('INFO', `Received ${signal}, shutting down gracefully`);
+    const flush = () => usage.flush().catch(error => log('ERROR', `Writing AI usage failed: ${error.message}`));
+    flush();
+    if (!server) return process.exit(0);
+    server.close(() => flush().then(() => process.exit(0)));
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+process.on('unhandledRejection', (reason, promise) => {
+    log('ERROR', `Unhandled rejection at ${promise}: ${reason}`);
+    process.exit(1);
+});
@@ -0,0 +1,94 @@
+/**
+ * Agent mode
+ * With DASHBOARD_MODE=agent the dashboard server runs headless on a managed
+ * host: no web UI and no logins, only the API, for a central dashboard (see
+ * agents.js) that authenticates with this host's agent key as
+ * `Authorization: Bearer agk_...`. The key comes from AGENT_KEY or
+ * /etc/api-gateway/agent.key, which is created on first start. Requests made
+ * with it act with the operator role on behalf of the central user named in
+ * X-Agent-User.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Configuration
+const ENABLED = process.env.DASHBOARD_MODE === 'agent';
+const KEY_FILE = '/etc/api-gateway/agent.key';
+const KEY_PREFIX = 'agk_';
+const AGENT_ROLE = 'operator';
+const VERSION = '1.0.0';
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+
+let keyPromise = null;
+
+// Load the agent key, creating it on first use
+const getKey = () => {
+    if (!keyPromise) {
+        keyPromise = (async () => {
+            if (process.env.AGENT_KEY) return process.env.AGENT_KEY.trim();
+            try {
+                return (await fs.readFile(KEY_FILE, 'utf8')).trim();
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            await fs.mkdir(path.dirname(KEY_FILE), { recursive: true });
+            const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+            try {
+                await fs.writeFile(KEY_FILE, key, { mode: 0o600, flag: 'wx' });
+                return key;
+            } catch (error) {
+                // Another process created it first
+                if (error.code !== 'EEXIST') throw error;
+                return (await fs.readFile(KEY_FILE, 'utf8')).trim();
+            }
+        })();
+        keyPromise.catch(() => { keyPromise = null; });
+    }
+    return keyPromise;
+};
+
+const sameKey = (a, b) => {
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+};
+
+// Middleware: resolves req.user for requests carrying the agent key; other
+// requests fall through to the regular authentication
+const authenticate = () => async (req, res, next) => {
+    try {
+        const header = req.headers.authorization || '';
+        if (!header.startsWith(`Bearer ${KEY_PREFIX}`)) return next();
+        if (!sameKey(header.slice(7).trim(), await getKey())) {
+            return res.status(401).json({ success: false, error: 'Invalid agent key' });
+        }
+        const centralUser = String(req.headers['x-agent-user'] || '');
+        req.user = {
+            username: USERNAME_PATTERN.test(centralUser) ? `central:${centralUser}` : 'central',
+            role: AGENT_ROLE,
+            agent: true
+        };
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// What the central dashboard shows about this host
+const info = () => ({
+    mode: ENABLED ? 'agent' : 'dashboard',
+    hostname: os.hostname(),
+    version: VERSION,
+    uptime_seconds: Math.round(process.uptime())
+});
+
+module.exports = {
+    ENABLED,
+    VERSION,
+    getKey,
+    authenticate,
+    info
+};
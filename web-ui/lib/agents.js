@@ -0,0 +1,288 @@
+/**
+ * Remote agents (central dashboard)
+ * Other hosts running the dashboard server in agent mode (see agent.js) are
+ * registered here with the URL of their API and their agent key. A monitor
+ * polls each agent for its health, deployments and system info, so the
+ * central dashboard lists every host from memory; deploy, restart, job and log
+ * requests (including the SSE streams) are forwarded to the agent that runs
+ * the service. Registered agents are kept in /etc/api-gateway/agents.json:
+ *   { agents: [{ name, url, key, added_at, added_by }] }
+ */
+
+const http = require('http');
+const https = require('https');
+const { loadJsonFile, updateJsonFile } = require('./storage');
+const executor = require('./executor');
+
+// Configuration
+const AGENTS_FILE = '/etc/api-gateway/agents.json';
+const POLL_INTERVAL_MS = 15000;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BYTES = 5 * 1024 * 1024;
+// Name the dashboard uses for its own host
+const LOCAL_NAME = 'local';
+
+// Agent API paths (relative to /api) the central dashboard forwards, with the
+// role the central user needs for each
+const PROXY_ROUTES = [
+    { method: 'POST', pattern: /^\/deploy\/[^/]+$/, role: 'operator' },
+    { method: 'POST', pattern: /^\/restart\/[^/]+$/, role: 'operator' },
+    { method: 'POST', pattern: /^\/deployments\/[^/]+\/(start|stop|scale)$/, role: 'operator' },
+    { method: 'GET', pattern: /^\/jobs\/[^/]+$/, role: 'viewer' },
+    { method: 'POST', pattern: /^\/jobs\/[^/]+\/cancel$/, role: 'operator' },
+    { method: 'GET', pattern: /^\/logs\/[^/]+(\/search)?$/, role: 'viewer' },
+    { method: 'GET', pattern: /^\/sse\/(logs|deploy-log)\/[^/]+$/, role: 'viewer' },
+    { method: 'GET', pattern: /^\/deployments\/[^/]+\/(releases|deploy-log-files|deploy-log-(content|steps)\/[^/]+)$/, role: 'viewer' },
+    { method: 'POST', pattern: /^\/deployments\/[^/]+\/rollback\/[^/]+$/, role: 'operator' }
+];
+
+class AgentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AgentError';
+        this.status = status;
+    }
+}
+
+const state = new Map(); // agent name -> last poll result
+const listeners = new Set();
+let monitorTimer = null;
+
+const loadAgents = async () => (await loadJsonFile(AGENTS_FILE, { agents: [] })).agents || [];
+
+const findAgent = async (name) => {
+    const agent = (await loadAgents()).find(a => a.name === name);
+    if (!agent) throw new AgentError(`Agent ${name} not found`, 404);
+    return agent;
+};
+
+/**
+ * Send a request to an agent's API. Resolves the response stream once the
+ * headers are in; the timeout only covers waiting for them, so SSE streams
+ * stay open.
+ */
+const send = (agent, { method = 'GET', path: apiPath, search = '', body = null, user = null }) => new Promise((resolve, reject) => {
+    const url = new URL(`${agent.url.replace(/\/+$/, '')}${apiPath}${search}`);
+    const payload = body && method !== 'GET' ? JSON.stringify(body) : null;
+    const headers = {
+        Authorization: `Bearer ${agent.key}`,
+        Accept: 'application/json, text/event-stream, text/plain',
+        'User-Agent': 'api-gateway-central'
+    };
+    if (user) headers['X-Agent-User'] = user;
+    if (payload) Object.assign(headers, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) });
+    const req = (url.protocol === 'https:' ? https : http).request(url, { method, headers }, (res) => {
+        req.setTimeout(0);
+        resolve(res);
+    });
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error(`timed out after ${REQUEST_TIMEOUT_MS}ms`)));
+    req.on('error', reject);
+    req.end(payload);
+});
+
+// JSON request to an agent; rejects on network errors and non-2xx responses
+const requestJson = async (agent, apiPath) => {
+    const res = await send(agent, { path: apiPath });
+    const text = await new Promise((resolve, reject) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+            data += chunk;
+            if (data.length > MAX_RESPONSE_BYTES) res.destroy(new Error('response too large'));
+        });
+        res.on('end', () => resolve(data));
+        res.on('error', reject);
+    });
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new AgentError(`unexpected response (HTTP ${res.statusCode})`, 502);
+    }
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+        throw new AgentError(data.error || `HTTP ${res.statusCode}`, res.statusCode === 401 ? 401 : 502);
+    }
+    return data;
+};
+
+// Health, deployments and system info of one agent; the last known data is kept while it is offline
+const poll = async (agent) => {
+    const started = Date.now();
+    const previous = state.get(agent.name) || {};
+    try {
+        const { agent: info } = await requestJson(agent, '/agent/info');
+        const latency = Date.now() - started;
+        const [deployments, system] = await Promise.all([
+            requestJson(agent, '/deployments'),
+            requestJson(agent, '/system/info').catch(() => null)
+        ]);
+        state.set(agent.name, {
+            online: true,
+            error: null,
+            checked_at: new Date().toISOString(),
+            last_seen: new Date().toISOString(),
+            latency_ms: latency,
+            hostname: info.hostname,
+            version: info.version,
+            mode: info.mode,
+            deployments: deployments.deployments || {},
+            system_info: system ? system.system_info : previous.system_info || null
+        });
+    } catch (error) {
+        state.set(agent.name, {
+            deployments: {},
+            system_info: null,
+            ...previous,
+            online: false,
+            error: error.message,
+            checked_at: new Date().toISOString(),
+            latency_ms: null
+        });
+    }
+};
+
+const pollAll = async () => {
+    const agents = await loadAgents();
+    const names = new Set(agents.map(a => a.name));
+    [...state.keys()].filter(name => !names.has(name)).forEach(name => state.delete(name));
+    await Promise.all(agents.map(poll));
+    const snapshot = await getAgents({ withData: true });
+    listeners.forEach(listener => listener(snapshot));
+};
+
+const summarize = (agent, { withData = false } = {}) => {
+    const { deployments = {}, system_info: systemInfo = null, ...health } = state.get(agent.name) || { online: null };
+    return {
+        name: agent.name,
+        url: agent.url,
+        added_at: agent.added_at,
+        ...health,
+        deployment_count: Object.keys(deployments).length,
+        ...(withData ? { deployments, system_info: systemInfo } : {})
+    };
+};
+
+/**
+ * Registered agents with their last poll result (never the key). With
+ * { withData: true } each also carries its deployments and system info.
+ */
+const getAgents = async (options = {}) => (await loadAgents()).map(agent => summarize(agent, options));
+
+const getAgent = async (name, options = {}) => summarize(await findAgent(name), options);
+
+/**
+ * Register an agent: { name, url, key }. The agent must answer with that key
+ * before it is saved. Resolves its summary.
+ */
+const addAgent = async ({ name, url, key } = {}, { user = null } = {}) => {
+    executor.validate({ name: 'serviceName' }, { name });
+    if (name === LOCAL_NAME) {
+        throw new executor.ValidationError({ name: `"${LOCAL_NAME}" is reserved for this server` });
+    }
+    let parsed;
+    try {
+        parsed = new URL(String(url || ''));
+    } catch {
+        parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        throw new executor.ValidationError({ url: 'must be the http(s) URL of the agent API, e.g. https://host/gateway-api' });
+    }
+    if (typeof key !== 'string' || !key.startsWith('agk_')) {
+        throw new executor.ValidationError({ key: 'must be the agent key (agk_...) from the agent host' });
+    }
+    if ((await loadAgents()).some(a => a.name === name)) {
+        throw new AgentError(`Agent ${name} already exists`, 409);
+    }
+
+    const agent = { name, url: parsed.toString().replace(/\/+$/, ''), key };
+    try {
+        await requestJson(agent, '/agent/info');
+    } catch (error) {
+        throw new AgentError(`Agent did not answer at ${agent.url}: ${error.message}`, 502);
+    }
+    await updateJsonFile(AGENTS_FILE, { agents: [] }, (data) => {
+        data.agents = (data.agents || []).filter(a => a.name !== name);
+        data.agents.push({ ...agent, added_at: new Date().toISOString(), added_by: user });
+    }, { mode: 0o600 });
+    await poll(agent);
+    return getAgent(name);
+};
+
+const removeAgent = async (name) => {
+    await findAgent(name);
+    await updateJsonFile(AGENTS_FILE, { agents: [] }, (data) => {
+        data.agents = (data.agents || []).filter(a => a.name !== name);
+    }, { mode: 0o600 });
+    state.delete(name);
+};
+
+// Decode an agent API path segment by segment; null when a segment is not
+// valid percent-encoding or decodes to "." or "..", which the agent's URL
+// parser would resolve into a different route than the one matched here
+const decodePath = (apiPath) => {
+    const segments = [];
+    for (const segment of apiPath.split('/')) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(segment);
+        } catch {
+            return null;
+        }
+        if (decoded === '.' || decoded === '..') return null;
+        segments.push(decoded);
+    }
+    return segments.join('/');
+};
+
+// The proxy rule for an agent API path (as sent, still URL-encoded), or null
+// when it is not forwarded. Rules match the decoded path, so an encoded "/"
+// never passes for a single segment.
+const proxyRoute = (method, apiPath) => {
+    const decoded = decodePath(apiPath);
+    if (decoded === null) return null;
+    return PROXY_ROUTES.find(r => r.method === method && r.pattern.test(decoded)) || null;
+};
+
+/**
+ * Forward a request to an agent on behalf of a central user. Resolves the
+ * agent's response stream; the caller pipes it to the client.
+ */
+const forward = async (name, { method, path: apiPath, search = '', body = null, user = null }) => {
+    if (!proxyRoute(method, apiPath)) {
+        throw new AgentError(`${method} ${apiPath} is not available through the agent proxy`, 404);
+    }
+    const agent = await findAgent(name);
+    try {
+        return await send(agent, { method, path: apiPath, search, body, user });
+    } catch (error) {
+        throw new AgentError(`Agent ${name} is unreachable: ${error.message}`, 502);
+    }
+};
+
+// Called with all agents (with data) after every poll; returns an unsubscribe function
+const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const startMonitor = () => {
+    if (monitorTimer) return;
+    const tick = () => pollAll().catch(error => console.error('Agent monitor error:', error.message));
+    tick();
+    monitorTimer = setInterval(tick, POLL_INTERVAL_MS);
+    monitorTimer.unref();
+};
+
+module.exports = {
+    LOCAL_NAME,
+    AgentError,
+    getAgents,
+    getAgent,
+    addAgent,
+    removeAgent,
+    proxyRoute,
+    forward,
+    subscribe,
+    startMonitor
+};
@@ -0,0 +1,190 @@
+/**
+ * AI API keys
+ * Keys for the inference proxy (inference-server.js). Only a hash of each key
+ * is stored; the plain key (aik_...) is returned once, when it is created.
+ * Each key can be limited to some models and has a request rate limit and
+ * optional daily and monthly token quotas (null = unlimited):
+ *   { keys: [{ id, name, prefix, key_hash, models, requests_per_minute,
+ *              tokens_per_day, tokens_per_month, enabled, created_at, created_by }] }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { loadJsonFile, updateJsonFile } = require('./storage');
+const executor = require('./executor');
+
+// Configuration
+const KEYS_FILE = '/etc/api-gateway/ai-keys.json';
+const KEY_PREFIX = 'aik_';
+const DEFAULT_REQUESTS_PER_MINUTE = 60;
+const RATE_WINDOW_MS = 60000;
+const MAX_LIMIT = 1e12;
+
+const LIMIT_FIELDS = ['requests_per_minute', 'tokens_per_day', 'tokens_per_month'];
+
+class AiKeyError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AiKeyError';
+        this.status = status;
+    }
+}
+
+// Request times per key id within the rate window (inference proxy only)
+const recentRequests = new Map();
+let cache = { mtimeMs: null, keys: [] };
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const publicKey = ({ key_hash, ...key }) => key;
+
+const loadKeys = async () => (await loadJsonFile(KEYS_FILE, { keys: [] })).keys || [];
+
+const saveKeys = (mutator) => updateJsonFile(KEYS_FILE, { keys: [] }, (data) => {
+    data.keys = data.keys || [];
+    return mutator(data);
+}, { mode: 0o600 });
+
+// Validate { name, models, enabled, requests_per_minute, tokens_per_day, tokens_per_month };
+// with partial, only the given fields
+const validateSettings = (input = {}, { partial = false } = {}) => {
+    const errors = {};
+    const values = {};
+    if (!partial || input.name !== undefined) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name || name.length > 64 || /[\x00-\x1f\x7f]/.test(name)) errors.name = 'must be 1-64 characters on one line';
+        else values.name = name;
+    }
+    if (input.models !== undefined) {
+        const models = input.models === null ? [] : input.models;
+        const invalid = Array.isArray(models) ? models.find(model => {
+            try {
+                executor.validate({ model: 'modelName' }, { model });
+                return false;
+            } catch {
+                return true;
+            }
+        }) : undefined;
+        if (!Array.isArray(models) || models.length > 100 || invalid !== undefined) {
+            errors.models = `must be a list of model names such as llama3 or ollama/llama3:8b (empty for all models)${invalid !== undefined ? `; invalid: ${String(invalid).slice(0, 64)}` : ''}`;
+        } else {
+            values.models = [...new Set(models)];
+        }
+    }
+    if (input.enabled !== undefined) {
+        if (typeof input.enabled !== 'boolean') errors.enabled = 'must be true or false';
+        else values.enabled = input.enabled;
+    }
+    for (const field of LIMIT_FIELDS) {
+        if (input[field] === undefined) continue;
+        const value = input[field];
+        if (value !== null && (!Number.isInteger(value) || value < 1 || value > MAX_LIMIT)) {
+            errors[field] = 'must be a positive integer, or null for no limit';
+        } else {
+            values[field] = value;
+        }
+    }
+    if (Object.keys(errors).length > 0) throw new executor.ValidationError(errors);
+    return values;
+};
+
+const listKeys = async () => (await loadKeys()).map(publicKey);
+
+/**
+ * Create a key. Resolves its record with the plain `key`, which is not
+ * stored and cannot be shown again.
+ */
+const createKey = async (input, { user = null } = {}) => {
+    const values = validateSettings(input);
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const created = {
+        id: crypto.randomBytes(8).toString('hex'),
+        name: values.name,
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        key_hash: hashKey(key),
+        models: values.models || [],
+        requests_per_minute: values.requests_per_minute !== undefined ? values.requests_per_minute : DEFAULT_REQUESTS_PER_MINUTE,
+        tokens_per_day: values.tokens_per_day || null,
+        tokens_per_month: values.tokens_per_month || null,
+        enabled: values.enabled !== false,
+        created_at: new Date().toISOString(),
+        created_by: user
+    };
+    await saveKeys((data) => {
+        data.keys.push(created);
+    });
+    return { ...publicKey(created), key };
+};
+
+const updateKey = async (id, input) => {
+    const values = validateSettings(input, { partial: true });
+    let updated;
+    await saveKeys((data) => {
+        const key = data.keys.find(k => k.id === id);
+        if (!key) throw new AiKeyError('API key not found', 404);
+        Object.assign(key, values, { updated_at: new Date().toISOString() });
+        updated = publicKey(key);
+    });
+    return updated;
+};
+
+const revokeKey = async (id) => {
+    await saveKeys((data) => {
+        if (!data.keys.some(k => k.id === id)) throw new AiKeyError('API key not found', 404);
+        data.keys = data.keys.filter(k => k.id !== id);
+    });
+    recentRequests.delete(id);
+};
+
+// Keys as the inference proxy sees them; reloaded when the dashboard changes the file
+const loadKeysCached = async () => {
+    const stat = await fs.stat(KEYS_FILE).catch(() => null);
+    const mtimeMs = stat ? stat.mtimeMs : 0;
+    if (mtimeMs !== cache.mtimeMs) {
+        cache = { mtimeMs, keys: await loadKeys() };
+    }
+    return cache.keys;
+};
+
+// The key record for a plain key, or null
+const resolveKey = async (plain) => {
+    if (typeof plain !== 'string' || !plain.startsWith(KEY_PREFIX)) return null;
+    const keyHash = Buffer.from(hashKey(plain), 'hex');
+    const record = (await loadKeysCached()).find(k => {
+        const stored = Buffer.from(k.key_hash || '', 'hex');
+        return stored.length === keyHash.length && crypto.timingSafeEqual(stored, keyHash);
+    });
+    return record ? publicKey(record) : null;
+};
+
+// Whether a key may use a model; `service/model` entries only match that service
+const allowsModel = (key, service, model) => !key.models || key.models.length === 0 ||
+    key.models.includes(model) || key.models.includes(`${service}/${model}`);
+
+/**
+ * Count a request against the key's rate limit. Returns null when it is
+ * allowed, or { retry_after_seconds } when the limit is reached.
+ */
+const takeRequest = (key) => {
+    if (!key.requests_per_minute) return null;
+    const now = Date.now();
+    const times = (recentRequests.get(key.id) || []).filter(t => now - t < RATE_WINDOW_MS);
+    if (times.length >= key.requests_per_minute) {
+        recentRequests.set(key.id, times);
+        return { retry_after_seconds: Math.max(Math.ceil((times[0] + RATE_WINDOW_MS - now) / 1000), 1) };
+    }
+    times.push(now);
+    recentRequests.set(key.id, times);
+    return null;
+};
+
+module.exports = {
+    AiKeyError,
+    listKeys,
+    createKey,
+    updateKey,
+    revokeKey,
+    resolveKey,
+    allowsModel,
+    takeRequest
+};
@@ -0,0 +1,143 @@
+/**
+ * AI usage accounting
+ * Requests and tokens per API key, model and day (UTC). The inference proxy
+ * is the only writer: it keeps the totals in memory, checks token quotas
+ * against them and writes them to USAGE_FILE every few seconds. The
+ * dashboard reads the file:
+ *   { days: { "2026-10-18": { <key id>: { <model>: { requests, prompt_tokens,
+ *     completion_tokens, errors, rejected } } } },
+ *     keys: { <key id>: { name, last_used } } }
+ */
+
+const { loadJsonFile, saveJsonFile } = require('./storage');
+
+// Configuration
+const USAGE_FILE = '/var/lib/api-gateway/ai-usage.json';
+const FLUSH_INTERVAL_MS = 5000;
+const RETENTION_DAYS = 90;
+
+const COUNTERS = ['requests', 'prompt_tokens', 'completion_tokens', 'errors', 'rejected'];
+
+let usage = null;
+let dirty = false;
+let flushTimer = null;
+
+const today = (now = new Date()) => now.toISOString().slice(0, 10);
+
+const emptyCounters = () => Object.fromEntries(COUNTERS.map(c => [c, 0]));
+
+const addCounters = (total, counters) => {
+    COUNTERS.forEach(c => { total[c] += counters[c] || 0; });
+    return total;
+};
+
+const load = async () => {
+    const data = await loadJsonFile(USAGE_FILE, {});
+    return { days: data.days || {}, keys: data.keys || {} };
+};
+
+/**
+ * Count one request of a key: { prompt_tokens, completion_tokens, error,
+ * rejected } (rejected = refused by a rate limit or quota).
+ */
+const record = (key, model, { prompt_tokens: promptTokens = 0, completion_tokens: completionTokens = 0, error = false, rejected = false } = {}) => {
+    if (!usage) throw new Error('Usage recorder not started');
+    const day = today();
+    const perKey = ((usage.days[day] = usage.days[day] || {})[key.id] = usage.days[day][key.id] || {});
+    const counters = (perKey[model || '-'] = perKey[model || '-'] || emptyCounters());
+    counters.requests++;
+    counters.prompt_tokens += promptTokens;
+    counters.completion_tokens += completionTokens;
+    if (error) counters.errors++;
+    if (rejected) counters.rejected++;
+    usage.keys[key.id] = { name: key.name, last_used: new Date().toISOString() };
+    dirty = true;
+};
+
+// Tokens a key used on the days whose date starts with `prefix` (a day or a month)
+const tokensUsed = (keyId, prefix) => Object.entries(usage ? usage.days : {})
+    .filter(([day]) => day.startsWith(prefix))
+    .reduce((sum, [, keys]) => Object.values(keys[keyId] || {})
+        .reduce((s, c) => s + c.prompt_tokens + c.completion_tokens, sum), 0);
+
+// Why a key may not make another request, or null while it is within its quotas
+const quotaExceeded = (key) => {
+    const day = today();
+    if (key.tokens_per_day && tokensUsed(key.id, day) >= key.tokens_per_day) {
+        return `Daily token quota of ${key.tokens_per_day} reached`;
+    }
+    if (key.tokens_per_month && tokensUsed(key.id, day.slice(0, 7)) >= key.tokens_per_month) {
+        return `Monthly token quota of ${key.tokens_per_month} reached`;
+    }
+    return null;
+};
+
+const flush = async () => {
+    if (!usage || !dirty) return;
+    dirty = false;
+    const oldest = today(new Date(Date.now() - RETENTION_DAYS * 86400e3));
+    Object.keys(usage.days).filter(day => day < oldest).forEach(day => delete usage.days[day]);
+    try {
+        await saveJsonFile(USAGE_FILE, usage);
+    } catch (error) {
+        dirty = true;
+        throw error;
+    }
+};
+
+// Load the totals and write them periodically (inference proxy)
+const startRecorder = async () => {
+    if (flushTimer) return;
+    usage = await load();
+    const tick = () => flush().catch(error => console.error('AI usage flush error:', error.message));
+    flushTimer = setInterval(tick, FLUSH_INTERVAL_MS);
+    flushTimer.unref();
+};
+
+/**
+ * Usage summary for the dashboard over the last `days` days: per key its
+ * totals for the period, today and this month and per model, plus daily totals.
+ */
+const getUsage = async ({ days = 30 } = {}) => {
+    const data = await load();
+    const now = new Date();
+    const from = today(new Date(now.getTime() - (days - 1) * 86400e3));
+    const day = today(now);
+    const month = day.slice(0, 7);
+    const keys = {};
+    const daily = {};
+    for (const [date, perKey] of Object.entries(data.days)) {
+        for (const [keyId, models] of Object.entries(perKey)) {
+            const entry = keys[keyId] = keys[keyId] || {
+                name: (data.keys[keyId] || {}).name || null,
+                last_used: (data.keys[keyId] || {}).last_used || null,
+                total: emptyCounters(),
+                today: emptyCounters(),
+                month: emptyCounters(),
+                models: {}
+            };
+            for (const [model, counters] of Object.entries(models)) {
+                if (date === day) addCounters(entry.today, counters);
+                if (date.startsWith(month)) addCounters(entry.month, counters);
+                if (date < from) continue;
+                addCounters(entry.total, counters);
+                addCounters(entry.models[model] = entry.models[model] || emptyCounters(), counters);
+                addCounters(daily[date] = daily[date] || emptyCounters(), counters);
+            }
+        }
+    }
+    return {
+        from,
+        days,
+        keys,
+        daily: Object.keys(daily).sort().map(date => ({ date, ...daily[date] }))
+    };
+};
+
+module.exports = {
+    record,
+    quotaExceeded,
+    flush,
+    startRecorder,
+    getUsage
+};
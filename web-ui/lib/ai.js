@@ -0,0 +1,355 @@
+/**
+ * AI model services
+ * Ollama and LocalAI instances registered in apis.json (type "ai-model", added
+ * with `api-manage-extended ai add`). Models are listed, pulled and deleted
+ * through each service's own HTTP API on localhost; the service itself is
+ * started and stopped through systemd (Ollama) or docker (LocalAI). Pulls run
+ * in the dashboard server and report progress to subscribers, so closing the
+ * browser does not cancel them.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { loadJsonFile } = require('./storage');
+const executor = require('./executor');
+
+// Configuration
+const APIS_CONFIG = '/etc/api-gateway/apis.json';
+const LOCALAI_MODELS_DIR = '/opt/ai-models/localai';
+const REQUEST_TIMEOUT_MS = 10000;
+const DELETE_TIMEOUT_MS = 60000;
+const CONTROL_TIMEOUT_MS = 120000;
+const LOCALAI_JOB_POLL_MS = 2000;
+const PROGRESS_INTERVAL_MS = 500;
+const MAX_FINISHED_PULLS = 20;
+
+// Services with model management, by registered name, and how each is run
+const ENGINES = {
+    ollama: { control: 'systemd' },
+    localai: { control: 'docker' }
+};
+
+class AiError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AiError';
+        this.status = status;
+    }
+}
+
+const pulls = new Map(); // pull id -> { id, service, model, status, ... }
+const pullListeners = new Map(); // pull id -> Set of listeners
+const lastEmit = new Map();
+
+const loadServices = async () => ((await loadJsonFile(APIS_CONFIG, { apis: [] })).apis || [])
+    .filter(api => api.type === 'ai-model');
+
+const findService = async (name) => {
+    const service = (await loadServices()).find(api => api.name === name);
+    if (!service) throw new AiError(`AI service ${name} not found`, 404);
+    return service;
+};
+
+const findManagedService = async (name) => {
+    const service = await findService(name);
+    if (!ENGINES[name]) {
+        throw new AiError(`${name} has no model management (supported: ${Object.keys(ENGINES).join(', ')})`, 409);
+    }
+    return service;
+};
+
+const isRunning = async (service) => {
+    try {
+        if ((ENGINES[service.name] || {}).control === 'docker') {
+            const { stdout } = await executor.run('docker.ps-names');
+            return stdout.split('\n').includes(service.name);
+        }
+        const { stdout } = await executor.run('systemd.is-active', { service: service.name });
+        return stdout.trim() === 'active';
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Request to a service's HTTP API on localhost. Resolves the response stream
+ * once the headers are in; the timeout only covers waiting for them, so long
+ * pulls stay open.
+ */
+const request = (service, { method = 'GET', path: apiPath, body = null, timeout = REQUEST_TIMEOUT_MS }) => new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : null;
+    const headers = payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {};
+    const req = http.request({ host: '127.0.0.1', port: service.port, method, path: apiPath, headers }, (res) => {
+        req.setTimeout(0);
+        resolve(res);
+    });
+    req.setTimeout(timeout, () => req.destroy(new Error(`timed out after ${timeout}ms`)));
+    req.on('error', error => reject(new AiError(`${service.name} is not reachable on port ${service.port} (${error.message}); is it running?`, 502)));
+    req.end(payload);
+});
+
+const readBody = (res) => new Promise((resolve, reject) => {
+    let data = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { data += chunk; });
+    res.on('end', () => resolve(data));
+    res.on('error', reject);
+});
+
+// JSON request; rejects with the service's error message on non-2xx responses
+const requestJson = async (service, options) => {
+    const res = await request(service, options);
+    const text = await readBody(res);
+    let data = null;
+    try {
+        data = text ? JSON.parse(text) : {};
+    } catch {
+        data = null;
+    }
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+        const message = (data && (data.error && (data.error.message || data.error))) || text.trim() || `HTTP ${res.statusCode}`;
+        throw new AiError(`${service.name}: ${message}`, res.statusCode === 404 ? 404 : 502);
+    }
+    if (data === null) throw new AiError(`${service.name}: unexpected response`, 502);
+    return data;
+};
+
+/**
+ * Registered AI services with whether they run and whether their models can
+ * be managed here.
+ */
+const listServices = async () => {
+    const services = await loadServices();
+    return Promise.all(services.map(async service => ({
+        ...service,
+        running: await isRunning(service),
+        manageable: Boolean(ENGINES[service.name]),
+        active_pulls: [...pulls.values()].filter(p => p.service === service.name && p.status === 'running').length
+    })));
+};
+
+// LocalAI lists model ids only; size and date come from the files in its models directory
+const localAiFiles = async (id) => {
+    const entries = await fs.readdir(LOCALAI_MODELS_DIR).catch(() => []);
+    const files = entries.filter(file => file === id || file.startsWith(`${id}.`));
+    const stats = await Promise.all(files.map(file => fs.stat(path.join(LOCALAI_MODELS_DIR, file)).catch(() => null)));
+    const found = stats.filter(Boolean);
+    if (found.length === 0) return { size: null, modified_at: null };
+    return {
+        size: found.reduce((sum, stat) => sum + stat.size, 0),
+        modified_at: new Date(Math.max(...found.map(stat => stat.mtimeMs))).toISOString()
+    };
+};
+
+/**
+ * Installed models of a service: { service, models: [{ name, size,
+ * modified_at, ... }], pulls } with the service's recent pulls.
+ */
+const listModels = async (name) => {
+    const service = await findManagedService(name);
+    let models;
+    if (name === 'ollama') {
+        const data = await requestJson(service, { path: '/api/tags' });
+        models = (data.models || []).map(model => ({
+            name: model.name,
+            size: model.size,
+            modified_at: model.modified_at,
+            digest: model.digest || null,
+            family: (model.details || {}).family || null,
+            parameter_size: (model.details || {}).parameter_size || null,
+            quantization: (model.details || {}).quantization_level || null
+        }));
+    } else {
+        const data = await requestJson(service, { path: '/v1/models' });
+        models = await Promise.all((data.data || []).map(async model => ({ name: model.id, ...(await localAiFiles(model.id)) })));
+    }
+    models.sort((a, b) => a.name.localeCompare(b.name));
+    return { service: name, models, pulls: getPulls(name) };
+};
+
+const emit = (pull, { force = false } = {}) => {
+    const now = Date.now();
+    if (!force && now - (lastEmit.get(pull.id) || 0) < PROGRESS_INTERVAL_MS) return;
+    lastEmit.set(pull.id, now);
+    (pullListeners.get(pull.id) || new Set()).forEach(listener => listener({ ...pull }));
+};
+
+const progress = (pull, fields) => {
+    const statusChanged = fields.message !== undefined && fields.message !== pull.message;
+    Object.assign(pull, fields);
+    emit(pull, { force: statusChanged });
+};
+
+const finish = (pull, error = null) => {
+    Object.assign(pull, {
+        status: error ? 'failed' : 'succeeded',
+        error: error ? error.message : null,
+        message: error ? pull.message : 'success',
+        percent: error ? pull.percent : 100,
+        finished_at: new Date().toISOString()
+    });
+    emit(pull, { force: true });
+    pullListeners.delete(pull.id);
+    lastEmit.delete(pull.id);
+    const finished = [...pulls.values()].filter(p => p.status !== 'running');
+    finished.slice(0, Math.max(finished.length - MAX_FINISHED_PULLS, 0)).forEach(p => pulls.delete(p.id));
+};
+
+// Ollama streams one JSON object per line: { status, digest, total, completed } or { error }
+const pullOllama = async (service, pull) => {
+    const res = await request(service, { method: 'POST', path: '/api/pull', body: { model: pull.model, stream: true } });
+    if (res.statusCode !== 200) {
+        const text = await readBody(res);
+        let message = text.trim();
+        try { message = JSON.parse(text).error || message; } catch {}
+        throw new AiError(message || `HTTP ${res.statusCode}`, 502);
+    }
+    let buffer = '';
+    let last = null;
+    res.setEncoding('utf8');
+    for await (const chunk of res) {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines.filter(l => l.trim())) {
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch {
+                continue;
+            }
+            if (event.error) throw new AiError(event.error, 502);
+            last = event.status;
+            const total = Number(event.total) || null;
+            const completed = total ? Number(event.completed) || 0 : null;
+            progress(pull, {
+                message: event.status || pull.message,
+                total,
+                completed,
+                percent: total ? Math.floor((completed / total) * 100) : pull.percent
+            });
+        }
+    }
+    if (last !== 'success') throw new AiError('the pull ended before it finished', 502);
+};
+
+// LocalAI installs from its gallery as a job: POST /models/apply, then poll /models/jobs/<uuid>
+const pullLocalAi = async (service, pull) => {
+    const { uuid } = await requestJson(service, { method: 'POST', path: '/models/apply', body: { id: pull.model } });
+    if (!uuid) throw new AiError('LocalAI did not start an install job', 502);
+    for (;;) {
+        await new Promise(resolve => setTimeout(resolve, LOCALAI_JOB_POLL_MS));
+        const job = await requestJson(service, { path: `/models/jobs/${encodeURIComponent(uuid)}` });
+        const error = job.error && (job.error.message || (typeof job.error === 'string' ? job.error : null));
+        if (error) throw new AiError(error, 502);
+        progress(pull, {
+            message: job.message || pull.message,
+            percent: Number.isFinite(job.progress) ? Math.floor(job.progress) : pull.percent,
+            total: job.file_size || null,
+            completed: job.downloaded_size || null
+        });
+        if (job.processed) {
+            if (/^error/i.test(job.message || '')) throw new AiError(job.message, 502);
+            return;
+        }
+    }
+};
+
+/**
+ * Start pulling a model. Resolves the pull record right away; progress is
+ * delivered through subscribePull.
+ */
+const pullModel = async (name, model, { user = null } = {}) => {
+    executor.validate({ model: 'modelName' }, { model });
+    const service = await findManagedService(name);
+    if ([...pulls.values()].some(p => p.service === name && p.model === model && p.status === 'running')) {
+        throw new AiError(`${model} is already being pulled`, 409);
+    }
+    const pull = {
+        id: crypto.randomBytes(8).toString('hex'),
+        service: name,
+        model,
+        status: 'running',
+        message: 'starting',
+        percent: null,
+        completed: null,
+        total: null,
+        error: null,
+        started_by: user,
+        started_at: new Date().toISOString(),
+        finished_at: null
+    };
+    pulls.set(pull.id, pull);
+    (name === 'ollama' ? pullOllama : pullLocalAi)(service, pull)
+        .then(() => finish(pull), error => finish(pull, error));
+    return { ...pull };
+};
+
+const getPull = (id) => {
+    const pull = pulls.get(id);
+    if (!pull) throw new AiError('Pull not found', 404);
+    return { ...pull };
+};
+
+// Recent pulls, newest first; optionally of one service only
+const getPulls = (name = null) => [...pulls.values()]
+    .filter(p => !name || p.service === name)
+    .reverse()
+    .map(p => ({ ...p }));
+
+// Called with the pull record on progress and when it finishes; returns an unsubscribe function
+const subscribePull = (id, listener) => {
+    getPull(id);
+    if (!pullListeners.has(id)) pullListeners.set(id, new Set());
+    pullListeners.get(id).add(listener);
+    return () => (pullListeners.get(id) || new Set()).delete(listener);
+};
+
+const deleteModel = async (name, model) => {
+    executor.validate({ model: 'modelName' }, { model });
+    const service = await findManagedService(name);
+    if ([...pulls.values()].some(p => p.service === name && p.model === model && p.status === 'running')) {
+        throw new AiError(`${model} is being pulled; wait for the pull to finish`, 409);
+    }
+    try {
+        if (name === 'ollama') {
+            await requestJson(service, { method: 'DELETE', path: '/api/delete', body: { model, name: model }, timeout: DELETE_TIMEOUT_MS });
+        } else {
+            await requestJson(service, { method: 'POST', path: `/models/delete/${encodeURIComponent(model)}`, timeout: DELETE_TIMEOUT_MS });
+        }
+    } catch (error) {
+        if (error.status === 404) throw new AiError(`Model ${model} not found on ${name}`, 404);
+        throw error;
+    }
+};
+
+/**
+ * Start or stop a service (systemd unit or docker container of the same
+ * name). Resolves { running }.
+ */
+const control = async (name, action) => {
+    if (!['start', 'stop'].includes(action)) throw new AiError(`Unknown action ${action}`);
+    const service = await findManagedService(name);
+    if (ENGINES[name].control === 'docker') {
+        await executor.run(`docker.${action}`, { container: name }, { timeout: CONTROL_TIMEOUT_MS });
+    } else {
+        await executor.run(`systemd.${action}`, { service: name }, { timeout: CONTROL_TIMEOUT_MS });
+    }
+    return { running: await isRunning(service) };
+};
+
+module.exports = {
+    AiError,
+    request,
+    readBody,
+    listServices,
+    listModels,
+    pullModel,
+    getPull,
+    getPulls,
+    subscribePull,
+    deleteModel,
+    control
+};
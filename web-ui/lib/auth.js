@@ -0,0 +1,375 @@
+/**
+ * Dashboard Authentication
+ * Local user accounts, sessions, API tokens and role checks
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { loadJsonFile, updateJsonFile } = require('./storage');
+
+// Configuration
+const USERS_FILE = '/etc/api-gateway/users.json';
+const INITIAL_PASSWORD_FILE = '/etc/api-gateway/dashboard-admin-password';
+const SESSION_COOKIE = 'apigw_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// In-memory state (sessions do not survive a restart; tokens do)
+const sessions = new Map();
+const loginFailures = new Map();
+
+class AuthError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+const roleRank = (role) => ROLES.indexOf(role);
+const hasRole = (role, required) => roleRank(role) >= roleRank(required);
+
+// Password hashing (scrypt, stored as scrypt$<salt>$<hash>)
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(key)));
+});
+
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt);
+    return `scrypt$${salt}$${key.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const key = await scrypt(password, salt);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// User store
+const loadUsers = () => loadJsonFile(USERS_FILE, { users: [], tokens: [] });
+
+const saveUsers = (mutator) =>
+    updateJsonFile(USERS_FILE, { users: [], tokens: [] }, (data) => {
+        data.users = data.users || [];
+        data.tokens = data.tokens || [];
+        return mutator(data);
+    }, { mode: 0o600 });
+
+const publicUser = (user) => ({
+    username: user.username,
+    role: user.role,
+    created_at: user.created_at
+});
+
+const validateRole = (role) => {
+    if (!ROLES.includes(role)) {
+        throw new AuthError(`Invalid role: ${role} (expected one of ${ROLES.join(', ')})`);
+    }
+};
+
+const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+};
+
+const listUsers = async () => {
+    const data = await loadUsers();
+    return (data.users || []).map(publicUser);
+};
+
+const createUser = async (username, password, role = 'viewer') => {
+    if (!USERNAME_PATTERN.test(username || '')) {
+        throw new AuthError('Invalid username (2-32 chars: a-z, 0-9, ".", "_", "-")');
+    }
+    validatePassword(password);
+    validateRole(role);
+    const passwordHash = await hashPassword(password);
+    let created;
+    await saveUsers((data) => {
+        if (data.users.some(u => u.username === username)) {
+            throw new AuthError(`User ${username} already exists`, 409);
+        }
+        created = {
+            username,
+            role,
+            password_hash: passwordHash,
+            created_at: new Date().toISOString()
+        };
+        data.users.push(created);
+    });
+    return publicUser(created);
+};
+
+const updateUser = async (username, { role, password } = {}) => {
+    if (role !== undefined) validateRole(role);
+    if (password !== undefined) validatePassword(password);
+    const passwordHash = password !== undefined ? await hashPassword(password) : null;
+    let updated;
+    await saveUsers((data) => {
+        const user = data.users.find(u => u.username === username);
+        if (!user) throw new AuthError(`User ${username} not found`, 404);
+        if (role !== undefined && user.role === 'admin' && role !== 'admin' &&
+            data.users.filter(u => u.role === 'admin').length === 1) {
+            throw new AuthError('Cannot demote the last admin', 409);
+        }
+        if (role !== undefined) user.role = role;
+        if (passwordHash) user.password_hash = passwordHash;
+        updated = user;
+    });
+    if (passwordHash) {
+        dropSessionsFor(username);
+        // The generated bootstrap password is no longer valid once changed
+        if (username === 'admin') await fs.unlink(INITIAL_PASSWORD_FILE).catch(() => {});
+    }
+    return publicUser(updated);
+};
+
+const deleteUser = async (username) => {
+    await saveUsers((data) => {
+        const user = data.users.find(u => u.username === username);
+        if (!user) throw new AuthError(`User ${username} not found`, 404);
+        if (user.role === 'admin' && data.users.filter(u => u.role === 'admin').length === 1) {
+            throw new AuthError('Cannot delete the last admin', 409);
+        }
+        data.users = data.users.filter(u => u.username !== username);
+        data.tokens = data.tokens.filter(t => t.username !== username);
+    });
+    dropSessionsFor(username);
+};
+
+// Create the first admin account when the user store is empty.
+// Password comes from DASHBOARD_ADMIN_PASSWORD or is generated and written
+// (root-only) to INITIAL_PASSWORD_FILE.
+const ensureAdminUser = async () => {
+    const data = await loadUsers();
+    if ((data.users || []).length > 0) return null;
+    const fromEnv = process.env.DASHBOARD_ADMIN_PASSWORD;
+    const password = fromEnv || crypto.randomBytes(12).toString('hex');
+    await createUser('admin', password, 'admin');
+    if (!fromEnv) {
+        await fs.writeFile(INITIAL_PASSWORD_FILE, `admin:${password}\n`, { mode: 0o600 });
+        console.log(`Created dashboard user 'admin'; initial password saved to ${INITIAL_PASSWORD_FILE}`);
+    } else {
+        console.log("Created dashboard user 'admin' from DASHBOARD_ADMIN_PASSWORD");
+    }
+    return 'admin';
+};
+
+// Sessions
+const createSession = (user) => {
+    const id = crypto.randomBytes(32).toString('hex');
+    sessions.set(id, { username: user.username, expires: Date.now() + SESSION_TTL_MS });
+    return id;
+};
+
+const dropSessionsFor = (username) => {
+    for (const [id, session] of sessions) {
+        if (session.username === username) sessions.delete(id);
+    }
+};
+
+const parseCookies = (header = '') => {
+    const cookies = {};
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index <= 0) return;
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch {
+            // ignore malformed cookie values
+        }
+    });
+    return cookies;
+};
+
+const sessionCookie = (req, value, maxAgeSeconds) => {
+    const secure = req.secure ? '; Secure' : '';
+    return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAgeSeconds}${secure}`;
+};
+
+// Login throttling per client IP + username
+const isLoginThrottled = (key) => {
+    const entry = loginFailures.get(key);
+    if (!entry) return false;
+    if (Date.now() - entry.first > LOGIN_WINDOW_MS) {
+        loginFailures.delete(key);
+        return false;
+    }
+    return entry.count >= LOGIN_MAX_FAILURES;
+};
+
+const recordLoginFailure = (key) => {
+    const entry = loginFailures.get(key);
+    if (!entry || Date.now() - entry.first > LOGIN_WINDOW_MS) {
+        loginFailures.set(key, { first: Date.now(), count: 1 });
+    } else {
+        entry.count++;
+    }
+};
+
+// Check credentials and open a session; returns { sessionId, user }
+const login = async (username, password, clientIp) => {
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        throw new AuthError('username and password are required');
+    }
+    const key = `${clientIp}|${username}`;
+    if (isLoginThrottled(key)) {
+        throw new AuthError('Too many failed attempts, try again later', 429);
+    }
+    const data = await loadUsers();
+    const user = (data.users || []).find(u => u.username === username);
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+        recordLoginFailure(key);
+        throw new AuthError('Invalid username or password', 401);
+    }
+    loginFailures.delete(key);
+    return { sessionId: createSession(user), user: publicUser(user) };
+};
+
+const logout = (sessionId) => {
+    if (sessionId) sessions.delete(sessionId);
+};
+
+const getSessionId = (req) => parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+
+// API tokens (for scripts). The plain token is only returned once, at creation.
+const listTokens = async (username = null) => {
+    const data = await loadUsers();
+    return (data.tokens || [])
+        .filter(t => !username || t.username === username)
+        .map(({ token_hash, ...token }) => token);
+};
+
+const createToken = async (username, name, role) => {
+    const token = `agw_${crypto.randomBytes(32).toString('hex')}`;
+    let created;
+    await saveUsers((data) => {
+        const user = data.users.find(u => u.username === username);
+        if (!user) throw new AuthError(`User ${username} not found`, 404);
+        const tokenRole = role || user.role;
+        validateRole(tokenRole);
+        if (!hasRole(user.role, tokenRole)) {
+            throw new AuthError(`Token role cannot exceed the user's role (${user.role})`, 403);
+        }
+        created = {
+            id: crypto.randomBytes(8).toString('hex'),
+            name: String(name || 'api-token').slice(0, 64),
+            username,
+            role: tokenRole,
+            token_hash: hashToken(token),
+            created_at: new Date().toISOString(),
+            last_used: null
+        };
+        data.tokens.push(created);
+    });
+    const { token_hash, ...info } = created;
+    return { ...info, token };
+};
+
+const revokeToken = async (id, username = null) => {
+    await saveUsers((data) => {
+        const token = data.tokens.find(t => t.id === id && (!username || t.username === username));
+        if (!token) throw new AuthError('Token not found', 404);
+        data.tokens = data.tokens.filter(t => t.id !== id);
+    });
+};
+
+const resolveToken = async (token) => {
+    const data = await loadUsers();
+    const tokenHash = hashToken(token);
+    const record = (data.tokens || []).find(t => t.token_hash === tokenHash);
+    if (!record) return null;
+    const user = (data.users || []).find(u => u.username === record.username);
+    if (!user) return null;
+    // Record usage at most once a minute to avoid rewriting the store on every request
+    if (!record.last_used || Date.now() - Date.parse(record.last_used) > 60000) {
+        saveUsers((store) => {
+            const t = store.tokens.find(x => x.id === record.id);
+            if (t) t.last_used = new Date().toISOString();
+        }).catch(() => {});
+    }
+    // A token never grants more than its owner currently has
+    const role = hasRole(user.role, record.role) ? record.role : user.role;
+    return { username: user.username, role, token_id: record.id };
+};
+
+const resolveSession = async (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (!session) return null;
+    if (session.expires < Date.now()) {
+        sessions.delete(sessionId);
+        return null;
+    }
+    const data = await loadUsers();
+    const user = (data.users || []).find(u => u.username === session.username);
+    if (!user) {
+        sessions.delete(sessionId);
+        return null;
+    }
+    return { username: user.username, role: user.role };
+};
+
+// Middleware: resolves req.user from a bearer token or session cookie (unless an
+// earlier middleware, such as the agent key check, already did).
+// Paths in publicPaths (relative to the mount point) pass through unauthenticated.
+const authenticate = (publicPaths = []) => async (req, res, next) => {
+    try {
+        if (req.user) return next();
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            req.user = await resolveToken(header.slice(7).trim());
+        } else {
+            const sessionId = getSessionId(req);
+            req.user = sessionId ? await resolveSession(sessionId) : null;
+        }
+        if (req.user || publicPaths.includes(req.path)) return next();
+        res.status(401).json({ success: false, error: 'Authentication required' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Middleware: requires at least the given role
+const requireRole = (role) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    if (!hasRole(req.user.role, role)) {
+        return res.status(403).json({ success: false, error: `Requires ${role} role` });
+    }
+    next();
+};
+
+module.exports = {
+    ROLES,
+    AuthError,
+    hasRole,
+    listUsers,
+    createUser,
+    updateUser,
+    deleteUser,
+    ensureAdminUser,
+    listTokens,
+    createToken,
+    revokeToken,
+    SESSION_TTL_MS,
+    login,
+    logout,
+    getSessionId,
+    sessionCookie,
+    authenticate,
+    requireRole
+};
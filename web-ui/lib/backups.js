@@ -0,0 +1,273 @@
+/**
+ * Configuration backups
+ * Snapshots of the gateway configuration: deployment configs (with or without
+ * their webhook secrets), the routes in apis.json and the deploy status. Each
+ * backup is one gzipped JSON file with a manifest of what it holds. Restores
+ * can be dry-run to see what would change; routes go through nginx.apply like
+ * any other route change. Scheduled backups run from the dashboard server and
+ * only the newest BACKUP_RETENTION of them are kept.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const zlib = require('zlib');
+const { loadJsonFile, saveJsonFile, updateJsonFile } = require('./storage');
+const routes = require('./routes');
+
+// Configuration
+const BACKUP_DIR = '/var/backups/api-gateway';
+const DEPLOY_CONFIG_DIR = '/etc/api-gateway/deployments';
+const APIS_CONFIG = '/etc/api-gateway/apis.json';
+const DEPLOY_STATUS_FILE = '/var/lib/api-gateway/deployment-status.json';
+// Hours between scheduled backups (0 turns them off)
+const BACKUP_INTERVAL_HOURS = Math.max(Number(process.env.BACKUP_INTERVAL_HOURS ?? 24) || 0, 0);
+const BACKUP_RETENTION = Math.max(parseInt(process.env.BACKUP_RETENTION, 10) || 7, 1);
+const SCHEDULER_INTERVAL_MS = 10 * 60 * 1000;
+const FORMAT_VERSION = 1;
+
+const ID_PATTERN = /^\d{8}-\d{6}-[0-9a-f]{4}$/;
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+class BackupError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'BackupError';
+        this.status = status;
+    }
+}
+
+let schedulerTimer = null;
+
+const backupPath = (id) => path.join(BACKUP_DIR, `${id}.json.gz`);
+
+const newId = () => {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+};
+
+const loadDeploymentConfigs = async () => {
+    const files = await fs.readdir(DEPLOY_CONFIG_DIR).catch(() => []);
+    const configs = {};
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+        const config = await loadJsonFile(path.join(DEPLOY_CONFIG_DIR, file), null);
+        if (config && config.service_name) configs[file.replace('.json', '')] = config;
+    }
+    return configs;
+};
+
+const withoutSecret = (config) => {
+    const { webhook_secret, webhook_secret_rotated_at, ...rest } = config;
+    return rest;
+};
+
+/**
+ * Snapshot the current configuration. Secrets are left out with
+ * { includeSecrets: false }. Resolves the backup's manifest.
+ */
+const createBackup = async ({ includeSecrets = true, trigger = 'manual', user = null } = {}) => {
+    const configs = await loadDeploymentConfigs();
+    const deployments = includeSecrets
+        ? configs
+        : Object.fromEntries(Object.entries(configs).map(([name, config]) => [name, withoutSecret(config)]));
+    const apis = await loadJsonFile(APIS_CONFIG, { apis: [] });
+    const status = (await loadJsonFile(DEPLOY_STATUS_FILE, { deployments: {} })).deployments || {};
+    const manifest = {
+        id: newId(),
+        version: FORMAT_VERSION,
+        created_at: new Date().toISOString(),
+        created_by: user,
+        trigger,
+        host: os.hostname(),
+        includes_secrets: includeSecrets,
+        contents: {
+            deployments: Object.keys(deployments).sort(),
+            routes: (apis.apis || []).map(a => a.name),
+            status: Object.keys(status).sort(),
+            webhook_secrets: includeSecrets ? Object.keys(configs).filter(name => configs[name].webhook_secret).sort() : []
+        }
+    };
+    const body = await gzip(JSON.stringify({ manifest, deployments, apis, status }));
+    await fs.mkdir(BACKUP_DIR, { recursive: true, mode: 0o700 });
+    const tmp = `${backupPath(manifest.id)}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, body, { mode: 0o600 });
+    await fs.rename(tmp, backupPath(manifest.id));
+    return { ...manifest, size: body.length };
+};
+
+const readBackup = async (id) => {
+    const file = await getBackupFile(id);
+    try {
+        return JSON.parse((await gunzip(await fs.readFile(file))).toString('utf8'));
+    } catch (error) {
+        throw new BackupError(`Backup ${id} is unreadable: ${error.message}`, 422);
+    }
+};
+
+// Path of a backup's file; throws 404 for unknown or malformed ids
+const getBackupFile = async (id) => {
+    if (!ID_PATTERN.test(String(id))) {
+        throw new BackupError('Backup not found', 404);
+    }
+    const file = backupPath(id);
+    if (!(await fs.access(file).then(() => true, () => false))) {
+        throw new BackupError('Backup not found', 404);
+    }
+    return file;
+};
+
+// Manifests of all backups, newest first (each with its file size)
+const listBackups = async () => {
+    const files = (await fs.readdir(BACKUP_DIR).catch(() => []))
+        .filter(f => f.endsWith('.json.gz') && ID_PATTERN.test(f.slice(0, -'.json.gz'.length)))
+        .sort()
+        .reverse();
+    const backups = [];
+    for (const file of files) {
+        const id = file.slice(0, -'.json.gz'.length);
+        try {
+            const { manifest } = await readBackup(id);
+            const { size } = await fs.stat(backupPath(id));
+            backups.push({ ...manifest, size });
+        } catch (error) {
+            backups.push({ id, error: error.message });
+        }
+    }
+    return backups;
+};
+
+// Top-level config fields that differ (secrets by name only)
+const changedFields = (current, restored) => [...new Set([...Object.keys(current), ...Object.keys(restored)])]
+    .filter(key => JSON.stringify(current[key]) !== JSON.stringify(restored[key]))
+    .sort();
+
+// Deployment configs as they would be after the restore, plus what changes
+const planDeployments = (backup, current) => {
+    const plan = { added: [], changed: [], unchanged: [], not_in_backup: [], new_webhook_secrets: [] };
+    const next = {};
+    for (const [name, saved] of Object.entries(backup.deployments || {})) {
+        const existing = current[name];
+        const config = { ...saved };
+        if (!backup.manifest.includes_secrets) {
+            // Keep the live secret, or issue one for a deployment the server does not have
+            if (existing && existing.webhook_secret) {
+                config.webhook_secret = existing.webhook_secret;
+                if (existing.webhook_secret_rotated_at) config.webhook_secret_rotated_at = existing.webhook_secret_rotated_at;
+            } else {
+                config.webhook_secret = crypto.randomBytes(32).toString('hex');
+                plan.new_webhook_secrets.push(name);
+            }
+        }
+        if (!existing) {
+            plan.added.push(name);
+            next[name] = config;
+            continue;
+        }
+        const fields = changedFields(existing, config);
+        if (fields.length === 0) {
+            plan.unchanged.push(name);
+        } else {
+            plan.changed.push({ name, fields });
+            next[name] = config;
+        }
+    }
+    plan.not_in_backup = Object.keys(current).filter(name => !(name in (backup.deployments || {}))).sort();
+    return { plan, next };
+};
+
+const planRoutes = (backup, current) => {
+    const saved = (backup.apis && backup.apis.apis) || [];
+    const byName = new Map(current.map(a => [a.name, a]));
+    const savedNames = new Set(saved.map(a => a.name));
+    return {
+        added: saved.filter(a => !byName.has(a.name)).map(a => a.name),
+        removed: current.filter(a => !savedNames.has(a.name)).map(a => a.name),
+        changed: saved.filter(a => byName.has(a.name) && JSON.stringify(byName.get(a.name)) !== JSON.stringify(a))
+            .map(a => ({ name: a.name, fields: changedFields(byName.get(a.name), a) })),
+        unchanged: saved.filter(a => byName.has(a.name) && JSON.stringify(byName.get(a.name)) === JSON.stringify(a)).map(a => a.name)
+    };
+};
+
+/**
+ * Restore a backup: deployment configs in the backup are written (deployments
+ * that are not in it are left alone), the routes are replaced through
+ * nginx.apply, and deploy status is restored for services that have none.
+ * With { dryRun: true } nothing is written and the result shows what would
+ * change, including the nginx config diff.
+ * Resolves { id, dry_run, deployments, routes, status, nginx | preview }.
+ */
+const restoreBackup = async (id, { dryRun = false, user = null } = {}) => {
+    const backup = await readBackup(id);
+    if (!backup.manifest || backup.manifest.version !== FORMAT_VERSION) {
+        throw new BackupError(`Backup ${id} has an unsupported format`, 422);
+    }
+    const { plan: deployments, next } = planDeployments(backup, await loadDeploymentConfigs());
+    const routePlan = planRoutes(backup, await routes.listRoutes());
+    const currentStatus = (await loadJsonFile(DEPLOY_STATUS_FILE, { deployments: {} })).deployments || {};
+    const status = Object.keys(backup.status || {}).filter(name => !currentStatus[name]).sort();
+    const result = { id, dry_run: dryRun, deployments, routes: routePlan, status: { restored: status } };
+    const savedRoutes = (backup.apis && backup.apis.apis) || [];
+    const routesChanged = routePlan.added.length + routePlan.removed.length + routePlan.changed.length > 0;
+
+    if (dryRun) {
+        if (routesChanged) {
+            result.preview = await routes.replaceRoutes(savedRoutes, { preview: true })
+                .then(({ preview }) => preview, error => ({ error: `nginx preview unavailable: ${error.message}` }));
+        }
+        return result;
+    }
+
+    // Routes first: if nginx rejects them nothing else is touched
+    if (routesChanged) {
+        const { nginx } = await routes.replaceRoutes(savedRoutes, { reason: `restore backup ${id}`, user });
+        result.nginx = nginx;
+        if (!nginx.applied) return result;
+    }
+    for (const [name, config] of Object.entries(next)) {
+        await saveJsonFile(path.join(DEPLOY_CONFIG_DIR, `${name}.json`), config);
+    }
+    if (status.length > 0) {
+        await updateJsonFile(DEPLOY_STATUS_FILE, { deployments: {} }, (data) => {
+            data.deployments = data.deployments || {};
+            status.forEach(name => { data.deployments[name] = backup.status[name]; });
+        });
+    }
+    return result;
+};
+
+// Drop the oldest scheduled backups beyond BACKUP_RETENTION (manual ones are kept)
+const pruneScheduled = async () => {
+    const scheduled = (await listBackups()).filter(b => b.trigger === 'scheduled');
+    for (const backup of scheduled.slice(BACKUP_RETENTION)) {
+        await fs.unlink(backupPath(backup.id)).catch(() => {});
+    }
+};
+
+const runScheduled = async () => {
+    const last = (await listBackups()).find(b => b.trigger === 'scheduled');
+    if (last && Date.now() - Date.parse(last.created_at) < BACKUP_INTERVAL_HOURS * 3600e3) return;
+    const manifest = await createBackup({ trigger: 'scheduled' });
+    console.log(`Scheduled backup created: ${manifest.id}`);
+    await pruneScheduled();
+};
+
+const startScheduler = () => {
+    if (schedulerTimer || BACKUP_INTERVAL_HOURS === 0) return;
+    const tick = () => runScheduled().catch(error => console.error('Scheduled backup failed:', error.message));
+    tick();
+    schedulerTimer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+    schedulerTimer.unref();
+};
+
+module.exports = {
+    BackupError,
+    createBackup,
+    listBackups,
+    getBackupFile,
+    restoreBackup,
+    startScheduler
+};
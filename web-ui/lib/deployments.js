@@ -0,0 +1,247 @@
+/**
+ * Deployment settings
+ * Edits the per-service config written by add_deployment, creates the nginx
+ * route (apis.json) of a new deployment and keeps it in sync when the port
+ * changes. Also knows which process and port currently serve a deployment
+ * (its live blue/green slot, see slots.js), and starts, stops and scales
+ * deployments.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { loadJsonFile, updateJsonFile, withFileLock } = require('./storage');
+const executor = require('./executor');
+const routes = require('./routes');
+
+// Configuration
+const DEPLOY_CONFIG_DIR = '/etc/api-gateway/deployments';
+const CONTROL_TIMEOUT_MS = 300000;
+
+// Settings that can be changed after creation, with their validator types
+const EDITABLE_FIELDS = {
+    branch: 'branch',
+    port: 'port',
+    build_command: 'command',
+    start_command: 'command',
+    auto_deploy: 'boolean',
+    previews: 'boolean',
+    process_manager: 'processManager',
+    provider: 'webhookProvider',
+    health_check: 'healthCheck',
+    strategy: 'deployStrategy',
+    blue_green: 'blueGreen'
+};
+
+// Changing these only takes effect after the next deploy
+const REDEPLOY_FIELDS = ['branch', 'port', 'build_command', 'start_command', 'process_manager', 'strategy', 'blue_green'];
+
+class DeploymentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'DeploymentError';
+        this.status = status;
+    }
+}
+
+// Process (systemd unit / PM2 app) and port serving the deployment: the live
+// blue/green slot's when it has slots, otherwise the service's own
+const liveProcess = (config) => {
+    const slots = config.slots || {};
+    return (slots.active && slots[slots.active] && slots[slots.active].process) || config.service_name;
+};
+
+const livePort = (config) => {
+    const slots = config.slots || {};
+    return (slots.active && slots[slots.active] && slots[slots.active].port) || config.port;
+};
+
+const configPath = (serviceName) => path.join(DEPLOY_CONFIG_DIR, `${serviceName}.json`);
+
+// Read-modify-write the config under its lock file, shared with the slot
+// changes of slots.js (including those of the deploy script's slots-cli.js)
+const updateConfig = (serviceName, mutator) => withFileLock(configPath(serviceName),
+    () => updateJsonFile(configPath(serviceName), {}, mutator));
+
+const loadConfig = async (serviceName) => {
+    const config = await loadJsonFile(configPath(serviceName), null);
+    if (!config || !config.service_name) {
+        throw new DeploymentError('Service not found', 404);
+    }
+    return config;
+};
+
+// Point the service's nginx route at the new port and regenerate nginx. Runs
+// before the port is saved, so a conflict (409) or a change nginx did not
+// apply (502) leaves config and route on the old port. Resolves
+// { updated, version }, or { updated: false } when the service has no route.
+const syncNginxPort = async (serviceName, port) => {
+    let nginx;
+    try {
+        ({ nginx } = await routes.updateRoute(serviceName, { port }, { reason: `deployment ${serviceName} port changed` }));
+    } catch (error) {
+        if (error.status === 404) {
+            return { updated: false };
+        }
+        throw error;
+    }
+    if (!nginx.applied) {
+        throw new DeploymentError(`Port not changed: nginx route not updated: ${nginx.error}`, 502);
+    }
+    return { updated: true, version: nginx.version };
+};
+
+// The route a new deployment is exposed at: /<name> on its port
+const deploymentRoute = (serviceName, port) => ({ name: serviceName, path: `/${serviceName}`, port, description: 'Deployed from GitHub' });
+
+// Throws a 409 RouteError when the new deployment's route would take a path or
+// port another route already uses; run before the deployment is created
+const checkDeploymentRoute = async (serviceName, port) => {
+    const apis = await routes.listRoutes();
+    const existing = apis.some(a => a.name === serviceName);
+    routes.checkConflicts(deploymentRoute(serviceName, port), apis, existing ? ['port'] : ['path', 'port']);
+};
+
+/**
+ * Expose a new deployment: create its route, or move an existing route of the
+ * same name to its port. Goes through routes like any other route change, so
+ * nginx is tested, verified and reverted on failure.
+ * Resolves { route, nginx }.
+ */
+const exposeDeployment = async (serviceName, port, { user = null } = {}) => {
+    const reason = `deployment ${serviceName} added`;
+    const existing = (await routes.listRoutes()).find(a => a.name === serviceName);
+    if (existing) {
+        return routes.updateRoute(serviceName, { port }, { reason, user });
+    }
+    return routes.createRoute(deploymentRoute(serviceName, port), { reason, user });
+};
+
+/**
+ * Apply a partial settings update. Unknown or read-only fields are rejected.
+ * Returns { config, changed, redeploy_required, nginx }.
+ */
+const updateSettings = async (serviceName, changes = {}) => {
+    const unknown = Object.keys(changes).filter(field => !EDITABLE_FIELDS[field]);
+    if (unknown.length > 0) {
+        throw new executor.ValidationError(Object.fromEntries(unknown.map(field => [field, 'cannot be changed'])));
+    }
+    const schema = Object.fromEntries(Object.keys(changes).map(field => [field, { type: EDITABLE_FIELDS[field], required: false }]));
+    const values = executor.validate(schema, changes);
+    if (Object.keys(values).length === 0) {
+        throw new executor.ValidationError({ settings: `provide at least one of: ${Object.keys(EDITABLE_FIELDS).join(', ')}` });
+    }
+
+    const previous = await loadConfig(serviceName);
+    const next = { ...previous, ...values };
+    if (next.strategy === 'blue_green') {
+        const alternatePort = (next.blue_green || {}).alternate_port;
+        if (!alternatePort || alternatePort === Number(next.port)) {
+            throw new executor.ValidationError({ blue_green: 'blue_green needs an alternate_port different from port' });
+        }
+    }
+    const changed = Object.keys(values).filter(field => JSON.stringify(previous[field]) !== JSON.stringify(values[field]));
+
+    // With blue/green slots the route follows the live slot; new ports apply on the next deploy
+    const nginx = changed.includes('port') && !(previous.slots || {}).active ? await syncNginxPort(serviceName, values.port) : null;
+    let config;
+    try {
+        config = await updateConfig(serviceName, (data) => {
+            Object.assign(data, values, { updated_at: new Date().toISOString() });
+        });
+    } catch (error) {
+        if (nginx && nginx.updated) {
+            await syncNginxPort(serviceName, Number(previous.port)).catch(() => {});
+        }
+        throw error;
+    }
+    return {
+        config,
+        changed,
+        redeploy_required: changed.some(field => REDEPLOY_FIELDS.includes(field)),
+        nginx
+    };
+};
+
+// The scripts print their errors (colored) as the last line of stdout
+const scriptError = (error) => {
+    if (error.stderr && error.stderr.trim()) return error.stderr.trim();
+    const lines = String(error.stdout || '').replace(/\x1b\[[0-9;]*m/g, '').split('\n').map(l => l.trim()).filter(Boolean);
+    return lines.length > 0 ? lines[lines.length - 1].replace(/^✗\s*/, '') : error.message;
+};
+
+const isDeployed = (config) => Boolean(config.runtime) && config.runtime !== 'auto';
+
+// PM2 node apps and compose projects run several instances; a deployment whose
+// runtime is not known yet (never deployed) is given the benefit of the doubt
+const canScale = (config) => !isDeployed(config) || config.runtime === 'docker-compose' ||
+    (config.runtime === 'node' && config.process_manager === 'pm2');
+
+/**
+ * Start, stop or scale (input { instances, compose_service }) a deployment.
+ * The desired state is stored in its config first (desired_state, instances),
+ * so deploys, restarts and reboots keep to it, then applied by
+ * control-service.sh; a deployment that was never deployed only stores it.
+ * Resolves { config, applied }.
+ */
+const control = async (serviceName, action, input = {}) => {
+    const config = await loadConfig(serviceName);
+    let changes;
+    if (action === 'scale') {
+        const values = executor.validate({ instances: 'instances', compose_service: { type: 'serviceName', required: false } }, input);
+        if (!canScale(config)) {
+            throw new DeploymentError(`Scaling needs PM2 or Docker Compose; ${serviceName} runs ${config.runtime === 'docker' ? 'a single container' : 'under systemd'}`, 409);
+        }
+        changes = { instances: values.instances };
+        if (values.compose_service) changes.compose_service = values.compose_service;
+    } else {
+        changes = { desired_state: action === 'start' ? 'running' : 'stopped' };
+    }
+
+    const stored = await updateConfig(serviceName, (data) => {
+        Object.assign(data, changes, { updated_at: new Date().toISOString() });
+    });
+    if (!isDeployed(config)) {
+        return { config: stored, applied: false };
+    }
+    try {
+        await executor.run(`deployment.${action}`, { service: serviceName }, { timeout: CONTROL_TIMEOUT_MS });
+    } catch (error) {
+        // Later deploys would fail the same way, so a failed scale is undone
+        if (action === 'scale') {
+            await updateConfig(serviceName, (data) => {
+                for (const field of Object.keys(changes)) {
+                    if (config[field] === undefined) delete data[field];
+                    else data[field] = config[field];
+                }
+            });
+        }
+        throw new DeploymentError(`Failed to ${action} ${serviceName}: ${scriptError(error)}`, 500);
+    }
+    return { config: await loadConfig(serviceName), applied: true };
+};
+
+// Replace the webhook secret; the old one stops working immediately
+const rotateWebhookSecret = async (serviceName) => {
+    await loadConfig(serviceName);
+    const secret = crypto.randomBytes(32).toString('hex');
+    await updateConfig(serviceName, (data) => {
+        data.webhook_secret = secret;
+        data.webhook_secret_rotated_at = new Date().toISOString();
+    });
+    return secret;
+};
+
+module.exports = {
+    EDITABLE_FIELDS,
+    REDEPLOY_FIELDS,
+    DeploymentError,
+    liveProcess,
+    livePort,
+    loadConfig,
+    checkDeploymentRoute,
+    exposeDeployment,
+    updateSettings,
+    canScale,
+    control,
+    rotateWebhookSecret
+};
@@ -0,0 +1,152 @@
+/**
+ * Per-deployment environment variables
+ * Values are encrypted at rest (AES-256-GCM) with a key held on this server;
+ * variables marked secret are never returned by the API. The deploy scripts
+ * render the decrypted set at start time through env-cli.js.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { loadJsonFile, updateJsonFile } = require('./storage');
+const executor = require('./executor');
+
+// Configuration
+const ENV_DIR = '/etc/api-gateway/env';
+const KEY_FILE = '/etc/api-gateway/secrets.key';
+
+let keyPromise = null;
+
+// Load the encryption key, creating it on first use
+const getKey = () => {
+    if (!keyPromise) {
+        keyPromise = (async () => {
+            try {
+                return Buffer.from((await fs.readFile(KEY_FILE, 'utf8')).trim(), 'hex');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            await fs.mkdir(path.dirname(KEY_FILE), { recursive: true });
+            const key = crypto.randomBytes(32);
+            try {
+                await fs.writeFile(KEY_FILE, key.toString('hex'), { mode: 0o600, flag: 'wx' });
+                return key;
+            } catch (error) {
+                // Another process created it first
+                if (error.code !== 'EEXIST') throw error;
+                return Buffer.from((await fs.readFile(KEY_FILE, 'utf8')).trim(), 'hex');
+            }
+        })();
+        keyPromise.catch(() => { keyPromise = null; });
+    }
+    return keyPromise;
+};
+
+// v1:<iv>:<tag>:<ciphertext>, all base64
+const encrypt = (key, plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+const decrypt = (key, value) => {
+    const [version, iv, tag, ciphertext] = String(value).split(':');
+    if (version !== 'v1') {
+        throw new Error('Unsupported encrypted value');
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+const envFile = (serviceName) => path.join(ENV_DIR, `${serviceName}.json`);
+
+/**
+ * Variables for display: secret values are masked (value: null).
+ */
+const listVars = async (serviceName) => {
+    const data = await loadJsonFile(envFile(serviceName), { vars: {} });
+    const entries = Object.entries(data.vars || {});
+    const key = entries.some(([, v]) => !v.secret) ? await getKey() : null;
+    return entries
+        .map(([name, v]) => ({
+            name,
+            secret: Boolean(v.secret),
+            value: v.secret ? null : decrypt(key, v.value),
+            updated_at: v.updated_at || null
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Replace the variable set. Each entry is { name, value, secret }; an entry
+ * without a value keeps the stored one (so masked secrets can be sent back
+ * unchanged). Variables not listed are removed. Returns the names changed.
+ */
+const replaceVars = async (serviceName, vars) => {
+    if (!Array.isArray(vars)) {
+        throw new executor.ValidationError({ vars: 'must be an array of { name, value, secret }' });
+    }
+    const errors = {};
+    const seen = new Set();
+    vars.forEach((v, i) => {
+        const name = v && v.name;
+        try {
+            executor.validate({
+                name: 'envName',
+                value: { type: 'envValue', required: false },
+                secret: { type: 'boolean', required: false }
+            }, v || {});
+        } catch (error) {
+            Object.entries(error.errors || {}).forEach(([field, message]) => {
+                errors[`vars[${i}].${field}`] = message;
+            });
+        }
+        if (seen.has(name)) errors[`vars[${i}].name`] = 'is duplicated';
+        seen.add(name);
+    });
+    if (Object.keys(errors).length > 0) {
+        throw new executor.ValidationError(errors);
+    }
+
+    const key = await getKey();
+    const changed = [];
+    await updateJsonFile(envFile(serviceName), { vars: {} }, (data) => {
+        const previous = data.vars || {};
+        const next = {};
+        for (const v of vars) {
+            const old = previous[v.name];
+            const keep = v.value === undefined || v.value === null;
+            if (keep && !old) {
+                throw new executor.ValidationError({ [v.name]: 'needs a value' });
+            }
+            const value = keep ? decrypt(key, old.value) : v.value;
+            const secret = v.secret === undefined ? Boolean(old && old.secret) : v.secret;
+            if (old && Boolean(old.secret) === secret && decrypt(key, old.value) === value) {
+                next[v.name] = old;
+                continue;
+            }
+            next[v.name] = { value: encrypt(key, value), secret, updated_at: new Date().toISOString() };
+            changed.push(v.name);
+        }
+        Object.keys(previous).filter(name => !next[name]).forEach(name => changed.push(name));
+        return { vars: next };
+    }, { mode: 0o600 });
+    return changed;
+};
+
+// Decrypted { NAME: value } map for start-time injection
+const resolveVars = async (serviceName) => {
+    const data = await loadJsonFile(envFile(serviceName), { vars: {} });
+    const entries = Object.entries(data.vars || {});
+    if (entries.length === 0) return {};
+    const key = await getKey();
+    return Object.fromEntries(entries.map(([name, v]) => [name, decrypt(key, v.value)]));
+};
+
+module.exports = {
+    listVars,
+    replaceVars,
+    resolveVars
+};
@@ -0,0 +1,492 @@
+/**
+ * Safe command execution
+ * Every system command the servers run is declared here with a parameter schema.
+ * Parameters are validated before anything is spawned, and commands run as argv
+ * arrays (execFile/spawn) — never through a shell.
+ */
+
+const { execFile, spawn } = require('child_process');
+
+// Configuration
+const SCRIPTS_DIR = '/opt/api-gateway/scripts';
+const BIN_DIR = '/usr/local/bin';
+const DEFAULT_TIMEOUT_MS = 60000;
+const MAX_BUFFER = 10 * 1024 * 1024;
+
+class ValidationError extends Error {
+    constructor(errors) {
+        super('Invalid input');
+        this.name = 'ValidationError';
+        this.status = 400;
+        this.errors = errors;
+    }
+}
+
+// Field validators: return an error message, or null when the value is valid
+const FIELD_TYPES = {
+    serviceName: (value) => {
+        if (typeof value !== 'string' || !/^[a-zA-Z0-9][a-zA-Z0-9._-]{0,63}$/.test(value)) {
+            return 'must be 1-64 characters: letters, digits, ".", "_", "-" (not starting with a symbol)';
+        }
+        return null;
+    },
+    port: (value) => {
+        const port = Number(value);
+        if (!Number.isInteger(port) || port < 1 || port > 65535 || String(value).trim() === '') {
+            return 'must be an integer between 1 and 65535';
+        }
+        return null;
+    },
+    branch: (value) => {
+        if (typeof value !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._\/-]{0,199}$/.test(value) ||
+            value.includes('..') || value.includes('//') || /(\/|\.|\.lock)$/.test(value)) {
+            return 'must be a valid git branch name';
+        }
+        return null;
+    },
+    repoUrl: (value) => {
+        const userinfo = '(?:[A-Za-z0-9._~%-]+(?::[A-Za-z0-9._~%-]+)?@)?';
+        const hostname = '[A-Za-z0-9](?:[A-Za-z0-9.-]*[A-Za-z0-9])?';
+        const host = `${hostname}(?::\\d{1,5})?`;
+        const repoPath = '[A-Za-z0-9._~-][A-Za-z0-9._~\\/-]*';
+        const patterns = [
+            new RegExp(`^https?://${userinfo}${host}/${repoPath}$`),
+            new RegExp(`^ssh://${userinfo}${host}/${repoPath}$`),
+            new RegExp(`^[A-Za-z0-9._-]+@${hostname}:${repoPath}$`)
+        ];
+        if (typeof value !== 'string' || value.length > 500 || !patterns.some(p => p.test(value))) {
+            return 'must be an https://, ssh:// or git@host:owner/repo URL';
+        }
+        return null;
+    },
+    // Build/start commands are shell snippets by design (run by the deploy script);
+    // keep them single-line and bounded so they stay valid in the JSON config.
+    command: (value) => {
+        if (typeof value !== 'string' || value.trim() === '' || value.length > 1000 || /[\x00-\x1f\x7f]/.test(value)) {
+            return 'must be a single-line command (max 1000 characters)';
+        }
+        return null;
+    },
+    lines: (value) => {
+        const lines = Number(value);
+        if (!Number.isInteger(lines) || lines < 1 || lines > 10000) {
+            return 'must be an integer between 1 and 10000';
+        }
+        return null;
+    },
+    epochSeconds: (value) => {
+        const seconds = Number(value);
+        if (!Number.isInteger(seconds) || seconds < 0 || seconds > 4102444800) {
+            return 'must be a Unix timestamp in seconds';
+        }
+        return null;
+    },
+    byteOffset: (value) => {
+        const offset = Number(value);
+        if (!Number.isSafeInteger(offset) || offset < 0) {
+            return 'must be a non-negative integer';
+        }
+        return null;
+    },
+    // Full ref name (refs/pull/12/head); never an option or a revision expression
+    gitRef: (value) => {
+        if (typeof value !== 'string' || !/^refs\/[A-Za-z0-9._\/-]{1,200}$/.test(value) ||
+            value.includes('..') || value.includes('//') || /(\/|\.|\.lock)$/.test(value)) {
+            return 'must be a full git ref name (refs/...)';
+        }
+        return null;
+    },
+    commitSha: (value) => {
+        if (typeof value !== 'string' || !/^[0-9a-f]{7,40}$/.test(value)) {
+            return 'must be a git commit SHA (7-40 hex characters)';
+        }
+        return null;
+    },
+    envName: (value) => {
+        if (typeof value !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]{0,127}$/.test(value)) {
+            return 'must be a valid environment variable name (letters, digits, "_")';
+        }
+        return null;
+    },
+    // Single line so it stays valid in systemd/docker env files
+    envValue: (value) => {
+        if (typeof value !== 'string' || value.length > 32768 || /[\x00\r\n]/.test(value)) {
+            return 'must be a single-line string (max 32768 characters)';
+        }
+        return null;
+    },
+    // { enabled, path, expected_status, timeout_ms, interval_seconds }, all optional
+    healthCheck: (value) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return 'must be an object';
+        }
+        const problems = [];
+        const allowed = ['enabled', 'path', 'expected_status', 'timeout_ms', 'interval_seconds'];
+        Object.keys(value).filter(k => !allowed.includes(k)).forEach(k => problems.push(`unknown setting ${k}`));
+        const inRange = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+        if ('enabled' in value && typeof value.enabled !== 'boolean') problems.push('enabled must be true or false');
+        if ('path' in value && (typeof value.path !== 'string' || !/^\/[^\s]{0,199}$/.test(value.path))) problems.push('path must start with / and contain no spaces');
+        if ('expected_status' in value && value.expected_status !== null && !inRange(value.expected_status, 100, 599)) problems.push('expected_status must be 100-599 or null');
+        if ('timeout_ms' in value && !inRange(value.timeout_ms, 100, 60000)) problems.push('timeout_ms must be 100-60000');
+        if ('interval_seconds' in value && !inRange(value.interval_seconds, 5, 3600)) problems.push('interval_seconds must be 5-3600');
+        return problems.length ? problems.join('; ') : null;
+    },
+    // Gateway route fields end up verbatim in the generated nginx config
+    routePath: (value) => {
+        if (typeof value !== 'string' || !/^(\/[A-Za-z0-9._~-]+)+$/.test(value) || value.length > 200) {
+            return 'must start with / and contain only letters, digits, ".", "_", "~", "-" and "/" (no trailing slash)';
+        }
+        return null;
+    },
+    proxyTimeout: (value) => {
+        const seconds = Number(value);
+        if (!Number.isInteger(seconds) || seconds < 1 || seconds > 86400) {
+            return 'must be an integer number of seconds between 1 and 86400';
+        }
+        return null;
+    },
+    bodySize: (value) => (typeof value === 'string' && /^[0-9]{1,6}[kKmMgG]?$/.test(value)
+        ? null : 'must be a size such as 512m, 10k or 1g'),
+    routeType: (value) => (typeof value === 'string' && /^[a-z0-9][a-z0-9-]{0,31}$/.test(value)
+        ? null : 'must be 1-32 lowercase letters, digits or "-"'),
+    description: (value) => {
+        if (typeof value !== 'string' || value.length > 200 || /[\x00-\x1f\x7f]/.test(value)) {
+            return 'must be a single-line string (max 200 characters)';
+        }
+        return null;
+    },
+    processManager: (value) => (['systemd', 'pm2'].includes(value) ? null : 'must be systemd or pm2'),
+    deployStrategy: (value) => (['in_place', 'blue_green'].includes(value) ? null : 'must be in_place or blue_green'),
+    desiredState: (value) => (['running', 'stopped'].includes(value) ? null : 'must be running or stopped'),
+    slotName: (value) => (['blue', 'green'].includes(value) ? null : 'must be blue or green'),
+    // { alternate_port, drain_seconds }: green slot's port and how long the old slot keeps running
+    blueGreen: (value) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return 'must be an object';
+        }
+        const problems = [];
+        Object.keys(value).filter(k => !['alternate_port', 'drain_seconds'].includes(k)).forEach(k => problems.push(`unknown setting ${k}`));
+        if ('alternate_port' in value && (!Number.isInteger(value.alternate_port) || value.alternate_port < 1 || value.alternate_port > 65535)) problems.push('alternate_port must be 1-65535');
+        if ('drain_seconds' in value && (!Number.isInteger(value.drain_seconds) || value.drain_seconds < 0 || value.drain_seconds > 86400)) problems.push('drain_seconds must be 0-86400');
+        return problems.length ? problems.join('; ') : null;
+    },
+    // Ollama/LocalAI model name: llama3, llama3:8b, library/mistral:latest, hf.co/org/model
+    modelName: (value) => {
+        if (typeof value !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._:\/@+-]{0,199}$/.test(value) || value.includes('..')) {
+            return 'must be a model name such as llama3 or llama3:8b';
+        }
+        return null;
+    },
+    // PM2 cluster instances or docker compose replicas
+    instances: (value) => {
+        const instances = Number(value);
+        if (!Number.isInteger(instances) || instances < 1 || instances > 32 || String(value).trim() === '') {
+            return 'must be an integer between 1 and 32';
+        }
+        return null;
+    },
+    webhookProvider: (value) => (['auto', 'github', 'gitlab', 'gitea', 'bitbucket'].includes(value)
+        ? null : 'must be auto, github, gitlab, gitea or bitbucket'),
+    boolean: (value) => (typeof value === 'boolean' ? null : 'must be true or false')
+};
+
+// Values are normalised after validation (ports and counts become numbers)
+const NORMALIZERS = {
+    port: Number,
+    lines: Number,
+    epochSeconds: Number,
+    byteOffset: Number,
+    proxyTimeout: Number,
+    instances: Number
+};
+
+/**
+ * Validate input against a schema of { field: { type, required, default } }
+ * (a bare type name is shorthand for { type, required: true }).
+ * Returns the cleaned values; throws ValidationError with per-field messages.
+ */
+const validate = (schema, input = {}) => {
+    const errors = {};
+    const values = {};
+    for (const [field, spec] of Object.entries(schema)) {
+        const { type, required = true, default: defaultValue } = typeof spec === 'string' ? { type: spec } : spec;
+        let value = input[field];
+        if (value === undefined || value === null || value === '') {
+            if (defaultValue !== undefined) {
+                value = defaultValue;
+            } else if (required) {
+                errors[field] = 'is required';
+                continue;
+            } else {
+                continue;
+            }
+        }
+        const error = FIELD_TYPES[type](value);
+        if (error) {
+            errors[field] = error;
+        } else {
+            values[field] = NORMALIZERS[type] ? NORMALIZERS[type](value) : value;
+        }
+    }
+    if (Object.keys(errors).length > 0) {
+        throw new ValidationError(errors);
+    }
+    return values;
+};
+
+// Command registry: params schema + argv builder
+const COMMANDS = {
+    'systemd.is-active': {
+        params: { service: 'serviceName' },
+        argv: ({ service }) => ['systemctl', 'is-active', service]
+    },
+    'systemd.restart': {
+        params: { service: 'serviceName' },
+        argv: ({ service }) => ['systemctl', 'restart', service]
+    },
+    'systemd.start': {
+        params: { service: 'serviceName' },
+        argv: ({ service }) => ['systemctl', 'start', service]
+    },
+    'systemd.stop': {
+        params: { service: 'serviceName' },
+        argv: ({ service }) => ['systemctl', 'stop', service]
+    },
+    'systemd.show': {
+        params: { service: 'serviceName' },
+        argv: ({ service }) => ['systemctl', 'show', service, '--property=MainPID,ControlGroup,NRestarts']
+    },
+    'systemd.show-states': {
+        // services are deployment names validated by the caller, not request input
+        params: {},
+        argv: (params, { services }) => ['systemctl', 'show', '--property=Id,ActiveState', ...services.map(s => `${s}.service`)]
+    },
+    'journal.tail': {
+        params: { service: 'serviceName', lines: 'lines' },
+        argv: ({ service, lines }) => ['journalctl', '-u', service, '--no-pager', '-n', String(lines)]
+    },
+    'journal.follow': {
+        params: { service: 'serviceName', lines: 'lines' },
+        argv: ({ service, lines }) => ['journalctl', '-u', service, '-f', '-n', String(lines)]
+    },
+    'journal.search': {
+        params: { service: 'serviceName', lines: 'lines', since: 'epochSeconds', until: 'epochSeconds' },
+        argv: ({ service, lines, since, until }) => ['journalctl', '-u', service, '--no-pager', '-o', 'json',
+            '--since', `@${since}`, '--until', `@${until}`, '-n', String(lines)]
+    },
+    'pm2.list': {
+        params: {},
+        argv: () => ['pm2', 'list', '--no-color']
+    },
+    'pm2.jlist': {
+        params: {},
+        argv: () => ['pm2', 'jlist']
+    },
+    'pm2.restart': {
+        params: { service: 'serviceName' },
+        argv: ({ service }) => ['pm2', 'restart', service]
+    },
+    'pm2.logs': {
+        params: { service: 'serviceName', lines: 'lines' },
+        argv: ({ service, lines }) => ['pm2', 'logs', service, '--lines', String(lines), '--nostream']
+    },
+    'pm2.follow': {
+        params: { service: 'serviceName', lines: 'lines' },
+        argv: ({ service, lines }) => ['pm2', 'logs', service, '--raw', '--lines', String(lines)]
+    },
+    'docker.ps-names': {
+        params: {},
+        argv: () => ['docker', 'ps', '--format', '{{.Names}}']
+    },
+    'docker.start': {
+        params: { container: 'serviceName' },
+        argv: ({ container }) => ['docker', 'start', container]
+    },
+    'docker.stop': {
+        params: { container: 'serviceName' },
+        argv: ({ container }) => ['docker', 'stop', container]
+    },
+    'docker.ps-running': {
+        params: {},
+        argv: () => ['docker', 'ps', '--format', '{{.Names}}\t{{.Label "com.docker.compose.project.working_dir"}}']
+    },
+    'docker.stats': {
+        params: {},
+        argv: () => ['docker', 'stats', '--no-stream', '--format', '{{json .}}']
+    },
+    'docker.inspect-runtime': {
+        // containers are IDs/names reported by docker itself, not request input
+        params: {},
+        argv: (params, { containers }) => ['docker', 'inspect', '--format', '{{.Id}} {{.Name}} {{.RestartCount}} {{json .NetworkSettings.Ports}}', ...containers]
+    },
+    'docker.follow': {
+        params: { service: 'serviceName', lines: 'lines' },
+        argv: ({ service, lines }) => ['docker', 'logs', '-f', '--tail', String(lines), service]
+    },
+    'docker.search': {
+        params: { service: 'serviceName', lines: 'lines', since: 'epochSeconds', until: 'epochSeconds' },
+        argv: ({ service, lines, since, until }) => ['docker', 'logs', '--timestamps',
+            '--since', String(since), '--until', String(until), '--tail', String(lines), service]
+    },
+    'compose.follow': {
+        // composeFile comes from the deployment config, not from the request
+        params: { lines: 'lines' },
+        argv: ({ lines }, { composeFile }) => ['docker', 'compose', '-f', composeFile, 'logs', '-f', '--tail', String(lines)]
+    },
+    'compose.search': {
+        params: { lines: 'lines', since: 'epochSeconds', until: 'epochSeconds' },
+        argv: ({ lines, since, until }, { composeFile }) => ['docker', 'compose', '-f', composeFile, 'logs', '--no-color', '--timestamps',
+            '--since', String(since), '--until', String(until), '--tail', String(lines)]
+    },
+    'compose.ps': {
+        params: {},
+        argv: (params, { composeFile }) => ['docker', 'compose', '-f', composeFile, 'ps', '-q']
+    },
+    'ss.listening': {
+        params: {},
+        argv: () => ['ss', '-ltnpH']
+    },
+    'tail.follow': {
+        params: { lines: 'lines' },
+        argv: ({ lines }, { file }) => ['tail', '-f', '-n', String(lines), file]
+    },
+    'tail.follow-from': {
+        // follow from a byte offset (0 = start of file)
+        params: { offset: 'byteOffset' },
+        argv: ({ offset }, { file }) => ['tail', '-f', '-c', `+${offset + 1}`, file]
+    },
+    'disk.root': {
+        params: {},
+        argv: () => ['df', '-h', '/']
+    },
+    'nginx.generate': {
+        params: {},
+        argv: () => [`${BIN_DIR}/generate-nginx-config`]
+    },
+    'nginx.render': {
+        // apisFile/output are temp files created by the dashboard, not request input
+        params: {},
+        argv: (params, { apisFile, output }) => [`${BIN_DIR}/generate-nginx-config`, '--render', apisFile, output]
+    },
+    'nginx.test': {
+        params: {},
+        argv: () => ['nginx', '-t']
+    },
+    'nginx.reload': {
+        params: {},
+        argv: () => ['systemctl', 'reload', 'nginx']
+    },
+    'diff.unified': {
+        params: {},
+        argv: (params, { from, to }) => ['diff', '-u', '--label', 'live', '--label', 'candidate', from, to]
+    },
+    'fluentbit.generate': {
+        params: {},
+        argv: () => [`${BIN_DIR}/generate-fluentbit-config`]
+    },
+    'deployment.add': {
+        params: {
+            service_name: 'serviceName',
+            github_repo: 'repoUrl',
+            branch: 'branch',
+            port: 'port',
+            build_command: 'command',
+            start_command: 'command'
+        },
+        argv: (p) => ['/bin/bash', `${SCRIPTS_DIR}/add-deployment.sh`, p.service_name, p.github_repo, p.branch, String(p.port), p.build_command, p.start_command]
+    },
+    'deployment.remove': {
+        params: { service: 'serviceName' },
+        argv: ({ service }) => ['/bin/bash', `${SCRIPTS_DIR}/remove-service.sh`, service]
+    },
+    'deployment.restart': {
+        params: { service: 'serviceName' },
+        argv: ({ service }) => ['/bin/bash', `${SCRIPTS_DIR}/restart-service.sh`, service]
+    },
+    'deployment.start': {
+        params: { service: 'serviceName' },
+        argv: ({ service }) => ['/bin/bash', `${SCRIPTS_DIR}/control-service.sh`, service, 'start']
+    },
+    'deployment.stop': {
+        params: { service: 'serviceName' },
+        argv: ({ service }) => ['/bin/bash', `${SCRIPTS_DIR}/control-service.sh`, service, 'stop']
+    },
+    'deployment.scale': {
+        // the instance count is read from the deployment config
+        params: { service: 'serviceName' },
+        argv: ({ service }) => ['/bin/bash', `${SCRIPTS_DIR}/control-service.sh`, service, 'scale']
+    },
+    'slot.start': {
+        params: { service: 'serviceName', slot: 'slotName' },
+        argv: ({ service, slot }) => ['/bin/bash', `${SCRIPTS_DIR}/slot-service.sh`, service, slot, 'start']
+    },
+    'slot.stop': {
+        params: { service: 'serviceName', slot: 'slotName' },
+        argv: ({ service, slot }) => ['/bin/bash', `${SCRIPTS_DIR}/slot-service.sh`, service, slot, 'stop']
+    },
+    'deployment.deploy': {
+        params: { service: 'serviceName' },
+        argv: ({ service }) => ['/bin/bash', `${SCRIPTS_DIR}/deploy-service.sh`, service]
+    }
+};
+
+const resolve = (name, params, context = {}) => {
+    const command = COMMANDS[name];
+    if (!command) {
+        throw new Error(`Unknown command: ${name}`);
+    }
+    const values = validate(command.params, params);
+    const argv = command.argv(values, context);
+    return { file: argv[0], args: argv.slice(1) };
+};
+
+/**
+ * Run a registered command and collect its output.
+ * Resolves { stdout, stderr }; rejects with an Error carrying stdout/stderr/code.
+ */
+const run = (name, params = {}, options = {}) => {
+    const { context, ...execOptions } = options;
+    let file, args;
+    try {
+        ({ file, args } = resolve(name, params, context));
+    } catch (error) {
+        return Promise.reject(error);
+    }
+    return new Promise((resolvePromise, reject) => {
+        execFile(file, args, { timeout: DEFAULT_TIMEOUT_MS, maxBuffer: MAX_BUFFER, ...execOptions }, (error, stdout, stderr) => {
+            if (error) {
+                const failure = new Error((stderr && stderr.trim()) || error.message);
+                failure.code = error.code;
+                failure.stdout = stdout;
+                failure.stderr = stderr;
+                reject(failure);
+            } else {
+                resolvePromise({ stdout, stderr });
+            }
+        });
+    });
+};
+
+// Spawn a registered command for streaming (e.g. log follow); caller owns the child
+const spawnCommand = (name, params = {}, options = {}) => {
+    const { context, ...spawnOptions } = options;
+    const { file, args } = resolve(name, params, context);
+    return spawn(file, args, { stdio: ['ignore', 'pipe', 'pipe'], ...spawnOptions });
+};
+
+// Start a registered command detached from this process; returns its PID
+const runDetached = (name, params = {}, options = {}) => {
+    const { context, ...spawnOptions } = options;
+    const { file, args } = resolve(name, params, context);
+    const child = spawn(file, args, { detached: true, stdio: 'ignore', ...spawnOptions });
+    child.unref();
+    return child.pid;
+};
+
+module.exports = {
+    ValidationError,
+    validate,
+    run,
+    spawnCommand,
+    runDetached
+};
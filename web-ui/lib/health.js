@@ -0,0 +1,161 @@
+/**
+ * HTTP health probes
+ * Probes each deployed service on localhost:<port> at its configured interval
+ * and keeps a rolling on-disk history of results for uptime and latency.
+ * The deploy script runs the same check (path, expected status) before it
+ * marks a deploy as running.
+ */
+
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const { loadJsonFile, updateJsonFile } = require('./storage');
+const { livePort } = require('./deployments');
+
+// Configuration
+const DEPLOY_CONFIG_DIR = '/etc/api-gateway/deployments';
+const DEPLOY_STATUS_FILE = '/var/lib/api-gateway/deployment-status.json';
+const HEALTH_DIR = '/var/lib/api-gateway/health';
+const TICK_MS = 5000;
+const MAX_SAMPLES = 2880; // 24h at the default interval
+const RANGES = { '1h': 3600e3, '6h': 6 * 3600e3, '24h': 24 * 3600e3 };
+
+// expected_status null: any response below 500 counts as healthy
+const DEFAULT_HEALTH_CHECK = {
+    enabled: true,
+    path: '/',
+    expected_status: null,
+    timeout_ms: 3000,
+    interval_seconds: 30
+};
+
+// Deploy states in which the service is expected to be serving
+const PROBED_STATES = ['running', 'failed'];
+
+const latest = new Map();
+const inFlight = new Set();
+let proberTimer = null;
+
+const healthCheckConfig = (config) => ({ ...DEFAULT_HEALTH_CHECK, ...(config.health_check || {}) });
+
+const healthFile = (serviceName) => path.join(HEALTH_DIR, `${serviceName}.json`);
+
+const isHealthyStatus = (check, status) =>
+    (check.expected_status ? status === check.expected_status : status < 500);
+
+// One probe; resolves a sample { t, ok, status, latency_ms, error }
+const probe = (port, check) => new Promise((resolve) => {
+    const started = Date.now();
+    const sample = (fields) => resolve({ t: new Date().toISOString(), latency_ms: Date.now() - started, status: null, error: null, ...fields });
+    const req = http.get({ host: '127.0.0.1', port, path: check.path, timeout: check.timeout_ms }, (res) => {
+        res.resume();
+        const ok = isHealthyStatus(check, res.statusCode);
+        sample({ ok, status: res.statusCode, error: ok ? null : `unexpected status ${res.statusCode}` });
+    });
+    req.on('timeout', () => req.destroy(new Error(`timed out after ${check.timeout_ms}ms`)));
+    req.on('error', (error) => sample({ ok: false, error: error.message }));
+});
+
+const uptime = (samples, windowMs, now = Date.now()) => {
+    const inWindow = samples.filter(s => now - Date.parse(s.t) <= windowMs);
+    if (inWindow.length === 0) return null;
+    return Math.round((inWindow.filter(s => s.ok).length / inWindow.length) * 10000) / 100;
+};
+
+const summarize = (samples) => {
+    const last = samples[samples.length - 1] || null;
+    return {
+        ok: last ? last.ok : null,
+        status: last ? last.status : null,
+        latency_ms: last ? last.latency_ms : null,
+        error: last ? last.error : null,
+        checked_at: last ? last.t : null,
+        uptime_24h: uptime(samples, RANGES['24h'])
+    };
+};
+
+const recordSample = async (serviceName, sample) => {
+    const data = await updateJsonFile(healthFile(serviceName), { samples: [] }, (d) => {
+        d.samples = (d.samples || []).concat(sample).slice(-MAX_SAMPLES);
+    });
+    latest.set(serviceName, summarize(data.samples));
+};
+
+const probeService = async (serviceName, config) => {
+    inFlight.add(serviceName);
+    try {
+        const sample = await probe(livePort(config), healthCheckConfig(config));
+        await recordSample(serviceName, sample);
+    } finally {
+        inFlight.delete(serviceName);
+    }
+};
+
+// Probe every deployed service whose interval has elapsed
+const tick = async () => {
+    const statusData = await loadJsonFile(DEPLOY_STATUS_FILE, { deployments: {} });
+    const configFiles = await fs.readdir(DEPLOY_CONFIG_DIR).catch(() => []);
+    for (const configFile of configFiles.filter(f => f.endsWith('.json'))) {
+        const serviceName = configFile.replace('.json', '');
+        const config = await loadJsonFile(path.join(DEPLOY_CONFIG_DIR, configFile), null);
+        const status = ((statusData.deployments || {})[serviceName] || {}).status;
+        const check = config ? healthCheckConfig(config) : null;
+        if (!check || !check.enabled || !config.port || !PROBED_STATES.includes(status) || inFlight.has(serviceName)) {
+            continue;
+        }
+        const last = latest.get(serviceName);
+        if (last && last.checked_at && Date.now() - Date.parse(last.checked_at) < check.interval_seconds * 1000 - TICK_MS / 2) {
+            continue;
+        }
+        probeService(serviceName, config).catch(error => console.error(`Health probe error (${serviceName}):`, error.message));
+    }
+};
+
+const startProber = async () => {
+    if (proberTimer) return;
+    // Seed the in-memory summaries from disk so intervals survive restarts
+    const files = await fs.readdir(HEALTH_DIR).catch(() => []);
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+        const data = await loadJsonFile(path.join(HEALTH_DIR, file), { samples: [] });
+        latest.set(file.replace('.json', ''), summarize(data.samples || []));
+    }
+    const run = () => tick().catch(error => console.error('Health prober error:', error.message));
+    run();
+    proberTimer = setInterval(run, TICK_MS);
+    proberTimer.unref();
+};
+
+// Latest result + 24h uptime (from memory; null before the first probe)
+const getSummary = (serviceName) => latest.get(serviceName) || null;
+
+/**
+ * Full health report for one service: check settings, current state,
+ * uptime per window and the samples within `range` (1h, 6h, 24h).
+ */
+const getHealth = async (serviceName, config, range = '1h') => {
+    const data = await loadJsonFile(healthFile(serviceName), { samples: [] });
+    const samples = data.samples || [];
+    const windowMs = RANGES[range] || RANGES['1h'];
+    const now = Date.now();
+    const inRange = samples.filter(s => now - Date.parse(s.t) <= windowMs);
+    const latencies = inRange.filter(s => s.ok).map(s => s.latency_ms);
+    return {
+        check: healthCheckConfig(config),
+        current: summarize(samples),
+        uptime: Object.fromEntries(Object.entries(RANGES).map(([name, ms]) => [name, uptime(samples, ms, now)])),
+        avg_latency_ms: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+        range: RANGES[range] ? range : '1h',
+        samples: inRange
+    };
+};
+
+// One check of a port against the deployment's health check settings (slot swaps)
+const checkPort = (config, port) => probe(port, healthCheckConfig(config));
+
+module.exports = {
+    DEFAULT_HEALTH_CHECK,
+    checkPort,
+    startProber,
+    getSummary,
+    getHealth
+};
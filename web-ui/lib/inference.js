@@ -0,0 +1,316 @@
+/**
+ * Inference backends
+ * OpenAI-compatible chat completions and model listing in front of the
+ * registered AI services (see ai.js). Ollama requests are translated to its
+ * native /api/chat, which reports exact token counts; LocalAI and vLLM already
+ * speak the OpenAI API and are passed through. Every call resolves the token
+ * usage for accounting, estimated where a backend does not report it.
+ */
+
+const crypto = require('crypto');
+const ai = require('./ai');
+
+// Configuration
+const MODELS_CACHE_MS = 10000;
+// Waiting for the first byte includes loading the model into memory
+const FIRST_BYTE_TIMEOUT_MS = 300000;
+const CHARS_PER_TOKEN = 4;
+
+// OpenAI request fields and the Ollama options they map to
+const OLLAMA_OPTIONS = {
+    temperature: 'temperature',
+    top_p: 'top_p',
+    max_tokens: 'num_predict',
+    max_completion_tokens: 'num_predict',
+    seed: 'seed',
+    presence_penalty: 'presence_penalty',
+    frequency_penalty: 'frequency_penalty',
+    stop: 'stop'
+};
+
+const ROLES = ['system', 'user', 'assistant', 'tool'];
+
+// Errors carry the OpenAI error `type` and `code` next to the HTTP status
+class InferenceError extends Error {
+    constructor(message, status = 400, { type = 'invalid_request_error', code = null } = {}) {
+        super(message);
+        this.name = 'InferenceError';
+        this.status = status;
+        this.type = type;
+        this.code = code;
+    }
+}
+
+let modelsCache = { at: 0, entries: [] };
+
+const backendError = (error) => (error instanceof InferenceError ? error
+    : new InferenceError(error.message, 502, { type: 'server_error', code: 'backend_error' }));
+
+const serviceModels = async (service) => {
+    if (service.manageable) return (await ai.listModels(service.name)).models;
+    // Other OpenAI-compatible servers (vLLM) list the model they serve
+    const res = await ai.request(service, { path: '/v1/models' });
+    const data = JSON.parse(await ai.readBody(res));
+    if (res.statusCode !== 200) throw new Error(`HTTP ${res.statusCode}`);
+    return (data.data || []).map(model => ({
+        name: model.id,
+        modified_at: model.created ? new Date(model.created * 1000).toISOString() : null
+    }));
+};
+
+/**
+ * Models of all enabled AI services: [{ id, service, model, created,
+ * owned_by }]. Services that cannot be reached are left out.
+ */
+const listModels = async ({ fresh = false } = {}) => {
+    if (!fresh && Date.now() - modelsCache.at < MODELS_CACHE_MS) return modelsCache.entries;
+    const services = (await ai.listServices()).filter(s => s.enabled !== false);
+    const lists = await Promise.all(services.map(service => serviceModels(service)
+        .then(models => models.map(model => ({ service, model })))
+        .catch(() => [])));
+    const entries = lists.flat().map(({ service, model }) => ({
+        id: model.name,
+        service,
+        model: model.name,
+        created: model.modified_at ? Math.floor(Date.parse(model.modified_at) / 1000) : 0,
+        owned_by: service.name
+    }));
+    modelsCache = { at: Date.now(), entries };
+    return entries;
+};
+
+/**
+ * The backend for a requested model: `<model>` (first service that has it) or
+ * `<service>/<model>`. Resolves { service, model }.
+ */
+const resolveModel = async (id) => {
+    const find = (entries) => {
+        const slash = id.indexOf('/');
+        const prefixed = slash > 0 && entries.find(e => e.service.name === id.slice(0, slash) && e.model === id.slice(slash + 1));
+        return prefixed || entries.find(e => e.model === id);
+    };
+    // A model pulled a moment ago is not in the cached list yet
+    const entry = find(await listModels()) || find(await listModels({ fresh: true }));
+    if (!entry) throw new InferenceError(`The model '${id}' does not exist`, 404, { code: 'model_not_found' });
+    return { service: entry.service, model: entry.model };
+};
+
+const textContent = (content) => (Array.isArray(content)
+    ? content.filter(part => part && part.type === 'text').map(part => part.text).join('\n')
+    : String(content ?? ''));
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+
+const estimatePrompt = (messages) => messages.reduce((sum, m) => sum + estimateTokens(textContent(m.content)), 0);
+
+// Reject requests no backend can serve before they count against limits
+const validateChatRequest = (body) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new InferenceError('The request body must be a JSON object');
+    }
+    if (typeof body.model !== 'string' || !body.model) {
+        throw new InferenceError('you must provide a model parameter');
+    }
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+        throw new InferenceError('messages must be a non-empty array');
+    }
+    const invalid = body.messages.findIndex(m => !m || typeof m !== 'object' || !ROLES.includes(m.role));
+    if (invalid !== -1) {
+        throw new InferenceError(`messages[${invalid}].role must be one of ${ROLES.join(', ')}`);
+    }
+};
+
+const completionId = () => `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+
+const finishReason = (doneReason) => (doneReason === 'length' ? 'length' : 'stop');
+
+const usageOf = (promptTokens, completionTokens) => ({
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+});
+
+const ollamaBody = (model, body) => {
+    const options = {};
+    for (const [field, option] of Object.entries(OLLAMA_OPTIONS)) {
+        if (body[field] === undefined || body[field] === null) continue;
+        options[option] = field === 'stop' && !Array.isArray(body.stop) ? [body.stop] : body[field];
+    }
+    return {
+        model,
+        messages: body.messages.map(m => ({ role: m.role, content: textContent(m.content) })),
+        stream: Boolean(body.stream),
+        options,
+        ...(body.response_format && body.response_format.type === 'json_object' ? { format: 'json' } : {})
+    };
+};
+
+// Backend request; rejects with the backend's error message on non-2xx responses
+const send = async (target, apiPath, payload) => {
+    let res;
+    try {
+        res = await ai.request(target.service, { method: 'POST', path: apiPath, body: payload, timeout: FIRST_BYTE_TIMEOUT_MS });
+    } catch (error) {
+        throw new InferenceError(error.message, 502, { type: 'server_error', code: 'backend_unavailable' });
+    }
+    if (res.statusCode >= 200 && res.statusCode < 300) return res;
+    const text = await ai.readBody(res);
+    let message = text.trim() || `HTTP ${res.statusCode}`;
+    try {
+        const data = JSON.parse(text);
+        message = (data.error && (data.error.message || data.error)) || message;
+    } catch {}
+    throw new InferenceError(`${target.service.name}: ${message}`, res.statusCode === 404 ? 404 : 502,
+        { type: res.statusCode === 404 ? 'invalid_request_error' : 'server_error', code: 'backend_error' });
+};
+
+// Split a response stream into lines
+async function* lines(res) {
+    let buffer = '';
+    res.setEncoding('utf8');
+    for await (const chunk of res) {
+        buffer += chunk;
+        const parts = buffer.split('\n');
+        buffer = parts.pop();
+        yield* parts;
+    }
+    if (buffer) yield buffer;
+}
+
+const startEventStream = (res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+};
+
+const writeEvent = (res, data) => {
+    if (!res.writableEnded) res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Non-streaming chat completion. Resolves { completion, usage } with an
+ * OpenAI chat.completion object.
+ */
+const complete = async (target, body, { model: requested }) => {
+    try {
+        if (target.service.name === 'ollama') {
+            const res = await send(target, '/api/chat', ollamaBody(target.model, { ...body, stream: false }));
+            const data = JSON.parse(await ai.readBody(res));
+            const usage = usageOf(data.prompt_eval_count || 0, data.eval_count || 0);
+            return {
+                completion: {
+                    id: completionId(),
+                    object: 'chat.completion',
+                    created: Math.floor(Date.now() / 1000),
+                    model: requested,
+                    choices: [{
+                        index: 0,
+                        message: { role: 'assistant', content: (data.message || {}).content || '' },
+                        finish_reason: finishReason(data.done_reason)
+                    }],
+                    usage
+                },
+                usage: { ...usage, estimated: false }
+            };
+        }
+        const res = await send(target, '/v1/chat/completions', { ...body, model: target.model, stream: false });
+        const completion = JSON.parse(await ai.readBody(res));
+        const reported = completion.usage;
+        const content = ((completion.choices || [])[0] || {}).message || {};
+        const usage = reported && reported.completion_tokens !== undefined
+            ? usageOf(reported.prompt_tokens || 0, reported.completion_tokens || 0)
+            : usageOf(estimatePrompt(body.messages), estimateTokens(textContent(content.content)));
+        return { completion: { ...completion, model: requested, usage }, usage: { ...usage, estimated: !reported } };
+    } catch (error) {
+        throw backendError(error);
+    }
+};
+
+/**
+ * Streaming chat completion as OpenAI chat.completion.chunk server-sent
+ * events, ending with `data: [DONE]`. Stops the backend when the client goes
+ * away. Resolves the usage; an error after the stream started is rejected
+ * with `usage` set to what was used until then.
+ */
+const stream = async (target, body, res, { model: requested }) => {
+    const id = completionId();
+    const created = Math.floor(Date.now() / 1000);
+    const chunk = (delta, finish = null) => ({
+        id, object: 'chat.completion.chunk', created, model: requested,
+        choices: [{ index: 0, delta, finish_reason: finish }]
+    });
+    const includeUsage = Boolean(body.stream_options && body.stream_options.include_usage);
+    let upstream = null;
+    let text = '';
+    let usage = null;
+    const onClose = () => upstream && upstream.destroy();
+    res.on('close', onClose);
+    try {
+        if (target.service.name === 'ollama') {
+            upstream = await send(target, '/api/chat', ollamaBody(target.model, { ...body, stream: true }));
+            startEventStream(res);
+            writeEvent(res, chunk({ role: 'assistant', content: '' }));
+            for await (const line of lines(upstream)) {
+                if (!line.trim()) continue;
+                const event = JSON.parse(line);
+                if (event.error) throw new InferenceError(event.error, 502, { type: 'server_error', code: 'backend_error' });
+                const content = (event.message || {}).content || '';
+                if (content) {
+                    text += content;
+                    writeEvent(res, chunk({ content }));
+                }
+                if (event.done) {
+                    usage = usageOf(event.prompt_eval_count || 0, event.eval_count || 0);
+                    writeEvent(res, chunk({}, finishReason(event.done_reason)));
+                }
+            }
+            if (!usage) throw new InferenceError('The backend closed the stream early', 502, { type: 'server_error', code: 'backend_error' });
+            if (includeUsage) writeEvent(res, { id, object: 'chat.completion.chunk', created, model: requested, choices: [], usage });
+            writeEvent(res, '[DONE]');
+        } else {
+            upstream = await send(target, '/v1/chat/completions', { ...body, model: target.model, stream: true });
+            startEventStream(res);
+            for await (const line of lines(upstream)) {
+                if (!line.startsWith('data:')) continue;
+                const data = line.slice(5).trim();
+                if (data === '[DONE]') {
+                    writeEvent(res, '[DONE]');
+                    continue;
+                }
+                let event;
+                try {
+                    event = JSON.parse(data);
+                } catch {
+                    continue;
+                }
+                if (event.usage && event.usage.completion_tokens !== undefined) {
+                    usage = usageOf(event.usage.prompt_tokens || 0, event.usage.completion_tokens || 0);
+                }
+                text += (((event.choices || [])[0] || {}).delta || {}).content || '';
+                writeEvent(res, { ...event, model: requested });
+            }
+        }
+        res.end();
+        return usage
+            ? { ...usage, estimated: false }
+            : { ...usageOf(estimatePrompt(body.messages), estimateTokens(text)), estimated: true };
+    } catch (error) {
+        const failed = backendError(error);
+        failed.usage = usage || usageOf(estimatePrompt(body.messages), estimateTokens(text));
+        throw failed;
+    } finally {
+        res.removeListener('close', onClose);
+    }
+};
+
+module.exports = {
+    InferenceError,
+    listModels,
+    resolveModel,
+    validateChatRequest,
+    complete,
+    stream
+};
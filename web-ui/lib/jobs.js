@@ -0,0 +1,294 @@
+/**
+ * Deployment job queue
+ * Persistent queue shared by the dashboard and webhook servers. Enforces one
+ * active deploy per service and a global concurrency limit; a newer request for
+ * a service replaces its still-queued one. State lives in JOBS_FILE and is only
+ * modified under a cross-process file lock.
+ */
+
+const crypto = require('crypto');
+const { loadJsonFile, saveJsonFile, updateJsonFile, withFileLock } = require('./storage');
+const executor = require('./executor');
+
+// Configuration
+const JOBS_FILE = '/var/lib/api-gateway/jobs.json';
+const DEPLOY_STATUS_FILE = '/var/lib/api-gateway/deployment-status.json';
+const MAX_CONCURRENT_DEPLOYS = Math.max(parseInt(process.env.MAX_CONCURRENT_DEPLOYS, 10) || 2, 1);
+const SCHEDULER_INTERVAL_MS = 5000;
+const CANCEL_GRACE_MS = 10000;
+const MAX_FINISHED_JOBS = 200;
+
+const ACTIVE_STATES = ['queued', 'running'];
+
+// Deploy duration histogram buckets (seconds)
+const DURATION_BUCKETS = [10, 30, 60, 120, 300, 600, 1200, 1800, 3600];
+
+class JobError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'JobError';
+        this.status = status;
+    }
+}
+
+// Children started by this process, by job id (for exit tracking)
+const children = new Map();
+let schedulerTimer = null;
+
+const now = () => new Date().toISOString();
+
+const isProcessAlive = (pid) => {
+    if (!pid) return false;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+};
+
+// Read-modify-write the job list under the shared lock
+const withJobs = (fn) => withFileLock(JOBS_FILE, async () => {
+    const data = await loadJsonFile(JOBS_FILE, { jobs: [] });
+    data.jobs = data.jobs || [];
+    const active = new Set(data.jobs.filter(j => ACTIVE_STATES.includes(j.status)).map(j => j.id));
+    const result = await fn(data.jobs);
+    data.stats = recordFinished(data.stats, data.jobs.filter(j => active.has(j.id) && !ACTIVE_STATES.includes(j.status)));
+    data.jobs = pruneFinished(data.jobs);
+    await saveJsonFile(JOBS_FILE, data);
+    return result;
+});
+
+/**
+ * Fold newly finished jobs into the lifetime totals kept next to the queue
+ * (finished jobs are pruned, the totals are not):
+ * { outcomes: { service: { status: count } },
+ *   durations: { service: { buckets: [count per DURATION_BUCKETS], sum, count } } }
+ */
+const recordFinished = (stats, finished) => {
+    const result = { outcomes: {}, durations: {}, ...stats };
+    for (const job of finished) {
+        const outcomes = result.outcomes[job.service] = result.outcomes[job.service] || {};
+        outcomes[job.status] = (outcomes[job.status] || 0) + 1;
+        if (typeof job.duration_ms !== 'number') continue;
+        const seconds = job.duration_ms / 1000;
+        const histogram = result.durations[job.service] = result.durations[job.service] ||
+            { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+        DURATION_BUCKETS.forEach((le, i) => {
+            if (seconds <= le) histogram.buckets[i]++;
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+    }
+    return result;
+};
+
+// Keep all active jobs plus the most recent finished ones
+const pruneFinished = (jobs) => {
+    const finished = jobs.filter(j => !ACTIVE_STATES.includes(j.status));
+    if (finished.length <= MAX_FINISHED_JOBS) return jobs;
+    const drop = new Set(finished
+        .sort((a, b) => String(a.finished_at).localeCompare(String(b.finished_at)))
+        .slice(0, finished.length - MAX_FINISHED_JOBS)
+        .map(j => j.id));
+    return jobs.filter(j => !drop.has(j.id));
+};
+
+const setDeploymentStatus = (serviceName, status, message) =>
+    updateJsonFile(DEPLOY_STATUS_FILE, { deployments: {} }, (data) => {
+        data.deployments = data.deployments || {};
+        const previous = data.deployments[serviceName] || {};
+        data.deployments[serviceName] = {
+            ...previous,
+            status,
+            message,
+            last_updated: now(),
+            last_deployment: previous.last_deployment || null
+        };
+    });
+
+const finishJob = (job, status, extra = {}) => {
+    Object.assign(job, { status, finished_at: now() }, extra);
+    if (job.started_at) {
+        job.duration_ms = Date.parse(job.finished_at) - Date.parse(job.started_at);
+    }
+};
+
+/**
+ * Queue a deploy for a service. Returns the new job.
+ * options: { trigger: 'dashboard'|'webhook'|'rollback'|'manifest'|'cli', requested_by, meta,
+ *            commit (deploy this exact SHA instead of the branch head) }
+ */
+const enqueue = async (serviceName, options = {}) => {
+    executor.validate(
+        { service: 'serviceName', commit: { type: 'commitSha', required: false } },
+        { service: serviceName, commit: options.commit }
+    );
+    const job = {
+        id: crypto.randomBytes(8).toString('hex'),
+        service: serviceName,
+        status: 'queued',
+        trigger: options.trigger || 'dashboard',
+        requested_by: options.requested_by || null,
+        meta: options.meta || {},
+        commit: options.commit || null,
+        created_at: now(),
+        started_at: null,
+        finished_at: null,
+        pid: null,
+        exit_code: null
+    };
+    await withJobs((jobs) => {
+        jobs.filter(j => j.service === serviceName && j.status === 'queued').forEach(j => {
+            finishJob(j, 'superseded', { superseded_by: job.id });
+        });
+        jobs.push(job);
+    });
+    schedule().catch(error => console.error('Job scheduler error:', error.message));
+    return job;
+};
+
+const getJob = async (id) => {
+    const data = await loadJsonFile(JOBS_FILE, { jobs: [] });
+    return (data.jobs || []).find(j => j.id === id) || null;
+};
+
+// Lifetime deploy outcome and duration totals (see recordFinished)
+const getStats = async () => {
+    const data = await loadJsonFile(JOBS_FILE, { jobs: [] });
+    return { bucketBounds: DURATION_BUCKETS, ...recordFinished(data.stats, []) };
+};
+
+const listJobs = async (filter = {}) => {
+    const data = await loadJsonFile(JOBS_FILE, { jobs: [] });
+    return (data.jobs || [])
+        .filter(j => !filter.service || j.service === filter.service)
+        .filter(j => !filter.status || j.status === filter.status)
+        .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+};
+
+// Called when a child started by this process exits
+const onChildExit = (jobId, code, signal) => {
+    children.delete(jobId);
+    withJobs((jobs) => {
+        const job = jobs.find(j => j.id === jobId);
+        if (!job || job.status !== 'running') return;
+        if (code === 0) {
+            finishJob(job, 'succeeded', { exit_code: 0 });
+        } else {
+            finishJob(job, 'failed', { exit_code: code, signal: signal || null });
+        }
+    })
+        .then(() => schedule())
+        .catch(error => console.error('Job scheduler error:', error.message));
+};
+
+const startJob = (job) => {
+    const child = executor.spawnCommand('deployment.deploy', { service: job.service }, {
+        detached: true, // own process group, so cancel can signal the whole deploy
+        stdio: 'ignore',
+        env: {
+            ...process.env,
+            DEPLOY_JOB_ID: job.id,
+            DEPLOY_TRIGGER: job.trigger,
+            DEPLOY_COMMIT: job.commit || ''
+        }
+    });
+    child.on('error', () => onChildExit(job.id, -1, null));
+    child.on('exit', (code, signal) => onChildExit(job.id, code, signal));
+    child.unref();
+    children.set(job.id, child);
+    Object.assign(job, { status: 'running', started_at: now(), pid: child.pid, runner_pid: process.pid });
+};
+
+// Outcome of a deploy whose runner went away: trust the status the script wrote
+const reapOrphan = async (job) => {
+    const statusData = await loadJsonFile(DEPLOY_STATUS_FILE, { deployments: {} });
+    const status = (statusData.deployments || {})[job.service]?.status;
+    finishJob(job, status === 'running' ? 'succeeded' : 'failed', { exit_code: null, orphaned: true });
+};
+
+/**
+ * Reap finished orphans, then start queued jobs while respecting the
+ * per-service and global concurrency limits.
+ */
+const schedule = () => withJobs(async (jobs) => {
+    for (const job of jobs.filter(j => j.status === 'running')) {
+        if (!children.has(job.id) && !isProcessAlive(job.pid)) {
+            await reapOrphan(job);
+        }
+    }
+    let running = jobs.filter(j => j.status === 'running').length;
+    const busy = new Set(jobs.filter(j => j.status === 'running').map(j => j.service));
+    const queued = jobs
+        .filter(j => j.status === 'queued')
+        .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+    for (const job of queued) {
+        if (running >= MAX_CONCURRENT_DEPLOYS) break;
+        if (busy.has(job.service)) continue;
+        try {
+            startJob(job);
+            running++;
+            busy.add(job.service);
+        } catch (error) {
+            finishJob(job, 'failed', { error: error.message });
+        }
+    }
+});
+
+/**
+ * Cancel a queued or running job. Running deploys get SIGTERM on their
+ * process group, then SIGKILL after CANCEL_GRACE_MS.
+ */
+const cancel = async (id, cancelledBy = null) => {
+    let cancelled;
+    await withJobs((jobs) => {
+        const job = jobs.find(j => j.id === id);
+        if (!job) throw new JobError('Job not found', 404);
+        if (!ACTIVE_STATES.includes(job.status)) {
+            throw new JobError(`Job is already ${job.status}`, 409);
+        }
+        if (job.status === 'running' && job.pid) {
+            const pid = job.pid;
+            try {
+                process.kill(-pid, 'SIGTERM');
+            } catch {
+                // already gone
+            }
+            setTimeout(() => {
+                try {
+                    process.kill(-pid, 'SIGKILL');
+                } catch {
+                    // exited after SIGTERM
+                }
+            }, CANCEL_GRACE_MS).unref();
+        }
+        const wasRunning = job.status === 'running';
+        finishJob(job, 'cancelled', { cancelled_by: cancelledBy });
+        cancelled = { job, wasRunning };
+    });
+    if (cancelled.wasRunning) {
+        await setDeploymentStatus(cancelled.job.service, 'cancelled', `Deployment cancelled (job ${id})`);
+    }
+    schedule().catch(error => console.error('Job scheduler error:', error.message));
+    return cancelled.job;
+};
+
+// Periodic pass picks up jobs queued by the other server and orphaned deploys
+const startScheduler = () => {
+    if (schedulerTimer) return;
+    const tick = () => schedule().catch(error => console.error('Job scheduler error:', error.message));
+    tick();
+    schedulerTimer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+    schedulerTimer.unref();
+};
+
+module.exports = {
+    JobError,
+    enqueue,
+    getJob,
+    listJobs,
+    getStats,
+    cancel,
+    startScheduler
+};
@@ -0,0 +1,345 @@
+/**
+ * Log search
+ * Searches a service's logs over a time range with the backend that matches its
+ * runtime: journald (systemd), PM2 log files, `docker logs` / `docker compose logs`,
+ * or the deploy logs under /var/log/api-gateway/deployments. Lines are filtered by
+ * minimum level and substring or regex, and returned newest first, paginated.
+ * Regex patterns run in a worker thread with a time limit, so a pattern that
+ * backtracks catastrophically cannot stall the dashboard.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const executor = require('./executor');
+const { liveProcess } = require('./deployments');
+
+// Configuration
+const DEPLOY_LOG_DIR = '/var/log/api-gateway/deployments';
+const PM2_LOG_DIR = path.join(process.env.PM2_HOME || path.join(os.homedir(), '.pm2'), 'logs');
+const MAX_SCAN_LINES = 10000; // per command / per file; results are flagged truncated past this
+const MAX_FILE_BYTES = 8 * 1024 * 1024; // only the tail of larger files is read
+const MAX_MATCH_LENGTH = 4000; // characters of each line the pattern is tested against
+const REGEX_TIMEOUT_MS = 2000; // per search; the worker is terminated past this
+const DEFAULT_RANGE_MS = 24 * 3600e3;
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+const MAX_DOWNLOAD_LINES = 50000;
+const COMMAND_MAX_BUFFER = 64 * 1024 * 1024;
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const SOURCES = ['service', 'deploy'];
+const RELATIVE_UNITS = { m: 60e3, h: 3600e3, d: 24 * 3600e3 };
+
+// journald PRIORITY (syslog severity) to level
+const PRIORITY_LEVELS = ['error', 'error', 'error', 'error', 'warn', 'info', 'info', 'debug'];
+
+// Leading timestamp as written by docker --timestamps, PM2 log_date_format and most loggers
+const TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?):?\s?/;
+
+// Level of an untyped line, from the words it contains
+const guessLevel = (message) => {
+    if (/\b(error|err|fatal|panic|exception|critical)\b/i.test(message)) return 'error';
+    if (/\bwarn(ing)?\b/i.test(message)) return 'warn';
+    if (/\bdebug\b/i.test(message)) return 'debug';
+    return 'info';
+};
+
+// "2024-05-01T10:00:00Z", epoch milliseconds, or relative to now ("15m", "2h", "7d")
+const parseTime = (value, now) => {
+    const relative = /^(\d{1,4})([mhd])$/.exec(value);
+    if (relative) return now - Number(relative[1]) * RELATIVE_UNITS[relative[2]];
+    if (/^\d{10,13}$/.test(value)) return Number(value.length === 10 ? value * 1000 : value);
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Validate query-string parameters: since, until, level, q, regex, source,
+ * offset, limit. Throws ValidationError with per-field messages.
+ */
+const parseQuery = (query = {}, now = Date.now()) => {
+    const errors = {};
+    const since = query.since ? parseTime(String(query.since), now) : now - DEFAULT_RANGE_MS;
+    const until = query.until ? parseTime(String(query.until), now) : now;
+    if (since === null) errors.since = 'must be an ISO time, epoch milliseconds or a relative time like 15m, 2h, 7d';
+    if (until === null) errors.until = 'must be an ISO time, epoch milliseconds or a relative time like 15m, 2h, 7d';
+    if (since !== null && until !== null && since > until) errors.since = 'must be before until';
+    const level = query.level || null;
+    if (level && !LEVELS.includes(level)) errors.level = `must be one of: ${LEVELS.join(', ')}`;
+    const source = query.source || 'service';
+    if (!SOURCES.includes(source)) errors.source = `must be one of: ${SOURCES.join(', ')}`;
+    const text = typeof query.q === 'string' ? query.q : '';
+    const regex = query.regex === 'true' || query.regex === true;
+    if (text.length > 200) {
+        errors.q = 'must be at most 200 characters';
+    } else if (text && regex) {
+        try {
+            new RegExp(text, 'i'); // syntax check only; matching runs in matchPattern
+        } catch (error) {
+            errors.q = `invalid regular expression: ${error.message}`;
+        }
+    }
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(offset) || offset < 0) errors.offset = 'must be a non-negative integer';
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) errors.limit = `must be an integer between 1 and ${MAX_LIMIT}`;
+    if (Object.keys(errors).length > 0) {
+        throw new executor.ValidationError(errors);
+    }
+    const needle = text.toLowerCase();
+    return {
+        since,
+        until,
+        level,
+        source,
+        q: text,
+        regex,
+        offset,
+        limit,
+        // Substring filter; regex patterns are matched with matchPattern
+        matches: (message) => !text || regex || message.slice(0, MAX_MATCH_LENGTH).toLowerCase().includes(needle)
+    };
+};
+
+// Matching runs in its own thread; terminating it interrupts a running regex
+const MATCH_WORKER = `
+const { parentPort, workerData } = require('worker_threads');
+const pattern = new RegExp(workerData.source, 'i');
+parentPort.postMessage(workerData.subjects.map(subject => pattern.test(subject)));
+`;
+
+/**
+ * Test a regex against each message off the event loop. Resolves one boolean
+ * per message; rejects with a ValidationError when the pattern takes longer
+ * than REGEX_TIMEOUT_MS.
+ */
+const matchPattern = (source, messages, { timeout = REGEX_TIMEOUT_MS } = {}) => new Promise((resolve, reject) => {
+    const worker = new Worker(MATCH_WORKER, {
+        eval: true,
+        workerData: { source, subjects: messages.map(message => message.slice(0, MAX_MATCH_LENGTH)) }
+    });
+    const timer = setTimeout(() => {
+        worker.terminate();
+        reject(new executor.ValidationError({ q: `regular expression took longer than ${timeout / 1000}s; simplify it or use a plain text search` }));
+    }, timeout);
+    worker.once('message', (results) => {
+        clearTimeout(timer);
+        worker.terminate();
+        resolve(results);
+    });
+    worker.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+    });
+});
+
+// ============ Backends ============
+// Each resolves { entries: [{ time, level, message, stream }], truncated },
+// oldest first; time is epoch ms or null when the line carries none.
+
+// Split "<timestamp> message" lines; untimed lines inherit the previous timestamp
+const splitTimestamped = (text, stream, defaultLevel = null) => {
+    let last = null;
+    return text.split('\n').filter(line => line !== '').map((line) => {
+        const match = TIMESTAMP_PATTERN.exec(line);
+        const parsed = match ? Date.parse(match[1].replace(' ', 'T').replace(',', '.')) : NaN;
+        if (!Number.isNaN(parsed)) last = parsed;
+        const message = match && !Number.isNaN(parsed) ? line.slice(match[0].length) : line;
+        return { time: last, level: defaultLevel || guessLevel(message), message, stream };
+    });
+};
+
+const journalMessage = (message) => {
+    if (Array.isArray(message)) return Buffer.from(message).toString('utf8');
+    return message === null || message === undefined ? '' : String(message);
+};
+
+const searchJournal = async (serviceName, range) => {
+    const { stdout } = await executor.run('journal.search', {
+        service: serviceName,
+        lines: MAX_SCAN_LINES,
+        since: Math.floor(range.since / 1000),
+        until: Math.ceil(range.until / 1000)
+    }, { maxBuffer: COMMAND_MAX_BUFFER });
+    const entries = [];
+    for (const line of stdout.split('\n')) {
+        if (!line) continue;
+        try {
+            const record = JSON.parse(line);
+            entries.push({
+                time: Math.floor(Number(record.__REALTIME_TIMESTAMP) / 1000),
+                level: PRIORITY_LEVELS[Number(record.PRIORITY)] || 'info',
+                message: journalMessage(record.MESSAGE),
+                stream: 'journal'
+            });
+        } catch {
+            // skip partial records
+        }
+    }
+    return { entries, truncated: entries.length >= MAX_SCAN_LINES };
+};
+
+const searchDocker = async (serviceName, range) => {
+    const { stdout, stderr } = await executor.run('docker.search', {
+        service: serviceName,
+        lines: MAX_SCAN_LINES,
+        since: Math.floor(range.since / 1000),
+        until: Math.ceil(range.until / 1000)
+    }, { maxBuffer: COMMAND_MAX_BUFFER });
+    const entries = splitTimestamped(stdout, 'stdout').concat(splitTimestamped(stderr, 'stderr'));
+    return { entries: entries.sort((a, b) => (a.time || 0) - (b.time || 0)), truncated: entries.length >= MAX_SCAN_LINES };
+};
+
+// `docker compose logs` prefixes each line with "<container>  | "
+const searchCompose = async (deployPath, range) => {
+    const composeFile = ['docker-compose.yml', 'docker-compose.yaml', 'compose.yml', 'compose.yaml']
+        .map(name => path.join(deployPath, name))
+        .find(file => fsSync.existsSync(file));
+    if (!composeFile) return { entries: [], truncated: false };
+    const { stdout } = await executor.run('compose.search', {
+        lines: MAX_SCAN_LINES,
+        since: Math.floor(range.since / 1000),
+        until: Math.ceil(range.until / 1000)
+    }, { context: { composeFile }, cwd: deployPath, maxBuffer: COMMAND_MAX_BUFFER });
+    const entries = [];
+    for (const line of stdout.split('\n')) {
+        const match = /^(\S+)\s+\|\s?(.*)$/.exec(line);
+        if (!match) continue;
+        entries.push(...splitTimestamped(match[2], match[1]));
+    }
+    return { entries: entries.sort((a, b) => (a.time || 0) - (b.time || 0)), truncated: entries.length >= MAX_SCAN_LINES };
+};
+
+// Last MAX_FILE_BYTES of a file (from a line boundary), or null if missing
+const readTail = async (file) => {
+    let handle;
+    try {
+        handle = await fs.open(file, 'r');
+        const { size, mtimeMs } = await handle.stat();
+        const start = Math.max(0, size - MAX_FILE_BYTES);
+        const buffer = Buffer.alloc(size - start);
+        await handle.read(buffer, 0, buffer.length, start);
+        let text = buffer.toString('utf8');
+        if (start > 0) text = text.slice(text.indexOf('\n') + 1);
+        return { text, mtimeMs, truncated: start > 0 };
+    } catch {
+        return null;
+    } finally {
+        if (handle) await handle.close();
+    }
+};
+
+// Lines without timestamps only pass the time filter through their file's
+// modification time (see inRange)
+const fileEntries = (file, stream, defaultLevel) => {
+    const lines = splitTimestamped(file.text, stream, defaultLevel);
+    const kept = lines.slice(-MAX_SCAN_LINES);
+    kept.forEach(entry => { entry.file_mtime = file.mtimeMs; });
+    return { entries: kept, truncated: file.truncated || lines.length > MAX_SCAN_LINES };
+};
+
+const searchPm2 = async (serviceName) => {
+    const files = [
+        { file: path.join(PM2_LOG_DIR, `${serviceName}-out.log`), stream: 'stdout', level: null },
+        { file: path.join(PM2_LOG_DIR, `${serviceName}-error.log`), stream: 'stderr', level: 'error' }
+    ];
+    let entries = [];
+    let truncated = false;
+    for (const { file, stream, level } of files) {
+        const content = await readTail(file);
+        if (!content) continue;
+        const result = fileEntries(content, stream, level);
+        entries = entries.concat(result.entries);
+        truncated = truncated || result.truncated;
+    }
+    return { entries: entries.sort((a, b) => (a.time || a.file_mtime) - (b.time || b.file_mtime)), truncated };
+};
+
+// Deploy logs are named <service>-<YYYYmmdd-HHMMSS>.log after the deploy's start
+const searchDeployLogs = async (serviceName, range) => {
+    const names = (await fs.readdir(DEPLOY_LOG_DIR).catch(() => []))
+        .filter(f => f.startsWith(`${serviceName}-`) && f.endsWith('.log'))
+        .sort();
+    let entries = [];
+    let truncated = false;
+    for (const name of names) {
+        const stamp = /-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})\.log$/.exec(name);
+        const started = stamp ? new Date(`${stamp[1]}-${stamp[2]}-${stamp[3]}T${stamp[4]}:${stamp[5]}:${stamp[6]}`).getTime() : null;
+        if (started !== null && started > range.until) continue;
+        const content = await readTail(path.join(DEPLOY_LOG_DIR, name));
+        if (!content || content.mtimeMs < range.since) continue;
+        const result = fileEntries(content, name, null);
+        entries = entries.concat(result.entries);
+        truncated = truncated || result.truncated;
+    }
+    return { entries, truncated };
+};
+
+const runtimeBackend = (config) => {
+    if (config.runtime === 'docker-compose' && config.deploy_path) return 'docker-compose';
+    if (config.runtime === 'docker') return 'docker';
+    return config.process_manager === 'pm2' ? 'pm2' : 'journald';
+};
+
+const inRange = (entry, range) => {
+    const time = entry.time === null ? entry.file_mtime : entry.time;
+    if (entry.time === null) return time === undefined || time >= range.since;
+    return time >= range.since && time <= range.until;
+};
+
+/**
+ * Search a service's logs. `config` is the deployment config; `query` comes
+ * from the request (see parseQuery). With { download: true } every match (up
+ * to MAX_DOWNLOAD_LINES) is returned oldest first instead of a page.
+ * Resolves { backend, source, since, until, total, offset, limit, truncated, entries }.
+ */
+const search = async (serviceName, config, query, { download = false } = {}) => {
+    const range = parseQuery(query);
+    const backend = range.source === 'deploy' ? 'deploy-logs' : runtimeBackend(config);
+    let result;
+    if (backend === 'deploy-logs') result = await searchDeployLogs(serviceName, range);
+    else if (backend === 'docker-compose') result = await searchCompose(config.deploy_path, range);
+    else if (backend === 'docker') result = await searchDocker(serviceName, range);
+    else if (backend === 'pm2') result = await searchPm2(liveProcess(config));
+    else result = await searchJournal(liveProcess(config), range);
+
+    const minLevel = range.level ? LEVELS.indexOf(range.level) : 0;
+    let candidates = result.entries
+        .filter(entry => inRange(entry, range) && LEVELS.indexOf(entry.level) >= minLevel && range.matches(entry.message));
+    if (range.regex && range.q && candidates.length > 0) {
+        const hits = await matchPattern(range.q, candidates.map(entry => entry.message));
+        candidates = candidates.filter((entry, index) => hits[index]);
+    }
+    const matched = candidates
+        .map(({ file_mtime, ...entry }) => ({ ...entry, time: entry.time === null ? null : new Date(entry.time).toISOString() }));
+    const base = {
+        backend,
+        source: range.source,
+        since: new Date(range.since).toISOString(),
+        until: new Date(range.until).toISOString(),
+        total: matched.length,
+        truncated: result.truncated
+    };
+    if (download) {
+        return { ...base, entries: matched.slice(-MAX_DOWNLOAD_LINES) };
+    }
+    const newestFirst = matched.reverse();
+    return { ...base, offset: range.offset, limit: range.limit, entries: newestFirst.slice(range.offset, range.offset + range.limit) };
+};
+
+// Plain-text rendering for downloads
+const formatText = (entries) => entries
+    .map(entry => `${entry.time || '-'} ${entry.level.toUpperCase().padEnd(5)} [${entry.stream}] ${entry.message}`)
+    .join('\n') + '\n';
+
+module.exports = {
+    LEVELS,
+    SOURCES,
+    parseQuery,
+    matchPattern,
+    search,
+    formatText
+};
@@ -0,0 +1,611 @@
+/**
+ * Declarative manifests
+ * One JSON document with the deployments, gateway routes, deployment
+ * environment variables and AI services this server should have, so the
+ * desired state can live in version control:
+ *   { version: 1,
+ *     deployments: { <name>: { github_repo, branch, port, ..., desired_state, instances,
+ *                              env: { NAME: "value" | { secret: true } } } },
+ *     routes: { <name>: { path, port, enabled, ... } },
+ *     ai_services: { <name>: { path, port, enabled, public, models: [...] } } }
+ * plan() diffs a manifest against /etc/api-gateway and apply() reconciles it.
+ * Only the sections a manifest has are touched, fields it leaves out keep
+ * their current values, and items it does not list are removed only with
+ * prune. Secret values never appear in a manifest: { secret: true } refers to
+ * a secret stored on the server. AI services are installed with
+ * `api-manage-extended ai add`; the manifest configures installed ones.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { loadJsonFile } = require('./storage');
+const executor = require('./executor');
+const deployments = require('./deployments');
+const routes = require('./routes');
+const env = require('./env');
+const ai = require('./ai');
+const jobs = require('./jobs');
+const previews = require('./previews');
+
+// Configuration
+const DEPLOY_CONFIG_DIR = '/etc/api-gateway/deployments';
+const MANIFEST_VERSION = 1;
+const COMMAND_TIMEOUT_MS = 300000;
+
+const SECTIONS = ['deployments', 'routes', 'ai_services'];
+
+// Deployment fields a manifest can set, with their validator types
+const DEPLOYMENT_FIELDS = {
+    github_repo: 'repoUrl',
+    ...deployments.EDITABLE_FIELDS,
+    desired_state: 'desiredState',
+    instances: 'instances',
+    compose_service: 'serviceName'
+};
+// Passed to add_deployment when a deployment is created
+const CREATE_FIELDS = ['github_repo', 'branch', 'port', 'build_command', 'start_command'];
+// Applied through start/stop/scale rather than the settings
+const CONTROL_FIELDS = ['desired_state', 'instances', 'compose_service'];
+// Values a deployment config has when the field is not set
+const DEPLOYMENT_DEFAULTS = { desired_state: 'running', instances: 1 };
+
+// AI services are routes of type ai-model; the type itself is fixed
+const AI_SERVICE_FIELDS = Object.fromEntries(Object.entries(routes.ROUTE_FIELDS).filter(([field]) => field !== 'type'));
+
+class ManifestError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ManifestError';
+        this.status = status;
+    }
+}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const pick = (object, fields) => Object.fromEntries(fields.filter(field => object[field] !== undefined).map(field => [field, object[field]]));
+
+// ============ Validation ============
+
+// Validate the fields an entry sets (only those; defaults are not filled in)
+const validateFields = (schema, input, prefix, errors) => {
+    const values = {};
+    for (const [field, value] of Object.entries(input)) {
+        if (!schema[field]) {
+            errors[`${prefix}.${field}`] = 'is not a manifest field';
+            continue;
+        }
+        const { type } = typeof schema[field] === 'string' ? { type: schema[field] } : schema[field];
+        try {
+            Object.assign(values, executor.validate({ [field]: { type, required: false } }, { [field]: value }));
+        } catch (error) {
+            errors[`${prefix}.${field}`] = error.errors[field];
+        }
+    }
+    return values;
+};
+
+// env: { NAME: "value" | { secret: true } }
+const validateEnv = (input, prefix, errors) => {
+    if (!isObject(input)) {
+        errors[prefix] = 'must be an object of NAME: "value" or NAME: { "secret": true }';
+        return null;
+    }
+    const vars = {};
+    for (const [name, value] of Object.entries(input)) {
+        try {
+            executor.validate({ name: 'envName' }, { name });
+            if (isObject(value) && value.secret === true && Object.keys(value).length === 1) {
+                vars[name] = { secret: true };
+            } else {
+                executor.validate({ value: 'envValue' }, { value: typeof value === 'string' ? value : null });
+                vars[name] = { value };
+            }
+        } catch (error) {
+            errors[`${prefix}.${name}`] = error.errors.name
+                ? `name ${error.errors.name}`
+                : 'must be a string value, or { "secret": true } for a secret stored on the server';
+        }
+    }
+    return vars;
+};
+
+// Each section as { name: entry }; entries keep only the fields they set
+const validateSection = (manifest, section, validateEntry, errors) => {
+    if (manifest[section] === undefined) return null;
+    if (!isObject(manifest[section])) {
+        errors[section] = 'must be an object keyed by name';
+        return null;
+    }
+    const entries = {};
+    for (const [name, input] of Object.entries(manifest[section])) {
+        const prefix = `${section}.${name}`;
+        try {
+            executor.validate({ name: 'serviceName' }, { name });
+        } catch (error) {
+            errors[prefix] = `name ${error.errors.name}`;
+            continue;
+        }
+        if (!isObject(input)) {
+            errors[prefix] = 'must be an object';
+            continue;
+        }
+        entries[name] = validateEntry(input, prefix);
+    }
+    return entries;
+};
+
+/**
+ * Check a manifest's format and field values. Resolves { deployments,
+ * routes, ai_services } (null for sections it leaves out); throws a
+ * ValidationError keyed by field path (deployments.my-app.port).
+ */
+const validateManifest = (manifest) => {
+    const errors = {};
+    if (!isObject(manifest)) {
+        throw new executor.ValidationError({ manifest: 'must be a JSON object' });
+    }
+    if (manifest.version !== MANIFEST_VERSION) {
+        errors.version = `must be ${MANIFEST_VERSION}`;
+    }
+    Object.keys(manifest).filter(key => key !== 'version' && !SECTIONS.includes(key))
+        .forEach(key => { errors[key] = `is not a manifest section (use ${SECTIONS.join(', ')})`; });
+
+    const result = {
+        deployments: validateSection(manifest, 'deployments', (input, prefix) => {
+            const { env: vars, ...fields } = input;
+            return {
+                values: validateFields(DEPLOYMENT_FIELDS, fields, prefix, errors),
+                env: vars === undefined ? null : validateEnv(vars, `${prefix}.env`, errors)
+            };
+        }, errors),
+        routes: validateSection(manifest, 'routes', (input, prefix) => {
+            const values = validateFields(routes.ROUTE_FIELDS, input, prefix, errors);
+            if (values.type === 'ai-model') errors[`${prefix}.type`] = 'AI services belong in ai_services';
+            return { values, input };
+        }, errors),
+        ai_services: validateSection(manifest, 'ai_services', (input, prefix) => {
+            const { models, ...fields } = input;
+            const values = validateFields(AI_SERVICE_FIELDS, fields, prefix, errors);
+            if (models !== undefined) {
+                if (!Array.isArray(models)) {
+                    errors[`${prefix}.models`] = 'must be a list of model names';
+                } else {
+                    models.forEach((model, index) => {
+                        try {
+                            executor.validate({ model: 'modelName' }, { model });
+                        } catch (error) {
+                            errors[`${prefix}.models[${index}]`] = error.errors.model;
+                        }
+                    });
+                }
+            }
+            return { values, models: Array.isArray(models) ? [...new Set(models)] : null };
+        }, errors)
+    };
+    if (Object.keys(errors).length > 0) {
+        throw new executor.ValidationError(errors);
+    }
+    return result;
+};
+
+// ============ Current state ============
+
+const loadDeploymentConfigs = async () => {
+    const files = await fs.readdir(DEPLOY_CONFIG_DIR).catch(() => []);
+    const configs = {};
+    for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+        const config = await loadJsonFile(path.join(DEPLOY_CONFIG_DIR, file), null);
+        if (config && config.service_name) configs[file.replace('.json', '')] = config;
+    }
+    return configs;
+};
+
+// Installed model names of a managed AI service
+const installedModels = async (name) => (await ai.listModels(name)).models.map(model => model.name);
+
+// Ollama stores untagged models as <name>:latest; LocalAI gallery ids (localai@phi-2) install as phi-2
+const hasModel = (installed, model) => installed.includes(model) ||
+    (!model.includes(':') && installed.includes(`${model}:latest`)) ||
+    (model.includes('@') && installed.includes(model.slice(model.indexOf('@') + 1)));
+
+// ============ Plan ============
+
+const planDeployments = (wanted, configs, { prune }, problems) => {
+    const plan = { added: [], changed: [], unchanged: [], removed: [], unmanaged: [] };
+    for (const [name, { values }] of Object.entries(wanted)) {
+        const config = configs[name];
+        const prefix = `deployments.${name}`;
+        if (config && config.preview_of) {
+            problems.push(`${prefix}: ${name} is a pull request preview of ${config.preview_of}`);
+            continue;
+        }
+        if (!config) {
+            ['github_repo', 'port'].filter(field => values[field] === undefined)
+                .forEach(field => problems.push(`${prefix}.${field}: is required for a new deployment`));
+            plan.added.push(name);
+            continue;
+        }
+        const fields = Object.keys(values).filter(field => !same(config[field] ?? DEPLOYMENT_DEFAULTS[field], values[field]));
+        if (fields.includes('github_repo')) {
+            problems.push(`${prefix}.github_repo: the repository of a deployment cannot change; remove the deployment first`);
+        }
+        if (fields.includes('instances') && !deployments.canScale(config)) {
+            problems.push(`${prefix}.instances: scaling needs PM2 or Docker Compose; ${name} runs ${config.runtime === 'docker' ? 'a single container' : 'under systemd'}`);
+        }
+        if (fields.length === 0) plan.unchanged.push(name);
+        else plan.changed.push({ name, fields, redeploy: fields.some(field => deployments.REDEPLOY_FIELDS.includes(field)) });
+    }
+    const unlisted = Object.keys(configs).filter(name => !configs[name].preview_of && !wanted[name]);
+    if (prune) plan.removed = unlisted;
+    else plan.unmanaged = unlisted;
+    return plan;
+};
+
+// Environment changes: { name, set, removed, missing_secrets } per deployment
+const planEnv = async (wanted, configs, warnings) => {
+    const changes = [];
+    for (const [name, { env: vars }] of Object.entries(wanted)) {
+        if (!vars) continue;
+        const current = configs[name] ? await env.listVars(name) : [];
+        const byName = new Map(current.map(v => [v.name, v]));
+        const change = { name, set: [], removed: [], missing_secrets: [] };
+        for (const [varName, wantedVar] of Object.entries(vars)) {
+            const existing = byName.get(varName);
+            if (wantedVar.secret) {
+                if (!existing) change.missing_secrets.push(varName);
+                else if (!existing.secret) change.set.push(varName);
+            } else if (!existing || existing.secret || existing.value !== wantedVar.value) {
+                change.set.push(varName);
+            }
+        }
+        change.removed = current.map(v => v.name).filter(varName => !vars[varName]);
+        change.missing_secrets.forEach(varName => warnings.push(`deployments.${name}.env.${varName}: secret is not set on the server; set it in the dashboard after applying`));
+        if (change.set.length + change.removed.length > 0) changes.push(change);
+    }
+    return changes;
+};
+
+/**
+ * The routes (apis.json entries) after the apply, from the current ones: new
+ * deployments bring their default route, port changes move it, pruned
+ * deployments take theirs (and their previews') along, then the manifest's
+ * routes and AI service settings are merged in. Pure, so apply can run it
+ * again on the routes as they are after the deployment changes.
+ */
+const desiredRoutes = (current, parsed, deploymentPlan, configs, { prune }) => {
+    const next = current.map(route => ({ ...route }));
+    const find = (name) => next.find(route => route.name === name);
+    const removedDeployments = new Set(deploymentPlan ? deploymentPlan.removed : []);
+    Object.values(configs).filter(config => removedDeployments.has(config.preview_of))
+        .forEach(config => removedDeployments.add(config.service_name));
+    const owned = new Set(Object.keys(configs).filter(name => !removedDeployments.has(name)));
+
+    if (deploymentPlan) {
+        for (const name of deploymentPlan.added) {
+            owned.add(name);
+            const { port } = parsed.deployments[name].values;
+            const route = find(name);
+            if (route) route.port = port;
+            else next.push({ name, path: `/${name}`, port, description: 'Deployed from GitHub', enabled: true });
+        }
+        for (const { name, fields } of deploymentPlan.changed) {
+            const route = find(name);
+            const config = configs[name];
+            // updateSettings moves the route, except for blue/green services whose route follows the live slot
+            if (fields.includes('port') && route && !(config.slots || {}).active) route.port = parsed.deployments[name].values.port;
+        }
+    }
+    let result = next.filter(route => !removedDeployments.has(route.name));
+
+    if (parsed.routes) {
+        for (const [name, { values, input }] of Object.entries(parsed.routes)) {
+            const index = result.findIndex(route => route.name === name);
+            if (index !== -1) {
+                result[index] = { ...result[index], ...values };
+            } else {
+                // New routes get createRoute's defaults; a missing port shows up as a problem in the plan
+                let route;
+                try {
+                    route = { name, ...executor.validate({ ...routes.ROUTE_FIELDS, path: { type: 'routePath', default: `/${name}` } }, input) };
+                } catch {
+                    route = { name, path: `/${name}`, ...values };
+                }
+                result.push(route);
+            }
+        }
+        if (prune) {
+            result = result.filter(route => route.type === 'ai-model' || owned.has(route.name) || parsed.routes[route.name]);
+        }
+    }
+    if (parsed.ai_services) {
+        for (const [name, { values }] of Object.entries(parsed.ai_services)) {
+            const index = result.findIndex(route => route.name === name && route.type === 'ai-model');
+            if (index !== -1) result[index] = { ...result[index], ...values };
+        }
+    }
+    return result;
+};
+
+// Route differences between two apis.json route lists
+const diffRoutes = (current, next) => {
+    const before = new Map(current.map(route => [route.name, route]));
+    const after = new Map(next.map(route => [route.name, route]));
+    const changedFields = (a, b) => [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(field => !same(a[field], b[field])).sort();
+    return {
+        added: next.filter(route => !before.has(route.name)).map(route => route.name),
+        changed: next.filter(route => before.has(route.name) && !same(before.get(route.name), route))
+            .map(route => ({ name: route.name, fields: changedFields(before.get(route.name), route) })),
+        removed: current.filter(route => !after.has(route.name)).map(route => route.name)
+    };
+};
+
+// Models to pull and (with prune) delete per AI service
+const planAiServices = async (wanted, apis, { prune }, problems, warnings) => {
+    const plan = { changed: [], unchanged: [], pull: [], delete: [], unmanaged: [] };
+    const installed = apis.filter(route => route.type === 'ai-model');
+    for (const [name, { values, models }] of Object.entries(wanted)) {
+        const route = installed.find(r => r.name === name);
+        if (!route) {
+            problems.push(`ai_services.${name}: not installed on this server (install it with api-manage-extended ai add ${name})`);
+            continue;
+        }
+        const fields = Object.keys(values).filter(field => !same(route[field], values[field]));
+        if (fields.length > 0) plan.changed.push({ name, fields });
+        if (!models) {
+            if (fields.length === 0) plan.unchanged.push(name);
+            continue;
+        }
+        let present;
+        try {
+            present = await installedModels(name);
+        } catch (error) {
+            warnings.push(`ai_services.${name}.models: skipped, the installed models could not be listed (${error.message})`);
+            if (fields.length === 0) plan.unchanged.push(name);
+            continue;
+        }
+        const pull = models.filter(model => !hasModel(present, model));
+        const remove = prune ? present.filter(model => !models.some(wantedModel => hasModel([model], wantedModel))) : [];
+        pull.forEach(model => plan.pull.push({ service: name, model }));
+        remove.forEach(model => plan.delete.push({ service: name, model }));
+        if (fields.length === 0 && pull.length === 0 && remove.length === 0) plan.unchanged.push(name);
+    }
+    plan.unmanaged = installed.map(route => route.name).filter(name => !wanted[name]);
+    return plan;
+};
+
+const buildPlan = async (manifest, { prune = false } = {}) => {
+    const parsed = validateManifest(manifest);
+    const problems = [];
+    const warnings = [];
+    const configs = await loadDeploymentConfigs();
+    const apis = await routes.listRoutes();
+    const plan = { prune, deployments: null, env: null, routes: null, ai_services: null, deploy: [], problems, warnings };
+
+    if (parsed.deployments) {
+        plan.deployments = planDeployments(parsed.deployments, configs, { prune }, problems);
+        plan.env = await planEnv(parsed.deployments, configs, warnings);
+        plan.deploy = [
+            ...plan.deployments.added,
+            ...plan.deployments.changed.filter(change => change.redeploy).map(change => change.name)
+        ];
+    }
+    const next = desiredRoutes(apis, parsed, plan.deployments, configs, { prune });
+    const routeDiff = diffRoutes(apis, next);
+    if (parsed.routes || parsed.deployments) {
+        const managed = new Set([...Object.keys(parsed.routes || {}), ...Object.keys(configs), ...(plan.deployments ? plan.deployments.added : [])]);
+        plan.routes = {
+            ...routeDiff,
+            unmanaged: prune || !parsed.routes ? [] : next.filter(route => route.type !== 'ai-model' && !managed.has(route.name)).map(route => route.name)
+        };
+    }
+    if (parsed.ai_services) {
+        plan.ai_services = await planAiServices(parsed.ai_services, apis, { prune }, problems, warnings);
+    }
+    // New and changed routes must not collide with the gateway's own locations or each other
+    const touched = [...routeDiff.added.map(name => ({ name, fields: ['path', 'port'] })), ...routeDiff.changed];
+    for (const { name, fields } of touched) {
+        const route = next.find(r => r.name === name);
+        if (route.port === undefined) {
+            problems.push(`routes.${name}.port: is required for a new route`);
+            continue;
+        }
+        try {
+            routes.checkConflicts(route, next, fields);
+        } catch (error) {
+            problems.push(`routes.${name}: ${error.message}`);
+        }
+    }
+    return { parsed, plan, configs };
+};
+
+/**
+ * What applying the manifest would change, without changing anything.
+ * Resolves { prune, deployments, env, routes, ai_services, deploy, problems,
+ * warnings, preview } with the nginx config diff in preview when routes change.
+ */
+const plan = async (manifest, { prune = false } = {}) => {
+    const { parsed, plan: result, configs } = await buildPlan(manifest, { prune });
+    const routesChange = result.routes && result.routes.added.length + result.routes.changed.length + result.routes.removed.length > 0;
+    const aiChange = result.ai_services && result.ai_services.changed.length > 0;
+    if ((routesChange || aiChange) && result.problems.length === 0) {
+        const next = desiredRoutes(await routes.listRoutes(), parsed, result.deployments, configs, { prune });
+        result.preview = await routes.replaceRoutes(next, { preview: true })
+            .then(({ preview }) => preview, error => ({ error: `nginx preview unavailable: ${error.message}` }));
+    }
+    return result;
+};
+
+// ============ Apply ============
+
+// Start, stop or scale as the manifest asks; stopping first so a scale does not start anything
+const applyControl = async (name, values, fields) => {
+    const scale = fields.includes('instances') || fields.includes('compose_service');
+    const state = fields.includes('desired_state') ? values.desired_state : null;
+    const scaleInput = { ...pick(values, ['instances', 'compose_service']) };
+    if (scale && scaleInput.instances === undefined) {
+        scaleInput.instances = (await deployments.loadConfig(name)).instances || 1;
+    }
+    if (state === 'stopped') await deployments.control(name, 'stop');
+    if (scale) await deployments.control(name, 'scale', scaleInput);
+    if (state === 'running') await deployments.control(name, 'start');
+};
+
+// Settings beyond what add_deployment takes, then the desired state
+const applyDeploymentFields = async (name, values, fields) => {
+    const settings = pick(values, fields.filter(field => deployments.EDITABLE_FIELDS[field]));
+    if (Object.keys(settings).length > 0) {
+        await deployments.updateSettings(name, settings);
+    }
+    const control = fields.filter(field => CONTROL_FIELDS.includes(field));
+    if (control.length > 0) {
+        await applyControl(name, values, control);
+    }
+};
+
+/**
+ * Reconcile the server with the manifest: deployments are removed (with
+ * prune), created and updated, their environment variables replaced, the
+ * routes applied in one nginx change, AI models pulled (and with prune
+ * deleted), and with deploy, deploys queued for new deployments and those
+ * whose changes need one. Refuses to start while the plan has problems; a
+ * failed step is reported in errors and the others still run.
+ * Resolves { plan, applied, errors, nginx, pulls, jobs }.
+ */
+const apply = async (manifest, { prune = false, deploy = false, user = null } = {}) => {
+    const { parsed, plan: result, configs } = await buildPlan(manifest, { prune });
+    if (result.problems.length > 0) {
+        const error = new ManifestError(`The manifest cannot be applied: ${result.problems.join('; ')}`, 409);
+        error.plan = result;
+        throw error;
+    }
+    const outcome = { plan: result, applied: [], errors: [], nginx: null, pulls: [], jobs: [] };
+    const step = async (label, fn) => {
+        try {
+            await fn();
+            outcome.applied.push(label);
+            return true;
+        } catch (error) {
+            const errors = error.errors ? ` (${Object.entries(error.errors).map(([field, message]) => `${field} ${message}`).join('; ')})` : '';
+            outcome.errors.push({ step: label, error: `${(error.stderr || error.message).trim()}${errors}` });
+            return false;
+        }
+    };
+    // Deployments that could not be created get no route and no deploy
+    const failedAdds = new Set();
+
+    if (result.deployments) {
+        for (const name of result.deployments.removed) {
+            await step(`remove deployment ${name}`, async () => {
+                await previews.removeAllPreviews(name, { requestedBy: user });
+                await executor.run('deployment.remove', { service: name }, { timeout: COMMAND_TIMEOUT_MS });
+            });
+        }
+        for (const name of result.deployments.added) {
+            const { values } = parsed.deployments[name];
+            const added = await step(`add deployment ${name}`, async () => {
+                await executor.run('deployment.add', executor.validate({
+                    service_name: 'serviceName',
+                    github_repo: 'repoUrl',
+                    branch: { type: 'branch', default: 'main' },
+                    port: 'port',
+                    build_command: { type: 'command', default: 'auto' },
+                    start_command: { type: 'command', default: 'auto' }
+                }, { service_name: name, ...pick(values, CREATE_FIELDS) }));
+                await applyDeploymentFields(name, values, Object.keys(values).filter(field => !CREATE_FIELDS.includes(field)));
+            });
+            if (!added && !(await deployments.loadConfig(name).catch(() => null))) failedAdds.add(name);
+        }
+        for (const { name, fields } of result.deployments.changed) {
+            await step(`update deployment ${name}`, () => applyDeploymentFields(name, parsed.deployments[name].values, fields));
+        }
+        for (const change of result.env) {
+            const vars = parsed.deployments[change.name].env;
+            await step(`environment of ${change.name}`, () => env.replaceVars(change.name, Object.entries(vars)
+                .filter(([varName]) => !change.missing_secrets.includes(varName))
+                .map(([varName, v]) => (v.secret ? { name: varName, secret: true } : { name: varName, value: v.value, secret: false }))));
+        }
+    }
+
+    // The routes as they are now, after port changes touched them; new
+    // deployments get their routes here, with the other route changes
+    const current = await routes.listRoutes();
+    const deploymentPlan = result.deployments && { ...result.deployments, added: result.deployments.added.filter(name => !failedAdds.has(name)) };
+    const next = desiredRoutes(current, parsed, deploymentPlan, configs, { prune });
+    const routeDiff = diffRoutes(current, next);
+    if (routeDiff.added.length + routeDiff.changed.length + routeDiff.removed.length > 0) {
+        await step('routes', async () => {
+            const { nginx } = await routes.replaceRoutes(next, { reason: 'apply manifest', user });
+            outcome.nginx = nginx;
+            if (!nginx.applied) throw new ManifestError(`nginx rejected the routes: ${nginx.error}`, 502);
+        });
+    }
+
+    if (result.ai_services) {
+        for (const { service, model } of result.ai_services.pull) {
+            await step(`pull ${service}/${model}`, async () => {
+                const pull = await ai.pullModel(service, model, { user });
+                outcome.pulls.push({ id: pull.id, service, model });
+            });
+        }
+        for (const { service, model } of result.ai_services.delete) {
+            await step(`delete ${service}/${model}`, () => ai.deleteModel(service, model));
+        }
+    }
+
+    if (deploy) {
+        for (const name of result.deploy.filter(n => !failedAdds.has(n))) {
+            await step(`deploy ${name}`, async () => {
+                const job = await jobs.enqueue(name, { trigger: 'manifest', requested_by: user });
+                outcome.jobs.push({ service: name, job_id: job.id });
+            });
+        }
+    }
+    return outcome;
+};
+
+// ============ Export ============
+
+/**
+ * The current state as a manifest: every deployment except pull request
+ * previews (secret environment variables as { secret: true }), every route
+ * except the previews' and the AI services', and the AI services with their
+ * installed models where they can be listed.
+ */
+const exportManifest = async () => {
+    const configs = await loadDeploymentConfigs();
+    const apis = await routes.listRoutes();
+    const manifest = { version: MANIFEST_VERSION, deployments: {}, routes: {}, ai_services: {} };
+
+    for (const [name, config] of Object.entries(configs)) {
+        if (config.preview_of) continue;
+        const entry = pick(config, Object.keys(DEPLOYMENT_FIELDS));
+        const vars = await env.listVars(name);
+        if (vars.length > 0) {
+            entry.env = Object.fromEntries(vars.map(v => [v.name, v.secret ? { secret: true } : v.value]));
+        }
+        manifest.deployments[name] = entry;
+    }
+    for (const route of apis) {
+        if (configs[route.name] && configs[route.name].preview_of) continue;
+        if (route.type === 'ai-model') {
+            const entry = pick(route, Object.keys(AI_SERVICE_FIELDS));
+            const models = await installedModels(route.name).catch(() => null);
+            if (models) entry.models = models;
+            manifest.ai_services[route.name] = entry;
+        } else {
+            manifest.routes[route.name] = pick(route, Object.keys(routes.ROUTE_FIELDS));
+        }
+    }
+    return manifest;
+};
+
+module.exports = {
+    MANIFEST_VERSION,
+    ManifestError,
+    validateManifest,
+    plan,
+    apply,
+    exportManifest
+};
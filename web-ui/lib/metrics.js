@@ -0,0 +1,163 @@
+/**
+ * Prometheus metrics
+ * Renders the control plane state in the Prometheus text exposition format
+ * (version 0.0.4). Labels only ever carry service names, providers and
+ * outcomes; never users, tokens or request data.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { loadJsonFile } = require('./storage');
+const jobs = require('./jobs');
+const webhooks = require('./webhooks');
+const health = require('./health');
+const systemInfo = require('./system-info');
+
+// Configuration
+const DEPLOY_CONFIG_DIR = '/etc/api-gateway/deployments';
+const DEPLOY_STATUS_FILE = '/var/lib/api-gateway/deployment-status.json';
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatValue = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+};
+
+const formatSample = (name, labels, value) => {
+    const pairs = Object.entries(labels || {}).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+    return `${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}`;
+};
+
+/**
+ * Render metric families: [{ name, help, type, samples: [{ labels, value, suffix }] }]
+ * (suffix is for histogram series such as _bucket, _sum and _count).
+ */
+const render = (families) => families.map(family => [
+    `# HELP ${family.name} ${family.help}`,
+    `# TYPE ${family.name} ${family.type}`,
+    ...family.samples.map(s => formatSample(family.name + (s.suffix || ''), s.labels, s.value))
+].join('\n')).join('\n') + '\n';
+
+const deployFamilies = async () => {
+    const stats = await jobs.getStats();
+    const outcomes = [];
+    for (const [service, counts] of Object.entries(stats.outcomes)) {
+        for (const [outcome, value] of Object.entries(counts)) {
+            outcomes.push({ labels: { service, outcome }, value });
+        }
+    }
+    const durations = [];
+    for (const [service, histogram] of Object.entries(stats.durations)) {
+        stats.bucketBounds.forEach((le, i) => {
+            durations.push({ suffix: '_bucket', labels: { service, le: String(le) }, value: histogram.buckets[i] });
+        });
+        durations.push({ suffix: '_bucket', labels: { service, le: '+Inf' }, value: histogram.count });
+        durations.push({ suffix: '_sum', labels: { service }, value: Math.round(histogram.sum * 1000) / 1000 });
+        durations.push({ suffix: '_count', labels: { service }, value: histogram.count });
+    }
+    const active = (await jobs.listJobs()).filter(j => j.status === 'queued' || j.status === 'running');
+    return [
+        { name: 'gateway_deploys_total', help: 'Finished deploy jobs by service and outcome.', type: 'counter', samples: outcomes },
+        { name: 'gateway_deploy_duration_seconds', help: 'Deploy job duration from start to finish.', type: 'histogram', samples: durations },
+        {
+            name: 'gateway_deploy_jobs',
+            help: 'Deploy jobs currently queued or running.',
+            type: 'gauge',
+            samples: ['queued', 'running'].map(state => ({ labels: { state }, value: active.filter(j => j.status === state).length }))
+        }
+    ];
+};
+
+const serviceFamilies = async (serviceStatus) => {
+    const statusData = await loadJsonFile(DEPLOY_STATUS_FILE, { deployments: {} });
+    const configFiles = await fs.readdir(DEPLOY_CONFIG_DIR).catch(() => []);
+    const up = [];
+    const healthy = [];
+    const latency = [];
+    const info = [];
+    for (const configFile of configFiles.filter(f => f.endsWith('.json'))) {
+        const service = configFile.replace('.json', '');
+        const config = await loadJsonFile(path.join(DEPLOY_CONFIG_DIR, configFile), null);
+        if (!config) continue;
+        const running = await serviceStatus(service, config.process_manager || 'systemd');
+        const status = ((statusData.deployments || {})[service] || {}).status || 'unknown';
+        up.push({ labels: { service }, value: running ? 1 : 0 });
+        info.push({ labels: { service, status }, value: 1 });
+        const summary = health.getSummary(service);
+        if (summary && summary.ok !== null) {
+            healthy.push({ labels: { service }, value: summary.ok ? 1 : 0 });
+            latency.push({ labels: { service }, value: summary.latency_ms / 1000 });
+        }
+    }
+    return [
+        { name: 'gateway_service_up', help: 'Whether the service process is running (1) or not (0).', type: 'gauge', samples: up },
+        { name: 'gateway_service_healthy', help: 'Result of the latest HTTP health probe.', type: 'gauge', samples: healthy },
+        { name: 'gateway_service_health_latency_seconds', help: 'Latency of the latest HTTP health probe.', type: 'gauge', samples: latency },
+        { name: 'gateway_service_deploy_status', help: 'Deployment status of each service (always 1).', type: 'gauge', samples: info }
+    ];
+};
+
+const webhookFamilies = async () => {
+    const totals = await webhooks.getTotals();
+    return [{
+        name: 'gateway_webhook_deliveries_total',
+        help: 'Webhook deliveries by service, provider and result.',
+        type: 'counter',
+        samples: totals.map(t => ({ labels: { service: t.service, provider: t.provider, result: t.decision }, value: t.count }))
+    }];
+};
+
+const systemFamilies = async () => {
+    const info = await systemInfo.collect();
+    const families = [
+        {
+            name: 'gateway_system_load_average',
+            help: 'System load average.',
+            type: 'gauge',
+            samples: ['1m', '5m', '15m'].map((window, i) => ({ labels: { window }, value: parseFloat(info.load_average[i]) }))
+        },
+        { name: 'gateway_system_memory_total_bytes', help: 'Total memory.', type: 'gauge', samples: [{ value: info.memory.total * 1024 }] },
+        { name: 'gateway_system_memory_available_bytes', help: 'Available memory.', type: 'gauge', samples: [{ value: info.memory.available * 1024 }] },
+        { name: 'gateway_system_memory_usage_percent', help: 'Memory in use, excluding caches.', type: 'gauge', samples: [{ value: info.memory.usage_percent }] },
+        { name: 'gateway_system_uptime_seconds', help: 'System uptime.', type: 'gauge', samples: [{ value: info.uptime.seconds }] }
+    ];
+    if (info.disk.usage_percent) {
+        families.push({
+            name: 'gateway_system_disk_usage_percent',
+            help: 'Usage of the root filesystem.',
+            type: 'gauge',
+            samples: [{ labels: { mountpoint: '/' }, value: parseFloat(info.disk.usage_percent) }]
+        });
+    }
+    return families;
+};
+
+/**
+ * Collect all metrics as exposition text.
+ * sources: { serviceStatus: async (service, processManager) => bool,
+ *            sseClients: { stream: count } }
+ */
+const collect = async ({ serviceStatus, sseClients }) => {
+    const families = [
+        ...await deployFamilies(),
+        ...await serviceFamilies(serviceStatus),
+        ...await webhookFamilies(),
+        ...await systemFamilies(),
+        {
+            name: 'gateway_sse_clients',
+            help: 'Open dashboard Server-Sent Events connections by stream.',
+            type: 'gauge',
+            samples: Object.entries(sseClients).map(([stream, value]) => ({ labels: { stream }, value }))
+        }
+    ];
+    return render(families);
+};
+
+module.exports = {
+    CONTENT_TYPE,
+    collect
+};
@@ -0,0 +1,273 @@
+/**
+ * Nginx config apply with validation and automatic revert
+ * Renders the candidate config for a set of routes with generate-nginx-config
+ * --render, diffs it against the live file, and applies it: install, `nginx -t`,
+ * reload, then check that every enabled route is served by its own location.
+ * Any failure puts the previous config back. Every apply is recorded with the
+ * config version (hash of the rendered file) and its outcome.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const { loadJsonFile, saveJsonFile, updateJsonFile } = require('./storage');
+const executor = require('./executor');
+
+// Configuration
+const NGINX_CONFIG = '/etc/nginx/sites-available/apis';
+const GENERATOR = '/usr/local/bin/generate-nginx-config';
+const WORK_DIR = '/var/lib/api-gateway/nginx';
+const HISTORY_FILE = '/var/lib/api-gateway/nginx-history.json';
+const MAX_HISTORY = 200;
+const CHECK_TIMEOUT_MS = 5000;
+const CHECK_ATTEMPTS = 3;
+const CHECK_RETRY_MS = 700;
+
+let tmpCounter = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Config version: short content hash, or null when there is no config
+const versionOf = (text) => (text === null ? null : crypto.createHash('sha256').update(text).digest('hex').slice(0, 12));
+
+const readLive = () => fs.readFile(NGINX_CONFIG, 'utf8').catch(() => null);
+
+// Generators installed before --render existed would ignore it and reload nginx
+const canRender = async () => {
+    const script = await fs.readFile(GENERATOR, 'utf8').catch(() => '');
+    return script.includes('--render');
+};
+
+const tmpPath = (name) => path.join(WORK_DIR, `${process.pid}.${++tmpCounter}.${name}`);
+
+// Render the config for an apis.json object; resolves the config text
+const render = async (apisData) => {
+    if (!(await canRender())) {
+        const error = new Error('generate-nginx-config does not support --render; re-run install.sh to update it');
+        error.status = 501;
+        throw error;
+    }
+    await fs.mkdir(WORK_DIR, { recursive: true });
+    const apisFile = tmpPath('apis.json');
+    const output = tmpPath('apis.conf');
+    try {
+        await saveJsonFile(apisFile, apisData);
+        await executor.run('nginx.render', {}, { context: { apisFile, output } });
+        return await fs.readFile(output, 'utf8');
+    } finally {
+        await fs.unlink(apisFile).catch(() => {});
+        await fs.unlink(output).catch(() => {});
+    }
+};
+
+// Unified diff from the live config to the candidate ('' when identical)
+const diffConfigs = async (live, candidate) => {
+    if (live === candidate) return '';
+    await fs.mkdir(WORK_DIR, { recursive: true });
+    const from = tmpPath('live.conf');
+    const to = tmpPath('candidate.conf');
+    try {
+        await fs.writeFile(from, live || '');
+        await fs.writeFile(to, candidate);
+        await executor.run('diff.unified', {}, { context: { from, to } });
+        return '';
+    } catch (error) {
+        // diff exits 1 when the files differ
+        if (error.code === 1) return error.stdout;
+        throw error;
+    } finally {
+        await fs.unlink(from).catch(() => {});
+        await fs.unlink(to).catch(() => {});
+    }
+};
+
+const diffStats = (diff) => {
+    const lines = diff.split('\n');
+    return {
+        added: lines.filter(l => l.startsWith('+') && !l.startsWith('+++')).length,
+        removed: lines.filter(l => l.startsWith('-') && !l.startsWith('---')).length
+    };
+};
+
+/**
+ * Preview the config for an apis.json object against the live one.
+ * Returns { live_version, candidate_version, changed, diff, stats }.
+ */
+const preview = async (apisData) => {
+    const [live, candidate] = await Promise.all([readLive(), render(apisData)]);
+    const diff = await diffConfigs(live, candidate);
+    return {
+        live_version: versionOf(live),
+        candidate_version: versionOf(candidate),
+        changed: live !== candidate,
+        diff,
+        stats: diffStats(diff)
+    };
+};
+
+const listenPort = (config) => {
+    const match = /^\s*listen\s+(\d+)\s+default_server/m.exec(config || '');
+    return match ? Number(match[1]) : null;
+};
+
+// One request through nginx; the generator tags every route's responses
+// (including upstream errors) with X-Api-Name, so a match means the route's
+// location is live regardless of whether its backend is up
+const checkRoute = (port, route) => new Promise((resolve) => {
+    const req = http.get({ host: '127.0.0.1', port, path: `${route.path}/`, timeout: CHECK_TIMEOUT_MS }, (res) => {
+        res.resume();
+        const served = res.headers['x-api-name'] === route.name;
+        resolve({
+            route: route.name,
+            path: route.path,
+            ok: served,
+            status: res.statusCode,
+            error: served ? null : `not served by its location (X-Api-Name: ${res.headers['x-api-name'] || 'none'})`
+        });
+    });
+    req.on('timeout', () => req.destroy(new Error(`timed out after ${CHECK_TIMEOUT_MS}ms`)));
+    req.on('error', (error) => resolve({ route: route.name, path: route.path, ok: false, status: null, error: error.message }));
+});
+
+// Routes the generator gives a location: enabled ones, except AI model
+// services, which are only reachable through the inference proxy unless public
+const isServed = (route) => route.enabled === true && (route.type !== 'ai-model' || route.public === true);
+
+// Check every served route, retrying briefly while nginx workers restart
+const verifyRoutes = async (config, apis) => {
+    const port = listenPort(config);
+    const enabled = apis.filter(isServed);
+    if (!port || enabled.length === 0) return [];
+    let checks = [];
+    for (let attempt = 0; attempt < CHECK_ATTEMPTS; attempt++) {
+        await sleep(CHECK_RETRY_MS);
+        checks = await Promise.all(enabled.map(route => checkRoute(port, route)));
+        if (checks.every(c => c.ok)) break;
+    }
+    return checks;
+};
+
+const installConfig = async (text) => {
+    const tmp = `${NGINX_CONFIG}.${process.pid}.${++tmpCounter}.tmp`;
+    await fs.writeFile(tmp, text);
+    await fs.rename(tmp, NGINX_CONFIG);
+};
+
+// Put the previous config back (or remove a first-time config) and reload
+const restore = async (live) => {
+    if (live === null) {
+        await fs.unlink(NGINX_CONFIG).catch(() => {});
+    } else {
+        await installConfig(live);
+    }
+    await executor.run('nginx.test');
+    await executor.run('nginx.reload');
+};
+
+const record = (entry) => updateJsonFile(HISTORY_FILE, { entries: [] }, (data) => {
+    const entries = data.entries || [];
+    const last = entries[entries.length - 1];
+    entries.push({ id: last ? last.id + 1 : 1, at: new Date().toISOString(), ...entry });
+    data.entries = entries.slice(-MAX_HISTORY);
+}).catch(error => console.error('Failed to record nginx apply:', error.message));
+
+// Installs whose generator predates --render: save and regenerate as before
+// (nginx -t still guards the reload, but nothing is checked or reverted)
+const applyUnverified = async (commit, previousVersion) => {
+    await commit();
+    try {
+        const { stdout } = await executor.run('nginx.generate');
+        const version = versionOf(await readLive());
+        return { applied: true, status: 'applied_unverified', version, previous_version: previousVersion, checks: [], output: stdout.trim() };
+    } catch (error) {
+        return { applied: false, status: 'failed', version: versionOf(await readLive()), previous_version: previousVersion, error: `nginx config generation failed: ${error.message}`, output: (error.stdout || '').trim() };
+    }
+};
+
+// Render, install, test, reload and check; on failure restore the live config
+const applyVerified = async (apisData, live, commit) => {
+    const previousVersion = versionOf(live);
+    let candidate;
+    try {
+        candidate = await render(apisData);
+    } catch (error) {
+        return { applied: false, status: 'rejected', version: null, previous_version: previousVersion, error: `nginx config render failed: ${error.message}`, output: (error.stderr || '').trim() };
+    }
+    const base = {
+        version: versionOf(candidate),
+        previous_version: previousVersion,
+        stats: diffStats(await diffConfigs(live, candidate).catch(() => ''))
+    };
+    if (live === candidate) {
+        await commit();
+        return { applied: true, status: 'unchanged', ...base, checks: [] };
+    }
+
+    let result;
+    try {
+        await installConfig(candidate);
+        await executor.run('nginx.test');
+    } catch (error) {
+        result = { applied: false, status: 'rejected', ...base, error: `nginx -t failed: ${error.message}`, output: error.stderr || '' };
+    }
+    if (!result) {
+        try {
+            await executor.run('nginx.reload');
+            const checks = await verifyRoutes(candidate, apisData.apis || []);
+            const failed = checks.filter(c => !c.ok);
+            result = failed.length === 0
+                ? { applied: true, status: 'applied', ...base, checks }
+                : { applied: false, status: 'rolled_back', ...base, checks, error: `route check failed: ${failed.map(c => `${c.route} (${c.error})`).join(', ')}` };
+        } catch (error) {
+            result = { applied: false, status: 'rolled_back', ...base, error: `nginx reload failed: ${error.message}` };
+        }
+    }
+    if (result.applied) {
+        await commit();
+        return result;
+    }
+    try {
+        await restore(live);
+    } catch (error) {
+        result.status = 'restore_failed';
+        result.error += `; restoring the previous config failed: ${error.message}`;
+    }
+    return result;
+};
+
+/**
+ * Apply the config for an apis.json object. commit() persists apisData as the
+ * live apis.json; it runs only once the new config is live. Resolves
+ * { applied, status, version, previous_version, stats, checks, error, output }
+ * where status is applied | unchanged | rejected (render or nginx -t failed) |
+ * rolled_back (reload or route check failed) | restore_failed, or
+ * applied_unverified | failed with an older generator.
+ */
+const apply = async (apisData, { commit = async () => {}, reason = null, user = null } = {}) => {
+    const live = await readLive();
+    const previousVersion = versionOf(live);
+    let result;
+    if (!(await canRender())) {
+        result = await applyUnverified(commit, previousVersion);
+    } else {
+        result = await applyVerified(apisData, live, commit);
+        if (result.status === 'unchanged') return result;
+    }
+    const { output, ...entry } = result;
+    await record({ ...entry, reason, user });
+    return result;
+};
+
+// Recent applies, newest first
+const listHistory = async () => ((await loadJsonFile(HISTORY_FILE, { entries: [] })).entries || []).slice().reverse();
+
+module.exports = {
+    NGINX_CONFIG,
+    versionOf,
+    canRender,
+    verifyRoutes,
+    preview,
+    apply,
+    listHistory
+};
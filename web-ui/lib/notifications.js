@@ -0,0 +1,398 @@
+/**
+ * Deployment notifications
+ * Sends deployment events to configured channels (generic JSON webhook,
+ * Slack/Mattermost incoming webhook, SMTP email), each subscribed to a set of
+ * events and services. Failed sends are retried with backoff; every send is
+ * recorded in a short log. Deploy and health events come from a watcher in the
+ * dashboard server; rejected webhooks are reported by the webhook pipeline.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { loadJsonFile, saveJsonFile, updateJsonFile, withFileLock } = require('./storage');
+const executor = require('./executor');
+const smtp = require('./smtp');
+const jobs = require('./jobs');
+const health = require('./health');
+
+// Configuration
+const CHANNELS_FILE = '/etc/api-gateway/notifications.json';
+const LOG_FILE = '/var/lib/api-gateway/notification-log.json';
+const DEPLOY_STATUS_FILE = '/var/lib/api-gateway/deployment-status.json';
+const MAX_LOG_ENTRIES = 200;
+const RETRY_DELAYS_MS = [2000, 10000, 60000];
+const HTTP_TIMEOUT_MS = 10000;
+const WATCH_INTERVAL_MS = 5000;
+
+const EVENTS = {
+    'deploy.started': 'Deploy started',
+    'deploy.succeeded': 'Deploy succeeded',
+    'deploy.failed': 'Deploy failed',
+    'service.down': 'Service down',
+    'webhook.rejected': 'Webhook rejected'
+};
+
+const CHANNEL_TYPES = ['webhook', 'slack', 'email'];
+const SMTP_SECURITY = { none: 25, starttls: 587, tls: 465 };
+
+const SLACK_ICONS = {
+    'deploy.started': ':rocket:',
+    'deploy.succeeded': ':white_check_mark:',
+    'deploy.failed': ':x:',
+    'service.down': ':rotating_light:',
+    'webhook.rejected': ':warning:',
+    test: ':bell:'
+};
+
+class NotificationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'NotificationError';
+        this.status = status;
+    }
+}
+
+let watcherTimer = null;
+
+// ============ Channels ============
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const HOST_PATTERN = /^[a-zA-Z0-9.-]{1,253}$|^\[[0-9a-fA-F:]+\]$/;
+
+const isHttpUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return (url.protocol === 'http:' || url.protocol === 'https:') && value.length <= 2048;
+    } catch {
+        return false;
+    }
+};
+
+// "Name <a@b>" or "a@b"
+const isEmail = (value) => typeof value === 'string' && EMAIL_PATTERN.test((value.match(/<([^>]+)>\s*$/) || [null, value])[1]) && !/[\r\n]/.test(value);
+
+/**
+ * Validate a channel definition. Stored secrets (webhook secret, SMTP
+ * password) are kept when the input omits them.
+ */
+const validateChannel = (input, previous = null) => {
+    const errors = {};
+    const channel = {
+        name: typeof input.name === 'string' ? input.name.trim() : '',
+        type: input.type || (previous && previous.type),
+        enabled: input.enabled === undefined ? true : input.enabled,
+        events: input.events === undefined ? [] : input.events,
+        services: input.services === undefined ? [] : input.services
+    };
+    if (!channel.name || channel.name.length > 64 || /[\r\n]/.test(channel.name)) errors.name = 'is required (up to 64 characters)';
+    if (!CHANNEL_TYPES.includes(channel.type)) errors.type = `must be one of: ${CHANNEL_TYPES.join(', ')}`;
+    if (typeof channel.enabled !== 'boolean') errors.enabled = 'must be true or false';
+    if (!Array.isArray(channel.events) || channel.events.some(e => !EVENTS[e])) {
+        errors.events = `must be a list of: ${Object.keys(EVENTS).join(', ')} (empty = all)`;
+    }
+    if (!Array.isArray(channel.services)) {
+        errors.services = 'must be a list of service names (empty = all)';
+    } else {
+        channel.services.forEach((service, i) => {
+            try {
+                executor.validate({ service: 'serviceName' }, { service });
+            } catch (error) {
+                errors[`services[${i}]`] = error.errors.service;
+            }
+        });
+    }
+
+    if (channel.type === 'webhook' || channel.type === 'slack') {
+        if (!isHttpUrl(input.url)) errors.url = 'must be an http(s) URL';
+        channel.url = input.url;
+    }
+    if (channel.type === 'webhook') {
+        const keep = input.secret === undefined || input.secret === null;
+        if (!keep && (typeof input.secret !== 'string' || input.secret.length > 256)) errors.secret = 'must be a string (up to 256 characters)';
+        channel.secret = keep ? (previous && previous.secret) || '' : input.secret;
+    }
+    if (channel.type === 'email') {
+        const config = input.smtp || {};
+        const stored = (previous && previous.smtp) || {};
+        const secure = config.secure || 'starttls';
+        const port = config.port === undefined ? SMTP_SECURITY[secure] : config.port;
+        if (!HOST_PATTERN.test(config.host || '')) errors['smtp.host'] = 'must be a hostname';
+        if (!SMTP_SECURITY[secure]) errors['smtp.secure'] = `must be one of: ${Object.keys(SMTP_SECURITY).join(', ')}`;
+        if (!Number.isInteger(port) || port < 1 || port > 65535) errors['smtp.port'] = 'must be 1-65535';
+        if (config.username !== undefined && config.username !== '' && (typeof config.username !== 'string' || /[\r\n]/.test(config.username))) {
+            errors['smtp.username'] = 'must be a string';
+        }
+        if (!isEmail(config.from)) errors['smtp.from'] = 'must be an email address';
+        if (!Array.isArray(config.to) || config.to.length === 0 || config.to.length > 20 || !config.to.every(isEmail)) {
+            errors['smtp.to'] = 'must be a list of 1-20 email addresses';
+        }
+        const keepPassword = config.password === undefined || config.password === null;
+        channel.smtp = {
+            host: config.host,
+            port,
+            secure,
+            username: config.username || '',
+            password: keepPassword ? stored.password || '' : String(config.password),
+            from: config.from,
+            to: config.to
+        };
+    }
+    if (Object.keys(errors).length > 0) {
+        throw new executor.ValidationError(errors);
+    }
+    return channel;
+};
+
+// Channel for API responses: secrets are never returned
+const publicChannel = (channel) => {
+    const { secret, smtp: smtpConfig, ...rest } = channel;
+    const result = { ...rest };
+    if (channel.type === 'webhook') result.has_secret = Boolean(secret);
+    if (smtpConfig) {
+        const { password, ...visible } = smtpConfig;
+        result.smtp = { ...visible, has_password: Boolean(password) };
+    }
+    return result;
+};
+
+const loadChannels = async () => (await loadJsonFile(CHANNELS_FILE, { channels: [] })).channels || [];
+
+const listChannels = async () => (await loadChannels()).map(publicChannel);
+
+const createChannel = async (input) => {
+    const channel = {
+        id: crypto.randomBytes(6).toString('hex'),
+        ...validateChannel(input || {}),
+        created_at: new Date().toISOString()
+    };
+    await updateJsonFile(CHANNELS_FILE, { channels: [] }, (data) => {
+        data.channels = (data.channels || []).concat(channel);
+    }, { mode: 0o600 });
+    return publicChannel(channel);
+};
+
+const updateChannel = async (id, input) => {
+    let updated;
+    await updateJsonFile(CHANNELS_FILE, { channels: [] }, (data) => {
+        const index = (data.channels || []).findIndex(c => c.id === id);
+        if (index === -1) throw new NotificationError('Channel not found', 404);
+        const previous = data.channels[index];
+        updated = { id, ...validateChannel(input || {}, previous), created_at: previous.created_at, updated_at: new Date().toISOString() };
+        data.channels[index] = updated;
+    }, { mode: 0o600 });
+    return publicChannel(updated);
+};
+
+const deleteChannel = async (id) => {
+    await updateJsonFile(CHANNELS_FILE, { channels: [] }, (data) => {
+        if (!(data.channels || []).some(c => c.id === id)) throw new NotificationError('Channel not found', 404);
+        data.channels = data.channels.filter(c => c.id !== id);
+    }, { mode: 0o600 });
+};
+
+// ============ Sending ============
+
+const postJson = (target, payload, headers = {}) => new Promise((resolve, reject) => {
+    const url = new URL(target);
+    const body = JSON.stringify(payload);
+    const req = (url.protocol === 'https:' ? https : http).request(url, {
+        method: 'POST',
+        timeout: HTTP_TIMEOUT_MS,
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), 'User-Agent': 'api-gateway-notifier', ...headers }
+    }, (res) => {
+        res.resume();
+        if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+        else reject(new Error(`HTTP ${res.statusCode}`));
+    });
+    req.on('timeout', () => req.destroy(new Error(`timed out after ${HTTP_TIMEOUT_MS}ms`)));
+    req.on('error', reject);
+    req.end(body);
+});
+
+const detailLines = (details) => Object.entries(details || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${key}: ${value}`);
+
+const SENDERS = {
+    webhook: (channel, notification) => {
+        const headers = { 'X-Gateway-Event': notification.event };
+        if (channel.secret) {
+            const signature = crypto.createHmac('sha256', channel.secret).update(JSON.stringify(notification)).digest('hex');
+            headers['X-Gateway-Signature-256'] = `sha256=${signature}`;
+        }
+        return postJson(channel.url, notification, headers);
+    },
+    // Slack and Mattermost incoming webhooks both take { text, username }
+    slack: (channel, notification) => postJson(channel.url, {
+        username: 'API Gateway',
+        text: [
+            `${SLACK_ICONS[notification.event] || ''} *${notification.title}*`.trim(),
+            notification.message,
+            ...detailLines(notification.details).map(line => `> ${line}`)
+        ].filter(Boolean).join('\n')
+    }),
+    email: (channel, notification) => smtp.sendMail({
+        ...channel.smtp,
+        subject: `[api-gateway] ${notification.title}`,
+        text: [
+            notification.message,
+            '',
+            ...detailLines(notification.details),
+            `Event: ${notification.event}`,
+            `Time: ${notification.timestamp}`
+        ].join('\n')
+    })
+};
+
+// One attempt at sending a notification to a channel, without logging it
+const send = (channel, notification) => SENDERS[channel.type](channel, notification);
+
+const appendLog = (entry) => withFileLock(LOG_FILE, async () => {
+    const data = await loadJsonFile(LOG_FILE, { entries: [] });
+    data.entries = (data.entries || []).concat(entry).slice(-MAX_LOG_ENTRIES);
+    await saveJsonFile(LOG_FILE, data);
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref());
+
+// Send with retries; resolves the log entry (never rejects)
+const deliver = async (channel, notification, retryDelays = RETRY_DELAYS_MS) => {
+    let attempts = 0;
+    let lastError = null;
+    for (const delay of [0, ...retryDelays]) {
+        if (delay) await sleep(delay);
+        attempts++;
+        try {
+            await send(channel, notification);
+            lastError = null;
+            break;
+        } catch (error) {
+            lastError = error;
+        }
+    }
+    const entry = {
+        id: crypto.randomBytes(6).toString('hex'),
+        at: new Date().toISOString(),
+        channel_id: channel.id,
+        channel_name: channel.name,
+        type: channel.type,
+        event: notification.event,
+        service: notification.service,
+        status: lastError ? 'failed' : 'sent',
+        attempts,
+        error: lastError ? lastError.message : null
+    };
+    await appendLog(entry).catch(error => console.error('Failed to write notification log:', error.message));
+    if (lastError) {
+        console.error(`Notification to ${channel.name} failed after ${attempts} attempt(s): ${lastError.message}`);
+    }
+    return entry;
+};
+
+const buildNotification = (event, { service, message, details }) => ({
+    event,
+    service: service || null,
+    title: `${EVENTS[event] || 'Test notification'}${service ? `: ${service}` : ''}`,
+    message: message || '',
+    details: details || {},
+    timestamp: new Date().toISOString()
+});
+
+/**
+ * Send an event to every enabled channel subscribed to it (and to the
+ * service). Returns immediately; delivery and retries happen in the background.
+ */
+const notify = (event, fields = {}) => {
+    loadChannels()
+        .then(channels => {
+            const notification = buildNotification(event, fields);
+            channels
+                .filter(c => c.enabled !== false)
+                .filter(c => !c.events.length || c.events.includes(event))
+                .filter(c => !c.services.length || !fields.service || c.services.includes(fields.service))
+                .forEach(channel => { deliver(channel, notification); });
+        })
+        .catch(error => console.error('Notification error:', error.message));
+};
+
+// Send a test notification to one channel (single attempt); returns the log entry
+const sendTest = async (id) => {
+    const channel = (await loadChannels()).find(c => c.id === id);
+    if (!channel) throw new NotificationError('Channel not found', 404);
+    return deliver(channel, buildNotification('test', {
+        message: `Test notification from the API Gateway dashboard to "${channel.name}".`
+    }), []);
+};
+
+// Recent sends, newest first
+const listLog = async () => ((await loadJsonFile(LOG_FILE, { entries: [] })).entries || []).slice().reverse();
+
+// ============ Watcher (dashboard server) ============
+
+const STATUS_EVENTS = { deploying: 'deploy.started', running: 'deploy.succeeded', failed: 'deploy.failed' };
+
+/**
+ * Poll deployment status and health summaries and emit events on changes:
+ * a new status update (deploying / running / failed) and a health probe going
+ * from passing to failing. The first pass only records the current state.
+ */
+const startWatcher = () => {
+    if (watcherTimer) return;
+    const seenStatus = new Map();
+    const seenHealthy = new Map();
+    let first = true;
+
+    const check = async () => {
+        const statusData = await loadJsonFile(DEPLOY_STATUS_FILE, { deployments: {} });
+        for (const [service, state] of Object.entries(statusData.deployments || {})) {
+            const key = `${state.status}|${state.last_updated}`;
+            const previous = seenStatus.get(service);
+            seenStatus.set(service, key);
+            // Services that appear after the first pass are new deployments
+            const changed = previous === undefined ? !first : previous !== key;
+            const event = STATUS_EVENTS[state.status];
+            if (!event || !changed) continue;
+            const job = (await jobs.listJobs({ service }))[0];
+            notify(event, {
+                service,
+                message: state.message,
+                details: job ? { job: job.id, trigger: job.trigger, commit: job.commit || job.meta?.commit } : {}
+            });
+        }
+        for (const service of seenStatus.keys()) {
+            const summary = health.getSummary(service);
+            if (!summary || summary.ok === null) continue;
+            const wasHealthy = seenHealthy.get(service);
+            seenHealthy.set(service, summary.ok);
+            if (wasHealthy === true && summary.ok === false) {
+                notify('service.down', {
+                    service,
+                    message: `Health check failing: ${summary.error || 'no response'}`,
+                    details: { status: summary.status, checked_at: summary.checked_at }
+                });
+            }
+        }
+        first = false;
+    };
+    const run = () => check().catch(error => console.error('Notification watcher error:', error.message));
+    run();
+    watcherTimer = setInterval(run, WATCH_INTERVAL_MS);
+    watcherTimer.unref();
+};
+
+module.exports = {
+    EVENTS,
+    CHANNEL_TYPES,
+    NotificationError,
+    listChannels,
+    createChannel,
+    updateChannel,
+    deleteChannel,
+    buildNotification,
+    send,
+    notify,
+    sendTest,
+    listLog,
+    startWatcher
+};
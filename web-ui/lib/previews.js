@@ -0,0 +1,316 @@
+/**
+ * Pull request previews
+ * A service with `previews` enabled gets a deployment per open pull request:
+ * `<service>-pr-<n>` is a copy of the service's config with its own deploy
+ * path, a port from PREVIEW_PORT_RANGE and an nginx route at /<service>-pr-<n>.
+ * The webhook pipeline deploys the pull request head when it is opened or gets
+ * new commits, and tears the preview down when it is closed or merged.
+ * Opening and removing a preview is claimed in PREVIEWS_FILE under a short
+ * lock (name and port); the route, deploy and removal then run outside it, so
+ * a slow nginx apply or removal never holds the lock. A removal requested
+ * while the preview is being opened is recorded on that claim, and the
+ * process opening it tears the preview down when it releases the claim.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { loadJsonFile, saveJsonFile, withFileLock } = require('./storage');
+const executor = require('./executor');
+const jobs = require('./jobs');
+const routes = require('./routes');
+
+// Configuration
+const DEPLOY_CONFIG_DIR = '/etc/api-gateway/deployments';
+const DEPLOY_BASE_DIR = '/opt/deployments';
+const PREVIEWS_FILE = '/var/lib/api-gateway/previews.json';
+const DEFAULT_PORT_RANGE = '9100-9199';
+const REMOVE_TIMEOUT_MS = 300000;
+// Claims older than this were left by a process that died mid-operation
+const CLAIM_STALE_MS = REMOVE_TIMEOUT_MS + 120000;
+
+// Parent config fields a preview does not inherit
+// (previews always deploy in place, so no blue/green settings or slots)
+const PARENT_ONLY_FIELDS = ['webhook_secret', 'webhook_secret_rotated_at', 'previews', 'strategy', 'blue_green', 'slots', 'status', 'created_at', 'updated_at'];
+// Route settings copied from the parent's route
+const INHERITED_ROUTE_FIELDS = ['type', 'fix_redirects', 'streaming', 'timeout', 'max_body_size', 'websocket'];
+
+class PreviewError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PreviewError';
+        this.status = status;
+    }
+}
+
+// PREVIEW_PORT_RANGE is "<first>-<last>"; a malformed value falls back to the default
+const parsePortRange = (value) => {
+    const match = /^(\d+)-(\d+)$/.exec(String(value || '').trim());
+    const [first, last] = match ? [Number(match[1]), Number(match[2])] : [];
+    if (!match || first < 1 || last > 65535 || first > last) {
+        if (value) console.error(`Invalid PREVIEW_PORT_RANGE "${value}", using ${DEFAULT_PORT_RANGE}`);
+        return parsePortRange(DEFAULT_PORT_RANGE);
+    }
+    return { first, last };
+};
+
+const PORT_RANGE = parsePortRange(process.env.PREVIEW_PORT_RANGE);
+
+const configPath = (serviceName) => path.join(DEPLOY_CONFIG_DIR, `${serviceName}.json`);
+
+const previewName = (serviceName, number) => `${serviceName}-pr-${number}`;
+
+const loadConfigs = async () => {
+    const files = await fs.readdir(DEPLOY_CONFIG_DIR).catch(() => []);
+    const configs = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+        const config = await loadJsonFile(path.join(DEPLOY_CONFIG_DIR, file), null);
+        if (config && config.service_name) configs.push(config);
+    }
+    return configs;
+};
+
+// First port in the pool that no deployment, route or preview being opened uses
+const allocatePort = (configs, apis, claimed = []) => {
+    const used = new Set([...configs.map(c => Number(c.port)), ...apis.map(a => Number(a.port)), ...claimed]);
+    for (let port = PORT_RANGE.first; port <= PORT_RANGE.last; port++) {
+        if (!used.has(port)) return port;
+    }
+    throw new PreviewError(`No free preview port left in ${PORT_RANGE.first}-${PORT_RANGE.last} (PREVIEW_PORT_RANGE)`, 503);
+};
+
+const isValidBranch = (branch) => {
+    try {
+        executor.validate({ branch: 'branch' }, { branch });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const summarize = (config) => ({
+    name: config.service_name,
+    parent: config.preview_of,
+    port: config.port,
+    path: `/${config.service_name}`,
+    pull_request: config.preview || null
+});
+
+// Previews of a service (summaries), oldest pull request first
+const listPreviews = async (serviceName) => (await loadConfigs())
+    .filter(c => c.preview_of === serviceName)
+    .sort((a, b) => (a.preview?.number || 0) - (b.preview?.number || 0))
+    .map(summarize);
+
+const getPreview = async (serviceName, number) => {
+    const config = await loadJsonFile(configPath(previewName(serviceName, number)), null);
+    return config && config.preview_of === serviceName ? summarize(config) : null;
+};
+
+/**
+ * Claim a preview for one operation ('open' or 'remove'). prepare(claims) runs
+ * under the lock with the other live claims and resolves the claim's extra
+ * fields (the port for 'open'). Throws 409 for an 'open' while another
+ * operation on the same preview is in progress. A 'remove' then resolves
+ * { deferred: true } instead: it is recorded on an 'open' claim (see
+ * releasePreview) or left to the removal already running. Otherwise
+ * resolves what prepare resolved.
+ */
+const claimPreview = (name, action, prepare, { requestedBy = null } = {}) => withFileLock(PREVIEWS_FILE, async () => {
+    const data = await loadJsonFile(PREVIEWS_FILE, { claims: {} });
+    const now = Date.now();
+    const claims = Object.fromEntries(Object.entries(data.claims || {})
+        .filter(([, claim]) => now - Date.parse(claim.started_at) < CLAIM_STALE_MS));
+    const current = claims[name];
+    if (current && action === 'remove') {
+        if (current.action === 'open' && !current.remove) {
+            current.remove = { requested_by: requestedBy, requested_at: new Date(now).toISOString() };
+            await saveJsonFile(PREVIEWS_FILE, { claims });
+        }
+        return { deferred: true };
+    }
+    if (current) {
+        throw new PreviewError(`Preview ${name} is being ${current.action === 'remove' ? 'removed' : 'deployed'}; try again shortly`, 409);
+    }
+    const result = await prepare(Object.values(claims));
+    claims[name] = { action, port: (result && result.port) || null, pid: process.pid, started_at: new Date(now).toISOString() };
+    await saveJsonFile(PREVIEWS_FILE, { claims });
+    return result;
+});
+
+// Drop a claim. An 'open' claim with a removal recorded on it becomes a
+// 'remove' claim instead; resolves that request ({ requested_by }) so the
+// caller tears the preview down, otherwise null.
+const releasePreview = (name) => withFileLock(PREVIEWS_FILE, async () => {
+    const data = await loadJsonFile(PREVIEWS_FILE, { claims: {} });
+    const claim = (data.claims || {})[name];
+    if (!claim) return null;
+    if (claim.action === 'open' && claim.remove) {
+        data.claims[name] = { action: 'remove', port: null, pid: process.pid, started_at: new Date().toISOString() };
+        await saveJsonFile(PREVIEWS_FILE, data);
+        return claim.remove;
+    }
+    delete data.claims[name];
+    await saveJsonFile(PREVIEWS_FILE, data);
+    return null;
+});
+
+/**
+ * Create or update the preview of a pull request and queue a deploy of its
+ * head commit. parent is the service's config, pullRequest a normalised pull
+ * request (see webhook-providers). The route is added before anything is
+ * written, so a preview nginx rejects leaves nothing behind.
+ * Resolves { name, created, port, path, job }.
+ */
+const deployPreview = async (parent, pullRequest, { requestedBy = null, meta = {} } = {}) => {
+    const name = previewName(parent.service_name, pullRequest.number);
+    const { fetch_ref: fetchRef } = executor.validate({ fetch_ref: 'gitRef' }, { fetch_ref: pullRequest.fetch_ref });
+    try {
+        executor.validate({ name: 'serviceName' }, { name });
+    } catch (error) {
+        throw new PreviewError(`Preview name ${name} is too long or invalid`);
+    }
+
+    const { existing, config, apis } = await claimPreview(name, 'open', async (claims) => {
+        const current = await loadJsonFile(configPath(name), null);
+        if (current && current.preview_of !== parent.service_name) {
+            throw new PreviewError(`Deployment ${name} already exists and is not a preview of ${parent.service_name}`, 409);
+        }
+        const routeList = await routes.listRoutes();
+        const port = current ? current.port : allocatePort(await loadConfigs(), routeList, claims.map(c => c.port).filter(Boolean));
+        return {
+            existing: current,
+            apis: routeList,
+            port,
+            config: current || {
+                ...Object.fromEntries(Object.entries(parent).filter(([field]) => !PARENT_ONLY_FIELDS.includes(field))),
+                service_name: name,
+                deploy_path: path.join(DEPLOY_BASE_DIR, name),
+                port,
+                preview_of: parent.service_name,
+                // Pushes do not deploy previews; pull request events do
+                auto_deploy: false,
+                created_at: new Date().toISOString()
+            }
+        };
+    });
+    try {
+        return await openPreview(parent, pullRequest, { name, existing, config, apis, fetchRef, requestedBy, meta });
+    } finally {
+        // The pull request was closed meanwhile
+        const removal = await releasePreview(name);
+        if (removal) {
+            runRemoval(name, { requestedBy: removal.requested_by })
+                .then(() => console.log(`Preview ${name} removed after its deploy was queued`))
+                .catch(error => console.error(`Removing preview ${name} failed:`, error.stderr || error.message));
+        }
+    }
+};
+
+const openPreview = async (parent, pullRequest, { name, existing, config, apis, fetchRef, requestedBy, meta }) => {
+    if (!apis.some(a => a.name === name)) {
+        const parentRoute = apis.find(a => a.name === parent.service_name) || {};
+        const inherited = Object.fromEntries(INHERITED_ROUTE_FIELDS.filter(field => field in parentRoute).map(field => [field, parentRoute[field]]));
+        const { nginx } = await routes.createRoute({
+            ...inherited,
+            name,
+            path: `/${name}`,
+            port: config.port,
+            description: `Preview of ${parent.service_name} (pull request #${pullRequest.number})`
+        }, { reason: `preview ${name} opened`, user: requestedBy });
+        if (!nginx.applied) {
+            throw new PreviewError(`nginx rejected the preview route: ${nginx.error}`, 502);
+        }
+    }
+
+    Object.assign(config, {
+        branch: isValidBranch(pullRequest.branch) ? pullRequest.branch : config.branch,
+        fetch_ref: fetchRef,
+        preview: {
+            number: pullRequest.number,
+            title: pullRequest.title,
+            url: pullRequest.url,
+            author: pullRequest.author,
+            branch: pullRequest.branch,
+            commit: pullRequest.commit
+        },
+        updated_at: new Date().toISOString()
+    });
+    await saveJsonFile(configPath(name), config);
+
+    const job = await jobs.enqueue(name, {
+        trigger: 'webhook',
+        requested_by: requestedBy,
+        commit: pullRequest.commit || undefined,
+        meta: { ...meta, pull_request: pullRequest.number }
+    });
+    return { name, created: !existing, port: config.port, path: `/${name}`, job };
+};
+
+/**
+ * Start tearing a preview down: cancel its deploys, remove its route through
+ * nginx and then the deployment itself (service, files, config and status).
+ * Throws 404 for deployments that are not previews. Resolves once the removal
+ * is claimed, or deferred to the deploy in progress, with
+ * { name, deferred, done }; done resolves { name, route_removed } when the
+ * teardown finishes ({ name, deferred: true } at once when deferred).
+ */
+const startRemoval = async (name, { requestedBy = null } = {}) => {
+    const { deferred } = await claimPreview(name, 'remove', async () => {
+        const config = await loadJsonFile(configPath(name), null);
+        if (!config || !config.preview_of) {
+            throw new PreviewError('Preview not found', 404);
+        }
+        return { deferred: false };
+    }, { requestedBy });
+    const done = deferred ? Promise.resolve({ name, deferred: true }) : runRemoval(name, { requestedBy });
+    return { name, deferred, done };
+};
+
+// Tear down under the 'remove' claim the caller holds, then release it
+const runRemoval = (name, options) => tearDown(name, options).finally(() => releasePreview(name));
+
+// Remove a preview and wait for it; resolves what startRemoval's done does
+const removePreview = async (name, options = {}) => (await startRemoval(name, options)).done;
+
+const tearDown = async (name, { requestedBy }) => {
+    const active = (await jobs.listJobs({ service: name })).filter(j => j.status === 'queued' || j.status === 'running');
+    for (const job of active) {
+        await jobs.cancel(job.id, requestedBy).catch(() => {});
+    }
+
+    let routeRemoved = false;
+    try {
+        const { nginx } = await routes.removeRoute(name, { reason: `preview ${name} closed`, user: requestedBy });
+        if (!nginx.applied) {
+            throw new PreviewError(`nginx rejected removing the preview route: ${nginx.error}`, 502);
+        }
+        routeRemoved = true;
+    } catch (error) {
+        if (error.status !== 404) throw error;
+    }
+
+    await executor.run('deployment.remove', { service: name }, { timeout: REMOVE_TIMEOUT_MS });
+    return { name, route_removed: routeRemoved };
+};
+
+const teardownPreview = (serviceName, number, options = {}) => startRemoval(previewName(serviceName, number), options);
+
+// Remove every preview of a service (before the service itself is removed)
+const removeAllPreviews = async (serviceName, options = {}) => {
+    const removed = [];
+    for (const preview of await listPreviews(serviceName)) {
+        removed.push(await removePreview(preview.name, options));
+    }
+    return removed;
+};
+
+module.exports = {
+    PreviewError,
+    previewName,
+    listPreviews,
+    getPreview,
+    deployPreview,
+    removePreview,
+    teardownPreview,
+    removeAllPreviews
+};
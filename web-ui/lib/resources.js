@@ -0,0 +1,305 @@
+/**
+ * Per-service resource usage
+ * Maps each deployment to its processes or containers and samples CPU, memory
+ * (RSS), restart count and listening ports into a rolling on-disk history:
+ *   systemd          - processes in the unit's cgroup, NRestarts
+ *   pm2              - the app's process tree from `pm2 jlist`, restart_time
+ *   docker / compose - `docker stats` and `docker inspect` for its containers
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { loadJsonFile, updateJsonFile } = require('./storage');
+const executor = require('./executor');
+const { liveProcess } = require('./deployments');
+
+// Configuration
+const DEPLOY_CONFIG_DIR = '/etc/api-gateway/deployments';
+const RESOURCES_DIR = '/var/lib/api-gateway/resources';
+const SAMPLE_INTERVAL_MS = 30000;
+const MAX_SAMPLES = 2880; // 24h at SAMPLE_INTERVAL_MS
+const RANGES = { '1h': 3600e3, '6h': 6 * 3600e3, '24h': 24 * 3600e3 };
+const CLK_TCK = 100; // USER_HZ on Linux
+const DOCKER_TIMEOUT_MS = 15000;
+
+// Per-service CPU ticks by pid from the previous sample
+const previousTicks = new Map();
+let collectorTimer = null;
+
+const resourceFile = (serviceName) => path.join(RESOURCES_DIR, `${serviceName}.json`);
+
+// ============ Process helpers (/proc) ============
+
+// utime + stime in clock ticks, and RSS in bytes, for one pid (null if gone)
+const readProcess = async (pid) => {
+    try {
+        const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf8');
+        // Fields after the command name, which may contain spaces
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        const status = await fs.readFile(`/proc/${pid}/status`, 'utf8');
+        const rss = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+        return {
+            ticks: parseInt(fields[11], 10) + parseInt(fields[12], 10),
+            rss: rss ? parseInt(rss[1], 10) * 1024 : 0
+        };
+    } catch {
+        return null;
+    }
+};
+
+// pids plus all their descendants
+const withDescendants = async (pids) => {
+    const entries = await fs.readdir('/proc').catch(() => []);
+    const children = new Map();
+    for (const entry of entries.filter(e => /^\d+$/.test(e))) {
+        try {
+            const stat = await fs.readFile(`/proc/${entry}/stat`, 'utf8');
+            const ppid = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1], 10);
+            if (!children.has(ppid)) children.set(ppid, []);
+            children.get(ppid).push(parseInt(entry, 10));
+        } catch {
+            // exited while scanning
+        }
+    }
+    const result = new Set();
+    const queue = [...pids];
+    while (queue.length) {
+        const pid = queue.shift();
+        if (result.has(pid)) continue;
+        result.add(pid);
+        queue.push(...(children.get(pid) || []));
+    }
+    return [...result];
+};
+
+const cgroupPids = async (controlGroup) => {
+    for (const root of ['/sys/fs/cgroup', '/sys/fs/cgroup/systemd']) {
+        try {
+            const procs = await fs.readFile(path.join(root, controlGroup, 'cgroup.procs'), 'utf8');
+            return procs.split('\n').filter(Boolean).map(Number);
+        } catch {
+            // try the next hierarchy
+        }
+    }
+    return [];
+};
+
+// Listening TCP ports by pid, from `ss -ltnp`
+const listeningPorts = async () => {
+    const byPid = new Map();
+    try {
+        const { stdout } = await executor.run('ss.listening');
+        for (const line of stdout.split('\n')) {
+            const columns = line.trim().split(/\s+/);
+            if (columns.length < 4) continue;
+            const port = parseInt(columns[3].slice(columns[3].lastIndexOf(':') + 1), 10);
+            for (const match of line.matchAll(/pid=(\d+)/g)) {
+                const pid = Number(match[1]);
+                if (!byPid.has(pid)) byPid.set(pid, new Set());
+                byPid.get(pid).add(port);
+            }
+        }
+    } catch {
+        // ss missing or not permitted: no port information
+    }
+    return byPid;
+};
+
+// CPU %, RSS and ports of a set of host processes
+const sampleProcesses = async (serviceName, pids, portsByPid) => {
+    const previous = previousTicks.get(serviceName);
+    const ticks = {};
+    let rss = 0;
+    let cpuTicks = 0;
+    const ports = new Set();
+    for (const pid of pids) {
+        const proc = await readProcess(pid);
+        if (!proc) continue;
+        ticks[pid] = proc.ticks;
+        rss += proc.rss;
+        // Processes new since the last sample only count from the next one
+        if (previous && previous.ticks[pid] !== undefined) {
+            cpuTicks += Math.max(proc.ticks - previous.ticks[pid], 0);
+        }
+        (portsByPid.get(pid) || []).forEach(port => ports.add(port));
+    }
+    const now = Date.now();
+    previousTicks.set(serviceName, { ticks, at: now });
+    const elapsed = previous ? (now - previous.at) / 1000 : 0;
+    return {
+        running: Object.keys(ticks).length > 0,
+        processes: Object.keys(ticks).length,
+        cpu_percent: elapsed > 0 ? Math.round((cpuTicks / CLK_TCK / elapsed) * 1000) / 10 : null,
+        rss_bytes: rss,
+        ports: [...ports].sort((a, b) => a - b)
+    };
+};
+
+// ============ Collectors per process manager ============
+
+const collectSystemd = async (serviceName, unit, portsByPid) => {
+    const { stdout } = await executor.run('systemd.show', { service: unit });
+    const props = Object.fromEntries(stdout.split('\n').filter(l => l.includes('=')).map(l => [l.slice(0, l.indexOf('=')), l.slice(l.indexOf('=') + 1)]));
+    let pids = props.ControlGroup ? await cgroupPids(props.ControlGroup) : [];
+    if (pids.length === 0 && parseInt(props.MainPID, 10) > 0) {
+        pids = await withDescendants([parseInt(props.MainPID, 10)]);
+    }
+    return {
+        ...await sampleProcesses(serviceName, pids, portsByPid),
+        restarts: parseInt(props.NRestarts, 10) || 0
+    };
+};
+
+const collectPm2 = async (serviceName, appName, portsByPid, pm2Apps) => {
+    const app = pm2Apps.find(a => a.name === appName);
+    const pids = app && app.pid ? await withDescendants([app.pid]) : [];
+    return {
+        ...await sampleProcesses(serviceName, pids, portsByPid),
+        restarts: app ? (app.pm2_env || {}).restart_time || 0 : 0
+    };
+};
+
+// "12.5MiB / 1.9GiB" -> bytes of the first figure
+const parseDockerSize = (value) => {
+    const match = String(value).trim().match(/^([\d.]+)\s*([KMGT]?i?B)/i);
+    if (!match) return 0;
+    const units = { B: 1, KB: 1e3, MB: 1e6, GB: 1e9, TB: 1e12, KIB: 1024, MIB: 1024 ** 2, GIB: 1024 ** 3, TIB: 1024 ** 4 };
+    return Math.round(parseFloat(match[1]) * (units[match[2].toUpperCase()] || 1));
+};
+
+const composeFileFor = async (deployPath) => {
+    for (const name of ['docker-compose.yml', 'docker-compose.yaml', 'compose.yml', 'compose.yaml']) {
+        const file = path.join(deployPath, name);
+        if (await fs.access(file).then(() => true, () => false)) return file;
+    }
+    return null;
+};
+
+const collectDocker = async (serviceName, config, dockerStats) => {
+    let containers = [serviceName];
+    if (config.runtime === 'docker-compose') {
+        const composeFile = config.deploy_path ? await composeFileFor(config.deploy_path) : null;
+        const { stdout } = composeFile
+            ? await executor.run('compose.ps', {}, { context: { composeFile }, cwd: config.deploy_path, timeout: DOCKER_TIMEOUT_MS })
+            : { stdout: '' };
+        containers = stdout.split('\n').map(l => l.trim()).filter(Boolean);
+    }
+    const sample = { running: false, processes: 0, cpu_percent: null, rss_bytes: 0, restarts: 0, ports: [] };
+    if (containers.length === 0) return sample;
+
+    let inspected = [];
+    try {
+        const { stdout } = await executor.run('docker.inspect-runtime', {}, { context: { containers } });
+        inspected = stdout.split('\n').filter(Boolean).map(line => {
+            const [id, name, restarts, ...ports] = line.split(' ');
+            return { id, name: name.replace(/^\//, ''), restarts: parseInt(restarts, 10) || 0, ports: JSON.parse(ports.join(' ') || 'null') || {} };
+        });
+    } catch {
+        return sample;
+    }
+    const ports = new Set();
+    let cpu = 0;
+    for (const container of inspected) {
+        sample.restarts += container.restarts;
+        Object.values(container.ports).forEach(bindings => (bindings || []).forEach(b => ports.add(parseInt(b.HostPort, 10))));
+        const stats = dockerStats.find(s => container.id.startsWith(s.ID) || s.Name === container.name);
+        if (!stats) continue;
+        sample.processes++;
+        cpu += parseFloat(stats.CPUPerc) || 0;
+        sample.rss_bytes += parseDockerSize(String(stats.MemUsage).split('/')[0]);
+    }
+    sample.running = sample.processes > 0;
+    sample.cpu_percent = sample.running ? Math.round(cpu * 10) / 10 : null;
+    sample.ports = [...ports].filter(Boolean).sort((a, b) => a - b);
+    return sample;
+};
+
+// ============ Store ============
+
+const recordSample = async (serviceName, sample) => {
+    await updateJsonFile(resourceFile(serviceName), { samples: [] }, (data) => {
+        data.samples = (data.samples || []).concat(sample).slice(-MAX_SAMPLES);
+    });
+};
+
+// One sampling pass over every deployment
+const collectAll = async () => {
+    const configFiles = await fs.readdir(DEPLOY_CONFIG_DIR).catch(() => []);
+    const configs = [];
+    for (const configFile of configFiles.filter(f => f.endsWith('.json'))) {
+        const config = await loadJsonFile(path.join(DEPLOY_CONFIG_DIR, configFile), null);
+        if (config && config.service_name) configs.push(config);
+    }
+    if (configs.length === 0) return;
+
+    const isDocker = (c) => c.runtime === 'docker' || c.runtime === 'docker-compose';
+    const isPm2 = (c) => !isDocker(c) && c.process_manager === 'pm2';
+    const portsByPid = await listeningPorts();
+    const pm2Apps = configs.some(isPm2)
+        ? await executor.run('pm2.jlist').then(({ stdout }) => JSON.parse(stdout.slice(stdout.indexOf('['))), () => [])
+        : [];
+    const dockerStats = configs.some(isDocker)
+        ? await executor.run('docker.stats', {}, { timeout: DOCKER_TIMEOUT_MS })
+            .then(({ stdout }) => stdout.split('\n').filter(Boolean).map(line => JSON.parse(line)), () => [])
+        : [];
+
+    for (const config of configs) {
+        const serviceName = config.service_name;
+        try {
+            let sample;
+            if (isDocker(config)) {
+                sample = await collectDocker(serviceName, config, dockerStats);
+            } else if (isPm2(config)) {
+                sample = await collectPm2(serviceName, liveProcess(config), portsByPid, pm2Apps);
+            } else {
+                sample = await collectSystemd(serviceName, liveProcess(config), portsByPid);
+            }
+            await recordSample(serviceName, { t: new Date().toISOString(), ...sample });
+        } catch (error) {
+            console.error(`Resource sampling error (${serviceName}):`, error.message);
+        }
+    }
+};
+
+const startCollector = () => {
+    if (collectorTimer) return;
+    let busy = false;
+    const run = () => {
+        if (busy) return;
+        busy = true;
+        collectAll()
+            .catch(error => console.error('Resource collector error:', error.message))
+            .finally(() => { busy = false; });
+    };
+    run();
+    collectorTimer = setInterval(run, SAMPLE_INTERVAL_MS);
+    collectorTimer.unref();
+};
+
+/**
+ * Resource history for one service: the latest sample, peaks over the range
+ * and the samples within `range` (1h, 6h, 24h).
+ */
+const getResources = async (serviceName, range = '1h') => {
+    const data = await loadJsonFile(resourceFile(serviceName), { samples: [] });
+    const samples = data.samples || [];
+    const windowMs = RANGES[range] || RANGES['1h'];
+    const now = Date.now();
+    const inRange = samples.filter(s => now - Date.parse(s.t) <= windowMs);
+    const max = (field) => inRange.reduce((m, s) => (typeof s[field] === 'number' && s[field] > m ? s[field] : m), 0);
+    const first = inRange[0];
+    const last = samples[samples.length - 1] || null;
+    return {
+        range: RANGES[range] ? range : '1h',
+        interval_seconds: SAMPLE_INTERVAL_MS / 1000,
+        current: last,
+        peak: { cpu_percent: max('cpu_percent'), rss_bytes: max('rss_bytes') },
+        restarts_in_range: first && last ? Math.max(last.restarts - first.restarts, 0) : 0,
+        samples: inRange
+    };
+};
+
+module.exports = {
+    startCollector,
+    getResources
+};
@@ -0,0 +1,194 @@
+/**
+ * Gateway routes
+ * Manages the nginx routes in apis.json (what `api-manage add/remove/enable/disable`
+ * does from the shell). Changes are made under the apis.json lock and go
+ * through nginx.apply, which validates, reloads and reverts on failure.
+ */
+
+const { loadJsonFile, saveJsonFile, withFileLock } = require('./storage');
+const executor = require('./executor');
+const nginx = require('./nginx');
+
+// Configuration
+const APIS_CONFIG = '/etc/api-gateway/apis.json';
+
+// Locations the generated nginx config already uses for the gateway itself
+const RESERVED_PATHS = ['/observe', '/gateway-api', '/dashboard', '/deployments', '/webhook', '/ai/v1'];
+// Dashboard, webhook server, inference proxy and OpenObserve
+const RESERVED_PORTS = [8080, 9876, 9877, 5080];
+
+// Route fields with their validator types; defaults match `api-manage add`
+const ROUTE_FIELDS = {
+    path: { type: 'routePath' },
+    port: { type: 'port' },
+    description: { type: 'description', default: 'API service' },
+    enabled: { type: 'boolean', default: true },
+    type: { type: 'routeType', default: 'service' },
+    fix_redirects: { type: 'boolean', default: false },
+    streaming: { type: 'boolean', default: false },
+    timeout: { type: 'proxyTimeout', default: 300 },
+    max_body_size: { type: 'bodySize', default: '512m' },
+    websocket: { type: 'boolean', default: true },
+    // ai-model routes only: also serve the model API directly, without the inference proxy's keys
+    public: { type: 'boolean', required: false }
+};
+
+class RouteError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'RouteError';
+        this.status = status;
+    }
+}
+
+const loadApis = async () => (await loadJsonFile(APIS_CONFIG, { apis: [] })).apis || [];
+
+const listRoutes = () => loadApis();
+
+const getRoute = async (name) => {
+    const route = (await loadApis()).find(a => a.name === name);
+    if (!route) {
+        throw new RouteError('Route not found', 404);
+    }
+    return route;
+};
+
+const checkPath = (route, others) => {
+    const reserved = RESERVED_PATHS.find(p => route.path === p || route.path.startsWith(`${p}/`));
+    if (reserved) {
+        throw new RouteError(`Path ${route.path} is reserved for the gateway (${reserved})`, 409);
+    }
+    const samePath = others.find(a => a.path === route.path);
+    if (samePath) {
+        throw new RouteError(`Path ${route.path} is already used by route ${samePath.name}`, 409);
+    }
+};
+
+const checkPort = (route, others) => {
+    if (RESERVED_PORTS.includes(route.port)) {
+        throw new RouteError(`Port ${route.port} is used by the gateway itself`, 409);
+    }
+    const samePort = others.find(a => Number(a.port) === route.port);
+    if (samePort) {
+        throw new RouteError(`Port ${route.port} is already used by route ${samePort.name}`, 409);
+    }
+};
+
+// Reject reserved locations and paths or ports another route already uses.
+// Only the given fields are checked, so unrelated edits of an existing route
+// are not blocked by conflicts it already had.
+const checkConflicts = (route, apis, fields = ['path', 'port']) => {
+    const others = apis.filter(a => a.name !== route.name);
+    if (fields.includes('path')) {
+        checkPath(route, others);
+    }
+    if (fields.includes('port')) {
+        checkPort(route, others);
+    }
+};
+
+/**
+ * Read-modify-write apis.json under its lock. The mutator returns the route it
+ * touched (or throws to abort). With { preview: true } nothing is written and
+ * the result carries the nginx config diff; otherwise the new config is
+ * applied and apis.json is saved only if nginx accepted it.
+ * Resolves { route, preview } or { route, nginx } (see nginx.apply).
+ */
+const modifyApis = (mutator, { preview = false, reason = null, user = null } = {}) => withFileLock(APIS_CONFIG, async () => {
+    const data = await loadJsonFile(APIS_CONFIG, { apis: [] });
+    data.apis = data.apis || [];
+    const route = mutator(data.apis);
+    if (preview) {
+        return { route, preview: await nginx.preview(data) };
+    }
+    const result = await nginx.apply(data, { reason, user, commit: () => saveJsonFile(APIS_CONFIG, data) });
+    if (result.applied) {
+        await executor.run('fluentbit.generate').catch(() => {});
+    }
+    return { route, nginx: result };
+});
+
+const createRoute = async (input = {}, options = {}) => {
+    const { name } = executor.validate({ name: 'serviceName' }, input);
+    const route = {
+        name,
+        ...executor.validate({ ...ROUTE_FIELDS, path: { type: 'routePath', default: `/${name}` } }, input)
+    };
+    return modifyApis((apis) => {
+        if (apis.some(a => a.name === name)) {
+            throw new RouteError(`Route ${name} already exists`, 409);
+        }
+        checkConflicts(route, apis);
+        apis.push(route);
+        return route;
+    }, { reason: `add route ${name}`, ...options });
+};
+
+// Partial update; the name cannot change (remove and re-add to rename)
+const updateRoute = async (name, changes = {}, options = {}) => {
+    const unknown = Object.keys(changes).filter(field => !ROUTE_FIELDS[field]);
+    if (unknown.length > 0) {
+        throw new executor.ValidationError(Object.fromEntries(unknown.map(field => [field, 'cannot be changed'])));
+    }
+    const schema = Object.fromEntries(Object.keys(changes).map(field => [field, { type: ROUTE_FIELDS[field].type, required: false }]));
+    const values = executor.validate(schema, changes);
+    if (Object.keys(values).length === 0) {
+        throw new executor.ValidationError({ route: `provide at least one of: ${Object.keys(ROUTE_FIELDS).join(', ')}` });
+    }
+    return modifyApis((apis) => {
+        const index = apis.findIndex(a => a.name === name);
+        if (index === -1) {
+            throw new RouteError('Route not found', 404);
+        }
+        const route = { ...apis[index], ...values };
+        route.port = Number(route.port);
+        checkConflicts(route, apis, Object.keys(values));
+        apis[index] = route;
+        return route;
+    }, { reason: `update route ${name} (${Object.keys(values).join(', ')})`, ...options });
+};
+
+const removeRoute = (name, options = {}) => modifyApis((apis) => {
+    const index = apis.findIndex(a => a.name === name);
+    if (index === -1) {
+        throw new RouteError('Route not found', 404);
+    }
+    return apis.splice(index, 1)[0];
+}, { reason: `remove route ${name}`, ...options });
+
+// Replace every route at once (restoring a backup). Each route needs a valid
+// name, path and port; other fields are kept as they are.
+const replaceRoutes = async (apis, options = {}) => {
+    const errors = {};
+    (Array.isArray(apis) ? apis : []).forEach((route, index) => {
+        try {
+            executor.validate({ name: 'serviceName', path: 'routePath', port: 'port' }, route || {});
+        } catch (error) {
+            Object.entries(error.errors || {}).forEach(([field, message]) => { errors[`apis[${index}].${field}`] = message; });
+        }
+    });
+    if (!Array.isArray(apis)) errors.apis = 'must be an array of routes';
+    if (Object.keys(errors).length > 0) {
+        throw new executor.ValidationError(errors);
+    }
+    return modifyApis((current) => {
+        current.splice(0, current.length, ...apis);
+        return null;
+    }, { reason: 'replace routes', ...options });
+};
+
+// Apply apis.json as it is (`api-manage reload`); with { preview: true } only diff it
+const reload = (options = {}) => modifyApis(() => null, { reason: 'reload', ...options });
+
+module.exports = {
+    ROUTE_FIELDS,
+    RouteError,
+    checkConflicts,
+    listRoutes,
+    getRoute,
+    createRoute,
+    updateRoute,
+    removeRoute,
+    replaceRoutes,
+    reload
+};
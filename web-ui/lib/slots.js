@@ -0,0 +1,329 @@
+/**
+ * Blue/green slots
+ * Deployments with strategy "blue_green" run from two slots, each with its own
+ * directory, process and port: blue on `port`, green on
+ * `blue_green.alternate_port`. A deploy builds and starts the idle slot, waits
+ * for its health check and then switches the service's route to it through
+ * nginx.apply. The previous slot keeps running for `blue_green.drain_seconds`
+ * so traffic can be swapped back instantly; the drain reaper stops it after
+ * that. Slot state is kept in the deployment config:
+ *   slots: { active, blue: { process, path, port, state, commit, release_id,
+ *            deployed_at, activated_at, drain_until }, green: { ... } }
+ * with state deploying | active | draining | stopping | stopped | failed.
+ * The reaper marks a slot stopping before it stops the process; swaps and
+ * deploys refuse a slot in that state.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { loadJsonFile, updateJsonFile, withFileLock } = require('./storage');
+const executor = require('./executor');
+const routes = require('./routes');
+const health = require('./health');
+
+// Configuration
+const DEPLOY_CONFIG_DIR = '/etc/api-gateway/deployments';
+const DEFAULT_DRAIN_SECONDS = 300;
+const REAPER_INTERVAL_MS = 15000;
+const SLOT_COMMAND_TIMEOUT_MS = 120000;
+const SWAP_HEALTH_WAIT_MS = 60000;
+const SWAP_HEALTH_RETRY_MS = 2000;
+// A slot left stopping this long (the reaper died mid-stop) is stopped again
+const STOPPING_STALE_MS = 2 * SLOT_COMMAND_TIMEOUT_MS;
+
+const SLOT_NAMES = ['blue', 'green'];
+
+class SlotError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SlotError';
+        this.status = status;
+    }
+}
+
+let reaperTimer = null;
+
+const configPath = (serviceName) => path.join(DEPLOY_CONFIG_DIR, `${serviceName}.json`);
+
+// Read-modify-write the deployment config under its lock file. The reaper runs
+// in the dashboard while prepare, activate and fail run in slots-cli.js
+// processes of the deploy script, so in-process serializing is not enough.
+const updateConfig = (serviceName, mutator) => withFileLock(configPath(serviceName),
+    () => updateJsonFile(configPath(serviceName), {}, mutator));
+
+const otherSlot = (slot) => (slot === 'blue' ? 'green' : 'blue');
+
+const drainSeconds = (config) => {
+    const seconds = (config.blue_green || {}).drain_seconds;
+    return Number.isInteger(seconds) ? seconds : DEFAULT_DRAIN_SECONDS;
+};
+
+const slotPort = (config, slot) => (slot === 'blue' ? Number(config.port) : (config.blue_green || {}).alternate_port);
+
+const loadBlueGreenConfig = async (serviceName) => {
+    const config = await loadJsonFile(configPath(serviceName), null);
+    if (!config || !config.service_name) {
+        throw new SlotError('Service not found', 404);
+    }
+    if (config.strategy !== 'blue_green') {
+        throw new SlotError(`${serviceName} does not use blue/green deploys (strategy: ${config.strategy || 'in_place'})`, 409);
+    }
+    return config;
+};
+
+const isDeployed = async (dir) => fs.access(path.join(dir, '.git')).then(() => true, () => false);
+
+/**
+ * Pick and reserve the slot the next deploy builds into: the idle one, or
+ * blue for the first deploy. A service that was deployed in place is adopted
+ * as the live blue slot so the first blue/green deploy goes to green.
+ * Resolves { slot, process, path, port, live, stale_process, stale_path };
+ * the stale fields name a previous process or directory of the target slot
+ * that the deploy must remove first.
+ */
+const prepare = async (serviceName) => {
+    const config = await loadBlueGreenConfig(serviceName);
+    const alternatePort = (config.blue_green || {}).alternate_port;
+    if (!alternatePort || alternatePort === Number(config.port)) {
+        throw new SlotError('blue_green needs an alternate_port different from port');
+    }
+    let target;
+    let previous;
+    let live;
+    await updateConfig(serviceName, async (data) => {
+        data.slots = data.slots || {};
+        if (!data.slots.active && data.runtime && data.runtime !== 'auto' && await isDeployed(data.deploy_path)) {
+            data.slots.active = 'blue';
+            data.slots.blue = {
+                process: serviceName,
+                path: data.deploy_path,
+                port: Number(data.port),
+                state: 'active',
+                adopted: true,
+                activated_at: new Date().toISOString()
+            };
+        }
+        live = data.slots.active || null;
+        const slot = live ? otherSlot(live) : 'blue';
+        previous = data.slots[slot] || null;
+        if (previous && previous.state === 'stopping') {
+            throw new SlotError(`Slot ${slot} of ${serviceName} is being stopped after its drain period; deploy again in a moment`, 409);
+        }
+        target = { slot, process: `${serviceName}-${slot}`, path: `${data.deploy_path}-${slot}`, port: slotPort(data, slot) };
+        data.slots[slot] = {
+            process: target.process,
+            path: target.path,
+            port: target.port,
+            state: 'deploying',
+            started_at: new Date().toISOString()
+        };
+    });
+    return {
+        ...target,
+        live,
+        stale_process: previous && previous.process ? previous.process : null,
+        stale_path: previous && previous.path && previous.path !== target.path ? previous.path : null
+    };
+};
+
+/**
+ * Point the service's route at a slot and make it the live one; the slot that
+ * was live starts draining. Resolves { active, previous, nginx }.
+ */
+const activate = async (serviceName, slot, { commit = null, releaseId = null, user = null, reason = null } = {}) => {
+    executor.validate({ slot: 'slotName' }, { slot });
+    const config = await loadBlueGreenConfig(serviceName);
+    const record = (config.slots || {})[slot];
+    if (!record || !record.port) {
+        throw new SlotError(`Slot ${slot} of ${serviceName} has not been deployed`, 409);
+    }
+
+    let nginx = null;
+    try {
+        ({ nginx } = await routes.updateRoute(serviceName, { port: record.port }, {
+            reason: reason || `${serviceName}: switch to ${slot} slot`,
+            user
+        }));
+    } catch (error) {
+        if (error.status !== 404) throw error;
+    }
+    if (nginx && !nginx.applied) {
+        throw new SlotError(`nginx did not switch to slot ${slot}: ${nginx.error}`, 502);
+    }
+
+    const now = new Date();
+    const previous = config.slots.active && config.slots.active !== slot ? config.slots.active : null;
+    await updateConfig(serviceName, (data) => {
+        data.slots = data.slots || {};
+        data.slots.active = slot;
+        data.slots[slot] = {
+            ...data.slots[slot],
+            state: 'active',
+            activated_at: now.toISOString(),
+            drain_until: undefined,
+            ...(commit ? { commit } : {}),
+            ...(releaseId ? { release_id: releaseId, deployed_at: now.toISOString() } : {})
+        };
+        if (previous && data.slots[previous]) {
+            data.slots[previous] = {
+                ...data.slots[previous],
+                state: 'draining',
+                drain_until: new Date(now.getTime() + drainSeconds(data) * 1000).toISOString()
+            };
+        }
+    });
+    return { active: slot, previous, nginx };
+};
+
+// A deploy into the slot failed; its process has been removed by the deploy script
+const markFailed = (serviceName, slot, message = null) => updateConfig(serviceName, (data) => {
+    if (!data.slots || !data.slots[slot]) return;
+    data.slots[slot] = { ...data.slots[slot], state: 'failed', error: message, failed_at: new Date().toISOString() };
+});
+
+/**
+ * Leave blue/green (the service goes back to in-place deploys): the route is
+ * pointed at `port` and the slot state dropped. Resolves the slot processes
+ * the deploy script must remove (not the service's own, which it redeploys).
+ */
+const retire = async (serviceName) => {
+    const config = await loadJsonFile(configPath(serviceName), null);
+    if (!config || !config.slots) return [];
+    const processes = SLOT_NAMES.map(slot => (config.slots[slot] || {}).process)
+        .filter(name => name && name !== serviceName);
+    await routes.updateRoute(serviceName, { port: Number(config.port) }, { reason: `${serviceName}: back to in-place deploys` })
+        .catch(error => {
+            if (error.status !== 404) throw error;
+        });
+    await updateConfig(serviceName, (data) => {
+        delete data.slots;
+    });
+    return processes;
+};
+
+const waitHealthy = async (config, port) => {
+    const deadline = Date.now() + SWAP_HEALTH_WAIT_MS;
+    for (;;) {
+        const sample = await health.checkPort(config, port);
+        if (sample.ok) return sample;
+        if (Date.now() >= deadline) {
+            throw new SlotError(`Slot did not pass its health check on port ${port}: ${sample.error}`, 502);
+        }
+        await new Promise(resolve => setTimeout(resolve, SWAP_HEALTH_RETRY_MS));
+    }
+};
+
+/**
+ * Swap traffic to the other slot. While it is still draining this is
+ * instant; a stopped slot is started and must pass its health check first.
+ * Resolves { active, previous, started, nginx }.
+ */
+const swap = async (serviceName, { user = null } = {}) => {
+    const config = await loadBlueGreenConfig(serviceName);
+    const slots = config.slots || {};
+    if (!slots.active) {
+        throw new SlotError(`${serviceName} has no live slot yet; deploy it first`, 409);
+    }
+    if (config.desired_state === 'stopped') {
+        throw new SlotError(`${serviceName} is stopped; start it first`, 409);
+    }
+    const target = otherSlot(slots.active);
+    const record = slots[target];
+    if (record && record.state === 'stopping') {
+        throw new SlotError(`Slot ${target} is being stopped after its drain period; swap again in a moment`, 409);
+    }
+    if (!record || !['draining', 'stopped'].includes(record.state)) {
+        throw new SlotError(`Slot ${target} has no release to swap to${record ? ` (${record.state})` : ''}`, 409);
+    }
+    const started = record.state === 'stopped';
+    if (started) {
+        await executor.run('slot.start', { service: serviceName, slot: target }, { timeout: SLOT_COMMAND_TIMEOUT_MS });
+    }
+    if ((config.health_check || {}).enabled !== false) {
+        await waitHealthy(config, record.port);
+    }
+    const result = await activate(serviceName, target, { user, reason: `${serviceName}: swap back to ${target} slot` });
+    return { ...result, started };
+};
+
+// Slot details for the dashboard: { strategy, active, drain_seconds, slots: [...] }
+const getSlots = async (serviceName) => {
+    const config = await loadJsonFile(configPath(serviceName), null);
+    if (!config || !config.service_name) {
+        throw new SlotError('Service not found', 404);
+    }
+    const slots = config.slots || {};
+    return {
+        strategy: config.strategy || 'in_place',
+        active: slots.active || null,
+        drain_seconds: drainSeconds(config),
+        ports: { blue: slotPort(config, 'blue'), green: slotPort(config, 'green') || null },
+        slots: SLOT_NAMES.filter(slot => slots[slot]).map(slot => ({ slot, live: slots.active === slot, ...slots[slot] }))
+    };
+};
+
+const isDrained = (record, now) => Boolean(record) &&
+    ((record.state === 'draining' && Date.parse(record.drain_until) <= now) ||
+     (record.state === 'stopping' && now - Date.parse(record.stopping_at) > STOPPING_STALE_MS));
+
+// Mark a drained slot stopping; resolves false when a swap or deploy took it meanwhile
+const claimDrained = async (serviceName, slot) => {
+    let claimed = false;
+    await updateConfig(serviceName, (data) => {
+        const slots = data.slots || {};
+        const record = slots[slot];
+        if (slots.active === slot || !isDrained(record, Date.now())) return;
+        data.slots[slot] = { ...record, state: 'stopping', stopping_at: new Date().toISOString() };
+        claimed = true;
+    });
+    return claimed;
+};
+
+// Stop slots whose drain period is over
+const reapDrained = async () => {
+    const files = (await fs.readdir(DEPLOY_CONFIG_DIR).catch(() => [])).filter(f => f.endsWith('.json'));
+    for (const file of files) {
+        const config = await loadJsonFile(path.join(DEPLOY_CONFIG_DIR, file), null);
+        if (!config || !config.slots) continue;
+        for (const slot of SLOT_NAMES) {
+            if (!isDrained(config.slots[slot], Date.now())) continue;
+            let stopped = false;
+            try {
+                if (!(await claimDrained(config.service_name, slot))) continue;
+                await executor.run('slot.stop', { service: config.service_name, slot }, { timeout: SLOT_COMMAND_TIMEOUT_MS });
+                stopped = true;
+                console.log(`Stopped drained ${slot} slot of ${config.service_name}`);
+            } catch (error) {
+                console.error(`Stopping ${slot} slot of ${config.service_name} failed:`, error.stderr || error.message);
+            }
+            // Stopped, or back to draining so the next tick retries
+            await updateConfig(config.service_name, (data) => {
+                const record = (data.slots || {})[slot];
+                if (!record || record.state !== 'stopping') return;
+                data.slots[slot] = stopped
+                    ? { ...record, state: 'stopped', drain_until: undefined, stopping_at: undefined, stopped_at: new Date().toISOString() }
+                    : { ...record, state: 'draining', stopping_at: undefined };
+            }).catch(error => console.error(`Recording the ${slot} slot of ${config.service_name} failed:`, error.message));
+        }
+    }
+};
+
+const startReaper = () => {
+    if (reaperTimer) return;
+    const tick = () => reapDrained().catch(error => console.error('Slot reaper error:', error.message));
+    tick();
+    reaperTimer = setInterval(tick, REAPER_INTERVAL_MS);
+    reaperTimer.unref();
+};
+
+module.exports = {
+    SlotError,
+    prepare,
+    activate,
+    markFailed,
+    retire,
+    swap,
+    getSlots,
+    claimDrained,
+    startReaper
+};
@@ -0,0 +1,175 @@
+/**
+ * Minimal SMTP client
+ * Sends one plain-text message per connection: EHLO, optional STARTTLS (or
+ * implicit TLS), AUTH PLAIN/LOGIN, MAIL FROM, RCPT TO, DATA. Enough for
+ * notification email through a relay or a local MTA without extra packages.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+class SmtpError extends Error {
+    constructor(message, code = null) {
+        super(message);
+        this.name = 'SmtpError';
+        this.code = code;
+    }
+}
+
+// Line-based reader that resolves one (possibly multi-line) SMTP reply at a time
+const createReader = (socket) => {
+    let buffer = '';
+    let lines = [];
+    let waiting = null;
+    let failure = null;
+
+    const settle = () => {
+        if (!waiting) return;
+        if (failure) {
+            const { reject } = waiting;
+            waiting = null;
+            reject(failure);
+            return;
+        }
+        const end = lines.findIndex(line => /^\d{3} /.test(line) || /^\d{3}$/.test(line));
+        if (end === -1) return;
+        const reply = lines.slice(0, end + 1);
+        lines = lines.slice(end + 1);
+        const { resolve } = waiting;
+        waiting = null;
+        resolve({ code: parseInt(reply[end].slice(0, 3), 10), text: reply.map(l => l.slice(4)).join('\n') });
+    };
+
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        const parts = buffer.split('\r\n');
+        buffer = parts.pop();
+        lines.push(...parts);
+        settle();
+    };
+    const onError = (error) => {
+        failure = error;
+        settle();
+    };
+    const onClose = () => onError(new SmtpError('Connection closed by server'));
+
+    const attach = (s) => {
+        s.on('data', onData);
+        s.on('error', onError);
+        s.on('close', onClose);
+    };
+    const detach = (s) => {
+        s.removeListener('data', onData);
+        s.removeListener('error', onError);
+        s.removeListener('close', onClose);
+    };
+    attach(socket);
+
+    return {
+        read: () => new Promise((resolve, reject) => {
+            waiting = { resolve, reject };
+            settle();
+        }),
+        detach
+    };
+};
+
+// "Name <a@b>" / "a@b" -> "a@b"
+const addressOf = (value) => {
+    const match = String(value).match(/<([^>]+)>/);
+    return (match ? match[1] : String(value)).trim();
+};
+
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+const buildMessage = ({ from, to, subject, text }) => {
+    const body = String(text).replace(/\r?\n/g, '\r\n')
+        // Dot-stuffing: lines starting with "." get an extra one
+        .replace(/^\./gm, '..');
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        body
+    ].join('\r\n');
+};
+
+/**
+ * Send a message.
+ * options: { host, port, secure ('tls' implicit | 'starttls' | 'none'),
+ *            username, password, from, to: [..], subject, text, timeout_ms }
+ */
+const sendMail = async (options) => {
+    const { host, port = 25, secure = 'none', username, password, from, to, subject, text } = options;
+    const timeout = options.timeout_ms || DEFAULT_TIMEOUT_MS;
+
+    let socket = await new Promise((resolve, reject) => {
+        const s = secure === 'tls'
+            ? tls.connect({ host, port, servername: host })
+            : net.connect({ host, port });
+        s.once(secure === 'tls' ? 'secureConnect' : 'connect', () => resolve(s));
+        s.once('error', reject);
+    });
+    socket.setTimeout(timeout, () => socket.destroy(new SmtpError(`SMTP timeout after ${timeout}ms`)));
+    let reader = createReader(socket);
+
+    // label replaces the command in errors (credentials, message body)
+    const expect = async (codes, command, label = command) => {
+        if (command !== undefined) socket.write(`${command}\r\n`);
+        const reply = await reader.read();
+        if (!codes.includes(reply.code)) {
+            throw new SmtpError(`${label || 'greeting'}: ${reply.code} ${reply.text}`, reply.code);
+        }
+        return reply;
+    };
+
+    try {
+        await expect([220]);
+        let ehlo = await expect([250], `EHLO ${os.hostname()}`);
+        if (secure === 'starttls') {
+            await expect([220], 'STARTTLS');
+            reader.detach(socket);
+            socket = await new Promise((resolve, reject) => {
+                const s = tls.connect({ socket, servername: host }, () => resolve(s));
+                s.once('error', reject);
+            });
+            socket.setTimeout(timeout, () => socket.destroy(new SmtpError(`SMTP timeout after ${timeout}ms`)));
+            reader = createReader(socket);
+            ehlo = await expect([250], `EHLO ${os.hostname()}`);
+        }
+        if (username) {
+            if (/AUTH[ =][^\n]*PLAIN/i.test(ehlo.text)) {
+                await expect([235], `AUTH PLAIN ${Buffer.from(`\0${username}\0${password || ''}`).toString('base64')}`, 'AUTH PLAIN');
+            } else {
+                await expect([334], 'AUTH LOGIN');
+                await expect([334], Buffer.from(username).toString('base64'), 'AUTH LOGIN username');
+                await expect([235], Buffer.from(password || '').toString('base64'), 'AUTH LOGIN password');
+            }
+        }
+        await expect([250], `MAIL FROM:<${addressOf(from)}>`);
+        for (const recipient of to) {
+            await expect([250, 251], `RCPT TO:<${addressOf(recipient)}>`);
+        }
+        await expect([354], 'DATA');
+        await expect([250], `${buildMessage({ from, to, subject, text })}\r\n.`, 'message body');
+        socket.write('QUIT\r\n');
+    } finally {
+        socket.end();
+    }
+};
+
+module.exports = {
+    SmtpError,
+    sendMail
+};
@@ -0,0 +1,294 @@
+/**
+ * Deployment status cache
+ * One shared collector for the deployments list: configs and deploy status are
+ * reloaded when their files change (fs.watch), process state is queried in
+ * batches (one `systemctl show`, one `pm2 jlist`, one `docker ps` for all
+ * services) on a fixed interval, and subscribers receive only the services that
+ * changed. The REST endpoints, the SSE stream and /metrics all read from here.
+ */
+
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const { loadJsonFile } = require('./storage');
+const executor = require('./executor');
+const health = require('./health');
+const { liveProcess } = require('./deployments');
+
+// Configuration
+const DEPLOY_CONFIG_DIR = '/etc/api-gateway/deployments';
+const DEPLOY_STATUS_FILE = '/var/lib/api-gateway/deployment-status.json';
+const PROCESS_INTERVAL_MS = 5000;
+const FILE_RESCAN_MS = 60000; // safety net when fs.watch is unavailable or misses events
+const WATCH_DEBOUNCE_MS = 150;
+const DOCKER_TIMEOUT_MS = 15000;
+
+let configs = new Map(); // service -> deployment config
+let deployStatus = {}; // service -> entry from deployment-status.json
+let running = new Map(); // service -> bool
+let instanceCounts = new Map(); // service -> running PM2 instances / compose containers
+let entries = new Map(); // service -> serialized entry, to detect changes
+let ready = null;
+let collectorTimer = null;
+let rescanTimer = null;
+const watchers = [];
+const listeners = new Set();
+
+// Deployment config as returned to clients (webhook secret only via webhook-instructions)
+const publicConfig = (config) => {
+    const { webhook_secret, ...rest } = config || {};
+    return rest;
+};
+
+const isDocker = (config) => config.runtime === 'docker' || config.runtime === 'docker-compose';
+const isPm2 = (config) => !isDocker(config) && config.process_manager === 'pm2';
+
+const buildEntry = (serviceName) => {
+    const config = configs.get(serviceName);
+    const deploymentStatus = deployStatus[serviceName] || {};
+    return {
+        config: publicConfig(config),
+        status: deploymentStatus.status || 'unknown',
+        message: deploymentStatus.message || '',
+        last_updated: deploymentStatus.last_updated,
+        last_deployment: deploymentStatus.last_deployment,
+        system_running: running.get(serviceName) || false,
+        desired_state: (config && config.desired_state) || 'running',
+        instances: (config && config.instances) || 1,
+        instances_running: instanceCounts.has(serviceName) ? instanceCounts.get(serviceName) : null,
+        health: health.getSummary(serviceName)
+    };
+};
+
+// Rebuild every entry and notify subscribers of the ones that changed
+const publish = () => {
+    const changed = {};
+    const removed = [];
+    const next = new Map();
+    for (const serviceName of configs.keys()) {
+        const entry = buildEntry(serviceName);
+        const serialized = JSON.stringify(entry);
+        next.set(serviceName, serialized);
+        if (entries.get(serviceName) !== serialized) changed[serviceName] = entry;
+    }
+    for (const serviceName of entries.keys()) {
+        if (!next.has(serviceName)) removed.push(serviceName);
+    }
+    entries = next;
+    if (Object.keys(changed).length === 0 && removed.length === 0) return;
+    const diff = { changed, removed, timestamp: new Date().toISOString() };
+    for (const listener of listeners) {
+        try {
+            listener(diff);
+        } catch (error) {
+            console.error('Status subscriber error:', error.message);
+        }
+    }
+};
+
+// ============ Sources ============
+
+const loadConfigs = async () => {
+    const configFiles = await fs.readdir(DEPLOY_CONFIG_DIR).catch(() => []);
+    const loaded = new Map();
+    for (const configFile of configFiles.filter(f => f.endsWith('.json'))) {
+        const config = await loadJsonFile(path.join(DEPLOY_CONFIG_DIR, configFile), null);
+        if (config && config.service_name) loaded.set(configFile.replace('.json', ''), config);
+    }
+    configs = loaded;
+};
+
+const loadDeployStatus = async () => {
+    deployStatus = (await loadJsonFile(DEPLOY_STATUS_FILE, { deployments: {} })).deployments || {};
+};
+
+// Service names come from config filenames; skip any that are not valid unit names
+const validNames = (names) => names.filter((service) => {
+    try {
+        executor.validate({ service: 'serviceName' }, { service });
+        return true;
+    } catch {
+        return false;
+    }
+});
+
+// service -> ActiveState === 'active', from one `systemctl show` for all units
+const systemdStates = async (names) => {
+    const services = validNames(names);
+    if (services.length === 0) return {};
+    const { stdout } = await executor.run('systemd.show-states', {}, { context: { services } });
+    const states = {};
+    for (const block of stdout.split(/\n\s*\n/)) {
+        const props = Object.fromEntries(block.split('\n').filter(l => l.includes('=')).map(l => [l.slice(0, l.indexOf('=')), l.slice(l.indexOf('=') + 1)]));
+        if (props.Id) states[props.Id.replace(/\.service$/, '')] = props.ActiveState === 'active';
+    }
+    return states;
+};
+
+// app name -> number of online instances (cluster mode lists each one)
+const pm2States = async () => {
+    const { stdout } = await executor.run('pm2.jlist');
+    const apps = JSON.parse(stdout.slice(stdout.indexOf('[')));
+    const states = {};
+    for (const app of apps) {
+        states[app.name] = (states[app.name] || 0) + ((app.pm2_env || {}).status === 'online' ? 1 : 0);
+    }
+    return states;
+};
+
+// Running container names plus the compose project directories they belong to
+// (with their number of running containers)
+const dockerContainers = async () => {
+    const { stdout } = await executor.run('docker.ps-running', {}, { timeout: DOCKER_TIMEOUT_MS });
+    const names = new Set();
+    const composeDirs = new Map();
+    for (const line of stdout.split('\n').filter(Boolean)) {
+        const [name, workingDir] = line.split('\t');
+        names.add(name);
+        if (workingDir) composeDirs.set(path.resolve(workingDir), (composeDirs.get(path.resolve(workingDir)) || 0) + 1);
+    }
+    return { names, composeDirs };
+};
+
+// Query every process manager in use once; a failed query marks its services stopped
+const loadProcessStates = async () => {
+    const all = [...configs.entries()];
+    const systemd = all.filter(([, c]) => !isDocker(c) && !isPm2(c)).map(([, c]) => liveProcess(c));
+    const [systemdRunning, pm2Running, docker] = await Promise.all([
+        systemdStates(systemd).catch(() => ({})),
+        all.some(([, c]) => isPm2(c)) ? pm2States().catch(() => ({})) : {},
+        all.some(([, c]) => isDocker(c)) ? dockerContainers().catch(() => ({ names: new Set(), composeDirs: new Map() })) : null
+    ]);
+    const states = new Map();
+    const counts = new Map();
+    for (const [serviceName, config] of all) {
+        if (config.runtime === 'docker-compose') {
+            const containers = (config.deploy_path && docker.composeDirs.get(path.resolve(config.deploy_path))) || 0;
+            states.set(serviceName, containers > 0);
+            counts.set(serviceName, containers);
+        } else if (isDocker(config)) {
+            states.set(serviceName, docker.names.has(serviceName));
+        } else if (isPm2(config)) {
+            const online = pm2Running[liveProcess(config)] || 0;
+            states.set(serviceName, online > 0);
+            counts.set(serviceName, online);
+        } else {
+            states.set(serviceName, systemdRunning[liveProcess(config)] === true);
+        }
+    }
+    running = states;
+    instanceCounts = counts;
+};
+
+// ============ Refresh ============
+
+// Serialize refreshes; a request made while one runs is folded into a single rerun
+let busy = null;
+let pending = null;
+const run = (fns) => {
+    busy = (async () => {
+        for (const fn of fns) await fn();
+        publish();
+    })().catch(error => console.error('Status refresh error:', error.message))
+        .finally(() => { busy = null; });
+    return busy;
+};
+const queue = (fn) => {
+    if (busy) {
+        pending = pending || { fns: new Set(), promise: null };
+        pending.fns.add(fn);
+        if (!pending.promise) {
+            pending.promise = busy.then(() => {
+                const { fns } = pending;
+                pending = null;
+                return run([...fns]);
+            });
+        }
+        return pending.promise;
+    }
+    return run([fn]);
+};
+
+const reloadFiles = async () => {
+    const before = [...configs.keys()].sort().join(',');
+    await Promise.all([loadConfigs(), loadDeployStatus()]);
+    // New or removed services need their process state right away
+    if ([...configs.keys()].sort().join(',') !== before) await loadProcessStates();
+};
+
+/**
+ * Re-read everything now (configs, deploy status and process states) and
+ * publish the changes. Resolves once the cache is up to date.
+ */
+const refresh = () => queue(async () => {
+    await Promise.all([loadConfigs(), loadDeployStatus()]);
+    await loadProcessStates();
+});
+
+// fs.watch on the directory (the status file is replaced by rename, so a
+// watch on the file itself would stop firing after the first write)
+const watchDir = (dir, filter) => {
+    let timer = null;
+    try {
+        const watcher = fsSync.watch(dir, (event, filename) => {
+            if (filename && !filter(String(filename))) return;
+            clearTimeout(timer);
+            timer = setTimeout(() => queue(reloadFiles), WATCH_DEBOUNCE_MS);
+        });
+        watcher.on('error', () => watcher.close());
+        watchers.push(watcher);
+    } catch (error) {
+        console.error(`Cannot watch ${dir} (${error.message}); relying on periodic rescans`);
+    }
+};
+
+const startCollector = () => {
+    if (collectorTimer) return ready;
+    ready = refresh();
+    watchDir(DEPLOY_CONFIG_DIR, f => f.endsWith('.json'));
+    watchDir(path.dirname(DEPLOY_STATUS_FILE), f => f === path.basename(DEPLOY_STATUS_FILE));
+    collectorTimer = setInterval(() => queue(loadProcessStates), PROCESS_INTERVAL_MS);
+    collectorTimer.unref();
+    rescanTimer = setInterval(() => queue(reloadFiles), FILE_RESCAN_MS);
+    rescanTimer.unref();
+    return ready;
+};
+
+// ============ Readers ============
+
+// All deployments as { service: entry } (waits for the first collection)
+const getDeployments = async () => {
+    await (ready || startCollector());
+    return Object.fromEntries([...configs.keys()].map(serviceName => [serviceName, buildEntry(serviceName)]));
+};
+
+// One deployment entry, or null if there is no such deployment
+const getDeployment = async (serviceName) => {
+    await (ready || startCollector());
+    if (!configs.has(serviceName)) {
+        // A config written moments ago may not have been picked up yet
+        await queue(reloadFiles);
+    }
+    return configs.has(serviceName) ? buildEntry(serviceName) : null;
+};
+
+const isRunning = (serviceName) => running.get(serviceName) || false;
+
+/**
+ * Receive { changed: { service: entry }, removed: [service], timestamp }
+ * whenever deployments change. Returns a function that unsubscribes.
+ */
+const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+module.exports = {
+    publicConfig,
+    startCollector,
+    refresh,
+    getDeployments,
+    getDeployment,
+    isRunning,
+    subscribe
+};
@@ -0,0 +1,175 @@
+/**
+ * Deploy pipeline steps
+ * The deploy script marks each phase in its log with
+ *   ##[step] start <name> <epoch_ms>
+ *   ##[step] end <name> <epoch_ms> <exit_code>
+ * (see step_start/step_end in modules/deployment-manager.sh). This module turns
+ * a deploy log into a step timeline with per-step output, finds the log of a
+ * job, and splits a live log stream into text and step events.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Configuration
+const DEPLOY_LOG_DIR = '/var/log/api-gateway/deployments';
+const MAX_STEP_LOG_LINES = 1000; // per step; older lines are dropped
+const JOB_LOG_SLACK_MS = 5000; // clock skew between job start and the log's name
+
+const STEP_LABELS = {
+    fetch: 'Fetch source',
+    detect: 'Detect runtime',
+    install: 'Prepare environment',
+    build: 'Build',
+    start: 'Start service',
+    health: 'Health check',
+    switch: 'Switch traffic'
+};
+
+const MARKER_PREFIX = '##[step] ';
+const MARKER_PATTERN = /^##\[step\] (start|end) ([a-z][a-z0-9_-]*) (\d+)(?: (-?\d+))?$/;
+
+/**
+ * Parse one log line; returns { event, name, label, at, exit_code } for a step
+ * marker, null for anything else.
+ */
+const parseMarker = (line) => {
+    const match = MARKER_PATTERN.exec(line.trim());
+    if (!match) return null;
+    return {
+        event: match[1],
+        name: match[2],
+        label: STEP_LABELS[match[2]] || match[2],
+        at: new Date(Number(match[3])).toISOString(),
+        exit_code: match[1] === 'end' ? Number(match[4] || 0) : null
+    };
+};
+
+const newStep = (marker) => ({
+    name: marker.name,
+    label: marker.label,
+    status: 'running',
+    started_at: marker.at,
+    finished_at: null,
+    duration_ms: null,
+    exit_code: null,
+    log: [],
+    log_lines: 0
+});
+
+/**
+ * Build the step timeline from a deploy log. `finished` says the deploy is
+ * over, so a step that was never ended is reported as interrupted instead of
+ * running. Returns { steps: [{ name, label, status, started_at, finished_at,
+ * duration_ms, exit_code, log, log_lines }] } with status running | succeeded |
+ * failed | interrupted; log holds the step's last MAX_STEP_LOG_LINES lines.
+ */
+const parseLog = (text, { finished = false } = {}) => {
+    const steps = [];
+    let current = null;
+    for (const line of text.split('\n')) {
+        const marker = line.startsWith(MARKER_PREFIX) ? parseMarker(line) : null;
+        if (!marker) {
+            if (current) {
+                current.log.push(line);
+                current.log_lines++;
+                if (current.log.length > MAX_STEP_LOG_LINES) current.log.shift();
+            }
+            continue;
+        }
+        if (marker.event === 'start') {
+            current = newStep(marker);
+            steps.push(current);
+        } else if (current && current.name === marker.name) {
+            current.finished_at = marker.at;
+            current.duration_ms = Date.parse(marker.at) - Date.parse(current.started_at);
+            current.exit_code = marker.exit_code;
+            current.status = marker.exit_code === 0 ? 'succeeded' : 'failed';
+            current = null;
+        }
+    }
+    if (current && finished) current.status = 'interrupted';
+    return {
+        steps: steps.map(step => ({ ...step, log: step.log.join('\n').replace(/\n+$/, '') }))
+    };
+};
+
+const releaseTime = (serviceName, filename) => {
+    const match = new RegExp(`^${serviceName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-(\\d{4})(\\d{2})(\\d{2})-(\\d{2})(\\d{2})(\\d{2})\\.log$`).exec(filename);
+    if (!match) return null;
+    // The deploy script names logs after local time
+    return new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`).getTime();
+};
+
+/**
+ * Log file of a deploy job: the service's log started while the job ran,
+ * preferring the one whose header names the job. Resolves a path or null.
+ */
+const findJobLog = async (job) => {
+    if (!job.started_at) return null;
+    const from = Date.parse(job.started_at) - JOB_LOG_SLACK_MS;
+    const to = (job.finished_at ? Date.parse(job.finished_at) : Date.now()) + JOB_LOG_SLACK_MS;
+    const files = (await fs.readdir(DEPLOY_LOG_DIR).catch(() => []))
+        .map(name => ({ name, at: releaseTime(job.service, name) }))
+        .filter(f => f.at !== null && f.at >= from && f.at <= to)
+        .sort((a, b) => a.at - b.at);
+    for (const file of files) {
+        const head = (await fs.readFile(path.join(DEPLOY_LOG_DIR, file.name), 'utf8').catch(() => '')).slice(0, 2000);
+        if (head.includes(`Job: ${job.id}\n`)) return path.join(DEPLOY_LOG_DIR, file.name);
+    }
+    return files.length > 0 ? path.join(DEPLOY_LOG_DIR, files[0].name) : null;
+};
+
+/**
+ * Step timeline of a deploy job (see parseLog). Resolves
+ * { log_file, steps }; log_file is null when the deploy has not written a log.
+ */
+const getJobSteps = async (job) => {
+    const logFile = await findJobLog(job);
+    if (!logFile) return { log_file: null, steps: [] };
+    const text = await fs.readFile(logFile, 'utf8').catch(() => '');
+    const finished = !['queued', 'running'].includes(job.status);
+    return { log_file: path.basename(logFile), ...parseLog(text, { finished }) };
+};
+
+/**
+ * Split a live log stream into text and step markers, in order. Returns
+ * write(chunk); onText(text) gets everything that is not a marker line and
+ * onStep(marker) each parsed marker. A trailing partial line is held back only
+ * while it could still turn into a marker.
+ */
+const createMarkerSplitter = (onText, onStep) => {
+    let pending = '';
+    return (chunk) => {
+        const lines = (pending + chunk).split('\n');
+        pending = lines.pop();
+        let text = '';
+        for (const line of lines) {
+            const marker = line.startsWith(MARKER_PREFIX) ? parseMarker(line) : null;
+            if (!marker) {
+                text += `${line}\n`;
+                continue;
+            }
+            if (text) onText(text);
+            text = '';
+            onStep(marker);
+        }
+        if (pending && !MARKER_PREFIX.startsWith(pending.slice(0, MARKER_PREFIX.length))) {
+            text += pending;
+            pending = '';
+        }
+        if (text) onText(text);
+    };
+};
+
+// Log text without marker lines (for plain-text views)
+const stripMarkers = (text) => text.split('\n').filter(line => !(line.startsWith(MARKER_PREFIX) && parseMarker(line))).join('\n');
+
+module.exports = {
+    STEP_LABELS,
+    parseMarker,
+    parseLog,
+    getJobSteps,
+    createMarkerSplitter,
+    stripMarkers
+};
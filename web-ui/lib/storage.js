@@ -0,0 +1,107 @@
+/**
+ * JSON file storage helpers
+ * Shared by the dashboard and webhook servers
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const LOCK_STALE_MS = 30000;
+const LOCK_TIMEOUT_MS = 15000;
+
+let tmpCounter = 0;
+const fileQueues = new Map();
+const lockQueues = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Read and parse a JSON file, falling back to defaultValue when missing or invalid
+const loadJsonFile = async (filePath, defaultValue = {}) => {
+    try {
+        const data = await fs.readFile(filePath, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return defaultValue;
+    }
+};
+
+// Write JSON atomically (temp file + rename) so readers never see a partial file.
+// Throws on failure; pass { mode: 0o600 } for files holding secrets.
+const saveJsonFile = async (filePath, data, options = {}) => {
+    const tmpPath = `${filePath}.${process.pid}.${++tmpCounter}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: options.mode || 0o644 });
+    await fs.rename(tmpPath, filePath);
+    return true;
+};
+
+// Read-modify-write a JSON file. Updates to the same path are serialized within
+// this process; the mutator may change the object in place or return a new one.
+const updateJsonFile = (filePath, defaultValue, mutator, options = {}) => {
+    const previous = fileQueues.get(filePath) || Promise.resolve();
+    const run = previous.catch(() => {}).then(async () => {
+        const data = await loadJsonFile(filePath, JSON.parse(JSON.stringify(defaultValue)));
+        const result = await mutator(data);
+        const next = result === undefined ? data : result;
+        await saveJsonFile(filePath, next, options);
+        return next;
+    });
+    fileQueues.set(filePath, run);
+    run.catch(() => {}).then(() => {
+        if (fileQueues.get(filePath) === run) fileQueues.delete(filePath);
+    });
+    return run;
+};
+
+// Cross-process lock: an exclusive lock file (O_EXCL) next to the protected file.
+// Locks left behind by a crashed process are broken after LOCK_STALE_MS.
+const acquireLockFile = async (lockPath) => {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    await fs.mkdir(path.dirname(lockPath), { recursive: true });
+    for (;;) {
+        try {
+            const handle = await fs.open(lockPath, 'wx');
+            await handle.writeFile(String(process.pid));
+            await handle.close();
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+        const stat = await fs.stat(lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+            await fs.unlink(lockPath).catch(() => {});
+            continue;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for lock ${lockPath}`);
+        }
+        await sleep(50);
+    }
+};
+
+// Run fn while holding `${filePath}.lock`, serialized within this process as
+// well as against other processes (dashboard, webhook server, CLI helpers).
+const withFileLock = (filePath, fn) => {
+    const lockPath = `${filePath}.lock`;
+    const previous = lockQueues.get(lockPath) || Promise.resolve();
+    const run = previous.catch(() => {}).then(async () => {
+        await acquireLockFile(lockPath);
+        try {
+            return await fn();
+        } finally {
+            await fs.unlink(lockPath).catch(() => {});
+        }
+    });
+    lockQueues.set(lockPath, run);
+    run.catch(() => {}).then(() => {
+        if (lockQueues.get(lockPath) === run) lockQueues.delete(lockPath);
+    });
+    return run;
+};
+
+module.exports = {
+    loadJsonFile,
+    saveJsonFile,
+    updateJsonFile,
+    withFileLock
+};
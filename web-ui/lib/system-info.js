@@ -0,0 +1,70 @@
+/**
+ * Host system information
+ * Load average, memory, root disk usage and uptime, as shown on the dashboard
+ * and exported as metrics.
+ */
+
+const fs = require('fs').promises;
+const executor = require('./executor');
+
+const collect = async () => {
+    const info = {};
+    
+    // Load average
+    const loadAvg = await fs.readFile('/proc/loadavg', 'utf8');
+    info.load_average = loadAvg.trim().split(' ').slice(0, 3);
+    
+    // Memory info
+    const meminfo = await fs.readFile('/proc/meminfo', 'utf8');
+    const memData = {};
+    meminfo.split('\n').forEach(line => {
+        const [key, value] = line.split(':');
+        if (key && value) {
+            memData[key.trim()] = value.trim();
+        }
+    });
+    
+    const totalMem = parseInt(memData.MemTotal?.split(' ')[0] || 0);
+    const freeMem = parseInt(memData.MemFree?.split(' ')[0] || 0);
+    const availableMem = parseInt(memData.MemAvailable?.split(' ')[0] || 0);
+    
+    info.memory = {
+        total: totalMem,
+        free: freeMem,
+        available: availableMem,
+        used: totalMem - freeMem,
+        usage_percent: Math.round((totalMem - availableMem) / totalMem * 100 * 10) / 10
+    };
+    
+    // Disk usage
+    try {
+        const { stdout } = await executor.run('disk.root');
+        const diskInfo = stdout.trim().split('\n').pop().split(/\s+/);
+        info.disk = {
+            total: diskInfo[1],
+            used: diskInfo[2],
+            available: diskInfo[3],
+            usage_percent: diskInfo[4]
+        };
+    } catch {
+        info.disk = { error: 'Unable to get disk info' };
+    }
+    
+    // Uptime
+    const uptime = await fs.readFile('/proc/uptime', 'utf8');
+    const uptimeSeconds = parseFloat(uptime.split(' ')[0]);
+    const days = Math.floor(uptimeSeconds / 86400);
+    const hours = Math.floor((uptimeSeconds % 86400) / 3600);
+    const minutes = Math.floor((uptimeSeconds % 3600) / 60);
+    
+    info.uptime = {
+        seconds: uptimeSeconds,
+        formatted: `${days}d ${hours}h ${minutes}m`
+    };
+    
+    return info;
+};
+
+module.exports = {
+    collect
+};
@@ -0,0 +1,388 @@
+/**
+ * Git hosting webhook providers
+ * Detection, request verification and payload normalisation for GitHub,
+ * GitLab, Gitea and Bitbucket, plus provider-specific setup instructions.
+ * Every provider's push payload is normalised to the same push event:
+ *   { ref, branch, commit, message, pusher, repository, deleted }
+ * and pull / merge request events to the same pull request:
+ *   { number, action: open|sync|close, title, url, branch, base_branch,
+ *     commit, author, fetch_ref, fork }
+ */
+
+const crypto = require('crypto');
+
+const PROVIDERS = ['github', 'gitlab', 'gitea', 'bitbucket'];
+
+const ZERO_SHA = /^0+$/;
+
+const header = (headers, name) => {
+    const value = headers[name.toLowerCase()];
+    return Array.isArray(value) ? value[0] : value;
+};
+
+const hmacHex = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+// Constant-time string comparison (false on length mismatch)
+const safeEqual = (a, b) => {
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const branchFromRef = (ref) => (typeof ref === 'string' && ref.startsWith('refs/heads/') ? ref.slice('refs/heads/'.length) : null);
+
+// GitHub and Gitea share the push and pull request payload shapes
+const normalizeGithubStyle = (payload) => {
+    const headCommit = payload.head_commit || (payload.commits || [])[(payload.commits || []).length - 1] || {};
+    return [{
+        ref: payload.ref,
+        branch: branchFromRef(payload.ref),
+        commit: payload.after || headCommit.id || null,
+        message: headCommit.message || null,
+        pusher: payload.pusher?.name || payload.pusher?.login || payload.pusher?.username || null,
+        repository: payload.repository?.full_name || null,
+        deleted: Boolean(payload.deleted) || ZERO_SHA.test(payload.after || '')
+    }];
+};
+
+const GITHUB_PR_ACTIONS = { opened: 'open', reopened: 'open', synchronize: 'sync', synchronized: 'sync', closed: 'close' };
+
+const normalizeGithubStylePr = (payload) => {
+    const pr = payload.pull_request || {};
+    return {
+        number: payload.number || pr.number || null,
+        action: GITHUB_PR_ACTIONS[payload.action] || null,
+        title: pr.title || null,
+        url: pr.html_url || null,
+        branch: pr.head?.ref || null,
+        base_branch: pr.base?.ref || null,
+        commit: pr.head?.sha || null,
+        author: pr.user?.login || pr.user?.username || null,
+        fetch_ref: `refs/pull/${payload.number || pr.number}/head`,
+        fork: Boolean(pr.head?.repo && pr.base?.repo && pr.head.repo.full_name !== pr.base.repo.full_name)
+    };
+};
+
+const PROVIDER_IMPL = {
+    github: {
+        label: 'GitHub',
+        detect: (headers) => Boolean(header(headers, 'x-github-event')),
+        verify: (body, secret, headers) => {
+            const signature = header(headers, 'x-hub-signature-256') || '';
+            return safeEqual(signature, `sha256=${hmacHex(secret, body)}`);
+        },
+        event: (headers) => header(headers, 'x-github-event'),
+        isPush: (event) => event === 'push',
+        isPullRequest: (event) => event === 'pull_request',
+        deliveryId: (headers) => header(headers, 'x-github-delivery') || null,
+        normalize: normalizeGithubStyle,
+        normalizePullRequest: normalizeGithubStylePr
+    },
+    gitlab: {
+        label: 'GitLab',
+        detect: (headers) => Boolean(header(headers, 'x-gitlab-event')),
+        // GitLab sends the configured secret token as-is rather than signing the body
+        verify: (body, secret, headers) => safeEqual(header(headers, 'x-gitlab-token') || '', secret),
+        event: (headers) => header(headers, 'x-gitlab-event'),
+        isPush: (event) => event === 'Push Hook',
+        isPullRequest: (event) => event === 'Merge Request Hook',
+        deliveryId: (headers) => header(headers, 'x-gitlab-event-uuid') || header(headers, 'x-gitlab-webhook-uuid') || null,
+        normalize: (payload) => {
+            const commits = payload.commits || [];
+            const commit = payload.checkout_sha || payload.after || null;
+            const headCommit = commits.find(c => c.id === commit) || commits[commits.length - 1] || {};
+            return [{
+                ref: payload.ref,
+                branch: branchFromRef(payload.ref),
+                commit,
+                message: headCommit.message || null,
+                pusher: payload.user_username || payload.user_name || null,
+                repository: payload.project?.path_with_namespace || null,
+                deleted: !commit || ZERO_SHA.test(payload.after || '')
+            }];
+        },
+        normalizePullRequest: (payload) => {
+            const mr = payload.object_attributes || {};
+            // "update" is also sent for title or label edits; only new commits carry oldrev
+            const action = { open: 'open', reopen: 'open', close: 'close', merge: 'close' }[mr.action] ||
+                (mr.action === 'update' && mr.oldrev ? 'sync' : null);
+            return {
+                number: mr.iid || null,
+                action,
+                title: mr.title || null,
+                url: mr.url || null,
+                branch: mr.source_branch || null,
+                base_branch: mr.target_branch || null,
+                commit: mr.last_commit?.id || null,
+                author: payload.user?.username || payload.user?.name || null,
+                fetch_ref: `refs/merge-requests/${mr.iid}/head`,
+                fork: Boolean(mr.source_project_id && mr.target_project_id && mr.source_project_id !== mr.target_project_id)
+            };
+        }
+    },
+    gitea: {
+        label: 'Gitea',
+        // Gitea (and Forgejo) also send X-GitHub-Event, so they are detected first
+        detect: (headers) => Boolean(header(headers, 'x-gitea-event') || header(headers, 'x-forgejo-event')),
+        verify: (body, secret, headers) => {
+            const signature = header(headers, 'x-gitea-signature') || header(headers, 'x-forgejo-signature') || '';
+            return safeEqual(signature, hmacHex(secret, body));
+        },
+        event: (headers) => header(headers, 'x-gitea-event') || header(headers, 'x-forgejo-event'),
+        isPush: (event) => event === 'push',
+        isPullRequest: (event) => event === 'pull_request',
+        deliveryId: (headers) => header(headers, 'x-gitea-delivery') || header(headers, 'x-forgejo-delivery') || null,
+        normalize: normalizeGithubStyle,
+        normalizePullRequest: normalizeGithubStylePr
+    },
+    bitbucket: {
+        label: 'Bitbucket',
+        detect: (headers) => Boolean(header(headers, 'x-event-key')),
+        verify: (body, secret, headers) => {
+            const signature = header(headers, 'x-hub-signature') || '';
+            return safeEqual(signature, `sha256=${hmacHex(secret, body)}`);
+        },
+        event: (headers) => header(headers, 'x-event-key'),
+        // repo:push is Bitbucket Cloud, repo:refs_changed is Bitbucket Server / Data Center
+        isPush: (event) => event === 'repo:push' || event === 'repo:refs_changed',
+        // pullrequest:* is Bitbucket Cloud, pr:* is Bitbucket Server / Data Center
+        isPullRequest: (event) => /^(pullrequest|pr):/.test(event || ''),
+        deliveryId: (headers) => header(headers, 'x-request-uuid') || header(headers, 'x-request-id') || null,
+        normalize: (payload) => {
+            if (payload.push) {
+                return (payload.push.changes || [])
+                    .filter(change => (change.new || change.old || {}).type === 'branch')
+                    .map(change => {
+                        const ref = change.new || change.old;
+                        return {
+                            ref: `refs/heads/${ref.name}`,
+                            branch: ref.name,
+                            commit: change.new?.target?.hash || null,
+                            message: change.new?.target?.message || null,
+                            pusher: payload.actor?.display_name || payload.actor?.nickname || null,
+                            repository: payload.repository?.full_name || null,
+                            deleted: !change.new
+                        };
+                    });
+            }
+            return (payload.changes || [])
+                .filter(change => change.ref?.type === 'BRANCH')
+                .map(change => ({
+                    ref: change.ref.id,
+                    branch: branchFromRef(change.ref.id),
+                    commit: change.toHash || null,
+                    message: null,
+                    pusher: payload.actor?.name || null,
+                    repository: payload.repository ? `${payload.repository.project?.key}/${payload.repository.slug}` : null,
+                    deleted: change.type === 'DELETE'
+                }));
+        },
+        normalizePullRequest: (payload, event) => {
+            if (payload.pullrequest) {
+                const pr = payload.pullrequest;
+                const fromRepo = pr.source?.repository?.full_name;
+                const toRepo = pr.destination?.repository?.full_name;
+                return {
+                    number: pr.id || null,
+                    action: { 'pullrequest:created': 'open', 'pullrequest:updated': 'sync', 'pullrequest:fulfilled': 'close', 'pullrequest:rejected': 'close' }[event] || null,
+                    title: pr.title || null,
+                    url: pr.links?.html?.href || null,
+                    branch: pr.source?.branch?.name || null,
+                    base_branch: pr.destination?.branch?.name || null,
+                    // Bitbucket Cloud has no pull request refs; fetch the source branch
+                    commit: pr.source?.commit?.hash || null,
+                    author: pr.author?.display_name || pr.author?.nickname || null,
+                    fetch_ref: pr.source?.branch?.name ? `refs/heads/${pr.source.branch.name}` : null,
+                    fork: Boolean(fromRepo && toRepo && fromRepo !== toRepo)
+                };
+            }
+            const pr = payload.pullRequest || {};
+            const fromRepo = pr.fromRef?.repository;
+            const toRepo = pr.toRef?.repository;
+            return {
+                number: pr.id || null,
+                action: { 'pr:opened': 'open', 'pr:from_ref_updated': 'sync', 'pr:merged': 'close', 'pr:declined': 'close', 'pr:deleted': 'close' }[event] || null,
+                title: pr.title || null,
+                url: pr.links?.self?.[0]?.href || null,
+                branch: pr.fromRef?.displayId || null,
+                base_branch: pr.toRef?.displayId || null,
+                commit: pr.fromRef?.latestCommit || null,
+                author: pr.author?.user?.name || null,
+                fetch_ref: `refs/pull-requests/${pr.id}/from`,
+                fork: Boolean(fromRepo && toRepo && fromRepo.id !== toRepo.id)
+            };
+        }
+    }
+};
+
+/**
+ * Work out which provider sent a request. A deployment's `provider` setting
+ * pins it; otherwise the provider is detected from the request headers.
+ * Returns null when the request matches no (or the wrong) provider.
+ */
+const detectProvider = (headers, configured) => {
+    const detected = ['gitea', 'gitlab', 'bitbucket', 'github'].find(name => PROVIDER_IMPL[name].detect(headers)) || null;
+    if (configured && configured !== 'auto') {
+        return detected === configured ? configured : null;
+    }
+    return detected;
+};
+
+/**
+ * Verify and parse a webhook request for the given provider.
+ * Returns { verified, event, isPush, isPullRequest, deliveryId, pushes,
+ * pullRequest } — pushes and pullRequest are only filled for verified events
+ * of that kind with a valid JSON body. skipVerification is for replaying an
+ * already recorded delivery.
+ */
+const parseRequest = (provider, { headers, body, secret, skipVerification = false }) => {
+    const impl = PROVIDER_IMPL[provider];
+    const event = impl.event(headers) || null;
+    const result = {
+        provider,
+        verified: skipVerification || (Boolean(secret) && impl.verify(body, secret, headers)),
+        event,
+        isPush: impl.isPush(event),
+        isPullRequest: impl.isPullRequest(event),
+        deliveryId: impl.deliveryId(headers),
+        pushes: [],
+        pullRequest: null
+    };
+    if (result.verified && result.isPush) {
+        result.pushes = impl.normalize(JSON.parse(body.toString()));
+    }
+    if (result.verified && result.isPullRequest) {
+        result.pullRequest = impl.normalizePullRequest(JSON.parse(body.toString()), event);
+    }
+    return result;
+};
+
+// Best guess of the web URL of a repository from its clone URL
+const repoWebUrl = (repoUrl) => {
+    const match = String(repoUrl || '').match(/^(?:https?:\/\/(?:[^@/]+@)?|ssh:\/\/(?:[^@/]+@)?|[^@/]+@)([^/:]+)(?::\d+)?[:/](.+?)(?:\.git)?$/);
+    return match ? `https://${match[1]}/${match[2]}` : null;
+};
+
+const SETUP_STEPS = {
+    github: ({ webhookUrl, secret, repoPage }) => [
+        `  1. Open your repository on GitHub:`,
+        `     ${repoPage}`,
+        '',
+        '  2. Go to Settings → Webhooks → Add webhook',
+        '',
+        '  3. Fill the form:',
+        `     Payload URL:   ${webhookUrl}`,
+        '     Content type:  application/json',
+        `     Secret:        ${secret}`,
+        '     Events:        Just the push event',
+        '     Active:        ✓',
+        '',
+        "  4. Click 'Add webhook'. GitHub sends a ping; check 'Recent Deliveries'."
+    ],
+    gitlab: ({ webhookUrl, secret, repoPage }) => [
+        '  1. Open your project on GitLab:',
+        `     ${repoPage}`,
+        '',
+        '  2. Go to Settings → Webhooks → Add new webhook',
+        '',
+        '  3. Fill the form:',
+        `     URL:           ${webhookUrl}`,
+        `     Secret token:  ${secret}`,
+        '     Trigger:       Push events (all branches, or the deploy branch)',
+        '     SSL verification: enabled',
+        '',
+        "  4. Save, then use Test → Push events to send a test delivery."
+    ],
+    gitea: ({ webhookUrl, secret, repoPage }) => [
+        '  1. Open your repository on Gitea / Forgejo:',
+        `     ${repoPage}`,
+        '',
+        '  2. Go to Settings → Webhooks → Add Webhook → Gitea',
+        '',
+        '  3. Fill the form:',
+        `     Target URL:    ${webhookUrl}`,
+        '     HTTP method:   POST',
+        '     Content type:  application/json',
+        `     Secret:        ${secret}`,
+        '     Trigger on:    Push events',
+        '     Active:        ✓',
+        '',
+        "  4. Click 'Add Webhook', then 'Test Delivery' to check it."
+    ],
+    bitbucket: ({ webhookUrl, secret, repoPage }) => [
+        '  1. Open your repository on Bitbucket:',
+        `     ${repoPage}`,
+        '',
+        '  2. Go to Repository settings → Webhooks → Add webhook',
+        '',
+        '  3. Fill the form:',
+        '     Title:         api-gateway deploy',
+        `     URL:           ${webhookUrl}`,
+        `     Secret:        ${secret}`,
+        '     Triggers:      Repository push',
+        '     Active:        ✓',
+        '',
+        "  4. Save, push a commit and check 'View requests' on the webhook."
+    ]
+};
+
+// Webhook events to add when the deployment has preview environments enabled
+const PREVIEW_EVENTS = {
+    github: 'Pull requests (choose "Let me select individual events")',
+    gitlab: 'Merge request events',
+    gitea: 'Pull Request events (under "Custom Events")',
+    bitbucket: 'Pull Request: Created, Updated, Merged and Declined'
+};
+
+/**
+ * Plain-text setup instructions for a provider (no ANSI, for the dashboard).
+ */
+const setupInstructions = (provider, { webhookUrl, secret, branch, repoUrl, previews = false }) => {
+    const { label } = PROVIDER_IMPL[provider];
+    const repoPage = repoWebUrl(repoUrl) || 'your repository';
+    return [
+        '══════════════════════════════════════════════════════════════',
+        `  Step-by-step: add webhook in ${label}`,
+        '══════════════════════════════════════════════════════════════',
+        '',
+        ...SETUP_STEPS[provider]({ webhookUrl, secret, repoPage }),
+        '',
+        '══════════════════════════════════════════════════════════════',
+        '',
+        '  Copy-paste values:',
+        '',
+        `  URL:     ${webhookUrl}`,
+        `  Secret:  ${secret}`,
+        '',
+        `  What happens: When you push to branch '${branch}', ${label} will send`,
+        '  a POST request to your server. The webhook will trigger a deploy.',
+        '',
+        ...(previews ? [
+            '  Preview environments are enabled. Also send:',
+            `     ${PREVIEW_EVENTS[provider]}`,
+            `  Each pull request into '${branch}' then gets its own deployment.`,
+            ''
+        ] : []),
+        '  Logs: tail -f /var/log/api-gateway/webhook.log',
+        ''
+    ].join('\n');
+};
+
+// Provider to suggest for a deployment: its setting, else a guess from the repo host
+const guessProvider = (config) => {
+    if (PROVIDERS.includes(config.provider)) return config.provider;
+    const repo = String(config.github_repo || '');
+    if (/gitlab/i.test(repo)) return 'gitlab';
+    if (/bitbucket/i.test(repo)) return 'bitbucket';
+    if (/gitea|forgejo|codeberg/i.test(repo)) return 'gitea';
+    return 'github';
+};
+
+module.exports = {
+    PROVIDERS,
+    detectProvider,
+    parseRequest,
+    setupInstructions,
+    guessProvider
+};
@@ -0,0 +1,364 @@
+/**
+ * Webhook delivery pipeline
+ * Verifies, de-duplicates and acts on push and pull request webhooks (pull
+ * requests drive preview environments, see previews.js), recording every delivery
+ * (headers, payload, verification result, decision, resulting job) so it can
+ * be inspected and replayed from the dashboard. Payloads are only kept for
+ * deliveries that passed verification. Accepted delivery IDs and payload
+ * hashes are kept in their own file for DELIVERY_ID_RETENTION_MS, so unsigned
+ * requests cannot push them out of the delivery log and make a captured
+ * delivery replayable. Used by the webhook server for live deliveries and by
+ * the dashboard server for redeliveries.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { loadJsonFile, saveJsonFile, withFileLock } = require('./storage');
+const providers = require('./webhook-providers');
+const jobs = require('./jobs');
+const notifications = require('./notifications');
+const previews = require('./previews');
+
+// Configuration
+const DEPLOY_CONFIG_DIR = '/etc/api-gateway/deployments';
+const DELIVERIES_FILE = '/var/lib/api-gateway/webhook-deliveries.json';
+const MAX_DELIVERIES = 300;
+const MAX_STORED_BODY_BYTES = 1024 * 1024;
+const ACCEPTED_IDS_FILE = '/var/lib/api-gateway/webhook-delivery-ids.json';
+const DELIVERY_ID_RETENTION_MS = 30 * 24 * 3600e3;
+
+// Headers never written to the delivery log
+const REDACTED_HEADERS = ['x-gitlab-token', 'authorization', 'cookie'];
+
+const redactHeaders = (headers) => {
+    const result = {};
+    for (const [name, value] of Object.entries(headers || {})) {
+        result[name] = REDACTED_HEADERS.includes(name.toLowerCase()) ? '[redacted]' : value;
+    }
+    return result;
+};
+
+// Delivery without headers and payload, for listings
+const summarize = (delivery) => {
+    const { headers, payload, ...summary } = delivery;
+    return summary;
+};
+
+const payloadKey = (provider, body) => `${provider}|sha256:${crypto.createHash('sha256').update(body).digest('hex')}`;
+
+/**
+ * Record a verified delivery as accepted, by its delivery ID (when the
+ * provider sends one) and by a hash of its payload: the signature covers the
+ * payload but not the delivery ID header, so a captured request replayed with
+ * a fresh ID still matches. Resolves null, or 'delivery ID' / 'payload' when
+ * that was already accepted within DELIVERY_ID_RETENTION_MS.
+ */
+const claimDelivery = (provider, deliveryId, body) => withFileLock(ACCEPTED_IDS_FILE, async () => {
+    const now = Date.now();
+    let data = await loadJsonFile(ACCEPTED_IDS_FILE, null);
+    if (!data) {
+        // First use: start from the deliveries accepted in the delivery log
+        const log = await loadJsonFile(DELIVERIES_FILE, { deliveries: [] });
+        data = { ids: {} };
+        (log.deliveries || []).filter(d => d.verification === 'passed').forEach(d => {
+            const at = Date.parse(d.received_at) || now;
+            if (d.delivery_id) data.ids[`${d.provider}|${d.delivery_id}`] = at;
+            if (d.payload !== null && d.payload !== undefined) data.ids[payloadKey(d.provider, Buffer.from(d.payload, 'utf8'))] = at;
+        });
+    }
+    const ids = Object.fromEntries(Object.entries(data.ids || {}).filter(([, at]) => now - at < DELIVERY_ID_RETENTION_MS));
+    const idKey = deliveryId ? `${provider}|${deliveryId}` : null;
+    const bodyKey = payloadKey(provider, body);
+    if (idKey && ids[idKey]) return 'delivery ID';
+    if (ids[bodyKey]) return 'payload';
+    if (idKey) ids[idKey] = now;
+    ids[bodyKey] = now;
+    await saveJsonFile(ACCEPTED_IDS_FILE, { ids });
+    return null;
+});
+
+// Append a delivery to the log and count it in the lifetime totals
+const recordDelivery = (delivery) => withFileLock(DELIVERIES_FILE, async () => {
+    const data = await loadJsonFile(DELIVERIES_FILE, { deliveries: [] });
+    data.deliveries = (data.deliveries || []).concat(delivery).slice(-MAX_DELIVERIES);
+    // Lifetime totals by service, provider and decision (the log above is trimmed)
+    const totalKey = [delivery.service, delivery.provider || 'unknown', delivery.decision].join('|');
+    data.totals = { ...data.totals, [totalKey]: ((data.totals || {})[totalKey] || 0) + 1 };
+    await saveJsonFile(DELIVERIES_FILE, data);
+});
+
+/**
+ * Run one delivery through the pipeline and record it.
+ * options: { serviceName, headers, body (Buffer), redeliveryOf, requestedBy, log }
+ * Redeliveries (replayed by an authenticated operator) skip signature checks
+ * and de-duplication. The delivery log is only locked to record the outcome,
+ * not while the delivery is acted on. Returns { status, response, delivery }.
+ */
+const processDelivery = async (options) => {
+    const { serviceName, headers, body, redeliveryOf = null, requestedBy = null } = options;
+    const log = options.log || ((level, message) => console.log(`${level} - ${message}`));
+
+    const delivery = {
+        id: crypto.randomBytes(8).toString('hex'),
+        service: serviceName,
+        received_at: new Date().toISOString(),
+        provider: null,
+        event: null,
+        delivery_id: null,
+        verification: null, // passed | failed | skipped (redelivery)
+        decision: null,
+        message: null,
+        job_id: null,
+        pull_request: null,
+        status_code: null,
+        redelivery_of: redeliveryOf,
+        requested_by: requestedBy,
+        headers: redactHeaders(headers),
+        payload: null // set once the delivery passed verification
+    };
+
+    const decide = (status, decision, message, extra = {}) => {
+        Object.assign(delivery, { status_code: status, decision, message });
+        return { status, response: { success: status < 400, ...(status < 400 ? { message } : { error: message }), ...extra } };
+    };
+
+    const evaluate = async () => {
+        // Load service configuration
+        const config = await loadJsonFile(path.join(DEPLOY_CONFIG_DIR, `${serviceName}.json`), null);
+        if (!config) {
+            log('ERROR', `Service configuration not found: ${serviceName}`);
+            return decide(404, 'not_configured', `Service ${serviceName} not configured`);
+        }
+
+        const provider = providers.detectProvider(headers, config.provider);
+        delivery.provider = provider;
+        if (!provider) {
+            log('WARNING', `Unrecognised webhook provider for ${serviceName} (expected ${config.provider || 'any'})`);
+            return decide(400, 'unknown_provider', 'Unrecognised webhook provider');
+        }
+
+        // Verify webhook signature / token and normalise the payload
+        let request;
+        try {
+            request = providers.parseRequest(provider, {
+                headers,
+                body,
+                secret: config.webhook_secret || '',
+                skipVerification: Boolean(redeliveryOf)
+            });
+        } catch (error) {
+            log('ERROR', `Invalid JSON payload for ${serviceName}`);
+            return decide(400, 'invalid_payload', 'Invalid JSON payload');
+        }
+        Object.assign(delivery, {
+            event: request.event,
+            delivery_id: request.deliveryId,
+            verification: redeliveryOf ? 'skipped' : (request.verified ? 'passed' : 'failed')
+        });
+        log('INFO', `Received ${provider} ${request.event} webhook for ${serviceName}${redeliveryOf ? ` (redelivery of ${redeliveryOf})` : ''}`);
+
+        if (!request.verified) {
+            log('WARNING', `Invalid ${provider} webhook signature for ${serviceName}`);
+            return decide(403, 'invalid_signature', 'Invalid signature');
+        }
+        if (body.length <= MAX_STORED_BODY_BYTES) {
+            delivery.payload = body.toString('utf8');
+        }
+
+        // Reject replays of a delivery that was already accepted
+        const duplicate = redeliveryOf ? null : await claimDelivery(provider, request.deliveryId, body);
+        if (duplicate) {
+            const what = duplicate === 'payload' ? 'payload' : `delivery ${request.deliveryId}`;
+            log('WARNING', `Duplicate ${provider} ${what} for ${serviceName}`);
+            return decide(409, 'duplicate', `Duplicate ${what}`);
+        }
+
+        if (request.isPullRequest) {
+            return evaluatePullRequest(config, request.pullRequest, provider);
+        }
+
+        // Only handle push events
+        if (!request.isPush) {
+            log('INFO', `Ignoring ${request.event} event for ${serviceName}`);
+            return decide(200, 'ignored_event', `Ignoring ${request.event} event`);
+        }
+
+        // Check if push is to the configured branch
+        const targetBranch = config.branch || 'main';
+        const push = request.pushes.find(p => p.branch === targetBranch && !p.deleted);
+        if (!push) {
+            const refs = request.pushes.map(p => p.ref).join(', ') || 'no branches';
+            log('INFO', `Ignoring push to ${refs}, expected refs/heads/${targetBranch}`);
+            return decide(200, 'ignored_branch', `Ignoring push to different branch: ${refs}`);
+        }
+
+        // Check if auto-deploy is enabled
+        if (!config.auto_deploy) {
+            log('INFO', `Auto-deploy disabled for ${serviceName}`);
+            return decide(200, 'auto_deploy_disabled', 'Auto-deploy disabled');
+        }
+
+        const commitId = push.commit || 'unknown';
+        const commitMessage = push.message || 'No message';
+        const pusher = push.pusher || 'unknown';
+
+        // Queue deployment (shared queue with the dashboard; replaces an older queued push)
+        const job = await jobs.enqueue(serviceName, {
+            trigger: 'webhook',
+            requested_by: requestedBy,
+            meta: { provider, commit: commitId, pusher, delivery: delivery.id }
+        });
+        delivery.job_id = job.id;
+        log('INFO', `Deployment queued for ${serviceName} (job: ${job.id})`);
+        log('INFO', `Commit: ${commitId} by ${pusher} - ${commitMessage}`);
+
+        return decide(200, 'triggered', `Deployment triggered for ${serviceName}`, {
+            service: serviceName,
+            provider,
+            commit: commitId,
+            pusher,
+            job_id: job.id
+        });
+    };
+
+    // Pull requests into the deploy branch open, update and close previews
+    const evaluatePullRequest = async (config, pr, provider) => {
+        if (!config.previews) {
+            log('INFO', `Previews disabled for ${serviceName}, ignoring ${delivery.event} event`);
+            return decide(200, 'previews_disabled', 'Preview environments disabled');
+        }
+        if (!pr.number || !pr.action) {
+            log('INFO', `Ignoring ${delivery.event} event for ${serviceName} (no preview change)`);
+            return decide(200, 'ignored_event', `Ignoring ${delivery.event} event`);
+        }
+        delivery.pull_request = pr.number;
+        const targetBranch = config.branch || 'main';
+        if (pr.base_branch !== targetBranch) {
+            log('INFO', `Ignoring pull request #${pr.number} into ${pr.base_branch}, expected ${targetBranch}`);
+            return decide(200, 'ignored_branch', `Ignoring pull request into different branch: ${pr.base_branch}`);
+        }
+
+        if (pr.action === 'close') {
+            let removal;
+            try {
+                removal = await previews.teardownPreview(serviceName, pr.number, { requestedBy });
+            } catch (error) {
+                if (error.status === 404) {
+                    return decide(200, 'ignored_event', `No preview for pull request #${pr.number}`);
+                }
+                if (!error.status) throw error;
+                log('ERROR', `Removing the preview of pull request #${pr.number} of ${serviceName} failed: ${error.message}`);
+                return decide(error.status, 'preview_failed', error.message);
+            }
+            // Removal stops the service and deletes its files; git hosts would
+            // time the delivery out, so only claiming it is waited for
+            removal.done
+                .then(() => removal.deferred || log('INFO', `Preview ${removal.name} removed`))
+                .catch(error => log('ERROR', `Removing preview ${removal.name} failed: ${error.stderr || error.message}`));
+            log('INFO', removal.deferred
+                ? `Pull request #${pr.number} closed while preview ${removal.name} is being deployed; it is removed once that finishes`
+                : `Pull request #${pr.number} closed, removing preview ${removal.name}`);
+            return decide(200, 'preview_removed', `Removing preview ${removal.name}`, { service: removal.name, deferred: removal.deferred });
+        }
+
+        if (pr.fork) {
+            log('WARNING', `Not building a preview of pull request #${pr.number} for ${serviceName}: it comes from a fork`);
+            return decide(200, 'ignored_fork', 'Previews are not built for pull requests from forks');
+        }
+        let preview;
+        try {
+            preview = await previews.deployPreview(config, pr, {
+                requestedBy,
+                meta: { provider, commit: pr.commit, pusher: pr.author, delivery: delivery.id }
+            });
+        } catch (error) {
+            if (!error.status) throw error;
+            const message = error.errors ? Object.values(error.errors).join(', ') : error.message;
+            log('ERROR', `Preview for pull request #${pr.number} of ${serviceName} failed: ${message}`);
+            return decide(error.status, 'preview_failed', message);
+        }
+        delivery.job_id = preview.job.id;
+        log('INFO', `Preview deployment queued for ${preview.name} at ${preview.path} (job: ${preview.job.id})`);
+        return decide(200, 'preview_triggered', `Preview deployment triggered for ${preview.name}`, {
+            service: preview.name,
+            provider,
+            commit: pr.commit,
+            pull_request: pr.number,
+            path: preview.path,
+            port: preview.port,
+            job_id: preview.job.id
+        });
+    };
+
+    let result;
+    try {
+        result = await evaluate();
+    } catch (error) {
+        log('ERROR', `Error handling webhook for ${serviceName}: ${error.message}`);
+        result = decide(500, 'error', error.message);
+    }
+
+    await recordDelivery(delivery);
+    if (result.status >= 400 && delivery.decision !== 'not_configured') {
+        notifications.notify('webhook.rejected', {
+            service: serviceName,
+            message: delivery.message,
+            details: { provider: delivery.provider, event: delivery.event, decision: delivery.decision, delivery: delivery.id }
+        });
+    }
+    return { ...result, delivery: summarize(delivery) };
+};
+
+// Recorded deliveries, newest first (summaries without headers and payload)
+const listDeliveries = async (filter = {}) => {
+    const data = await loadJsonFile(DELIVERIES_FILE, { deliveries: [] });
+    return (data.deliveries || [])
+        .filter(d => !filter.service || d.service === filter.service)
+        .slice()
+        .reverse()
+        .map(summarize);
+};
+
+// Lifetime delivery counts: [{ service, provider, decision, count }]
+const getTotals = async () => {
+    const data = await loadJsonFile(DELIVERIES_FILE, { deliveries: [] });
+    return Object.entries(data.totals || {}).map(([key, count]) => {
+        const [service, provider, decision] = key.split('|');
+        return { service, provider, decision, count };
+    });
+};
+
+const getDelivery = async (id) => {
+    const data = await loadJsonFile(DELIVERIES_FILE, { deliveries: [] });
+    return (data.deliveries || []).find(d => d.id === id) || null;
+};
+
+/**
+ * Replay a recorded delivery's payload through the pipeline.
+ * Returns null when the delivery does not exist.
+ */
+const redeliver = async (id, requestedBy, log) => {
+    const original = await getDelivery(id);
+    if (!original) return null;
+    if (original.payload === null) {
+        const error = new Error('Payload was not stored (too large, or the delivery failed verification); cannot redeliver');
+        error.status = 409;
+        throw error;
+    }
+    return processDelivery({
+        serviceName: original.service,
+        headers: original.headers,
+        body: Buffer.from(original.payload, 'utf8'),
+        redeliveryOf: original.id,
+        requestedBy,
+        log
+    });
+};
+
+module.exports = {
+    processDelivery,
+    listDeliveries,
+    getTotals,
+    getDelivery,
+    redeliver
+};
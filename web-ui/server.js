@@ -6,94 +6,198 @@
  */
 
 const express = require('express');
-const { spawn, exec } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
 const cors = require('cors');
+const auth = require('./lib/auth');
+const { loadJsonFile } = require('./lib/storage');
+const executor = require('./lib/executor');
+const jobs = require('./lib/jobs');
+const providers = require('./lib/webhook-providers');
+const webhooks = require('./lib/webhooks');
+const deployments = require('./lib/deployments');
+const env = require('./lib/env');
+const health = require('./lib/health');
+const systemInfo = require('./lib/system-info');
+const metrics = require('./lib/metrics');
+const resources = require('./lib/resources');
+const notifications = require('./lib/notifications');
+const routes = require('./lib/routes');
+const nginx = require('./lib/nginx');
+const logs = require('./lib/logs');
+const status = require('./lib/status');
+const steps = require('./lib/steps');
+const backups = require('./lib/backups');
+const previews = require('./lib/previews');
+const slots = require('./lib/slots');
+const agent = require('./lib/agent');
+const agents = require('./lib/agents');
+const ai = require('./lib/ai');
+const aiKeys = require('./lib/ai-keys');
+const aiUsage = require('./lib/ai-usage');
+const manifest = require('./lib/manifest');
 
 // Configuration
 const API_PORT = process.env.PORT || 8080;
 const DEPLOY_CONFIG_DIR = '/etc/api-gateway/deployments';
-const DEPLOY_STATUS_FILE = '/var/lib/api-gateway/deployment-status.json';
+const DEPLOY_RELEASES_DIR = '/var/lib/api-gateway/releases';
 const APIS_CONFIG = '/etc/api-gateway/apis.json';
 const LOG_DIR = '/var/log/api-gateway';
+const SSE_KEEPALIVE_MS = 25000;
 const WEB_UI_DIR = __dirname;
+// Comma-separated list of origins allowed to call the API cross-origin (default: same-origin only)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+// API paths reachable without logging in (relative to /api); an agent has no web UI
+const PUBLIC_API_PATHS = agent.ENABLED ? ['/health'] : ['/health', '/landing-apis', '/auth/login'];
 
 // Express app setup
 const app = express();
-app.use(cors());
+app.set('trust proxy', 'loopback');
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false, credentials: true }));
 app.use(express.json());
-app.use(express.static(WEB_UI_DIR));
+if (!agent.ENABLED) app.use(express.static(WEB_UI_DIR));
+if (agent.ENABLED) app.use('/api', agent.authenticate());
+app.use('/api', auth.authenticate(PUBLIC_API_PATHS));
 
-// Utility functions
-const runCommand = (command, options = {}) => {
-    return new Promise((resolve, reject) => {
-        exec(command, options, (error, stdout, stderr) => {
-            if (error) {
-                reject({ error, stderr });
-            } else {
-                resolve({ stdout, stderr });
-            }
-        });
-    });
+const { requireRole } = auth;
+
+// Reject malformed service and route names before any route touches the filesystem or a command
+const validateNameParam = (req, res, next, value, name) => {
+    try {
+        executor.validate({ [name]: 'serviceName' }, { [name]: value });
+        next();
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
 };
+app.param('serviceName', validateNameParam);
+app.param('routeName', validateNameParam);
+app.param('agentName', validateNameParam);
+app.param('aiService', validateNameParam);
+
+// Deploy log file names are read from the deployments log directory: Express
+// decodes %2F, so anything but a plain *.log file name is rejected here
+app.param('logFilename', (req, res, next, value) => {
+    if (path.basename(value) !== value || !value.endsWith('.log') || value.includes('\0')) {
+        return res.status(400).json({ success: false, error: 'Invalid log file' });
+    }
+    next();
+});
+
+// Utility functions
+const { publicConfig } = status;
+
+// API Routes
 
-const runCommandBackground = (command) => {
-    const child = spawn('bash', ['-c', command], {
-        detached: true,
-        stdio: 'ignore'
+if (!agent.ENABLED) {
+    // Serve home page
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(WEB_UI_DIR, 'index.html'));
     });
-    child.unref();
-    return child.pid;
-};
 
-const loadJsonFile = async (filePath, defaultValue = {}) => {
+    // Serve deployment dashboard (no redirect to avoid loops)
+    const sendDashboard = (req, res) => res.sendFile(path.join(WEB_UI_DIR, 'dashboard.html'));
+    app.get('/deployments', sendDashboard);
+    app.get('/deployments/', sendDashboard);
+
+    // Backward compat: /dashboard serves same dashboard (no redirect to avoid loops)
+    app.get('/dashboard', sendDashboard);
+    app.get('/dashboard/', sendDashboard);
+}
+
+// ============ Authentication & users ============
+
+app.post('/api/auth/login', async (req, res) => {
     try {
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
+        const { username, password } = req.body || {};
+        const { sessionId, user } = await auth.login(username, password, req.ip);
+        res.setHeader('Set-Cookie', auth.sessionCookie(req, sessionId, auth.SESSION_TTL_MS / 1000));
+        res.json({ success: true, user });
     } catch (error) {
-        return defaultValue;
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
-};
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    auth.logout(auth.getSessionId(req));
+    res.setHeader('Set-Cookie', auth.sessionCookie(req, '', 0));
+    res.json({ success: true });
+});
+
+// Current user (and role) for the dashboard
+app.get('/api/auth/me', (req, res) => {
+    res.json({ success: true, user: req.user });
+});
 
-const saveJsonFile = async (filePath, data) => {
+// API tokens: users manage their own, admins see everyone's
+app.get('/api/auth/tokens', async (req, res) => {
     try {
-        await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-        return true;
+        const owner = auth.hasRole(req.user.role, 'admin') ? null : req.user.username;
+        res.json({ success: true, tokens: await auth.listTokens(owner) });
     } catch (error) {
-        console.error(`Error saving ${filePath}:`, error);
-        return false;
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
-};
+});
 
-const checkServiceStatus = async (serviceName, processManager = 'systemd') => {
+app.post('/api/auth/tokens', async (req, res) => {
     try {
-        if (processManager === 'pm2') {
-            const { stdout } = await runCommand('pm2 list --no-color 2>/dev/null');
-            return stdout.includes(serviceName) && stdout.includes('online');
+        if (req.user.token_id) {
+            return res.status(403).json({ success: false, error: 'API tokens cannot create tokens' });
         }
-        const { stdout } = await runCommand(`systemctl is-active ${serviceName}`);
-        return stdout.trim() === 'active';
-    } catch {
-        return false;
+        const { name, role } = req.body || {};
+        const token = await auth.createToken(req.user.username, name, role);
+        res.status(201).json({ success: true, token });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
-};
+});
 
-// API Routes
+app.delete('/api/auth/tokens/:id', async (req, res) => {
+    try {
+        const owner = auth.hasRole(req.user.role, 'admin') ? null : req.user.username;
+        await auth.revokeToken(req.params.id, owner);
+        res.json({ success: true, message: 'Token revoked' });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
 
-// Serve home page
-app.get('/', (req, res) => {
-    res.sendFile(path.join(WEB_UI_DIR, 'index.html'));
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, users: await auth.listUsers() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
-// Serve deployment dashboard (no redirect to avoid loops)
-const sendDashboard = (req, res) => res.sendFile(path.join(WEB_UI_DIR, 'dashboard.html'));
-app.get('/deployments', sendDashboard);
-app.get('/deployments/', sendDashboard);
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        const { username, password, role } = req.body || {};
+        const user = await auth.createUser(username, password, role);
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
 
-// Backward compat: /dashboard serves same dashboard (no redirect to avoid loops)
-app.get('/dashboard', sendDashboard);
-app.get('/dashboard/', sendDashboard);
+app.patch('/api/users/:username', requireRole('admin'), async (req, res) => {
+    try {
+        const { role, password } = req.body || {};
+        const user = await auth.updateUser(req.params.username, { role, password });
+        res.json({ success: true, user });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/users/:username', requireRole('admin'), async (req, res) => {
+    try {
+        await auth.deleteUser(req.params.username);
+        res.json({ success: true, message: `User ${req.params.username} deleted` });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
 
 // Get APIs list for landing page
 app.get('/api/landing-apis', async (req, res) => {
@@ -106,56 +210,283 @@ app.get('/api/landing-apis', async (req, res) => {
     }
 });
 
-// Get all deployments
+// ============ Gateway routes (apis.json) ============
+
+// Send validation errors as 400 with per-field messages, others by status
+const sendRouteError = (res, error) => {
+    if (error instanceof executor.ValidationError) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+    if (!error.status) console.error('Error updating routes:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+};
+
+// Route change response: ?preview=true returns the nginx config diff without
+// applying; a change nginx rejected (and that was reverted) is a 502
+const sendRouteResult = (res, result, message, status = 200) => {
+    if (result.preview) {
+        return res.json({ success: true, preview: result.preview, route: result.route });
+    }
+    if (!result.nginx.applied) {
+        return res.status(502).json({ success: false, error: `Not applied: ${result.nginx.error}`, route: result.route, nginx: result.nginx });
+    }
+    res.status(status).json({ success: true, message, route: result.route, nginx: result.nginx });
+};
+
+const routeOptions = (req) => ({ preview: req.query.preview === 'true', user: req.user.username });
+
+// All routes, including disabled ones
+app.get('/api/routes', async (req, res) => {
+    try {
+        res.json({ success: true, routes: await routes.listRoutes(), fields: routes.ROUTE_FIELDS });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+app.get('/api/routes/:routeName', async (req, res) => {
+    try {
+        res.json({ success: true, route: await routes.getRoute(req.params.routeName) });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// { name, port, path (default /<name>), description, enabled, type, fix_redirects,
+//   streaming, timeout, max_body_size, websocket }
+app.post('/api/routes', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await routes.createRoute(req.body, routeOptions(req));
+        sendRouteResult(res, result, `Route ${result.route.name} added`, 201);
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Apply apis.json as it is (e.g. after editing it by hand)
+app.post('/api/routes/reload', requireRole('admin'), async (req, res) => {
+    try {
+        sendRouteResult(res, await routes.reload(routeOptions(req)), 'nginx configuration applied');
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Partial update, e.g. { enabled: false } or { port: 3001 }
+app.patch('/api/routes/:routeName', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await routes.updateRoute(req.params.routeName, req.body || {}, routeOptions(req));
+        sendRouteResult(res, result, `Route ${req.params.routeName} updated`);
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+app.delete('/api/routes/:routeName', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await routes.removeRoute(req.params.routeName, routeOptions(req));
+        sendRouteResult(res, result, `Route ${req.params.routeName} removed`);
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Diff between the live nginx config and the one apis.json renders to
+app.get('/api/nginx/preview', requireRole('admin'), async (req, res) => {
+    try {
+        const { preview } = await routes.reload({ preview: true });
+        res.json({ success: true, preview });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Applies and rollbacks with config versions (newest first)
+app.get('/api/nginx/history', requireRole('operator'), async (req, res) => {
+    try {
+        res.json({ success: true, entries: await nginx.listHistory() });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Get all deployments. With registered agents the response also lists each
+// agent with its deployments; ?agent=<name> returns one host's only
+// (?agent=local this server's).
 app.get('/api/deployments', async (req, res) => {
     try {
-        const statusData = await loadJsonFile(DEPLOY_STATUS_FILE, { deployments: {} });
-        const deployments = {};
-        
-        // Load deployment configurations
-        try {
-            const configFiles = await fs.readdir(DEPLOY_CONFIG_DIR);
-            
-            for (const configFile of configFiles) {
-                if (configFile.endsWith('.json')) {
-                    const serviceName = configFile.replace('.json', '');
-                    const configPath = path.join(DEPLOY_CONFIG_DIR, configFile);
-                    const config = await loadJsonFile(configPath);
-                    
-                    if (config) {
-                        const deploymentStatus = statusData.deployments[serviceName] || {};
-                        const processManager = config.process_manager || 'systemd';
-                        const systemRunning = await checkServiceStatus(serviceName, processManager);
-                        
-                        deployments[serviceName] = {
-                            config,
-                            status: deploymentStatus.status || 'unknown',
-                            message: deploymentStatus.message || '',
-                            last_updated: deploymentStatus.last_updated,
-                            last_deployment: deploymentStatus.last_deployment,
-                            system_running: systemRunning
-                        };
-                    }
-                }
+        const agentName = req.query.agent;
+        if (agentName && agentName !== agents.LOCAL_NAME) {
+            const { deployments: remote, ...health } = await agents.getAgent(String(agentName), { withData: true });
+            return res.json({ success: true, agent: health, deployments: remote, timestamp: new Date().toISOString() });
+        }
+        const body = { success: true, deployments: await status.getDeployments(), timestamp: new Date().toISOString() };
+        if (!agentName) {
+            const remote = await agents.getAgents({ withData: true });
+            if (remote.length > 0) body.agents = remote;
+        }
+        res.json(body);
+    } catch (error) {
+        console.error('Error getting deployments:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Get specific deployment
+app.get('/api/deployments/:serviceName', async (req, res) => {
+    try {
+        const deployment = await status.getDeployment(req.params.serviceName);
+        if (!deployment) {
+            return res.status(404).json({ success: false, error: 'Service not found' });
+        }
+        res.json({ success: true, deployment });
+    } catch (error) {
+        console.error(`Error getting deployment ${req.params.serviceName}:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Health check history: ?range=1h|6h|24h
+app.get('/api/deployments/:serviceName/health', async (req, res) => {
+    try {
+        const config = await deployments.loadConfig(req.params.serviceName);
+        const report = await health.getHealth(req.params.serviceName, config, req.query.range);
+        res.json({ success: true, service: req.params.serviceName, ...report });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// CPU, memory, restart and port history: ?range=1h|6h|24h
+app.get('/api/deployments/:serviceName/resources', async (req, res) => {
+    try {
+        await deployments.loadConfig(req.params.serviceName);
+        const report = await resources.getResources(req.params.serviceName, req.query.range);
+        res.json({ success: true, service: req.params.serviceName, ...report });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Edit deployment settings (branch, port, commands, auto_deploy, previews, process manager, provider, health check)
+app.patch('/api/deployments/:serviceName', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await deployments.updateSettings(req.params.serviceName, req.body || {});
+        res.json({
+            success: true,
+            message: result.changed.length ? `Updated ${result.changed.join(', ')}` : 'No changes',
+            config: publicConfig(result.config),
+            changed: result.changed,
+            redeploy_required: result.redeploy_required,
+            nginx: result.nginx
+        });
+    } catch (error) {
+        if (error instanceof executor.ValidationError) {
+            return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+        }
+        console.error(`Error updating deployment ${req.params.serviceName}:`, error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Rotate the webhook secret (the new secret is returned once; update it at the git host)
+app.post('/api/deployments/:serviceName/webhook-secret', requireRole('admin'), async (req, res) => {
+    try {
+        const secret = await deployments.rotateWebhookSecret(req.params.serviceName);
+        res.json({ success: true, message: 'Webhook secret rotated', webhook_secret: secret });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Environment variables (secret values are masked)
+app.get('/api/deployments/:serviceName/env', requireRole('operator'), async (req, res) => {
+    try {
+        await deployments.loadConfig(req.params.serviceName);
+        const vars = await env.listVars(req.params.serviceName);
+        res.json({ success: true, vars });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Replace environment variables: { vars: [{ name, value, secret }], restart }
+// (omit value to keep a stored one); restart applies them right away
+app.put('/api/deployments/:serviceName/env', requireRole('admin'), async (req, res) => {
+    try {
+        const { serviceName } = req.params;
+        await deployments.loadConfig(serviceName);
+        const changed = await env.replaceVars(serviceName, (req.body || {}).vars);
+        let restarted = false;
+        let restartError = null;
+        if (req.body.restart === true && changed.length > 0) {
+            try {
+                await executor.run('deployment.restart', { service: serviceName }, { timeout: 300000 });
+                restarted = true;
+            } catch (error) {
+                restartError = error.stderr || error.message;
             }
-        } catch (error) {
-            console.log('No deployment configurations found');
         }
-        
         res.json({
             success: true,
-            deployments,
-            timestamp: new Date().toISOString()
+            message: changed.length ? `Updated ${changed.join(', ')}` : 'No changes',
+            changed,
+            restarted,
+            restart_error: restartError,
+            vars: await env.listVars(serviceName)
         });
-        
     } catch (error) {
-        console.error('Error getting deployments:', error);
-        res.status(500).json({ success: false, error: error.message });
+        if (error instanceof executor.ValidationError) {
+            return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+        }
+        console.error(`Error updating environment for ${req.params.serviceName}:`, error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
 });
 
-// Get specific deployment
-app.get('/api/deployments/:serviceName', async (req, res) => {
+// Remove deployment (use script so bash + common.sh are correct).
+// A service's previews are removed with it; removing a preview goes through previews.
+app.delete('/api/deployments/:serviceName', requireRole('admin'), async (req, res) => {
+    try {
+        const { serviceName } = req.params;
+        const config = await loadJsonFile(path.join(DEPLOY_CONFIG_DIR, `${serviceName}.json`), {});
+        if (config.preview_of) {
+            const removed = await previews.removePreview(serviceName, { requestedBy: req.user.username });
+            return res.json({
+                success: true,
+                message: removed.deferred ? `Preview ${serviceName} is being deployed; it is removed once that finishes` : `Preview ${serviceName} removed`
+            });
+        }
+        const removedPreviews = await previews.removeAllPreviews(serviceName, { requestedBy: req.user.username });
+        await executor.run('deployment.remove', { service: serviceName }, { timeout: 300000 });
+        res.json({
+            success: true,
+            message: `Deployment ${serviceName} removed`,
+            previews_removed: removedPreviews.map(p => p.name)
+        });
+    } catch (error) {
+        console.error(`Error removing deployment ${req.params.serviceName}:`, error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Pull request previews of a service
+app.get('/api/deployments/:serviceName/previews', async (req, res) => {
+    try {
+        const config = await deployments.loadConfig(req.params.serviceName);
+        res.json({
+            success: true,
+            service: req.params.serviceName,
+            enabled: Boolean(config.previews),
+            previews: await previews.listPreviews(req.params.serviceName)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Deploy service
+app.post('/api/deploy/:serviceName', requireRole('operator'), async (req, res) => {
     try {
         const { serviceName } = req.params;
         const configPath = path.join(DEPLOY_CONFIG_DIR, `${serviceName}.json`);
@@ -165,96 +496,343 @@ app.get('/api/deployments/:serviceName', async (req, res) => {
             return res.status(404).json({ success: false, error: 'Service not found' });
         }
         
-        const statusData = await loadJsonFile(DEPLOY_STATUS_FILE, { deployments: {} });
-        const deploymentStatus = statusData.deployments[serviceName] || {};
-        const processManager = config.process_manager || 'systemd';
-        const systemRunning = await checkServiceStatus(serviceName, processManager);
+        // Queue deployment (same queue as the webhook server; one deploy per service at a time)
+        const job = await jobs.enqueue(serviceName, { trigger: 'dashboard', requested_by: req.user.username });
         
+        res.status(202).json({
+            success: true,
+            message: `Deployment queued for ${serviceName}`,
+            job_id: job.id,
+            job
+        });
+        
+    } catch (error) {
+        console.error(`Error deploying ${req.params.serviceName}:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============ Deployment jobs ============
+
+app.get('/api/jobs', async (req, res) => {
+    try {
+        const list = await jobs.listJobs({ service: req.query.service, status: req.query.status });
+        res.json({ success: true, jobs: list });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+    try {
+        const job = await jobs.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        res.json({ success: true, job });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Deploy pipeline steps (fetch, detect, install, build, start, health) with per-step output
+app.get('/api/jobs/:id/steps', async (req, res) => {
+    try {
+        const job = await jobs.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        res.json({ success: true, job_id: job.id, status: job.status, ...await steps.getJobSteps(job) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Cancel a queued or running deploy (kills the deploy's process group)
+app.post('/api/jobs/:id/cancel', requireRole('operator'), async (req, res) => {
+    try {
+        const job = await jobs.cancel(req.params.id, req.user.username);
+        res.json({ success: true, message: `Job ${job.id} cancelled`, job });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// ============ Webhook deliveries ============
+
+app.get('/api/webhooks/deliveries', async (req, res) => {
+    try {
+        const deliveries = await webhooks.listDeliveries({ service: req.query.service });
+        res.json({ success: true, deliveries });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Full delivery including headers and payload
+app.get('/api/webhooks/deliveries/:id', async (req, res) => {
+    try {
+        const delivery = await webhooks.getDelivery(req.params.id);
+        if (!delivery) {
+            return res.status(404).json({ success: false, error: 'Delivery not found' });
+        }
+        res.json({ success: true, delivery });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Replay a stored payload through the webhook pipeline (signature check skipped)
+app.post('/api/webhooks/deliveries/:id/redeliver', requireRole('operator'), async (req, res) => {
+    try {
+        const result = await webhooks.redeliver(req.params.id, req.user.username);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Delivery not found' });
+        }
+        res.json({ success: result.status < 400, status: result.status, result: result.response, delivery: result.delivery });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// ============ Notifications ============
+
+// Send validation errors as 400 with per-field messages, others by status
+const sendNotificationError = (res, error) => {
+    if (error instanceof executor.ValidationError) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+};
+
+app.get('/api/notifications/channels', requireRole('admin'), async (req, res) => {
+    try {
         res.json({
             success: true,
-            deployment: {
-                config,
-                status: deploymentStatus.status || 'unknown',
-                message: deploymentStatus.message || '',
-                last_updated: deploymentStatus.last_updated,
-                last_deployment: deploymentStatus.last_deployment,
-                system_running: systemRunning
-            }
+            channels: await notifications.listChannels(),
+            events: notifications.EVENTS,
+            types: notifications.CHANNEL_TYPES
         });
+    } catch (error) {
+        sendNotificationError(res, error);
+    }
+});
+
+// { name, type: webhook|slack|email, enabled, events: [], services: [], url, secret, smtp: {...} }
+app.post('/api/notifications/channels', requireRole('admin'), async (req, res) => {
+    try {
+        const channel = await notifications.createChannel(req.body);
+        res.status(201).json({ success: true, message: `Channel ${channel.name} created`, channel });
+    } catch (error) {
+        sendNotificationError(res, error);
+    }
+});
+
+// Replace a channel; omit secret / smtp.password to keep the stored one
+app.put('/api/notifications/channels/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const channel = await notifications.updateChannel(req.params.id, req.body);
+        res.json({ success: true, message: `Channel ${channel.name} updated`, channel });
+    } catch (error) {
+        sendNotificationError(res, error);
+    }
+});
+
+app.delete('/api/notifications/channels/:id', requireRole('admin'), async (req, res) => {
+    try {
+        await notifications.deleteChannel(req.params.id);
+        res.json({ success: true, message: 'Channel deleted' });
+    } catch (error) {
+        sendNotificationError(res, error);
+    }
+});
+
+// Send a test notification now (no retries) and report the result
+app.post('/api/notifications/channels/:id/test', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await notifications.sendTest(req.params.id);
+        res.status(result.status === 'sent' ? 200 : 502).json({ success: result.status === 'sent', result, error: result.error || undefined });
+    } catch (error) {
+        sendNotificationError(res, error);
+    }
+});
+
+// Recent sends (newest first)
+app.get('/api/notifications/log', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, entries: await notifications.listLog() });
+    } catch (error) {
+        sendNotificationError(res, error);
+    }
+});
+
+// Restart service
+app.post('/api/restart/:serviceName', requireRole('operator'), async (req, res) => {
+    try {
+        const { serviceName } = req.params;
         
+        // systemd, PM2 or docker, reloading the service's environment variables
+        await executor.run('deployment.restart', { service: serviceName }, { timeout: 300000 });
+        
+        res.json({ success: true, message: `Service ${serviceName} restarted` });
+        
+    } catch (error) {
+        console.error(`Error restarting ${req.params.serviceName}:`, error);
+        res.status(500).json({ 
+            success: false, 
+            error: `Failed to restart: ${error.stderr || error.message}` 
+        });
+    }
+});
+
+// Start or stop a deployed service. A stopped service stays stopped across
+// reboots and deploys until it is started again.
+app.post('/api/deployments/:serviceName/:action(start|stop)', requireRole('operator'), async (req, res) => {
+    try {
+        const { serviceName, action } = req.params;
+        const { applied } = await deployments.control(serviceName, action);
+        await status.refresh();
+        const state = action === 'start' ? 'started' : 'stopped';
+        res.json({
+            success: true,
+            message: applied ? `Service ${serviceName} ${state}` : `${serviceName} is not deployed yet; its first deploy leaves it ${action === 'start' ? 'running' : 'stopped'}`
+        });
+    } catch (error) {
+        console.error(`Error running ${req.params.action} for ${req.params.serviceName}:`, error.message);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Set the number of PM2 cluster instances or compose replicas: { instances,
+// compose_service } (compose_service picks the service when there are several)
+app.post('/api/deployments/:serviceName/scale', requireRole('operator'), async (req, res) => {
+    try {
+        const { serviceName } = req.params;
+        const { config, applied } = await deployments.control(serviceName, 'scale', req.body || {});
+        await status.refresh();
+        res.json({
+            success: true,
+            message: applied && config.desired_state !== 'stopped'
+                ? `${serviceName} scaled to ${config.instances} instance(s)`
+                : `${serviceName} will run ${config.instances} instance(s) when started`,
+            instances: config.instances
+        });
+    } catch (error) {
+        if (error instanceof executor.ValidationError) {
+            return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+        }
+        console.error(`Error scaling ${req.params.serviceName}:`, error.message);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// ============ Configuration backups ============
+
+app.get('/api/backups', requireRole('operator'), async (req, res) => {
+    try {
+        res.json({ success: true, backups: await backups.listBackups() });
     } catch (error) {
-        console.error(`Error getting deployment ${req.params.serviceName}:`, error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Remove deployment (use script so bash + common.sh are correct)
-app.delete('/api/deployments/:serviceName', async (req, res) => {
+// Body: { include_secrets } (default true; false leaves webhook secrets out)
+app.post('/api/backups', requireRole('admin'), async (req, res) => {
     try {
-        const { serviceName } = req.params;
-        const removeScript = '/opt/api-gateway/scripts/remove-service.sh';
-        await runCommand(`/bin/bash ${removeScript} ${serviceName}`);
-        res.json({ success: true, message: `Deployment ${serviceName} removed` });
+        const includeSecrets = (req.body || {}).include_secrets !== false;
+        const backup = await backups.createBackup({ includeSecrets, user: req.user.username });
+        res.status(201).json({ success: true, message: `Backup ${backup.id} created`, backup });
     } catch (error) {
-        console.error(`Error removing deployment ${req.params.serviceName}:`, error);
+        console.error('Error creating backup:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Deploy service
-app.post('/api/deploy/:serviceName', async (req, res) => {
+app.get('/api/backups/:id/download', requireRole('admin'), async (req, res) => {
     try {
-        const { serviceName } = req.params;
-        const configPath = path.join(DEPLOY_CONFIG_DIR, `${serviceName}.json`);
-        const config = await loadJsonFile(configPath);
-        
-        if (!config.service_name) {
-            return res.status(404).json({ success: false, error: 'Service not found' });
-        }
-        
-        // Trigger deployment in background (same script as webhook - has correct env)
-        const deployScript = '/opt/api-gateway/scripts/deploy-service.sh';
-        runCommandBackground(`/bin/bash ${deployScript} ${serviceName}`);
-        
-        res.json({
-            success: true,
-            message: `Deployment started for ${serviceName}`
-        });
-        
+        const file = await backups.getBackupFile(req.params.id);
+        res.download(file, `api-gateway-backup-${req.params.id}.json.gz`);
     } catch (error) {
-        console.error(`Error deploying ${req.params.serviceName}:`, error);
-        res.status(500).json({ success: false, error: error.message });
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
 });
 
-// Restart service
-app.post('/api/restart/:serviceName', async (req, res) => {
+// ?dry_run=true shows what would change (including the nginx diff) without writing
+app.post('/api/backups/:id/restore', requireRole('admin'), async (req, res) => {
     try {
-        const { serviceName } = req.params;
-        const configPath = path.join(DEPLOY_CONFIG_DIR, `${serviceName}.json`);
-        const config = await loadJsonFile(configPath);
-        const processManager = config?.process_manager || 'systemd';
-        
-        if (processManager === 'pm2') {
-            await runCommand(`pm2 restart ${serviceName}`);
-        } else {
-            await runCommand(`systemctl restart ${serviceName}`);
+        const dryRun = req.query.dry_run === 'true' || (req.body || {}).dry_run === true;
+        const result = await backups.restoreBackup(req.params.id, { dryRun, user: req.user.username });
+        if (result.nginx && !result.nginx.applied) {
+            return res.status(502).json({ success: false, error: `Not restored: ${result.nginx.error}`, ...result });
         }
-        
-        res.json({ success: true, message: `Service ${serviceName} restarted` });
-        
+        res.json({ success: true, message: dryRun ? 'Dry run, nothing changed' : `Backup ${req.params.id} restored`, ...result });
     } catch (error) {
-        console.error(`Error restarting ${req.params.serviceName}:`, error);
-        res.status(500).json({ 
-            success: false, 
-            error: `Failed to restart: ${error.stderr || error.message}` 
+        if (error instanceof executor.ValidationError) {
+            return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+        }
+        if (!error.status) console.error(`Error restoring backup ${req.params.id}:`, error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// ============ Declarative manifests ============
+
+// Body: the manifest. ?prune=true also plans removing what it does not list
+app.post('/api/manifest/plan', requireRole('admin'), async (req, res) => {
+    try {
+        const plan = await manifest.plan(req.body, { prune: req.query.prune === 'true' });
+        res.json({ success: true, plan });
+    } catch (error) {
+        if (error instanceof executor.ValidationError) {
+            return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+        }
+        console.error('Error planning manifest:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// ?prune=true removes what the manifest does not list; ?deploy=true queues
+// deploys for new deployments and those whose changes need one
+app.post('/api/manifest/apply', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await manifest.apply(req.body, {
+            prune: req.query.prune === 'true',
+            deploy: req.query.deploy === 'true',
+            user: req.user.username
         });
+        await status.refresh();
+        if (result.errors.length > 0) {
+            return res.status(502).json({ success: false, error: `Partly applied: ${result.errors.map(e => `${e.step}: ${e.error}`).join('; ')}`, ...result });
+        }
+        res.json({ success: true, message: result.applied.length > 0 ? `Manifest applied (${result.applied.length} step(s))` : 'Nothing to change', ...result });
+    } catch (error) {
+        if (error instanceof executor.ValidationError) {
+            return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+        }
+        if (!error.status) console.error('Error applying manifest:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...(error.plan ? { plan: error.plan } : {}) });
+    }
+});
+
+app.get('/api/manifest/export', requireRole('admin'), async (req, res) => {
+    try {
+        const current = await manifest.exportManifest();
+        res.setHeader('Content-Disposition', 'attachment; filename="api-gateway-manifest.json"');
+        res.type('application/json').send(`${JSON.stringify(current, null, 2)}\n`);
+    } catch (error) {
+        console.error('Error exporting manifest:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 // ============ Server-Sent Events (SSE) ============
 
-const setupSSE = (res) => {
+// Open SSE connections per stream (exported as metrics)
+const sseClients = { deployments: 0, deploy_log: 0, logs: 0, ai_pull: 0 };
+
+const setupSSE = (res, stream) => {
+    sseClients[stream]++;
+    res.on('close', () => { sseClients[stream]--; });
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
@@ -268,47 +846,33 @@ const sendSSE = (res, event, data) => {
     if (typeof res.flush === 'function') res.flush();
 };
 
-// SSE: deployments list (push every 5s)
+// SSE: deployments list (full list on connect, then only the services that
+// changed); registered agents are sent as `agents` after every poll
 app.get('/api/sse/deployments', async (req, res) => {
-    setupSSE(res);
-    const pushDeployments = async () => {
-        try {
-            const statusData = await loadJsonFile(DEPLOY_STATUS_FILE, { deployments: {} });
-            const deployments = {};
-            const configFiles = await fs.readdir(DEPLOY_CONFIG_DIR).catch(() => []);
-            for (const configFile of configFiles) {
-                if (!configFile.endsWith('.json')) continue;
-                const serviceName = configFile.replace('.json', '');
-                const configPath = path.join(DEPLOY_CONFIG_DIR, configFile);
-                const config = await loadJsonFile(configPath);
-                if (!config) continue;
-                const deploymentStatus = statusData.deployments[serviceName] || {};
-                const processManager = config.process_manager || 'systemd';
-                const systemRunning = await checkServiceStatus(serviceName, processManager);
-                deployments[serviceName] = {
-                    config,
-                    status: deploymentStatus.status || 'unknown',
-                    message: deploymentStatus.message || '',
-                    last_updated: deploymentStatus.last_updated,
-                    last_deployment: deploymentStatus.last_deployment,
-                    system_running: systemRunning
-                };
-            }
-            sendSSE(res, 'deployments', { success: true, deployments, timestamp: new Date().toISOString() });
-        } catch (e) {
-            sendSSE(res, 'error', { message: e.message });
-        }
-    };
-    await pushDeployments();
-    const interval = setInterval(pushDeployments, 5000);
-    req.on('close', () => clearInterval(interval));
+    setupSSE(res, 'deployments');
+    try {
+        sendSSE(res, 'deployments', { success: true, deployments: await status.getDeployments(), timestamp: new Date().toISOString() });
+        const remote = await agents.getAgents({ withData: true });
+        if (remote.length > 0) sendSSE(res, 'agents', { agents: remote });
+    } catch (e) {
+        sendSSE(res, 'error', { message: e.message });
+    }
+    const unsubscribe = status.subscribe(diff => sendSSE(res, 'deployments_diff', diff));
+    const unsubscribeAgents = agents.subscribe(remote => sendSSE(res, 'agents', { agents: remote }));
+    // Comment lines keep proxies from closing the stream while nothing changes
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+    req.on('close', () => {
+        unsubscribe();
+        unsubscribeAgents();
+        clearInterval(keepAlive);
+    });
 });
 
 // SSE: deploy log stream (tail -f); switches to newest log file on redeploy/webhook
 app.get('/api/sse/deploy-log/:serviceName', (req, res) => {
     const { serviceName } = req.params;
     const deploymentLogDir = path.join(LOG_DIR, 'deployments');
-    setupSSE(res);
+    setupSSE(res, 'deploy_log');
     let closed = false;
     let tailProcess = null;
     let currentLogPath = null;
@@ -324,15 +888,26 @@ app.get('/api/sse/deploy-log/:serviceName', (req, res) => {
                 .then(stats => stats.sort((a, b) => b.mtime - a.mtime)[0]);
         });
 
-    const startTailing = (target) => {
+    // Send the last lines and the step timeline so far, then follow the rest;
+    // marker lines become `step` events instead of log text
+    const startTailing = async (target) => {
         if (tailProcess) {
             tailProcess.kill('SIGTERM');
             tailProcess = null;
         }
         currentLogPath = target.f;
-        const tail = spawn('tail', ['-f', '-n', '200', target.f], { stdio: ['ignore', 'pipe', 'pipe'] });
+        const text = await fs.readFile(target.f, 'utf8').catch(() => '');
+        if (closed || currentLogPath !== target.f) return;
+        const recent = steps.stripMarkers(text).split('\n').slice(-200).join('\n');
+        if (recent) sendSSE(res, 'log', recent);
+        sendSSE(res, 'steps', { log_file: path.basename(target.f), ...steps.parseLog(text) });
+        const tail = executor.spawnCommand('tail.follow-from', { offset: Buffer.byteLength(text) }, { context: { file: target.f } });
         tailProcess = tail;
-        tail.stdout.on('data', chunk => !closed && sendSSE(res, 'log', chunk.toString()));
+        const write = steps.createMarkerSplitter(
+            chunk => !closed && sendSSE(res, 'log', chunk),
+            marker => !closed && sendSSE(res, 'step', marker)
+        );
+        tail.stdout.on('data', chunk => write(chunk.toString()));
         tail.stderr.on('data', chunk => !closed && sendSSE(res, 'log', chunk.toString()));
         tail.on('error', () => { if (!closed && tailProcess === tail) { tailProcess = null; sendSSE(res, 'done', {}); } });
         tail.on('exit', () => { if (tailProcess === tail) tailProcess = null; });
@@ -343,7 +918,7 @@ app.get('/api/sse/deploy-log/:serviceName', (req, res) => {
         getLatestLogFile().then(latest => {
             if (closed || !latest || latest.f === currentLogPath) return;
             sendSSE(res, 'log', '\n--- New deployment log (redeploy/webhook) ---\n');
-            startTailing(latest);
+            return startTailing(latest);
         }).catch(() => {});
     };
 
@@ -362,7 +937,7 @@ app.get('/api/sse/deploy-log/:serviceName', (req, res) => {
                 sendSSE(res, 'log', 'Waiting for deployment log (start deploy if not started)...\n');
                 return;
             }
-            startTailing(latest);
+            startTailing(latest).catch(() => !closed && sendSSE(res, 'done', {}));
             checkInterval = setInterval(checkForNewerLog, 2000);
         }).catch(() => {
             if (!closed && retries > 0) setTimeout(() => waitForLog(retries - 1), 1000);
@@ -375,7 +950,7 @@ app.get('/api/sse/deploy-log/:serviceName', (req, res) => {
 app.get('/api/sse/logs/:serviceName', async (req, res) => {
     const { serviceName } = req.params;
     const lines = Math.min(Math.max(parseInt(req.query.lines, 10) || 200, 50), 2000);
-    setupSSE(res);
+    setupSSE(res, 'logs');
     try {
         const configPath = path.join(DEPLOY_CONFIG_DIR, `${serviceName}.json`);
         const config = await loadJsonFile(configPath);
@@ -387,18 +962,16 @@ app.get('/api/sse/logs/:serviceName', async (req, res) => {
             const composeYml = path.join(deployPath, 'docker-compose.yaml');
             const fsSync = require('fs');
             const file = fsSync.existsSync(composeFile) ? composeFile : composeYml;
-            child = spawn('docker', ['compose', '-f', file, 'logs', '-f', '--tail', String(lines)], {
-                cwd: deployPath,
-                stdio: ['ignore', 'pipe', 'pipe']
-            });
+            child = executor.spawnCommand('compose.follow', { lines }, { context: { composeFile: file }, cwd: deployPath });
         } else if (runtime === 'docker') {
-            child = spawn('docker', ['logs', '-f', '--tail', String(lines), serviceName], { stdio: ['ignore', 'pipe', 'pipe'] });
+            child = executor.spawnCommand('docker.follow', { service: serviceName, lines });
         } else {
             const processManager = config?.process_manager || 'systemd';
+            const processName = config ? deployments.liveProcess(config) : serviceName;
             if (processManager === 'pm2') {
-                child = spawn('pm2', ['logs', serviceName, '--raw', '--lines', String(lines)], { stdio: ['ignore', 'pipe', 'pipe'] });
+                child = executor.spawnCommand('pm2.follow', { service: processName, lines });
             } else {
-                child = spawn('journalctl', ['-u', serviceName, '-f', '-n', String(lines)], { stdio: ['ignore', 'pipe', 'pipe'] });
+                child = executor.spawnCommand('journal.follow', { service: processName, lines });
             }
         }
         const sendChunk = (chunk) => sendSSE(res, 'log', chunk.toString());
@@ -412,8 +985,34 @@ app.get('/api/sse/logs/:serviceName', async (req, res) => {
     }
 });
 
+// SSE: progress of a model pull (`progress` events, then `done` with the final record)
+app.get('/api/sse/ai/pulls/:id', (req, res) => {
+    let pull;
+    try {
+        pull = ai.getPull(req.params.id);
+    } catch (error) {
+        return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+    setupSSE(res, 'ai_pull');
+    if (pull.status !== 'running') {
+        sendSSE(res, 'done', pull);
+        return res.end();
+    }
+    sendSSE(res, 'progress', pull);
+    const unsubscribe = ai.subscribePull(pull.id, (update) => {
+        sendSSE(res, update.status === 'running' ? 'progress' : 'done', update);
+        if (update.status !== 'running') res.end();
+    });
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+    req.on('close', () => {
+        unsubscribe();
+        clearInterval(keepAlive);
+    });
+});
+
 // Get webhook setup instructions (plain text, no ANSI — for dashboard display)
-app.get('/api/deployments/:serviceName/webhook-instructions', async (req, res) => {
+// ?provider=github|gitlab|gitea|bitbucket overrides the deployment's provider
+app.get('/api/deployments/:serviceName/webhook-instructions', requireRole('operator'), async (req, res) => {
     try {
         const { serviceName } = req.params;
         const configPath = path.join(DEPLOY_CONFIG_DIR, `${serviceName}.json`);
@@ -421,62 +1020,19 @@ app.get('/api/deployments/:serviceName/webhook-instructions', async (req, res) =
         if (!config || !config.webhook_secret) {
             return res.status(404).type('text/plain').send('Deployment not found or has no webhook secret');
         }
+        const provider = req.query.provider || providers.guessProvider(config);
+        if (!providers.PROVIDERS.includes(provider)) {
+            return res.status(400).type('text/plain').send(`Unknown provider (use ${providers.PROVIDERS.join(', ')})`);
+        }
         const baseUrl = `${req.protocol}://${req.get('host')}`.replace(/\/$/, '');
-        const webhookUrl = `${baseUrl}/webhook/${serviceName}`;
-        const secret = config.webhook_secret;
-        const branch = config.branch || 'main';
-        const repoPath = (config.github_repo || '')
-            .replace(/^https?:\/\/github\.com\//, '')
-            .replace(/^git@github\.com:/, '')
-            .replace(/\.git$/, '');
-        const instructions = [
-            '══════════════════════════════════════════════════════════════',
-            '  Step-by-step: add webhook in GitHub',
-            '══════════════════════════════════════════════════════════════',
-            '',
-            '  1. Open your repository on GitHub:',
-            `     https://github.com/${repoPath || 'YOUR_ORG/YOUR_REPO'}`,
-            '',
-            '  2. Go to Settings → Webhooks:',
-            '     Repository → Settings → Webhooks (left sidebar)',
-            '',
-            "  3. Click 'Add webhook'",
-            '',
-            '  4. Fill the form:',
-            '',
-            '     Payload URL:',
-            `     ${webhookUrl}`,
-            '',
-            '     Content type: application/json',
-            '',
-            '     Secret:',
-            `     ${secret}`,
-            '',
-            '     Which events? Just the push event',
-            '',
-            '     Active: ✓ (checked)',
-            '',
-            '     SSL verification: Enable SSL verification (leave default)',
-            '',
-            "  5. Click 'Add webhook' (green button at bottom)",
-            '',
-            '══════════════════════════════════════════════════════════════',
-            '',
-            '  Copy-paste values:',
-            '',
-            `  Payload URL:  ${webhookUrl}`,
-            `  Secret:       ${secret}`,
-            '',
-            `  What happens: When you push to branch '${branch}', GitHub will send`,
-            '  a POST request to your server. The webhook will trigger a deploy.',
-            '',
-            "  Test: After adding, push a commit and check 'Recent Deliveries'",
-            '  in the webhook settings — green ✓ means success.',
-            '',
-            '  Logs: tail -f /var/log/api-gateway/webhook.log',
-            ''
-        ].join('\n');
-        res.type('text/plain').send(instructions);
+        const instructions = providers.setupInstructions(provider, {
+            webhookUrl: `${baseUrl}/webhook/${serviceName}`,
+            secret: config.webhook_secret,
+            branch: config.branch || 'main',
+            repoUrl: config.github_repo,
+            previews: Boolean(config.previews)
+        });
+        res.set('X-Webhook-Provider', provider).type('text/plain').send(instructions);
     } catch (e) {
         res.status(500).type('text/plain').send('Error loading webhook instructions');
     }
@@ -513,7 +1069,7 @@ app.get('/api/deployments/:serviceName/deploy-log-files', async (req, res) => {
 app.get('/api/deployments/:serviceName/deploy-log-content/:logFilename', async (req, res) => {
     try {
         const { serviceName, logFilename } = req.params;
-        if (!logFilename.startsWith(serviceName + '-') || !logFilename.endsWith('.log')) {
+        if (!logFilename.startsWith(serviceName + '-')) {
             return res.status(400).type('text/plain').send('Invalid log file');
         }
         const filePath = path.join(LOG_DIR, 'deployments', logFilename);
@@ -524,6 +1080,20 @@ app.get('/api/deployments/:serviceName/deploy-log-content/:logFilename', async (
     }
 });
 
+// Step timeline of a stored deploy log
+app.get('/api/deployments/:serviceName/deploy-log-steps/:logFilename', async (req, res) => {
+    try {
+        const { serviceName, logFilename } = req.params;
+        if (!logFilename.startsWith(serviceName + '-')) {
+            return res.status(400).json({ success: false, error: 'Invalid log file' });
+        }
+        const content = await fs.readFile(path.join(LOG_DIR, 'deployments', logFilename), 'utf8');
+        res.json({ success: true, log_file: logFilename, ...steps.parseLog(content, { finished: true }) });
+    } catch (error) {
+        res.status(404).json({ success: false, error: 'Log file not found' });
+    }
+});
+
 // Get latest deployment log (for live progress during deploy)
 app.get('/api/deployments/:serviceName/deploy-log', async (req, res) => {
     try {
@@ -547,6 +1117,81 @@ app.get('/api/deployments/:serviceName/deploy-log', async (req, res) => {
     }
 });
 
+// ============ Releases ============
+
+// Successful deploys recorded by deploy_service (stored oldest first)
+const loadReleases = async (serviceName) => {
+    const data = await loadJsonFile(path.join(DEPLOY_RELEASES_DIR, `${serviceName}.json`), { releases: [] });
+    return (data.releases || []).slice().reverse();
+};
+
+// Release history for a service (newest first)
+app.get('/api/deployments/:serviceName/releases', async (req, res) => {
+    try {
+        const releases = await loadReleases(req.params.serviceName);
+        res.json({ success: true, current: releases[0] ? releases[0].id : null, releases });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Roll back: queue a deploy of the commit recorded for an earlier release
+app.post('/api/deployments/:serviceName/rollback/:releaseId', requireRole('operator'), async (req, res) => {
+    try {
+        const { serviceName, releaseId } = req.params;
+        const config = await loadJsonFile(path.join(DEPLOY_CONFIG_DIR, `${serviceName}.json`));
+        if (!config.service_name) {
+            return res.status(404).json({ success: false, error: 'Service not found' });
+        }
+        const release = (await loadReleases(serviceName)).find(r => r.id === releaseId);
+        if (!release) {
+            return res.status(404).json({ success: false, error: 'Release not found' });
+        }
+        const job = await jobs.enqueue(serviceName, {
+            trigger: 'rollback',
+            requested_by: req.user.username,
+            commit: release.commit,
+            meta: { release_id: release.id, commit: release.commit }
+        });
+        res.status(202).json({
+            success: true,
+            message: `Rollback of ${serviceName} to ${release.commit.slice(0, 7)} queued`,
+            job_id: job.id,
+            job
+        });
+    } catch (error) {
+        console.error(`Error rolling back ${req.params.serviceName}:`, error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// ============ Blue/Green Slots ============
+
+// Both slots of a blue/green service: port, state, commit and drain deadline
+app.get('/api/deployments/:serviceName/slots', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await slots.getSlots(req.params.serviceName)) });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Swap traffic back to the other slot (started and health-checked first if it was stopped)
+app.post('/api/deployments/:serviceName/slots/swap', requireRole('operator'), async (req, res) => {
+    try {
+        const { serviceName } = req.params;
+        const result = await slots.swap(serviceName, { user: req.user.username });
+        res.json({
+            success: true,
+            message: `${serviceName} now serves from the ${result.active} slot${result.previous ? ` (${result.previous} is draining)` : ''}`,
+            ...result
+        });
+    } catch (error) {
+        console.error(`Error swapping slots of ${req.params.serviceName}:`, error);
+        res.status(error.status || 500).json({ success: false, error: error.stderr || error.message });
+    }
+});
+
 // Get service logs
 app.get('/api/logs/:serviceName', async (req, res) => {
     try {
@@ -555,13 +1200,14 @@ app.get('/api/logs/:serviceName', async (req, res) => {
         const configPath = path.join(DEPLOY_CONFIG_DIR, `${serviceName}.json`);
         const config = await loadJsonFile(configPath);
         const processManager = config?.process_manager || 'systemd';
+        const processName = config ? deployments.liveProcess(config) : serviceName;
         
         try {
             if (processManager === 'pm2') {
-                const { stdout } = await runCommand(`pm2 logs ${serviceName} --lines 100 --nostream 2>/dev/null`);
+                const { stdout } = await executor.run('pm2.logs', { service: processName, lines: 100 });
                 logs = stdout || 'No PM2 logs';
             } else {
-                const { stdout } = await runCommand(`journalctl -u ${serviceName} --no-pager -n 100`);
+                const { stdout } = await executor.run('journal.tail', { service: processName, lines: 100 });
                 logs = stdout;
             }
         } catch {
@@ -598,132 +1244,297 @@ app.get('/api/logs/:serviceName', async (req, res) => {
     }
 });
 
+// Search service or deploy logs:
+// ?since=&until=&level=&q=&regex=true&source=service|deploy&offset=&limit=&download=1
+// (regex searches need the operator role)
+app.get('/api/logs/:serviceName/search', async (req, res) => {
+    try {
+        const { serviceName } = req.params;
+        if (req.query.regex === 'true' && !auth.hasRole(req.user.role, 'operator')) {
+            return res.status(403).json({ success: false, error: 'Regex search requires operator role' });
+        }
+        const config = req.query.source === 'deploy' ? {} : await deployments.loadConfig(serviceName);
+        const download = req.query.download === '1' || req.query.download === 'true';
+        const result = await logs.search(serviceName, config, req.query, { download });
+        if (download) {
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            res.attachment(`${serviceName}-${result.source}-logs-${stamp}.log`);
+            return res.type('text/plain').send(logs.formatText(result.entries));
+        }
+        res.json({ success: true, service: serviceName, ...result });
+    } catch (error) {
+        if (error instanceof executor.ValidationError) {
+            return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+        }
+        if (!error.status) console.error(`Error searching logs for ${req.params.serviceName}:`, error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
 // Get AI services from apis.json
 app.get('/api/ai/services', async (req, res) => {
     try {
-        const data = await loadJsonFile(APIS_CONFIG, { apis: [] });
-        const aiServices = (data.apis || []).filter(a => a.type === 'ai-model');
-        const services = [];
-        for (const svc of aiServices) {
-            let running = false;
-            try {
-                if (svc.name === 'localai') {
-                    const { stdout } = await runCommand('docker ps --format "{{.Names}}" 2>/dev/null');
-                    running = stdout.includes('localai');
-                } else {
-                    running = await checkServiceStatus(svc.name);
-                }
-            } catch {}
-            services.push({ ...svc, running });
-        }
-        res.json({ success: true, services });
+        res.json({ success: true, services: await ai.listServices() });
     } catch (e) {
         res.json({ success: true, services: [] });
     }
 });
 
+// Installed models of an AI service (from its own API), with its recent pulls
+app.get('/api/ai/services/:aiService/models', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await ai.listModels(req.params.aiService)) });
+    } catch (error) {
+        if (!error.status) console.error(`Error listing models of ${req.params.aiService}:`, error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Start pulling a model; follow it on /api/sse/ai/pulls/:id
+app.post('/api/ai/services/:aiService/models/pull', requireRole('operator'), async (req, res) => {
+    try {
+        const pull = await ai.pullModel(req.params.aiService, (req.body || {}).model, { user: req.user.username });
+        res.status(202).json({ success: true, message: `Pulling ${pull.model} on ${pull.service}`, pull });
+    } catch (error) {
+        if (error instanceof executor.ValidationError) {
+            return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+        }
+        if (!error.status) console.error(`Error pulling a model on ${req.params.aiService}:`, error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/ai/pulls/:id', async (req, res) => {
+    try {
+        res.json({ success: true, pull: ai.getPull(req.params.id) });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Model names may contain "/" and ":" (send them URL-encoded)
+app.delete('/api/ai/services/:aiService/models/:model', requireRole('admin'), async (req, res) => {
+    try {
+        const { aiService, model } = req.params;
+        await ai.deleteModel(aiService, model);
+        res.json({ success: true, message: `Model ${model} deleted from ${aiService}` });
+    } catch (error) {
+        if (error instanceof executor.ValidationError) {
+            return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+        }
+        if (!error.status) console.error(`Error deleting a model on ${req.params.aiService}:`, error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/ai/services/:aiService/:action(start|stop)', requireRole('operator'), async (req, res) => {
+    try {
+        const { aiService, action } = req.params;
+        const result = await ai.control(aiService, action);
+        res.json({ success: true, message: `${aiService} ${action === 'start' ? 'started' : 'stopped'}`, ...result });
+    } catch (error) {
+        console.error(`Error running ${req.params.action} on ${req.params.aiService}:`, error);
+        res.status(error.status || 500).json({ success: false, error: error.stderr || error.message });
+    }
+});
+
+// API keys of the inference proxy (/ai/v1); the plain key is only returned on creation
+app.get('/api/ai/keys', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, keys: await aiKeys.listKeys() });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/ai/keys', requireRole('admin'), async (req, res) => {
+    try {
+        const key = await aiKeys.createKey(req.body || {}, { user: req.user.username });
+        res.status(201).json({ success: true, message: `API key ${key.name} created`, key });
+    } catch (error) {
+        if (error instanceof executor.ValidationError) {
+            return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+        }
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Change a key's name, models, limits or enabled flag
+app.put('/api/ai/keys/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const key = await aiKeys.updateKey(req.params.id, req.body || {});
+        res.json({ success: true, message: `API key ${key.name} updated`, key });
+    } catch (error) {
+        if (error instanceof executor.ValidationError) {
+            return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+        }
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/ai/keys/:id', requireRole('admin'), async (req, res) => {
+    try {
+        await aiKeys.revokeKey(req.params.id);
+        res.json({ success: true, message: 'API key revoked' });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Requests and tokens per key and model (?days=1-90, default 30)
+app.get('/api/ai/usage', requireRole('operator'), async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 90);
+        res.json({ success: true, ...(await aiUsage.getUsage({ days })) });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
 // Add new deployment
-app.post('/api/deployments', async (req, res) => {
-    try {
-        const {
-            service_name,
-            github_repo,
-            branch = 'main',
-            port,
-            build_command = 'auto',
-            start_command = 'auto'
-        } = req.body;
+app.post('/api/deployments', requireRole('admin'), async (req, res) => {
+    try {
+        const values = executor.validate({
+            service_name: 'serviceName',
+            github_repo: 'repoUrl',
+            branch: { type: 'branch', default: 'main' },
+            port: 'port',
+            build_command: { type: 'command', default: 'auto' },
+            start_command: { type: 'command', default: 'auto' }
+        }, req.body);
         
-        if (!service_name || !github_repo || !port) {
-            return res.status(400).json({
+        await deployments.checkDeploymentRoute(values.service_name, values.port);
+        await executor.run('deployment.add', values);
+        const { route, nginx: nginxResult } = await deployments.exposeDeployment(values.service_name, values.port, { user: req.user.username });
+        if (!nginxResult.applied) {
+            return res.status(502).json({
                 success: false,
-                error: 'Missing required fields: service_name, github_repo, port'
+                error: `Deployment configuration created for ${values.service_name}, but its nginx route was not applied: ${nginxResult.error}`,
+                route,
+                nginx: nginxResult
             });
         }
         
-        const command = `source /opt/api-gateway/modules/deployment-manager.sh && add_deployment '${service_name}' '${github_repo}' '${branch}' ${port} '${build_command}' '${start_command}'`;
-        await runCommand(command);
-        
         res.json({
             success: true,
-            message: `Deployment configuration created for ${service_name}`
+            message: `Deployment configuration created for ${values.service_name}`,
+            route,
+            nginx: nginxResult
         });
         
     } catch (error) {
+        if (error instanceof executor.ValidationError) {
+            return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+        }
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
         console.error('Error adding deployment:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Get system information
+// Get system information (of each registered agent too, or of ?agent=<name> only)
 app.get('/api/system/info', async (req, res) => {
     try {
-        const info = {};
-        
-        // Load average
-        const loadAvg = await fs.readFile('/proc/loadavg', 'utf8');
-        info.load_average = loadAvg.trim().split(' ').slice(0, 3);
-        
-        // Memory info
-        const meminfo = await fs.readFile('/proc/meminfo', 'utf8');
-        const memData = {};
-        meminfo.split('\n').forEach(line => {
-            const [key, value] = line.split(':');
-            if (key && value) {
-                memData[key.trim()] = value.trim();
-            }
-        });
-        
-        const totalMem = parseInt(memData.MemTotal?.split(' ')[0] || 0);
-        const freeMem = parseInt(memData.MemFree?.split(' ')[0] || 0);
-        const availableMem = parseInt(memData.MemAvailable?.split(' ')[0] || 0);
-        
-        info.memory = {
-            total: totalMem,
-            free: freeMem,
-            available: availableMem,
-            used: totalMem - freeMem,
-            usage_percent: Math.round((totalMem - availableMem) / totalMem * 100 * 10) / 10
-        };
-        
-        // Disk usage
-        try {
-            const { stdout } = await runCommand('df -h / | tail -1');
-            const diskInfo = stdout.trim().split(/\s+/);
-            info.disk = {
-                total: diskInfo[1],
-                used: diskInfo[2],
-                available: diskInfo[3],
-                usage_percent: diskInfo[4]
-            };
-        } catch {
-            info.disk = { error: 'Unable to get disk info' };
+        const agentName = req.query.agent;
+        if (agentName && agentName !== agents.LOCAL_NAME) {
+            const { system_info, online, checked_at } = await agents.getAgent(String(agentName), { withData: true });
+            return res.json({ success: true, system_info, online, checked_at, timestamp: new Date().toISOString() });
         }
-        
-        // Uptime
-        const uptime = await fs.readFile('/proc/uptime', 'utf8');
-        const uptimeSeconds = parseFloat(uptime.split(' ')[0]);
-        const days = Math.floor(uptimeSeconds / 86400);
-        const hours = Math.floor((uptimeSeconds % 86400) / 3600);
-        const minutes = Math.floor((uptimeSeconds % 3600) / 60);
-        
-        info.uptime = {
-            seconds: uptimeSeconds,
-            formatted: `${days}d ${hours}h ${minutes}m`
-        };
-        
-        res.json({
+        const info = await systemInfo.collect();
+        const body = {
             success: true,
             system_info: info,
             timestamp: new Date().toISOString()
-        });
+        };
+        if (!agentName) {
+            const remote = await agents.getAgents({ withData: true });
+            if (remote.length > 0) {
+                body.agents = remote.map(a => ({ name: a.name, online: a.online, checked_at: a.checked_at, system_info: a.system_info }));
+            }
+        }
+        res.json(body);
         
     } catch (error) {
         console.error('Error getting system info:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// ============ Multi-server: agents ============
+
+// This server as seen by a central dashboard (also answers outside agent mode)
+app.get('/api/agent/info', (req, res) => {
+    res.json({ success: true, agent: agent.info() });
+});
+
+// Registered agents with their health (last poll)
+app.get('/api/agents', async (req, res) => {
+    try {
+        res.json({ success: true, agents: await agents.getAgents() });
+    } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// Register an agent: { name, url, key }; it must answer with the key first
+app.post('/api/agents', requireRole('admin'), async (req, res) => {
+    try {
+        const { name, url, key } = req.body || {};
+        const registered = await agents.addAgent({ name, url, key }, { user: req.user.username });
+        res.status(201).json({ success: true, message: `Agent ${name} registered`, agent: registered });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message, errors: error.errors });
+    }
+});
+
+app.delete('/api/agents/:agentName', requireRole('admin'), async (req, res) => {
+    try {
+        await agents.removeAgent(req.params.agentName);
+        res.json({ success: true, message: `Agent ${req.params.agentName} removed` });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Deploy, restart, job and log requests for a service on an agent, e.g.
+// POST /api/agents/web-2/deploy/my-app; SSE log streams are piped through
+const PROXIED_HEADERS = ['content-type', 'content-disposition', 'cache-control', 'x-accel-buffering'];
+
+app.all('/api/agents/:agentName/*', async (req, res) => {
+    try {
+        const target = new URL(req.originalUrl, 'http://central');
+        // /api/agents/<name>/<rest>: forward <rest> still URL-encoded; proxyRoute
+        // matches its decoded form and refuses "." and ".." segments
+        const apiPath = `/${target.pathname.split('/').slice(4).join('/')}`;
+        const route = agents.proxyRoute(req.method, apiPath);
+        if (!route) {
+            return res.status(404).json({ success: false, error: `${req.method} ${apiPath} is not available through the agent proxy` });
+        }
+        if (!auth.hasRole(req.user.role, route.role)) {
+            return res.status(403).json({ success: false, error: `Requires ${route.role} role` });
+        }
+        const upstream = await agents.forward(req.params.agentName, {
+            method: req.method,
+            path: apiPath,
+            search: target.search,
+            body: req.body,
+            user: req.user.username
+        });
+        res.status(upstream.statusCode);
+        PROXIED_HEADERS.forEach(header => {
+            if (upstream.headers[header]) res.setHeader(header, upstream.headers[header]);
+        });
+        res.flushHeaders();
+        upstream.on('error', () => res.end());
+        upstream.pipe(res);
+        res.on('close', () => upstream.destroy());
+    } catch (error) {
+        res.status(error.status || 502).json({ success: false, error: error.message });
+    }
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({
@@ -733,8 +1544,33 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+// Prometheus metrics. A local Prometheus can scrape http://127.0.0.1:8080/metrics
+// directly; requests from elsewhere (including through nginx) need a viewer token.
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+const metricsAccess = (req, res, next) => {
+    const direct = !req.headers['x-forwarded-for'] && !req.headers['x-real-ip'];
+    if (direct && LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) {
+        return next();
+    }
+    auth.authenticate()(req, res, (error) => (error ? next(error) : requireRole('viewer')(req, res, next)));
+};
+
+app.get('/metrics', metricsAccess, async (req, res) => {
+    try {
+        const body = await metrics.collect({ serviceStatus: async (service) => status.isRunning(service), sseClients });
+        res.set('Content-Type', metrics.CONTENT_TYPE).send(body);
+    } catch (error) {
+        console.error('Error collecting metrics:', error);
+        res.status(500).type('text/plain').send(`# error collecting metrics: ${error.message}\n`);
+    }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
+    if (error instanceof executor.ValidationError) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
     console.error('Unhandled error:', error);
     res.status(500).json({
         success: false,
@@ -742,11 +1578,28 @@ app.use((error, req, res, next) => {
     });
 });
 
-// Start server
-const server = app.listen(API_PORT, '0.0.0.0', () => {
-    console.log(`API Gateway Dashboard Server running on port ${API_PORT}`);
-    console.log(`Dashboard URL: http://localhost:${API_PORT}`);
-});
+// Start server (after making sure an admin account exists; agents have no logins)
+let server;
+(agent.ENABLED ? agent.getKey() : auth.ensureAdminUser())
+    .catch(error => console.error(agent.ENABLED ? 'Failed to load the agent key:' : 'Failed to create initial admin user:', error.message))
+    .then(() => {
+        server = app.listen(API_PORT, '0.0.0.0', () => {
+            if (agent.ENABLED) {
+                console.log(`API Gateway agent running on port ${API_PORT} (key: ${process.env.AGENT_KEY ? 'AGENT_KEY' : '/etc/api-gateway/agent.key'})`);
+                return;
+            }
+            console.log(`API Gateway Dashboard Server running on port ${API_PORT}`);
+            console.log(`Dashboard URL: http://localhost:${API_PORT}`);
+        });
+        jobs.startScheduler();
+        health.startProber();
+        resources.startCollector();
+        notifications.startWatcher();
+        status.startCollector();
+        backups.startScheduler();
+        slots.startReaper();
+        if (!agent.ENABLED) agents.startMonitor();
+    });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Blue/green slot CLI
+ * Used by the deploy script to reserve a slot, switch traffic to it through
+ * nginx (with the same checks as the dashboard) and record failures.
+ */
+
+const slots = require('./lib/slots');
+const executor = require('./lib/executor');
+
+const usage = () => {
+    console.log(`Usage: slots-cli.js <command> <service> [args]
+
+Commands:
+    prepare <service>                          Reserve the idle slot; prints SLOT_* variables for eval in bash
+    activate <service> <slot> [commit] [id]    Switch the route to the slot (the live one starts draining)
+    fail <service> <slot> [message]            Mark a slot's deploy as failed
+    retire <service>                           Drop the slots (back to in-place); prints processes to remove`);
+};
+
+// Single-quote for bash
+const shellQuote = (value) => `'${String(value ?? '').replace(/'/g, `'\\''`)}'`;
+
+const main = async () => {
+    const [command, serviceName, ...args] = process.argv.slice(2);
+    if (!['prepare', 'activate', 'fail', 'retire'].includes(command)) {
+        usage();
+        process.exit(command ? 1 : 0);
+    }
+    executor.validate({ service: 'serviceName' }, { service: serviceName });
+    switch (command) {
+        case 'prepare': {
+            const slot = await slots.prepare(serviceName);
+            const vars = {
+                SLOT: slot.slot,
+                SLOT_PROCESS: slot.process,
+                SLOT_PATH: slot.path,
+                SLOT_PORT: slot.port,
+                SLOT_LIVE: slot.live,
+                SLOT_STALE_PROCESS: slot.stale_process,
+                SLOT_STALE_PATH: slot.stale_path
+            };
+            Object.entries(vars).forEach(([name, value]) => console.log(`${name}=${shellQuote(value)}`));
+            break;
+        }
+        case 'activate': {
+            const [slot, commit, releaseId] = args;
+            const result = await slots.activate(serviceName, slot, { commit: commit || null, releaseId: releaseId || null, reason: `${serviceName}: deploy to ${slot} slot` });
+            console.log(`Traffic switched to slot ${result.active}${result.previous ? ` (${result.previous} is draining)` : ''}`);
+            break;
+        }
+        case 'fail':
+            await slots.markFailed(serviceName, args[0], args[1] || null);
+            break;
+        case 'retire':
+            (await slots.retire(serviceName)).forEach(name => console.log(name));
+            break;
+    }
+};
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const agents = require('../lib/agents');
+
+test('proxyRoute matches forwarded paths, including encoded service names', () => {
+    assert.strictEqual(agents.proxyRoute('POST', '/deploy/my-app').role, 'operator');
+    assert.strictEqual(agents.proxyRoute('GET', '/logs/my%2Dapp/search').role, 'viewer');
+    assert.strictEqual(agents.proxyRoute('GET', '/deploy/my-app'), null);
+    assert.strictEqual(agents.proxyRoute('POST', '/users/admin'), null);
+});
+
+test('proxyRoute refuses segments that decode to "." or ".."', () => {
+    assert.strictEqual(agents.proxyRoute('POST', '/deploy/%2e%2e'), null);
+    assert.strictEqual(agents.proxyRoute('POST', '/deploy/%2E'), null);
+    assert.strictEqual(agents.proxyRoute('POST', '/deploy/.%2e'), null);
+    assert.strictEqual(agents.proxyRoute('GET', '/jobs/%2e%2e/cancel'), null);
+    assert.strictEqual(agents.proxyRoute('GET', '/deployments/%2e%2e/releases'), null);
+});
+
+test('proxyRoute matches the decoded path', () => {
+    // An encoded "/" splits into two segments once decoded
+    assert.strictEqual(agents.proxyRoute('POST', '/deploy/a%2Fb'), null);
+    assert.strictEqual(agents.proxyRoute('POST', '/restart/%2e%2e%2fusers'), null);
+    // Malformed percent-encoding
+    assert.strictEqual(agents.proxyRoute('POST', '/deploy/%E0%A4%A'), null);
+});
+
+test('forward refuses paths outside the proxy rules before contacting the agent', async () => {
+    await assert.rejects(agents.forward('web-2', { method: 'POST', path: '/deploy/%2e%2e' }),
+        (error) => error instanceof agents.AgentError && error.status === 404 && /not available through the agent proxy/.test(error.message));
+});
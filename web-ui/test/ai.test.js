@@ -0,0 +1,151 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const storage = require('../lib/storage');
+
+// Local stub of the Ollama API; each test sets the handlers it needs
+const handlers = {};
+const requests = [];
+const ollama = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+        const handler = handlers[`${req.method} ${req.url}`];
+        if (!handler) {
+            res.statusCode = 404;
+            return res.end(JSON.stringify({ error: 'not found' }));
+        }
+        handler(req, res, body ? JSON.parse(body) : null);
+    });
+});
+
+// ai.js finds services in apis.json; point the ollama route at the stub
+const realLoadJsonFile = storage.loadJsonFile;
+storage.loadJsonFile = async (file, defaultValue) => (file === '/etc/api-gateway/apis.json'
+    ? { apis: [{ name: 'ollama', path: '/ollama', port: ollama.address().port, type: 'ai-model', enabled: true }] }
+    : realLoadJsonFile(file, defaultValue));
+const ai = require('../lib/ai');
+
+before(() => new Promise(resolve => ollama.listen(0, '127.0.0.1', resolve)));
+after(() => {
+    storage.loadJsonFile = realLoadJsonFile;
+    ollama.close();
+});
+
+const json = (res, status, data) => {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(data));
+};
+
+// Write NDJSON events split at awkward points, as a real stream may arrive
+const streamEvents = (res, events) => {
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    const text = events.map(event => `${JSON.stringify(event)}\n`).join('');
+    const cut = Math.floor(text.length / 3);
+    res.write(text.slice(0, cut));
+    setTimeout(() => {
+        res.write(text.slice(cut, cut * 2));
+        setTimeout(() => res.end(text.slice(cut * 2)), 10);
+    }, 10);
+};
+
+const waitForPull = (id) => new Promise((resolve) => {
+    const updates = [];
+    ai.subscribePull(id, (pull) => {
+        updates.push(pull);
+        if (pull.status !== 'running') resolve({ pull, updates });
+    });
+});
+
+test('listModels maps /api/tags and sorts by name', async () => {
+    handlers['GET /api/tags'] = (req, res) => json(res, 200, {
+        models: [
+            { name: 'mistral:7b', size: 4100000000, modified_at: '2026-10-01T10:00:00Z', digest: 'abc', details: { family: 'llama', parameter_size: '7B', quantization_level: 'Q4_0' } },
+            { name: 'llama3:8b', size: 4700000000, modified_at: '2026-10-02T10:00:00Z' }
+        ]
+    });
+
+    const { service, models } = await ai.listModels('ollama');
+
+    assert.strictEqual(service, 'ollama');
+    assert.deepStrictEqual(models.map(m => m.name), ['llama3:8b', 'mistral:7b']);
+    assert.deepStrictEqual(models[1], {
+        name: 'mistral:7b',
+        size: 4100000000,
+        modified_at: '2026-10-01T10:00:00Z',
+        digest: 'abc',
+        family: 'llama',
+        parameter_size: '7B',
+        quantization: 'Q4_0'
+    });
+    assert.strictEqual(models[0].family, null);
+});
+
+test('pullModel streams /api/pull progress until success', async () => {
+    handlers['POST /api/pull'] = (req, res) => streamEvents(res, [
+        { status: 'pulling manifest' },
+        { status: 'pulling 6a0746a1ec1a', digest: 'sha256:6a07', total: 1000, completed: 250 },
+        { status: 'pulling 6a0746a1ec1a', digest: 'sha256:6a07', total: 1000, completed: 1000 },
+        { status: 'verifying sha256 digest' },
+        { status: 'success' }
+    ]);
+
+    const started = await ai.pullModel('ollama', 'llama3:8b', { user: 'admin' });
+    assert.strictEqual(started.status, 'running');
+    const { pull, updates } = await waitForPull(started.id);
+
+    assert.deepStrictEqual(requests.filter(r => r.url === '/api/pull').pop().body, { model: 'llama3:8b', stream: true });
+    assert.strictEqual(pull.status, 'succeeded');
+    assert.strictEqual(pull.percent, 100);
+    assert.strictEqual(pull.error, null);
+    assert.ok(updates.some(u => u.message === 'pulling manifest'));
+    assert.ok(updates.some(u => u.message === 'verifying sha256 digest'));
+    assert.deepStrictEqual(ai.getPull(started.id).status, 'succeeded');
+});
+
+test('pullModel fails on an error event in the stream', async () => {
+    handlers['POST /api/pull'] = (req, res) => streamEvents(res, [
+        { status: 'pulling manifest' },
+        { error: 'pull model manifest: file does not exist' }
+    ]);
+
+    const started = await ai.pullModel('ollama', 'nosuchmodel');
+    const { pull } = await waitForPull(started.id);
+
+    assert.strictEqual(pull.status, 'failed');
+    assert.strictEqual(pull.error, 'pull model manifest: file does not exist');
+});
+
+test('pullModel fails when the stream ends before success', async () => {
+    handlers['POST /api/pull'] = (req, res) => streamEvents(res, [
+        { status: 'pulling 6a0746a1ec1a', total: 1000, completed: 400 }
+    ]);
+
+    const started = await ai.pullModel('ollama', 'phi3');
+    const { pull } = await waitForPull(started.id);
+
+    assert.strictEqual(pull.status, 'failed');
+    assert.strictEqual(pull.percent, 40);
+    assert.match(pull.error, /ended before it finished/);
+});
+
+test('deleteModel sends DELETE /api/delete and maps 404', async () => {
+    handlers['DELETE /api/delete'] = (req, res, body) => (body.model === 'llama3:8b'
+        ? json(res, 200, {})
+        : json(res, 404, { error: `model '${body.model}' not found` }));
+
+    await ai.deleteModel('ollama', 'llama3:8b');
+    assert.deepStrictEqual(requests.filter(r => r.url === '/api/delete').pop(),
+        { method: 'DELETE', url: '/api/delete', body: { model: 'llama3:8b', name: 'llama3:8b' } });
+
+    await assert.rejects(ai.deleteModel('ollama', 'gone'),
+        (error) => error instanceof ai.AiError && error.status === 404 && /not found on ollama/.test(error.message));
+});
+
+test('model requests fail with 502 when the service is unreachable', async () => {
+    handlers['GET /api/tags'] = (req, res) => req.socket.destroy();
+
+    await assert.rejects(ai.listModels('ollama'), (error) => error.status === 502);
+});
@@ -0,0 +1,87 @@
+/**
+ * Local SMTP stand-in for tests
+ * Speaks just enough SMTP for lib/smtp.js and records the session: every
+ * command line the client sent and each message body as received (still
+ * dot-stuffed, without the terminating ".").
+ * options: { auth: 'PLAIN LOGIN' (advertised mechanisms, '' for none),
+ *            rejectRecipients: [addresses answered with 550] }
+ */
+
+const net = require('net');
+
+const startSmtpServer = (options = {}) => new Promise((resolve) => {
+    const { auth = 'PLAIN LOGIN', rejectRecipients = [] } = options;
+    const session = { commands: [], messages: [] };
+
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let data = null;
+        let login = 0;
+        const reply = (line) => socket.write(`${line}\r\n`);
+
+        const handle = (line) => {
+            if (data !== null) {
+                if (line === '.') {
+                    session.messages.push(data.join('\r\n'));
+                    data = null;
+                    reply('250 2.0.0 queued');
+                } else {
+                    data.push(line);
+                }
+                return;
+            }
+            session.commands.push(line);
+            if (login > 0) {
+                login = login === 1 ? 2 : 0;
+                reply(login ? '334 UGFzc3dvcmQ6' : '235 2.7.0 authenticated');
+                return;
+            }
+            const [verb] = line.split(' ');
+            switch (verb.toUpperCase()) {
+                case 'EHLO':
+                    reply('250-stand-in');
+                    reply(auth ? `250 AUTH ${auth}` : '250 SIZE 1000000');
+                    break;
+                case 'AUTH':
+                    if (/^AUTH LOGIN$/i.test(line)) {
+                        login = 1;
+                        reply('334 VXNlcm5hbWU6');
+                    } else {
+                        reply('235 2.7.0 authenticated');
+                    }
+                    break;
+                case 'MAIL':
+                    reply('250 2.1.0 ok');
+                    break;
+                case 'RCPT': {
+                    const address = (/<([^>]*)>/.exec(line) || [])[1];
+                    reply(rejectRecipients.includes(address) ? '550 5.1.1 mailbox unavailable' : '250 2.1.5 ok');
+                    break;
+                }
+                case 'DATA':
+                    data = [];
+                    reply('354 end with <CRLF>.<CRLF>');
+                    break;
+                case 'QUIT':
+                    reply('221 2.0.0 bye');
+                    socket.end();
+                    break;
+                default:
+                    reply('502 5.5.2 command not recognized');
+            }
+        };
+
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf8');
+            const lines = buffer.split('\r\n');
+            buffer = lines.pop();
+            lines.forEach(handle);
+        });
+        socket.on('error', () => {});
+        reply('220 stand-in ESMTP');
+    });
+
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, session }));
+});
+
+module.exports = { startSmtpServer };
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const logs = require('../lib/logs');
+const executor = require('../lib/executor');
+
+test('matchPattern matches case-insensitively', async () => {
+    const hits = await logs.matchPattern('err(or)? \\d+', ['ERROR 42', 'ok', 'err 7']);
+    assert.deepStrictEqual(hits, [true, false, true]);
+});
+
+test('matchPattern gives up on a catastrophically backtracking pattern', async () => {
+    const started = Date.now();
+    await assert.rejects(
+        logs.matchPattern('(a+)+$', [`${'a'.repeat(40)}!`], { timeout: 300 }),
+        (error) => error instanceof executor.ValidationError && /took longer/.test(error.errors.q)
+    );
+    assert.ok(Date.now() - started < 5000);
+});
+
+test('parseQuery rejects invalid patterns and leaves regex matching to matchPattern', () => {
+    assert.throws(() => logs.parseQuery({ q: '(', regex: 'true' }), executor.ValidationError);
+    const range = logs.parseQuery({ q: 'Timeout' });
+    assert.strictEqual(range.matches('request TIMEOUT after 5s'), true);
+    assert.strictEqual(range.matches('ok'), false);
+    assert.strictEqual(logs.parseQuery({ q: '(a+)+$', regex: 'true' }).matches('aaaa!'), true);
+});
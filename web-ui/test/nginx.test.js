@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const nginx = require('../lib/nginx');
+
+// Stand-in for nginx: tags responses with X-Api-Name for the routes it has a
+// location for; everything else falls through to `location /`
+const startNginx = (locations) => new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+        const name = locations[req.url.split('/')[1]];
+        if (name) res.setHeader('X-Api-Name', name);
+        res.end();
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+test('verifyRoutes skips AI model routes that are not public', async (t) => {
+    const server = await startNginx({ shop: 'shop', ollama: 'ollama' });
+    t.after(() => server.close());
+    const config = `server {\n    listen ${server.address().port} default_server;\n}\n`;
+
+    const checks = await nginx.verifyRoutes(config, [
+        { name: 'shop', path: '/shop', port: 3001, enabled: true },
+        { name: 'localai', path: '/localai', port: 8080, enabled: true, type: 'ai-model' },
+        { name: 'ollama', path: '/ollama', port: 11434, enabled: true, type: 'ai-model', public: true },
+        { name: 'off', path: '/off', port: 3002, enabled: false }
+    ]);
+
+    assert.deepStrictEqual(checks.map(c => [c.route, c.ok]), [['shop', true], ['ollama', true]]);
+});
+
+test('verifyRoutes reports routes not served by their location', async (t) => {
+    const server = await startNginx({});
+    t.after(() => server.close());
+    const config = `listen ${server.address().port} default_server;`;
+
+    const checks = await nginx.verifyRoutes(config, [{ name: 'shop', path: '/shop', port: 3001, enabled: true }]);
+
+    assert.strictEqual(checks.length, 1);
+    assert.strictEqual(checks[0].ok, false);
+    assert.match(checks[0].error, /X-Api-Name: none/);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const notifications = require('../lib/notifications');
+const { startSmtpServer } = require('./helpers/smtp-server');
+
+// Local HTTP stand-in for webhook and Slack endpoints; records each request
+const startHttpServer = (status = 200) => new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            res.statusCode = status;
+            res.end();
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}`, requests }));
+});
+
+const notification = () => notifications.buildNotification('deploy.failed', {
+    service: 'shop',
+    message: 'Build failed',
+    details: { commit: 'abc123', empty: '' }
+});
+
+test('webhook channels POST the notification signed with the channel secret', async (t) => {
+    const { server, url, requests } = await startHttpServer();
+    t.after(() => server.close());
+    const sent = notification();
+
+    await notifications.send({ type: 'webhook', url: `${url}/hook`, secret: 's3cret' }, sent);
+
+    assert.strictEqual(requests.length, 1);
+    const [request] = requests;
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/hook');
+    assert.strictEqual(request.headers['x-gateway-event'], 'deploy.failed');
+    assert.deepStrictEqual(JSON.parse(request.body), sent);
+    const signature = crypto.createHmac('sha256', 's3cret').update(request.body).digest('hex');
+    assert.strictEqual(request.headers['x-gateway-signature-256'], `sha256=${signature}`);
+});
+
+test('slack channels POST a text message with the details', async (t) => {
+    const { server, url, requests } = await startHttpServer();
+    t.after(() => server.close());
+
+    await notifications.send({ type: 'slack', url }, notification());
+
+    const payload = JSON.parse(requests[0].body);
+    assert.strictEqual(payload.username, 'API Gateway');
+    assert.strictEqual(payload.text, ':x: *Deploy failed: shop*\nBuild failed\n> commit: abc123');
+});
+
+test('webhook channels reject on non-2xx responses', async (t) => {
+    const { server, url } = await startHttpServer(500);
+    t.after(() => server.close());
+
+    await assert.rejects(notifications.send({ type: 'webhook', url }, notification()), /HTTP 500/);
+});
+
+test('email channels send through SMTP', async (t) => {
+    const { server, port, session } = await startSmtpServer();
+    t.after(() => server.close());
+
+    await notifications.send({
+        type: 'email',
+        smtp: { host: '127.0.0.1', port, secure: 'none', username: 'relay', password: 'p4ss', from: 'gateway@example.com', to: ['ops@example.com'] }
+    }, notification());
+
+    assert.ok(session.commands.some(line => line.startsWith('AUTH PLAIN ')));
+    assert.strictEqual(session.messages.length, 1);
+    assert.match(session.messages[0], /^Subject: \[api-gateway\] Deploy failed: shop$/m);
+    assert.match(session.messages[0], /\r\n\r\nBuild failed\r\n\r\ncommit: abc123\r\nEvent: deploy.failed\r\n/);
+});
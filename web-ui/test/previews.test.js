@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const storage = require('../lib/storage');
+
+let dir;
+// previews.js keeps configs and claims under /etc and /var/lib; use a temp dir
+const redirect = (file) => file.replace(/^\/(etc|var\/lib)\/api-gateway/, (match) => path.join(dir, match));
+for (const name of ['loadJsonFile', 'saveJsonFile', 'updateJsonFile', 'withFileLock']) {
+    const fn = storage[name];
+    storage[name] = (file, ...args) => fn(redirect(file), ...args);
+}
+
+const routes = require('../lib/routes');
+const jobs = require('../lib/jobs');
+const executor = require('../lib/executor');
+const previews = require('../lib/previews');
+
+const calls = [];
+let routeGate = null;
+routes.listRoutes = async () => [];
+routes.createRoute = async (route) => {
+    calls.push(`route ${route.name}`);
+    if (routeGate) await routeGate;
+    return { route, nginx: { applied: true } };
+};
+routes.removeRoute = async (name) => {
+    calls.push(`unroute ${name}`);
+    return { nginx: { applied: true } };
+};
+jobs.enqueue = async (name) => ({ id: `job-${name}` });
+jobs.listJobs = async () => [];
+executor.run = async (command, params) => {
+    calls.push(`${command} ${params.service}`);
+    return { stdout: '', stderr: '' };
+};
+
+const parent = { service_name: 'shop', port: 3000, branch: 'main', previews: true };
+const pullRequest = { number: 7, action: 'open', branch: 'feature', fetch_ref: 'refs/pull/7/head', commit: 'abc123', title: 'Feature' };
+const claims = async () => (await storage.loadJsonFile('/var/lib/api-gateway/previews.json', { claims: {} })).claims;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'previews-test-'));
+});
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test('closing a pull request while its preview is being deployed removes it afterwards', async () => {
+    let open;
+    routeGate = new Promise(resolve => { open = resolve; });
+    const deploying = previews.deployPreview(parent, pullRequest);
+    while (!calls.includes('route shop-pr-7')) await new Promise(resolve => setImmediate(resolve));
+
+    const removal = await previews.teardownPreview('shop', 7);
+    assert.strictEqual(removal.deferred, true);
+    assert.deepStrictEqual(await removal.done, { name: 'shop-pr-7', deferred: true });
+    assert.ok((await claims())['shop-pr-7'].remove, 'the removal is recorded on the open claim');
+
+    open();
+    routeGate = null;
+    const preview = await deploying;
+    assert.strictEqual(preview.name, 'shop-pr-7');
+    while ((await claims())['shop-pr-7']) await new Promise(resolve => setTimeout(resolve, 10));
+
+    assert.ok(calls.includes('unroute shop-pr-7'));
+    assert.ok(calls.includes('deployment.remove shop-pr-7'));
+});
+
+test('removing a preview waits for the teardown', async () => {
+    await previews.deployPreview(parent, { ...pullRequest, number: 8, fetch_ref: 'refs/pull/8/head' });
+    const result = await previews.removePreview('shop-pr-8');
+
+    assert.deepStrictEqual(result, { name: 'shop-pr-8', route_removed: true });
+    assert.ok(calls.includes('deployment.remove shop-pr-8'));
+    assert.deepStrictEqual(await claims(), {});
+});
+
+test('removing a preview that does not exist is a 404', async () => {
+    await assert.rejects(previews.teardownPreview('shop', 99), (error) => error.status === 404);
+});
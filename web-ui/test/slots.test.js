@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const SERVICE = 'shop';
+let dir;
+let configFile;
+
+// Run a slots.js call in its own process, the way the dashboard (reaper) and
+// the deploy script (slots-cli.js) do, with the deployment configs in `dir`
+const runSlots = (call) => new Promise((resolve) => {
+    const script = `
+        const storage = require(${JSON.stringify(path.join(__dirname, '../lib/storage'))});
+        const redirect = (file) => file.replace('/etc/api-gateway/deployments', ${JSON.stringify(dir)});
+        for (const name of ['loadJsonFile', 'saveJsonFile', 'updateJsonFile', 'withFileLock']) {
+            const fn = storage[name];
+            storage[name] = (file, ...args) => fn(redirect(file), ...args);
+        }
+        const slots = require(${JSON.stringify(path.join(__dirname, '../lib/slots'))});
+        ${call}.then(
+            result => console.log(JSON.stringify({ result })),
+            error => console.log(JSON.stringify({ error: error.message, status: error.status })));
+    `;
+    execFile(process.execPath, ['-e', script], { timeout: 20000 }, (error, stdout) => {
+        resolve(error ? { error: error.message } : JSON.parse(stdout));
+    });
+});
+
+const drainedConfig = () => ({
+    service_name: SERVICE,
+    port: 3000,
+    strategy: 'blue_green',
+    blue_green: { alternate_port: 3001 },
+    deploy_path: `/opt/deployments/${SERVICE}`,
+    slots: {
+        active: 'green',
+        green: { process: `${SERVICE}-green`, port: 3001, state: 'active' },
+        blue: { process: `${SERVICE}-blue`, port: 3000, state: 'draining', drain_until: new Date(Date.now() - 1000).toISOString() }
+    }
+});
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'slots-test-'));
+    configFile = path.join(dir, `${SERVICE}.json`);
+});
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test('the reaper claim and a deploy in another process do not both take a drained slot', async () => {
+    await fs.writeFile(configFile, JSON.stringify(drainedConfig()));
+    // Hold the config lock as another process would, so both calls queue on it
+    await fs.writeFile(`${configFile}.lock`, '1');
+    const claim = runSlots(`slots.claimDrained(${JSON.stringify(SERVICE)}, 'blue')`);
+    const deploy = runSlots(`slots.prepare(${JSON.stringify(SERVICE)})`);
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const waiting = JSON.parse(await fs.readFile(configFile, 'utf8'));
+    assert.strictEqual(waiting.slots.blue.state, 'draining', 'neither process may write while the lock is held');
+    await fs.unlink(`${configFile}.lock`);
+
+    const [claimed, prepared] = await Promise.all([claim, deploy]);
+    const { blue } = JSON.parse(await fs.readFile(configFile, 'utf8')).slots;
+    if (claimed.result) {
+        // The reaper won: the deploy must refuse the stopping slot
+        assert.strictEqual(blue.state, 'stopping');
+        assert.strictEqual(prepared.status, 409);
+    } else {
+        // The deploy won: the reaper must leave the slot alone
+        assert.strictEqual(claimed.result, false);
+        assert.strictEqual(prepared.result.slot, 'blue');
+        assert.strictEqual(blue.state, 'deploying');
+    }
+});
+
+test('a slot being deployed is not claimed by the reaper', async () => {
+    await fs.writeFile(configFile, JSON.stringify(drainedConfig()));
+    const prepared = await runSlots(`slots.prepare(${JSON.stringify(SERVICE)})`);
+    assert.strictEqual(prepared.result.slot, 'blue');
+
+    const claimed = await runSlots(`slots.claimDrained(${JSON.stringify(SERVICE)}, 'blue')`);
+    assert.strictEqual(claimed.result, false);
+    assert.strictEqual(JSON.parse(await fs.readFile(configFile, 'utf8')).slots.blue.state, 'deploying');
+});
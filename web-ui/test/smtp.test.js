@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const smtp = require('../lib/smtp');
+const { startSmtpServer } = require('./helpers/smtp-server');
+
+const message = (port, overrides = {}) => ({
+    host: '127.0.0.1',
+    port,
+    secure: 'none',
+    from: 'Gateway <gateway@example.com>',
+    to: ['ops@example.com'],
+    subject: 'Deploy failed: shop',
+    text: 'Build failed\n.hidden line\n..two dots',
+    timeout_ms: 5000,
+    ...overrides
+});
+
+test('sendMail runs the SMTP conversation and dot-stuffs the body', async (t) => {
+    const { server, port, session } = await startSmtpServer({ auth: '' });
+    t.after(() => server.close());
+
+    await smtp.sendMail(message(port));
+
+    const verbs = session.commands.map(line => line.split(/[ :]/)[0]);
+    // QUIT is written without waiting for the reply, so the server may not have read it yet
+    assert.deepStrictEqual(verbs.slice(0, 4), ['EHLO', 'MAIL', 'RCPT', 'DATA']);
+    assert.ok(session.commands.includes('MAIL FROM:<gateway@example.com>'));
+    assert.ok(session.commands.includes('RCPT TO:<ops@example.com>'));
+    assert.strictEqual(session.messages.length, 1);
+    const [headers, body] = session.messages[0].split('\r\n\r\n');
+    assert.match(headers, /^Subject: Deploy failed: shop$/m);
+    assert.strictEqual(body, 'Build failed\r\n..hidden line\r\n...two dots');
+});
+
+test('sendMail authenticates with AUTH PLAIN when offered', async (t) => {
+    const { server, port, session } = await startSmtpServer({ auth: 'LOGIN PLAIN' });
+    t.after(() => server.close());
+
+    await smtp.sendMail(message(port, { username: 'relay', password: 'p4ss' }));
+
+    const expected = Buffer.from('\0relay\0p4ss').toString('base64');
+    assert.ok(session.commands.includes(`AUTH PLAIN ${expected}`));
+});
+
+test('sendMail falls back to AUTH LOGIN', async (t) => {
+    const { server, port, session } = await startSmtpServer({ auth: 'LOGIN' });
+    t.after(() => server.close());
+
+    await smtp.sendMail(message(port, { username: 'relay', password: 'p4ss' }));
+
+    const start = session.commands.indexOf('AUTH LOGIN');
+    assert.notStrictEqual(start, -1);
+    assert.deepStrictEqual(session.commands.slice(start + 1, start + 3), [
+        Buffer.from('relay').toString('base64'),
+        Buffer.from('p4ss').toString('base64')
+    ]);
+    assert.strictEqual(session.messages.length, 1);
+});
+
+test('sendMail rejects when a recipient is refused', async (t) => {
+    const { server, port, session } = await startSmtpServer({ rejectRecipients: ['nobody@example.com'] });
+    t.after(() => server.close());
+
+    await assert.rejects(
+        smtp.sendMail(message(port, { to: ['ops@example.com', 'nobody@example.com'] })),
+        (error) => error instanceof smtp.SmtpError && error.code === 550 && /RCPT TO:<nobody@example.com>/.test(error.message)
+    );
+    assert.ok(!session.commands.includes('DATA'));
+    assert.strictEqual(session.messages.length, 0);
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const storage = require('../lib/storage');
+
+let dir;
+// webhooks.js keeps configs and deliveries under /etc and /var/lib; use a temp dir
+const redirect = (file) => file.replace(/^\/(etc|var\/lib)\/api-gateway/, (match) => path.join(dir, match));
+for (const name of ['loadJsonFile', 'saveJsonFile', 'updateJsonFile', 'withFileLock']) {
+    const fn = storage[name];
+    storage[name] = (file, ...args) => fn(redirect(file), ...args);
+}
+
+const jobs = require('../lib/jobs');
+const notifications = require('../lib/notifications');
+const webhooks = require('../lib/webhooks');
+
+const SECRET = 'test-secret';
+let jobCount = 0;
+jobs.enqueue = async () => ({ id: `job-${++jobCount}` });
+notifications.notify = () => {};
+
+const push = (commit) => Buffer.from(JSON.stringify({
+    ref: 'refs/heads/main',
+    after: commit,
+    head_commit: { id: commit, message: 'Change' },
+    pusher: { name: 'dev' }
+}));
+
+const deliver = (body, { deliveryId = crypto.randomUUID(), secret = SECRET } = {}) => webhooks.processDelivery({
+    serviceName: 'shop',
+    body,
+    headers: {
+        'x-github-event': 'push',
+        'x-github-delivery': deliveryId,
+        'x-hub-signature-256': `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`
+    },
+    log: () => {}
+});
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhooks-test-'));
+    await storage.saveJsonFile('/etc/api-gateway/deployments/shop.json', {
+        service_name: 'shop', branch: 'main', auto_deploy: true, provider: 'auto', webhook_secret: SECRET
+    });
+});
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test('a signed push replayed with a fresh delivery ID is a duplicate', async () => {
+    const body = push('1111111');
+    const first = await deliver(body);
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.delivery.decision, 'triggered');
+
+    const replay = await deliver(body);
+    assert.strictEqual(replay.status, 409);
+    assert.strictEqual(replay.delivery.decision, 'duplicate');
+    assert.strictEqual(jobCount, 1);
+});
+
+test('a reused delivery ID is a duplicate', async () => {
+    const deliveryId = crypto.randomUUID();
+    assert.strictEqual((await deliver(push('2222222'), { deliveryId })).status, 200);
+
+    const again = await deliver(push('3333333'), { deliveryId });
+    assert.strictEqual(again.status, 409);
+    assert.match(again.response.error, new RegExp(deliveryId));
+});
+
+test('deliveries failing verification are not stored or accepted', async () => {
+    const body = push('4444444');
+    const forged = await deliver(body, { secret: 'wrong' });
+    assert.strictEqual(forged.status, 403);
+    assert.strictEqual((await webhooks.getDelivery(forged.delivery.id)).payload, null);
+
+    // The forged attempt did not claim the payload, so the real delivery goes through
+    assert.strictEqual((await deliver(body)).status, 200);
+});
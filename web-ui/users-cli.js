@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Dashboard user management CLI
+ * Used by `api-manage-extended dashboard user ...`; passwords are read from
+ * the DASHBOARD_PASSWORD environment variable so they never appear in argv.
+ */
+
+const auth = require('./lib/auth');
+
+const usage = () => {
+    console.log(`Usage: users-cli.js <command> [args]
+
+Commands:
+    list                              List dashboard users
+    add <username> [role]             Add user (role: ${auth.ROLES.join('|')}, default viewer)
+    passwd <username>                 Set password
+    role <username> <role>            Change role
+    remove <username>                 Remove user and their API tokens
+    token <username> <name> [role]    Create an API token (printed once)`);
+};
+
+const requirePassword = () => {
+    const password = process.env.DASHBOARD_PASSWORD;
+    if (!password) {
+        throw new auth.AuthError('Set DASHBOARD_PASSWORD in the environment');
+    }
+    return password;
+};
+
+const main = async () => {
+    const [command, ...args] = process.argv.slice(2);
+    switch (command) {
+        case 'list': {
+            const users = await auth.listUsers();
+            if (users.length === 0) console.log('No dashboard users');
+            users.forEach(u => console.log(`${u.username}\t${u.role}\t${u.created_at}`));
+            break;
+        }
+        case 'add': {
+            const user = await auth.createUser(args[0], requirePassword(), args[1] || 'viewer');
+            console.log(`User ${user.username} created (${user.role})`);
+            break;
+        }
+        case 'passwd':
+            await auth.updateUser(args[0], { password: requirePassword() });
+            console.log(`Password updated for ${args[0]}`);
+            break;
+        case 'role':
+            await auth.updateUser(args[0], { role: args[1] });
+            console.log(`${args[0]} is now ${args[1]}`);
+            break;
+        case 'remove':
+            await auth.deleteUser(args[0]);
+            console.log(`User ${args[0]} removed`);
+            break;
+        case 'token': {
+            const token = await auth.createToken(args[0], args[1], args[2]);
+            console.log(`Token ${token.id} (${token.role}) for ${token.username}:`);
+            console.log(token.token);
+            break;
+        }
+        default:
+            usage();
+            process.exit(command ? 1 : 0);
+    }
+};
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});